@@ -0,0 +1,10 @@
+import { createQuoteApi } from '../server/quoteApi.js';
+
+// Vercel serverless function for /api/quote (see server/quoteApi.js).
+// The cache and rate limits live as long as a warm instance does.
+// Vercel sets X-Forwarded-For itself, so it can be trusted here.
+const api = createQuoteApi({ trustProxy: true });
+
+export default function handler(req, res) {
+  return api.middleware(req, res);
+}
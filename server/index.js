@@ -0,0 +1,90 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { createQuoteApi, QUOTE_API_PATH } from './quoteApi.js';
+
+/*
+ * Standalone server: `npm run serve`.
+ *
+ * Serves the quote API at /api/quote and, when `npm run build` has
+ * produced one, the app from dist/, so a single Node process hosts
+ * everything without a third‑party proxy.  Configured through the
+ * environment:
+ *
+ *   PORT               – port to listen on (default 8787)
+ *   QUOTE_TTL          – seconds quotes stay cached (default 60)
+ *   RATE_LIMIT         – requests per client per minute (default 60)
+ *   ALLOW_ORIGIN       – origin allowed to call the API cross‑origin
+ *   TRUST_PROXY        – set to 1 behind a reverse proxy that sets
+ *                        X‑Forwarded‑For, to rate‑limit real clients
+ *   DIST_DIR           – directory with the built app (default dist)
+ */
+
+const port = Number(process.env.PORT) || 8787;
+const distDir = resolve(process.env.DIST_DIR ?? 'dist');
+const api = createQuoteApi({
+  ttl: (Number(process.env.QUOTE_TTL) || 60) * 1000,
+  rateLimit: { windowMs: 60_000, max: Number(process.env.RATE_LIMIT) || 60 },
+  allowOrigin: process.env.ALLOW_ORIGIN || null,
+  trustProxy: process.env.TRUST_PROXY === '1'
+});
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json'
+};
+
+// Serve a file from dist/, falling back to index.html for unknown
+// paths.  Malformed paths are answered with 400 and paths that would
+// escape dist/ are refused.
+async function serveStatic(req, res) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  const file = normalize(join(distDir, path === '/' ? 'index.html' : path));
+  if (file !== distDir && !file.startsWith(distDir + sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  for (const candidate of [file, join(distDir, 'index.html')]) {
+    try {
+      const body = await readFile(candidate);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(candidate)] ?? 'application/octet-stream' });
+      res.end(body);
+      return;
+    } catch {
+      // try the next candidate
+    }
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
+
+createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === QUOTE_API_PATH) api.middleware(req, res);
+  else if (req.method === 'GET' || req.method === 'HEAD') {
+    serveStatic(req, res).catch(err => {
+      console.error('Could not serve', req.url, err);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end();
+    });
+  }
+  else {
+    res.writeHead(405, { Allow: 'GET' });
+    res.end();
+  }
+}).listen(port, () => {
+  console.log(`Quote server listening on http://localhost:${port}${QUOTE_API_PATH}`);
+});
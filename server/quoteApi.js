@@ -0,0 +1,207 @@
+import yahooQuote from '../src/providers/yahooQuote.js';
+import stooq from '../src/providers/stooq.js';
+import { canonicalTicker, normalizeQuote } from '../src/providers/exchanges.js';
+import { createQuoteCache } from '../src/services/quoteCache.js';
+
+/*
+ * Quote API.
+ *
+ * Serves `GET /api/quote?symbols=AAPL,SAP.DE` by fetching Yahoo's v7
+ * quote endpoint (one batched request) and, for symbols Yahoo did not
+ * answer, Stooq's CSV service, straight from the server, so the browser
+ * needs no third‑party CORS proxy.  The response is
+ *
+ *   { quotes: { [SYMBOL]: { price, currency, source, fetchedAt, beta? } }, missing: [SYMBOL] }
+ *
+ * with symbols in Yahoo's format, prices in major units and `source`
+ * the id of the provider that answered (see src/providers/).  Quotes
+ * are cached in memory for `ttl` milliseconds and each client (by IP
+ * address) may make `rateLimit.max` requests per `rateLimit.windowMs`.
+ * The client address comes from `X-Forwarded-For` only with
+ * `trustProxy`, i.e. behind a proxy that sets it (Vercel does);
+ * otherwise clients could pick their own.  Responses are same‑origin
+ * only unless `allowOrigin` names an origin (or `*`) allowed to call
+ * the API from a browser.
+ *
+ * The parsing is shared with the browser providers; only the transport
+ * differs.  `fetchImpl` is injectable so tests can replay recorded
+ * responses.  The same handler backs the Vite dev middleware
+ * (vite.config.js), the standalone server (server/index.js) and the
+ * Vercel function (api/quote.js).
+ */
+
+export const QUOTE_API_PATH = '/api/quote';
+export const MAX_SYMBOLS = 50;
+const SYMBOL_PATTERN = /^[A-Z0-9^][A-Z0-9.\-=^]{0,19}$/;
+const UPSTREAM_TIMEOUT = 8000;
+// Yahoo rejects requests without a browser‑like user agent.
+const USER_AGENT = 'Mozilla/5.0 (compatible; portfolio-projection quote server)';
+
+/*
+ * Fixed‑window rate limiter.  `take(client)` counts one request and
+ * returns `{ allowed, remaining, retryAfter }` with `retryAfter` in
+ * seconds until the client's window resets.
+ */
+export function createRateLimiter({ windowMs = 60_000, max = 60, now = Date.now } = {}) {
+  const windows = new Map();
+  return {
+    take(client) {
+      const time = now();
+      // Forget windows that have ended so the table does not grow.
+      for (const [key, entry] of windows) if (entry.resetAt <= time) windows.delete(key);
+      const entry = windows.get(client) ?? { count: 0, resetAt: time + windowMs };
+      entry.count += 1;
+      windows.set(client, entry);
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfter: Math.ceil((entry.resetAt - time) / 1000)
+      };
+    }
+  };
+}
+
+// Split and validate the `symbols` parameter.  Returns the canonical,
+// deduplicated symbols or an error message.
+export function parseSymbols(param) {
+  const symbols = [...new Set((param ?? '').split(',').map(canonicalTicker).filter(Boolean))];
+  if (symbols.length === 0) return { error: 'Pass one or more symbols as ?symbols=AAPL,MSFT' };
+  if (symbols.length > MAX_SYMBOLS) return { error: `At most ${MAX_SYMBOLS} symbols per request` };
+  const invalid = symbols.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+  if (invalid.length > 0) return { error: `Invalid symbol: ${invalid.join(', ')}` };
+  return { symbols };
+}
+
+export function createQuoteApi({
+  fetchImpl = fetch,
+  ttl = 60_000,
+  rateLimit = {},
+  allowOrigin = null,
+  trustProxy = false,
+  now = Date.now
+} = {}) {
+  const cache = createQuoteCache({ storage: null, ttl, now });
+  const limiter = createRateLimiter({ ...rateLimit, now });
+
+  // Upstream fetch with a timeout and the headers Yahoo expects.
+  const upstream = async (url, init = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT);
+    try {
+      return await fetchImpl(url, {
+        ...init,
+        signal: controller.signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: '*/*' }
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  const ctx = { proxy: '', fetchImpl: upstream };
+
+  // Quotes for `symbols`, from the cache where fresh.  Resolves to a
+  // Map of symbol → quote for the symbols some source answered.
+  async function getQuotes(symbols) {
+    const found = new Map();
+    for (const symbol of symbols) {
+      const cached = cache.getFresh(symbol);
+      if (cached) found.set(symbol, cached);
+    }
+    const store = (symbol, quote, source) => {
+      if (typeof quote?.price !== 'number' || isNaN(quote.price)) return;
+      found.set(symbol, cache.set(symbol, { ...normalizeQuote(quote, symbol), source, fetchedAt: now() }));
+    };
+
+    const toFetch = symbols.filter(symbol => !found.has(symbol));
+    if (toFetch.length > 0) {
+      try {
+        const quotes = await yahooQuote.fetchQuotes(toFetch, ctx);
+        for (const symbol of toFetch) store(symbol, quotes.get(symbol), yahooQuote.id);
+      } catch (err) {
+        console.warn(`Yahoo quote request failed: ${err.message}`);
+      }
+    }
+
+    await Promise.all(
+      symbols
+        .filter(symbol => !found.has(symbol) && stooq.normalizeSymbol(symbol) != null)
+        .map(async symbol => {
+          try {
+            store(symbol, await stooq.fetchQuote(stooq.normalizeSymbol(symbol), ctx), stooq.id);
+          } catch (err) {
+            console.warn(`Stooq request for ${symbol} failed: ${err.message}`);
+          }
+        })
+    );
+    return found;
+  }
+
+  /*
+   * Handle one request given its method, URL (path and query) and the
+   * client's address.  Resolves to `{ status, headers, body }` with a
+   * JSON body, ready to write to any HTTP framework.
+   */
+  async function handle({ method = 'GET', url, client = 'unknown' }) {
+    const json = (status, body, headers = {}) => ({
+      status,
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...(allowOrigin ? { 'Access-Control-Allow-Origin': allowOrigin, Vary: 'Origin' } : {}),
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+    if (method !== 'GET') return json(405, { error: 'Method not allowed' }, { Allow: 'GET' });
+
+    const limit = limiter.take(client);
+    const limitHeaders = { 'X-RateLimit-Remaining': String(limit.remaining) };
+    if (!limit.allowed) {
+      return json(
+        429,
+        { error: 'Too many requests' },
+        { ...limitHeaders, 'Retry-After': String(limit.retryAfter) }
+      );
+    }
+
+    const params = new URL(url, 'http://localhost').searchParams;
+    const { symbols, error } = parseSymbols(params.get('symbols'));
+    if (error) return json(400, { error }, limitHeaders);
+
+    const found = await getQuotes(symbols);
+    const quotes = {};
+    for (const [symbol, quote] of found) {
+      const { price, currency, source, fetchedAt, beta } = quote;
+      quotes[symbol] = { price, currency, source, fetchedAt };
+      if (beta != null) quotes[symbol].beta = beta;
+    }
+    return json(
+      200,
+      { quotes, missing: symbols.filter(symbol => !found.has(symbol)) },
+      { ...limitHeaders, 'Cache-Control': `private, max-age=${Math.floor(ttl / 1000)}` }
+    );
+  }
+
+  // Connect/Node style handler: `(req, res)` for plain `http` servers,
+  // Vite middleware and Vercel functions alike.
+  async function middleware(req, res) {
+    const forwarded = trustProxy ? req.headers?.['x-forwarded-for'] : null;
+    const client =
+      (typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : null) || req.socket?.remoteAddress;
+    try {
+      const { status, headers, body } = await handle({
+        method: req.method,
+        // Connect strips the mount path from `url`; the query is all we need.
+        url: req.originalUrl ?? req.url,
+        client
+      });
+      res.writeHead(status, headers);
+      res.end(body);
+    } catch (err) {
+      console.error('Quote API error', err);
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ error: 'Internal error' }));
+    }
+  }
+
+  return { handle, middleware, getQuotes };
+}
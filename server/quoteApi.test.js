@@ -0,0 +1,103 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
+import { createQuoteApi, createRateLimiter, parseSymbols } from './quoteApi.js';
+import quoteServer from '../src/providers/quoteServer.js';
+
+// Recorded upstream responses, replayed by URL so the tests never touch
+// the network.
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const FIXTURES = [
+  [/finance\.yahoo\.com\/v7\/finance\/quote/, () => fixture('yahoo-quote.json')],
+  [/stooq\.pl\/q\/l\/\?s=msft\.us/, () => fixture('stooq-msft.csv')],
+  [/stooq\.pl\/q\/l\/\?s=nope\.us/, () => fixture('stooq-nope.csv')],
+  [/stooq\.pl\/q\/l\/\?s=bp\.uk/, () => fixture('stooq-bp.csv')]
+];
+
+function recordedFetch() {
+  return vi.fn(async url => {
+    const match = FIXTURES.find(([pattern]) => pattern.test(url));
+    if (!match) return new Response('Not found', { status: 404 });
+    return new Response(match[1](), { status: 200 });
+  });
+}
+
+const get = (api, query, client = '1.2.3.4') => api.handle({ url: `/api/quote?${query}`, client });
+
+describe('quote API', () => {
+  it('answers from Yahoo and falls back to Stooq, in one JSON shape', async () => {
+    const api = createQuoteApi({ fetchImpl: recordedFetch(), now: () => 1_000 });
+    const res = await get(api, 'symbols=aapl,VOD.L,MSFT,NOPE');
+    expect(res.status).toBe(200);
+    expect(res.headers['Content-Type']).toMatch(/application\/json/);
+    const body = JSON.parse(res.body);
+    expect(body.quotes).toEqual({
+      AAPL: { price: 231.45, currency: 'USD', source: 'yahoo-quote', fetchedAt: 1_000, beta: 1.24 },
+      // Pence are converted to pounds like in the browser.
+      'VOD.L': { price: 0.725, currency: 'GBP', source: 'yahoo-quote', fetchedAt: 1_000 },
+      MSFT: { price: 517.35, currency: 'USD', source: 'stooq', fetchedAt: 1_000 }
+    });
+    expect(body.missing).toEqual(['NOPE']);
+  });
+
+  it('converts London closes from Stooq, quoted in pence, to pounds', async () => {
+    const api = createQuoteApi({ fetchImpl: recordedFetch(), now: () => 1_000 });
+    const body = JSON.parse((await get(api, 'symbols=BP.L')).body);
+    expect(body.quotes['BP.L']).toEqual({ price: 4.243, currency: 'GBP', source: 'stooq', fetchedAt: 1_000 });
+  });
+
+  it('serves repeated symbols from its cache until the TTL passes', async () => {
+    const fetchImpl = recordedFetch();
+    let time = 0;
+    const api = createQuoteApi({ fetchImpl, ttl: 60_000, now: () => time });
+    await get(api, 'symbols=AAPL');
+    await get(api, 'symbols=AAPL');
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    time = 61_000;
+    await get(api, 'symbols=AAPL');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it('rate limits each client', async () => {
+    const api = createQuoteApi({ fetchImpl: recordedFetch(), rateLimit: { max: 2, windowMs: 60_000 }, now: () => 0 });
+    expect((await get(api, 'symbols=AAPL')).status).toBe(200);
+    expect((await get(api, 'symbols=AAPL')).status).toBe(200);
+    const limited = await get(api, 'symbols=AAPL');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('60');
+    expect((await get(api, 'symbols=AAPL', '5.6.7.8')).status).toBe(200);
+  });
+
+  it('rejects bad requests', async () => {
+    const api = createQuoteApi({ fetchImpl: recordedFetch() });
+    expect((await get(api, '')).status).toBe(400);
+    expect((await get(api, 'symbols=AAPL;rm')).status).toBe(400);
+    expect((await api.handle({ method: 'POST', url: '/api/quote?symbols=AAPL' })).status).toBe(405);
+  });
+
+  it('is read by the quote server provider', async () => {
+    const api = createQuoteApi({ fetchImpl: recordedFetch(), now: () => 1_000 });
+    const fetchImpl = async url => {
+      const { status, headers, body } = await api.handle({ url });
+      return new Response(body, { status, headers });
+    };
+    const quotes = await quoteServer.fetchQuotes(['AAPL', 'MSFT'], { quoteServer: '/api/quote', fetchImpl });
+    expect(quotes.get('AAPL')).toEqual({ price: 231.45, currency: 'USD', source: 'yahoo-quote', beta: 1.24 });
+    expect(quotes.get('MSFT')).toMatchObject({ price: 517.35, source: 'stooq' });
+  });
+});
+
+describe('request parsing', () => {
+  it('canonicalizes and deduplicates symbols', () => {
+    expect(parseSymbols(' brk.b, BRK-B ,eurusd=x')).toEqual({ symbols: ['BRK-B', 'EURUSD=X'] });
+    expect(parseSymbols(Array(51).fill(0).map((_, i) => `T${i}`).join(',')).error).toMatch(/At most/);
+  });
+
+  it('resets a client window after it ends', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: () => time });
+    expect(limiter.take('a').allowed).toBe(true);
+    expect(limiter.take('a').allowed).toBe(false);
+    time = 1000;
+    expect(limiter.take('a').allowed).toBe(true);
+  });
+});
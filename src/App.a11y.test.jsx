@@ -0,0 +1,201 @@
+// @vitest-environment jsdom
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import axe from 'axe-core';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import App from './App.jsx';
+import { blankAsset, createPortfolio, defaultState, loadState, saveState } from './storage/portfolioStore.js';
+
+/*
+ * Accessibility checks on the rendered app: an axe audit of the whole
+ * page, the keyboard flows of the Assets grid and the privacy controls.  jsdom has no layout,
+ * so the few browser APIs the charts rely on are filled in below, and
+ * the network is unreachable so symbol and FX lookups fail fast.
+ */
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+window.matchMedia ??= query => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+  addListener() {},
+  removeListener() {}
+});
+
+globalThis.fetch = () => Promise.reject(new TypeError('Network unavailable in tests'));
+
+let container;
+let root;
+
+async function mount() {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => root.render(<App />));
+}
+
+beforeEach(async () => {
+  localStorage.clear();
+  await mount();
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+// Run axe over `node`.  Suggestion searches may finish while it runs;
+// act() applies them.
+async function audit(node) {
+  let violations;
+  await act(async () => {
+    ({ violations } = await axe.run(node, {
+      // Contrast needs real layout and colours, which jsdom lacks.
+      rules: { 'color-contrast': { enabled: false } }
+    }));
+  });
+  return violations.map(v => `${v.id}: ${v.nodes.map(n => n.target).join(', ')}`);
+}
+
+const grid = () => container.querySelector('table[aria-labelledby="assets-heading"]');
+const cell = (row, column) => grid().querySelector(`[data-grid-row="${row}"][data-grid-col="${column}"]`);
+const rowCount = () => grid().querySelectorAll('[data-grid-col="0"]').length;
+const button = label => container.querySelector(`button[aria-label="${label}"]`);
+
+// Type into a controlled input the way React notices.
+function type(input, value) {
+  const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
+  act(() => {
+    setter.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+}
+
+function press(target, key, options = {}) {
+  act(() => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+  });
+}
+
+function paste(target, text) {
+  const event = new Event('paste', { bubbles: true, cancelable: true });
+  event.clipboardData = { getData: () => text };
+  act(() => target.dispatchEvent(event));
+}
+
+describe('accessibility', () => {
+  it('has no axe violations', async () => {
+    paste(cell(0, 0), 'AAPL\t10\t250\nBTC\t0.5');
+    expect(await audit(container)).toEqual([]);
+  });
+
+  it('moves through the grid with the keyboard and adds a row on Enter', () => {
+    type(cell(0, 0), 'AAPL');
+    press(cell(0, 0), 'ArrowRight');
+    expect(document.activeElement).toBe(cell(0, 1));
+    press(cell(0, 1), 'Enter');
+    expect(rowCount()).toBe(2);
+    expect(document.activeElement).toBe(cell(1, 0));
+    press(cell(1, 0), 'ArrowUp');
+    expect(document.activeElement).toBe(cell(0, 0));
+  });
+
+  it('keeps spaces in a typed company name and trims the ticker on blur', () => {
+    type(cell(0, 0), 'Coca Cola ');
+    expect(cell(0, 0).value).toBe('Coca Cola ');
+    act(() => cell(0, 0).dispatchEvent(new FocusEvent('focusout', { bubbles: true })));
+    expect(cell(0, 0).value).toBe('Coca Cola');
+  });
+
+  it('turns a pasted block into rows and announces it', () => {
+    paste(cell(0, 0), 'AAPL\t10\t250\nMSFT\t5\n??\t1\n');
+    expect(rowCount()).toBe(2);
+    expect(cell(0, 0).value).toBe('AAPL');
+    expect(cell(1, 1).value).toBe('5');
+    expect(container.querySelector('[role="alert"]').textContent).toMatch(/Pasted 2 position\(s\)\. Skipped line 3/);
+  });
+
+  it('undoes and redoes a removal', () => {
+    paste(cell(0, 0), 'AAPL\t10\nMSFT\t5');
+    act(() => container.querySelectorAll('button[aria-label="Remove asset"]')[0].click());
+    expect(rowCount()).toBe(1);
+    expect(container.querySelector('[role="status"][aria-live="polite"]').textContent).toMatch(/Removed AAPL/);
+
+    press(cell(0, 0), 'z', { ctrlKey: true });
+    expect(rowCount()).toBe(2);
+    expect(cell(0, 0).value).toBe('AAPL');
+
+    act(() => button('Redo').click());
+    expect(rowCount()).toBe(1);
+    expect(cell(0, 0).value).toBe('MSFT');
+  });
+
+  it('shows a printable report with SVG charts, quote sources and notes', async () => {
+    act(() => root.unmount());
+    container.remove();
+    const state = defaultState();
+    state.portfolios = [
+      createPortfolio(
+        'Retirement',
+        [
+          {
+            ...blankAsset(),
+            ticker: 'AAPL',
+            shares: '10',
+            currentPrice: 200,
+            currency: 'USD',
+            targetPrice: '250',
+            priceSource: 'stooq',
+            priceTime: Date.UTC(2026, 0, 2, 15)
+          }
+        ],
+        { notes: 'Review in March.' }
+      )
+    ];
+    state.activeId = state.portfolios[0].id;
+    saveState(state);
+    await mount();
+
+    const open = [...container.querySelectorAll('button')].find(b => b.textContent.includes('Report'));
+    act(() => open.click());
+    const report = container.querySelector('.report-view');
+    expect(document.activeElement).toBe(report);
+    expect(report.querySelector('h1').textContent).toBe('Retirement');
+    expect(report.querySelector('.report-figure svg')).not.toBeNull();
+    expect(report.textContent).toContain('Stooq');
+    expect(report.querySelector('textarea').value).toBe('Review in March.');
+    expect(await audit(report)).toEqual([]);
+
+    press(report, 'Escape');
+    expect(container.querySelector('.report-view')).toBeNull();
+    expect(document.activeElement).toBe(open);
+  });
+
+  it('asks for analytics consent once and toggles privacy mode', async () => {
+    const dialog = container.querySelector('[role="dialog"][aria-labelledby="consent-heading"]');
+    expect(dialog.textContent).toMatch(/never\s+included/);
+    const decline = [...dialog.querySelectorAll('button')].find(b => b.textContent === 'No thanks');
+    act(() => decline.click());
+    expect(container.querySelector('.consent-dialog')).toBeNull();
+
+    const privacy = container.querySelector('button[aria-pressed]');
+    act(() => privacy.click());
+    expect(privacy.getAttribute('aria-pressed')).toBe('true');
+    expect(document.body.classList.contains('privacy-mode')).toBe(true);
+
+    // Let the debounced autosave run, then load the app again.
+    await act(() => new Promise(resolve => setTimeout(resolve, 350)));
+    expect(loadState().preferences).toMatchObject({ analyticsConsent: false, privacyMode: true });
+    act(() => root.unmount());
+    container.remove();
+    await mount();
+    expect(container.querySelector('.consent-dialog')).toBeNull();
+    expect(container.querySelector('button[aria-pressed]').getAttribute('aria-pressed')).toBe('true');
+  });
+});
@@ -1,169 +1,448 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, X } from 'lucide-react';
-import { Analytics } from '@vercel/analytics/react';
-import { SpeedInsights } from '@vercel/speed-insights/react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, X, RefreshCw, SlidersHorizontal, Undo2, Redo2, FileText, Eye, EyeOff } from 'lucide-react';
+import { getProvider } from './providers/index.js';
+import { quoteService, quoteKey } from './services/quoteService.js';
+import { formatAge } from './utils/time.js';
+import { caretEdges, focusCell, gridMove } from './utils/gridNavigation.js';
 import {
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-  Legend
-} from 'recharts';
-
-/*
- * Helper to fetch the current price of a stock ticker.
- *
- * This helper tries a few different data sources in order to return a
- * reliable price without requiring API keys.  The primary source is
- * Yahoo Finance's chart API (v8) which provides current and recent
- * price information without authentication.  Because browsers enforce
- * cross‑origin restrictions, the request is routed through the
- * allorigins proxy which adds the appropriate CORS headers.  If the
- * Yahoo call fails or the returned data doesn't include a valid price
- * (which can happen for delisted or ill‑formed tickers), the helper
- * falls back to the Stooq CSV service.  Stooq uses a different
- * ticker format: U.S. equities are suffixed with `.us` and many
- * cryptocurrencies use a `.v` suffix (e.g. `btc.v`).  See
- * https://stooq.pl/ for details on their naming conventions.
- *
- * On success this function resolves to a number representing the last
- * traded price.  If no price can be determined it resolves to null.
- */
-async function fetchCurrentPrice(ticker) {
-  if (!ticker) return null;
-  // CORS proxy base.  We route all outbound requests through this
-  // proxy so that the target server's response includes permissive
-  // CORS headers.  allorigins returns the raw contents of any URL
-  // when prefaced with `https://api.allorigins.win/raw?url=`.
-  const proxyBase = 'https://api.allorigins.win/raw?url=';
-
-  // First try Yahoo Finance's v7 quote endpoint.  This endpoint
-  // returns a `quoteResponse` object with a `regularMarketPrice`
-  // property.  Using the quote API is more reliable for the
-  // latest price than the chart API because it is less likely to
-  // report null or outdated values.  We URL‑encode the entire
-  // endpoint when passing it through the proxy.
-  try {
-    const quoteEndpoint = `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${encodeURIComponent(
-      ticker
-    )}`;
-    const quoteRes = await fetch(
-      `${proxyBase}${encodeURIComponent(quoteEndpoint)}`
-    );
-    if (quoteRes.ok) {
-      const quoteData = await quoteRes.json();
-      const result = quoteData?.quoteResponse?.result?.[0] ?? {};
-      const price =
-        result.regularMarketPrice ??
-        result.regularMarketPreviousClose ??
-        null;
-      if (typeof price === 'number' && !isNaN(price)) {
-        return price;
-      }
-    }
-  } catch {
-    // ignore and fall back
-  }
-
-  // If the quote endpoint returns no data, fall back to Yahoo
-  // Finance's v8 chart API.  The chart API includes price meta
-  // information, but occasionally returns null for the current
-  // price.  We request a 1‑day range with a 1‑day interval to keep
-  // the payload small.
-  try {
-    const chartEndpoint = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-      ticker
-    )}?range=1d&interval=1d`;
-    const chartRes = await fetch(
-      `${proxyBase}${encodeURIComponent(chartEndpoint)}`
-    );
-    if (chartRes.ok) {
-      const chartData = await chartRes.json();
-      const meta = chartData?.chart?.result?.[0]?.meta ?? {};
-      const price =
-        meta.regularMarketPrice ?? meta.chartPreviousClose ?? null;
-      if (typeof price === 'number' && !isNaN(price)) {
-        return price;
-      }
-    }
-  } catch {
-    // ignore and continue to fallback
-  }
+  canRedo,
+  canUndo,
+  emptyHistory,
+  record,
+  redo,
+  restoreSnapshot,
+  undo
+} from './utils/undoHistory.js';
+import { formatMoney, formatSignedMoney, gainColor } from './utils/format.js';
+import { getFxRates, BASE_CURRENCIES } from './services/fxService.js';
+import { fetchDividendInfo } from './services/dividendService.js';
+import { offlineQueue } from './services/offlineQueue.js';
+import { estimateTax } from './calc/costBasis.js';
+import { sum } from './calc/money.js';
+import { projectPortfolio } from './calc/projection.js';
+import { annualRate } from './calc/dividends.js';
+import { DEFAULT_BREAKDOWN_SETTINGS } from './calc/breakdown.js';
+import {
+  ASSET_TYPES,
+  assetTypeLabel,
+  blankOption,
+  isSecurity,
+  positionLabel,
+  quoteSymbol,
+  rowCurrency
+} from './calc/assetTypes.js';
+import {
+  cagr,
+  yearsUntil,
+  growthPositions,
+  projectGrowthPath,
+  defaultHorizonSettings
+} from './calc/horizon.js';
+import {
+  scenarioWeights,
+  applyMoveToScenario
+} from './calc/scenarios.js';
+import {
+  allocationWeights,
+  planRebalance,
+  projectedValue,
+  defaultAllocationSettings
+} from './calc/rebalance.js';
+import { detectCrossings, dedupeAlerts, appendAlerts, describeAlert, isMarketOpen } from './calc/alerts.js';
+import {
+  loadState,
+  saveState,
+  blankAsset,
+  createPortfolio,
+  duplicatePortfolio
+} from './storage/portfolioStore.js';
+import { buildShareUrl, decodeShare, readShareHash } from './io/shareLink.js';
+import { parsePastedPositions } from './io/positions.js';
+import PortfolioBar from './components/PortfolioBar.jsx';
+import ImportExport from './components/ImportExport.jsx';
+import ProviderSettings from './components/ProviderSettings.jsx';
+import CostBasisEditor from './components/CostBasisEditor.jsx';
+import TaxSettings from './components/TaxSettings.jsx';
+import HorizonSettings from './components/HorizonSettings.jsx';
+import GrowthPathChart from './components/GrowthPathChart.jsx';
+import ScenarioManager from './components/ScenarioManager.jsx';
+import ScenarioChart from './components/ScenarioChart.jsx';
+import ValueChart from './components/ValueChart.jsx';
+import MonteCarloPanel from './components/MonteCarloPanel.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import AlertsPanel from './components/AlertsPanel.jsx';
+import TickerInput from './components/TickerInput.jsx';
+import AllocationPanel from './components/AllocationPanel.jsx';
+import AllocationChart from './components/AllocationChart.jsx';
+import DividendPanel from './components/DividendPanel.jsx';
+import WhatIfPanel from './components/WhatIfPanel.jsx';
+import BreakdownTable from './components/BreakdownTable.jsx';
+import ProjectionReport from './components/ProjectionReport.jsx';
+import Telemetry, { TELEMETRY_AVAILABLE } from './components/Telemetry.jsx';
+import ConsentDialog from './components/ConsentDialog.jsx';
+import PrivacySettings from './components/PrivacySettings.jsx';
 
-  // Final fallback: query the Stooq CSV service.  Stooq uses
-  // different suffix conventions.  If the ticker consists of
-  // alphabetic characters only (e.g. AAPL), append `.us`.  If it
-  // ends with `-USD` (common for cryptocurrencies), replace that
-  // suffix with `.v`.  The CSV returned by Stooq includes the
-  // closing price in the seventh column.  See stooq.pl for details.
-  let stooqSymbol = ticker.toLowerCase();
-  if (/^[a-z]+$/i.test(stooqSymbol)) {
-    stooqSymbol = `${stooqSymbol}.us`;
-  } else if (stooqSymbol.endsWith('-usd')) {
-    stooqSymbol = stooqSymbol.replace(/-usd$/, '.v');
-  }
+// Read a shared portfolio from the URL fragment on startup.  Returns
+// `{ portfolio, error }`; both are null when the URL carries no share.
+function readSharedFromLocation() {
+  const value = readShareHash(window.location.hash);
+  if (!value) return { portfolio: null, error: null };
   try {
-    const stooqUrl = `https://stooq.pl/q/l/?s=${encodeURIComponent(
-      stooqSymbol
-    )}&f=sd2t2ohlcvn&h&e=csv`;
-    const stooqRes = await fetch(
-      `${proxyBase}${encodeURIComponent(stooqUrl)}`
-    );
-    if (stooqRes.ok) {
-      const csv = await stooqRes.text();
-      const lines = csv.trim().split(/\r?\n/);
-      if (lines.length > 1) {
-        const parts = lines[1].split(',');
-        // fields: Symbol,Date,Time,Open,High,Low,Close,Volume,Name
-        const close = parseFloat(parts[6]);
-        if (!isNaN(close)) {
-          return close;
-        }
-      }
-    }
-  } catch {
-    // final fallback fails silently
+    const { name, positions, settings } = decodeShare(value);
+    return {
+      portfolio: {
+        name,
+        assets: positions.length > 0 ? positions.map(positionToAsset) : [blankAsset()],
+        settings
+      },
+      error: null
+    };
+  } catch (err) {
+    return { portfolio: null, error: err.message };
   }
+}
 
-  // If all attempts fail, return null to indicate that no price
-  // could be retrieved.
-  return null;
+// An asset row for an imported, pasted or shared position.  Option
+// terms the position leaves out keep their defaults.
+function positionToAsset({ averageCost = '', option, ...position }) {
+  const asset = { ...blankAsset(), ...position };
+  return {
+    ...asset,
+    option: { ...asset.option, ...option },
+    costBasis: { ...asset.costBasis, averageCost }
+  };
 }
 
-// Generates a unique identifier for each row using the current
-// timestamp combined with a random component.  This ensures that
-// React keys remain stable across re-renders when rows are added
-// or removed.
-function genId() {
-  return `${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+// Whether a row is still untouched: no ticker, shares or target.
+const isBlankAsset = asset => !(asset.ticker || asset.shares || asset.targetPrice);
+
+// Columns of the Assets grid reachable with the keyboard (see
+// src/utils/gridNavigation.js): ticker, shares and target price.
+const GRID_COLUMNS = 3;
+
+// Remove the share fragment from the address bar without reloading.
+function clearShareHash() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
 }
 
 export default function App() {
-  // Initialize state with a single empty asset row.  Each row tracks
-  // the ticker symbol, share count, fetched current price and the
+  // Saved state, read once on startup.  See src/storage/portfolioStore.js
+  // for the schema and migrations.
+  const [saved] = useState(loadState);
+
+  // All named portfolios and the id of the one being edited.  Each
+  // portfolio holds its own list of asset rows.  Each row tracks the
+  // ticker symbol, share count, fetched current price and the
   // user‑entered target price.  The `loading` flag is used while
   // asynchronously fetching the current price.
-  const [assets, setAssets] = useState([
-    {
-      id: genId(),
-      ticker: '',
-      // Initialise shares and targetPrice as empty strings rather than
-      // zero so that the input fields do not display a sticky 0.  The
-      // numeric conversion happens when computing rows below.  Users can
-      // simply type without needing to delete a default zero.
-      shares: '',
-      currentPrice: null,
-      targetPrice: '',
-      loading: false,
-      error: null
+  const [portfolios, setPortfolios] = useState(saved.portfolios);
+  const [activeId, setActiveId] = useState(saved.activeId);
+  const activePortfolio = portfolios.find(p => p.id === activeId) ?? portfolios[0];
+
+  // A portfolio opened from a share link.  While set, it is shown
+  // read‑only in place of the active portfolio until the user saves a
+  // copy or closes it.  `error` explains a link that failed to load.
+  const [share, setShare] = useState(readSharedFromLocation);
+  const shared = share.portfolio;
+  const readOnly = shared != null;
+  const assets = readOnly ? shared.assets : activePortfolio.assets;
+
+  // Update the rows of the active portfolio.  Accepts a new array or an
+  // updater function, like a useState setter.  The portfolio id is
+  // captured when the update is issued, so a price fetch that finishes
+  // after the user switched portfolios still lands in the right one.
+  // While a shared portfolio is open only its prices change, so
+  // updates go to the shared copy instead.
+  const setAssets = updater => {
+    const apply = list => (typeof updater === 'function' ? updater(list) : updater);
+    if (readOnly) {
+      setShare(prev =>
+        prev.portfolio
+          ? { ...prev, portfolio: { ...prev.portfolio, assets: apply(prev.portfolio.assets) } }
+          : prev
+      );
+      return;
     }
-  ]);
+    const targetId = activePortfolio.id;
+    setPortfolios(prev =>
+      prev.map(p =>
+        p.id === targetId
+          ? {
+              ...p,
+              assets: apply(p.assets),
+              updatedAt: Date.now()
+            }
+          : p
+      )
+    );
+  };
+
+  // Undo history of the Assets grid (see src/utils/undoHistory.js).  It
+  // belongs to the portfolio being edited and starts over when another
+  // one is opened.
+  const [undoState, setUndoState] = useState(() => ({ portfolioId: activeId, history: emptyHistory() }));
+  const history =
+    undoState.portfolioId === activePortfolio.id ? undoState.history : emptyHistory();
+  const setHistory = next => setUndoState({ portfolioId: activePortfolio.id, history: next });
+
+  // Apply an edit the user made to the rows, recording the rows before
+  // it so it can be undone.  `label` names the edit in announcements;
+  // edits sharing a `key` (one field of one row) coalesce while typing.
+  const editAssets = ({ label, key }, updater) => {
+    if (!readOnly) setHistory(record(history, assets, { label, key }));
+    setAssets(updater);
+  };
+
+  const undoEdit = () => {
+    const step = undo(history, assets);
+    if (!step) return;
+    setHistory(step.history);
+    setAssets(prev => restoreSnapshot(step.entry.assets, prev));
+    announce(`Undid ${step.entry.label}.`);
+  };
+
+  const redoEdit = () => {
+    const step = redo(history, assets);
+    if (!step) return;
+    setHistory(step.history);
+    setAssets(prev => restoreSnapshot(step.entry.assets, prev));
+    announce(`Redid ${step.entry.label}.`);
+  };
+
+  // Messages for screen readers, read out by the live regions below the
+  // Assets grid: `status` politely, `alert` at once.  Each message gets
+  // a fresh id so repeating the same text is announced again.
+  const [liveMessages, setLiveMessages] = useState({ status: null, alert: null });
+  const liveIdRef = useRef(0);
+  const announce = (text, politeness = 'status') => {
+    liveIdRef.current += 1;
+    setLiveMessages(prev => ({ ...prev, [politeness]: { text, id: liveIdRef.current } }));
+  };
+
+  // Grid cell to focus once the next render has added or removed rows.
+  const gridRef = useRef(null);
+  const pendingFocusRef = useRef(null);
+  useEffect(() => {
+    if (!pendingFocusRef.current) return;
+    const { row, column } = pendingFocusRef.current;
+    pendingFocusRef.current = null;
+    focusCell(gridRef.current, row, column);
+  });
+
+  // Settings that belong to the portfolio rather than the app: the
+  // time horizon (default target date, contributions, dividends), the
+  // scenario definitions and the target allocation.
+  const horizon = readOnly
+    ? shared.horizon ?? defaultHorizonSettings()
+    : activePortfolio.horizon;
+  const scenarios = readOnly ? shared.scenarios ?? [] : activePortfolio.scenarios;
+  const allocation = readOnly
+    ? shared.allocation ?? defaultAllocationSettings()
+    : activePortfolio.allocation;
+  const updateActivePortfolio = patch => {
+    const targetId = activePortfolio.id;
+    setPortfolios(prev =>
+      prev.map(p => (p.id === targetId ? { ...p, ...patch, updatedAt: Date.now() } : p))
+    );
+  };
+  const setHorizon = next => updateActivePortfolio({ horizon: next });
+  const setScenarios = next => updateActivePortfolio({ scenarios: next });
+  const setAllocation = next => updateActivePortfolio({ allocation: next });
+
+  // Order, enabled flags and proxy used by the price provider chain.
+  // See src/providers/index.js for the provider interface.
+  const [providerSettings, setProviderSettings] = useState(
+    saved.preferences.providerSettings
+  );
+
+  // Capital‑gains tax estimate settings (see src/calc/costBasis.js).
+  const [taxSettings, setTaxSettings] = useState(saved.preferences.taxSettings);
+
+  // Currency every value is converted into for totals and charts, and
+  // the FX rates used to get there (currency → units of base currency).
+  // Rates are refetched whenever the set of quote currencies changes.
+  const [baseCurrency, setBaseCurrency] = useState(saved.preferences.baseCurrency);
+  const [fxRates, setFxRates] = useState(() => new Map([[saved.preferences.baseCurrency, 1]]));
+  const quoteCurrencies = [...new Set(assets.map(rowCurrency).filter(Boolean))]
+    .sort()
+    .join(',');
+  useEffect(() => {
+    let cancelled = false;
+    getFxRates(quoteCurrencies ? quoteCurrencies.split(',') : [], baseCurrency, providerSettings)
+      .then(rates => {
+        if (!cancelled) setFxRates(rates);
+      })
+      .catch(err => console.warn('Could not load FX rates', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteCurrencies, baseCurrency, providerSettings]);
+
+  // Price alert settings and history (see src/calc/alerts.js).  The
+  // log is mirrored into a ref so that a price fetch can dedupe against
+  // it without waiting for a render.
+  const [alertSettings, setAlertSettings] = useState(saved.preferences.alertSettings);
+  // Sorting, filter, grouping and visible columns of the Breakdown
+  // table, shared by all portfolios.
+  const [breakdownSettings, setBreakdownSettings] = useState(() => ({
+    ...DEFAULT_BREAKDOWN_SETTINGS,
+    ...saved.preferences.breakdownSettings
+  }));
+  const [alertLog, setAlertLog] = useState(saved.alertLog);
+  const alertLogRef = useRef(alertLog);
+  alertLogRef.current = alertLog;
+
+  // Ids of asset rows whose details editor is expanded.  Purely a
+  // view concern, so it is not persisted.
+  const [expandedRows, setExpandedRows] = useState(() => new Set());
+  const toggleExpanded = id => {
+    setExpandedRows(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Bar chart view: 'target' compares current and target values,
+  // 'scenarios' compares every scenario per ticker.
+  const [chartView, setChartView] = useState('target');
+
+  // Whether the printable projection report is shown over the app.
+  // Closing it returns focus to the button that opened it.
+  const [reportOpen, setReportOpen] = useState(false);
+  const reportButtonRef = useRef(null);
+  const closeReport = () => {
+    setReportOpen(false);
+    reportButtonRef.current?.focus();
+  };
+
+  // Whether usage analytics may load (null until the first‑run dialog
+  // is answered) and whether amounts are blurred for screen‑sharing.
+  const [analyticsConsent, setAnalyticsConsent] = useState(saved.preferences.analyticsConsent);
+  const [privacyMode, setPrivacyMode] = useState(saved.preferences.privacyMode);
 
   // Whether dark mode is enabled.  Toggling this updates a CSS class
-  // on the <body> element via the effect below.  Default is light mode.
-  const [darkMode, setDarkMode] = useState(false);
+  // on the <body> element via the effect below.  A shared portfolio
+  // brings its own display settings, which apply only while it is open.
+  const [ownDarkMode, setOwnDarkMode] = useState(saved.preferences.darkMode);
+  const darkMode = shared?.settings.darkMode ?? ownDarkMode;
+  const setDarkMode = updater => {
+    if (readOnly) {
+      setShare(prev => ({
+        ...prev,
+        portfolio: {
+          ...prev.portfolio,
+          settings: { ...prev.portfolio.settings, darkMode: updater(darkMode) }
+        }
+      }));
+    } else {
+      setOwnDarkMode(updater);
+    }
+  };
+
+  // Autosave portfolios and preferences.  Writes are debounced so that
+  // typing in an input does not serialize the whole document on every
+  // keystroke.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveState({
+        activeId: activePortfolio.id,
+        portfolios,
+        preferences: {
+          darkMode: ownDarkMode,
+          baseCurrency,
+          providerSettings,
+          taxSettings,
+          alertSettings,
+          breakdownSettings,
+          analyticsConsent,
+          privacyMode
+        },
+        alertLog
+      });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [
+    portfolios,
+    activePortfolio.id,
+    ownDarkMode,
+    baseCurrency,
+    providerSettings,
+    taxSettings,
+    alertSettings,
+    breakdownSettings,
+    analyticsConsent,
+    privacyMode,
+    alertLog
+  ]);
+
+  // Portfolio management handlers used by the PortfolioBar.
+  const createNewPortfolio = name => {
+    const portfolio = createPortfolio(name);
+    setPortfolios(prev => [...prev, portfolio]);
+    setActiveId(portfolio.id);
+  };
+
+  const renamePortfolio = (id, name) => {
+    setPortfolios(prev =>
+      prev.map(p => (p.id === id ? { ...p, name, updatedAt: Date.now() } : p))
+    );
+  };
+
+  const duplicateActivePortfolio = (id, name) => {
+    const source = portfolios.find(p => p.id === id);
+    if (!source) return;
+    const copy = duplicatePortfolio(source, name);
+    setPortfolios(prev => [...prev, copy]);
+    setActiveId(copy.id);
+  };
+
+  // Delete a portfolio.  The last remaining portfolio cannot be
+  // deleted; the bar disables the button in that case.
+  const deletePortfolio = id => {
+    if (portfolios.length === 1) return;
+    const remaining = portfolios.filter(p => p.id !== id);
+    setPortfolios(remaining);
+    if (id === activePortfolio.id) setActiveId(remaining[0].id);
+  };
+
+  // Copy a link that encodes the active portfolio and display settings.
+  // Falls back to a prompt showing the link when clipboard access is
+  // unavailable (e.g. non‑secure origins).
+  const sharePortfolio = async () => {
+    let url;
+    try {
+      url = buildShareUrl({
+        name: activePortfolio.name,
+        assets: activePortfolio.assets,
+        settings: { darkMode: ownDarkMode }
+      });
+    } catch (err) {
+      window.alert(err.message);
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      window.alert('Share link copied to the clipboard.');
+    } catch {
+      window.prompt('Copy this share link:', url);
+    }
+  };
+
+  // Turn the shared portfolio into one of the user's own portfolios.
+  const saveSharedCopy = () => {
+    const copy = duplicatePortfolio(shared, shared.name || 'Shared Portfolio');
+    setPortfolios(prev => [...prev, copy]);
+    setActiveId(copy.id);
+    setShare({ portfolio: null, error: null });
+    clearShareHash();
+  };
+
+  const closeShared = () => {
+    setShare({ portfolio: null, error: null });
+    clearShareHash();
+  };
 
   // Apply or remove the 'dark' class on the document body whenever
   // darkMode changes.  This allows CSS rules to switch theme colors
@@ -176,20 +455,40 @@ export default function App() {
     }
   }, [darkMode]);
 
+  // Privacy mode works the same way: the 'privacy-mode' class blurs
+  // every element marked as sensitive in index.css.
+  useEffect(() => {
+    document.body.classList.toggle('privacy-mode', privacyMode);
+  }, [privacyMode]);
+
+  // Current time, ticked every 30 seconds so that price ages shown in
+  // the Assets table stay up to date without a refetch.
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
   // When a ticker is changed, fetch the latest price.  The price
   // field is non‑editable and updates automatically.  If fetching
   // fails, an error message is stored on the row.
-  const updateTicker = (id, ticker) => {
+  const updateTicker = (id, ticker, currency = null) => {
     // Update only the ticker and reset any previously fetched price.
     // We no longer fetch automatically here; users trigger price
-    // retrieval via the "Fetch Prices" button.
-    setAssets(prev =>
+    // retrieval via the "Fetch Prices" button.  A ticker picked from
+    // the autocomplete brings its currency along.
+    editAssets({ label: 'ticker edit', key: `${id}:ticker` }, prev =>
       prev.map(asset =>
         asset.id === id
           ? {
               ...asset,
               ticker,
               currentPrice: null,
+              currency,
+              beta: null,
+              priceSource: null,
+              priceTime: null,
+              priceStale: false,
               loading: false,
               error: null
             }
@@ -209,7 +508,7 @@ export default function App() {
     if (!isNaN(num) && num < 0) {
       newVal = '0';
     }
-    setAssets(prev =>
+    editAssets({ label: 'shares edit', key: `${id}:shares` }, prev =>
       prev.map(asset => (asset.id === id ? { ...asset, shares: newVal } : asset))
     );
   };
@@ -222,122 +521,531 @@ export default function App() {
     if (!isNaN(num) && num < 0) {
       newVal = '0';
     }
-    setAssets(prev =>
+    editAssets({ label: 'target price edit', key: `${id}:targetPrice` }, prev =>
       prev.map(asset => (asset.id === id ? { ...asset, targetPrice: newVal } : asset))
     );
   };
 
+  // Update the optional target date of a row.  Blank means the row
+  // uses the portfolio's target date.
+  const updateTargetDate = (id, targetDate) => {
+    editAssets({ label: 'target date edit', key: `${id}:targetDate` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, targetDate } : asset))
+    );
+  };
+
+  // Asset class used when target weights are set per class.
+  const updateAssetClass = (id, assetClass) => {
+    editAssets({ label: 'asset class edit', key: `${id}:assetClass` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, assetClass } : asset))
+    );
+  };
+
+  const updateSector = (id, sector) => {
+    editAssets({ label: 'sector edit', key: `${id}:sector` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, sector } : asset))
+    );
+  };
+
+  // Tags are kept as typed, a comma separated list (see calc/breakdown.js).
+  const updateTags = (id, tags) => {
+    editAssets({ label: 'tags edit', key: `${id}:tags` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, tags } : asset))
+    );
+  };
+
+  // Switch a row's asset type.  The ticker may now mean something
+  // else (BTC as crypto is fetched as BTC-USD), so the old price goes.
+  const updateAssetType = (id, assetType) => {
+    editAssets({ label: 'asset type change' }, prev =>
+      prev.map(asset =>
+        asset.id === id
+          ? {
+              ...asset,
+              assetType,
+              currentPrice: null,
+              currency: null,
+              beta: null,
+              priceSource: null,
+              priceTime: null,
+              priceStale: false,
+              error: null
+            }
+          : asset
+      )
+    );
+  };
+
+  // Annual interest rate (%) of a cash row.
+  const updateInterestRate = (id, interestRate) => {
+    editAssets({ label: 'interest rate edit', key: `${id}:interestRate` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, interestRate } : asset))
+    );
+  };
+
+  // Merge a change into the option terms of a row.
+  const updateOption = (id, patch) => {
+    editAssets({ label: 'contract edit', key: `${id}:option:${Object.keys(patch).join()}` }, prev =>
+      prev.map(asset =>
+        asset.id === id ? { ...asset, option: { ...blankOption(), ...asset.option, ...patch } } : asset
+      )
+    );
+  };
+
+  // Stop or threshold price watched by price alerts.
+  const updateStopPrice = (id, stopPrice) => {
+    editAssets({ label: 'stop price edit', key: `${id}:stopPrice` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, stopPrice } : asset))
+    );
+  };
+
+  // Set one scenario target on a row.  Blank clears it so the row falls
+  // back to its main target price.
+  const updateScenarioTarget = (id, scenarioId, value) => {
+    editAssets({ label: 'scenario target edit', key: `${id}:scenario:${scenarioId}` }, prev =>
+      prev.map(asset =>
+        asset.id === id
+          ? { ...asset, scenarioTargets: { ...asset.scenarioTargets, [scenarioId]: value } }
+          : asset
+      )
+    );
+  };
+
+  // Fill a scenario for every priced row from a percentage move.
+  const applyScenarioMove = (scenarioId, percent) => {
+    editAssets({ label: 'scenario fill' }, prev => applyMoveToScenario(prev, scenarioId, percent));
+  };
+
+  // Replace the scenario list, dropping targets of removed scenarios.
+  const updateScenarios = next => {
+    const ids = new Set(next.map(scenario => scenario.id));
+    setScenarios(next);
+    setAssets(prev =>
+      prev.map(asset => ({
+        ...asset,
+        scenarioTargets: Object.fromEntries(
+          Object.entries(asset.scenarioTargets ?? {}).filter(([id]) => ids.has(id))
+        )
+      }))
+    );
+  };
+
+  // Replace the cost basis (average cost or lots) of a row.
+  const updateCostBasis = (id, costBasis) => {
+    editAssets({ label: 'cost basis edit', key: `${id}:costBasis` }, prev =>
+      prev.map(asset => (asset.id === id ? { ...asset, costBasis } : asset))
+    );
+  };
+
   // Add a new blank asset row.  Defaults to zero shares and zero target
   // price.  The current price will remain null until the user enters
-  // a ticker.
+  // a ticker.  Its ticker takes focus so typing can go on.
   const addRow = () => {
-    setAssets(prev => [
-      ...prev,
-      {
-        id: genId(),
-        ticker: '',
-        shares: '',
-        currentPrice: null,
-        targetPrice: '',
-        loading: false,
-        error: null
-      }
-    ]);
+    editAssets({ label: 'adding a row' }, prev => [...prev, blankAsset()]);
+    pendingFocusRef.current = { row: assets.length, column: 0 };
   };
 
   // Remove a row by id.  If only one row remains, reset it to a
-  // blank state instead of removing entirely.
+  // blank state instead of removing entirely.  Focus moves to the row
+  // that takes its place, and the removal can be undone.
   const removeRow = id => {
-    setAssets(prev => {
+    const index = assets.findIndex(asset => asset.id === id);
+    const name = positionLabel(assets[index] ?? {}) || 'blank row';
+    pendingFocusRef.current = { row: Math.max(0, Math.min(index, assets.length - 2)), column: 0 };
+    announce(`Removed ${name}.  Press Ctrl+Z to undo.`);
+    editAssets({ label: `removing ${name}` }, prev => {
       if (prev.length === 1) {
         // Reset the single remaining row to blank values rather than
-        // removing it entirely.  Use empty strings for shares and
-        // targetPrice to avoid sticky zeros on the inputs.
-        return [
-          {
-            id: prev[0].id,
-            ticker: '',
-            shares: '',
-            currentPrice: null,
-            targetPrice: '',
-            loading: false,
-            error: null
-          }
-        ];
+        // removing it entirely.
+        return [blankAsset(prev[0].id)];
       }
       return prev.filter(asset => asset.id !== id);
     });
   };
 
-  // Fetch current prices for all entered tickers.  This function sets
-  // the loading state for each row with a ticker, then performs all
-  // price fetches in parallel.  Once complete it updates each row
-  // with the retrieved price (or an error if unavailable).
-  const fetchAllPrices = async () => {
-    // Mark all tickers as loading
+  // Add imported positions to the active portfolio.  'replace' swaps
+  // out every row; 'append' keeps existing rows but drops untouched
+  // blank ones so an import into a fresh portfolio has no empty row
+  // at the top.
+  const importPositions = (positions, mode) => {
+    const imported = positions.map(positionToAsset);
+    editAssets({ label: 'import' }, prev => {
+      if (mode === 'replace') return imported;
+      const kept = prev.filter(asset => !isBlankAsset(asset));
+      return [...kept, ...imported];
+    });
+  };
+
+  // Insert positions pasted from a spreadsheet after the row pasted
+  // into, or in its place while it is still blank.  Lines that fail
+  // validation are skipped and announced.
+  const pastePositions = (text, rowId) => {
+    const { positions, errors } = parsePastedPositions(text);
+    if (positions.length > 0) {
+      const pasted = positions.map(positionToAsset);
+      const index = assets.findIndex(asset => asset.id === rowId);
+      const start = index >= 0 && isBlankAsset(assets[index]) ? index : index + 1;
+      editAssets({ label: `pasting ${positions.length} position(s)` }, prev => {
+        const at = prev.findIndex(asset => asset.id === rowId);
+        const replace = at >= 0 && isBlankAsset(prev[at]);
+        return at < 0
+          ? [...prev, ...pasted]
+          : [...prev.slice(0, replace ? at : at + 1), ...pasted, ...prev.slice(at + 1)];
+      });
+      pendingFocusRef.current = { row: index < 0 ? assets.length : start, column: 0 };
+    }
+    const skipped = errors.map(error => `line ${error.line}: ${error.message}`).join('; ');
+    announce(
+      [
+        positions.length > 0 ? `Pasted ${positions.length} position(s).` : 'Nothing was pasted.',
+        errors.length > 0 ? `Skipped ${skipped}.` : ''
+      ]
+        .filter(Boolean)
+        .join(' '),
+      errors.length > 0 ? 'alert' : 'status'
+    );
+  };
+
+  // Props wiring an input into the grid's keyboard navigation (see
+  // src/utils/gridNavigation.js) and multi‑line paste.  The ticker
+  // cell also points at the row's price error.
+  const gridCell = (row, rowIndex, column) => ({
+    'data-grid-row': rowIndex,
+    'data-grid-col': column,
+    ...(column === 0 && row.error
+      ? { 'aria-invalid': true, 'aria-describedby': `price-error-${row.id}` }
+      : {}),
+    onKeyDown: e => {
+      if (e.defaultPrevented) return;
+      const move = gridMove(e, {
+        row: rowIndex,
+        column,
+        rowCount: assets.length,
+        columnCount: GRID_COLUMNS,
+        ...caretEdges(e.target)
+      });
+      if (!move) return;
+      e.preventDefault();
+      if (move.add) {
+        if (!readOnly) addRow();
+      } else {
+        focusCell(gridRef.current, move.row, move.column);
+      }
+    },
+    onPaste: e => {
+      const text = e.clipboardData?.getData('text/plain') ?? '';
+      // A single value pastes into the field as usual.
+      if (readOnly || !/[\t\n]/.test(text.trim())) return;
+      e.preventDefault();
+      pastePositions(text, row.id);
+    }
+  });
+
+  // Ctrl+Z / Cmd+Z undoes anywhere in the Assets card, Ctrl+Shift+Z or
+  // Ctrl+Y redoes.
+  const onAssetsKeyDown = e => {
+    if (readOnly || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoEdit();
+    }
+  };
+
+  // Fetch quotes for the given rows through the quote service and
+  // write them back.  The service dedupes tickers, batches requests
+  // and serves fresh prices from its cache, so repeated clicks are
+  // cheap.  Pass `{ force: true }` to bypass the cache.  Rows are
+  // fetched by their quote symbol; cash rows have none and are skipped.
+  // When the network is unavailable the service answers with
+  // last‑known prices, which are flagged stale, and the fetch is queued
+  // to run again once the connection returns, or retried on a timer
+  // when the browser is online but the sources are down.  Progress and failures
+  // are announced to screen readers; a failure is an alert only the
+  // first time a row fails.
+  const loadPrices = async (targets, options) => {
+    const ids = new Set(targets.filter(asset => quoteSymbol(asset)).map(asset => asset.id));
+    if (ids.size === 0) return;
+    announce(ids.size === 1 ? 'Fetching price…' : `Fetching ${ids.size} prices…`);
     setAssets(prev =>
       prev.map(asset =>
-        asset.ticker
-          ? { ...asset, loading: true, error: null, currentPrice: null }
-          : asset
+        ids.has(asset.id) ? { ...asset, loading: true, error: null } : asset
       )
     );
-    // Fetch prices concurrently
-    const results = await Promise.all(
-      assets.map(async asset => {
-        if (!asset.ticker) {
-          return { id: asset.id, price: null, error: null };
-        }
-        const price = await fetchCurrentPrice(asset.ticker);
-        return {
-          id: asset.id,
-          price,
-          error: price == null ? 'Price unavailable' : null
-        };
-      })
+    const quotes = await quoteService.getQuotes(
+      targets.filter(asset => ids.has(asset.id)).map(quoteSymbol),
+      providerSettings,
+      options
     );
-    // Update state with fetched prices
     setAssets(prev =>
       prev.map(asset => {
-        const res = results.find(r => r.id === asset.id);
-        if (!res || !asset.ticker) return { ...asset, loading: false };
+        if (!ids.has(asset.id)) return asset;
+        // The ticker may have been edited while the request was in
+        // flight; in that case leave the row for the next fetch.
+        const key = quoteKey(quoteSymbol(asset) ?? '');
+        if (!quotes.has(key)) return { ...asset, loading: false };
+        const quote = quotes.get(key);
         return {
           ...asset,
-          currentPrice: res.price,
+          currentPrice: quote?.price ?? null,
+          currency: quote?.currency ?? null,
+          // Only some sources report a beta; keep the last one known.
+          beta: quote?.beta ?? asset.beta ?? null,
+          priceSource: quote?.source ?? null,
+          priceTime: quote?.fetchedAt ?? null,
+          priceStale: quote?.stale ?? false,
           loading: false,
-          error: res.error
+          error: quote == null ? 'Price unavailable' : null
         };
       })
     );
+    const stale = [...quotes.values()].some(quote => quote?.stale);
+    const failed = targets.filter(asset => {
+      const key = quoteKey(quoteSymbol(asset) ?? '');
+      return ids.has(asset.id) && quotes.has(key) && quotes.get(key) == null;
+    });
+    if (failed.length > 0) {
+      announce(
+        `No price for ${failed.map(positionLabel).join(', ')}.`,
+        failed.some(asset => !asset.error) ? 'alert' : 'status'
+      );
+    } else {
+      announce(`${ids.size === 1 ? 'Price' : 'Prices'} ${stale ? 'shown from the last fetch' : 'updated'}.`);
+    }
+    if (alertSettings.enabled && !readOnly) {
+      raiseAlerts(
+        targets.flatMap(asset => {
+          const quote = ids.has(asset.id) ? quotes.get(quoteKey(quoteSymbol(asset))) : null;
+          return quote ? detectCrossings(asset, asset.currentPrice, quote.price) : [];
+        })
+      );
+    }
+    // Offline, retry when the connection returns; online with only
+    // last‑known prices, the sources are down, so retry on a timer.
+    if (!offlineQueue.isOnline()) {
+      offlineQueue.enqueue('prices', () => retryRef.current.prices());
+    } else if (stale) {
+      offlineQueue.retryLater('prices', () => retryRef.current.prices());
+    } else if (assets.every(asset => !quoteSymbol(asset) || ids.has(asset.id))) {
+      // Every row is fresh, not just the ones refreshed here.
+      offlineQueue.succeeded('prices');
+    }
   };
 
-  // Derived data: compute per‑row values and totals.  The current and
-  // target values multiply shares by price; if price is unavailable
-  // they are zero.  Totals sum across all rows.
-  const rows = assets.map(asset => {
-    // Convert share and target price strings to numbers.  Treat empty
-    // strings and invalid values as zero.  Clamp negative numbers to zero.
-    let shareNum = parseFloat(asset.shares);
-    if (isNaN(shareNum) || shareNum < 0) shareNum = 0;
-    let targetNum = parseFloat(asset.targetPrice);
-    if (isNaN(targetNum) || targetNum < 0) targetNum = 0;
-    const current = shareNum * (asset.currentPrice || 0);
-    const target = shareNum * targetNum;
-    const gain = target - current;
-    const returnPct = current > 0 ? (gain / current) * 100 : null;
+  // Log alerts that have not fired recently and, when enabled and
+  // permitted, show a browser notification for each.
+  const raiseAlerts = alerts => {
+    const fresh = dedupeAlerts(alerts, alertLogRef.current).map(alert => ({
+      ...alert,
+      portfolio: activePortfolio.name
+    }));
+    if (fresh.length === 0) return;
+    alertLogRef.current = appendAlerts(alertLogRef.current, fresh);
+    setAlertLog(alertLogRef.current);
+    if (
+      alertSettings.notifications &&
+      typeof Notification !== 'undefined' &&
+      Notification.permission === 'granted'
+    ) {
+      for (const alert of fresh) {
+        new Notification('Price alert', {
+          body: describeAlert(alert, price => formatMoney(price, alert.currency ?? baseCurrency)),
+          tag: alert.key
+        });
+      }
+    }
+  };
+
+  // Dividend data per quote symbol (see src/services/dividendService.js),
+  // loaded with the prices and on demand from the Dividend Income card.
+  const [dividends, setDividends] = useState(() => new Map());
+  const [dividendStatus, setDividendStatus] = useState('idle');
+  const loadDividends = async targets => {
+    const symbols = [...new Set(targets.filter(isSecurity).map(quoteSymbol).filter(Boolean))];
+    if (symbols.length === 0) return;
+    if (!offlineQueue.isOnline()) {
+      offlineQueue.enqueue('dividends', () => retryRef.current.dividends());
+      return;
+    }
+    setDividendStatus('loading');
+    try {
+      const found = await fetchDividendInfo(symbols, providerSettings);
+      setDividends(prev => new Map([...prev, ...found]));
+      setDividendStatus('done');
+    } catch (err) {
+      console.warn('Could not load dividends', err);
+      setDividendStatus('error');
+    }
+  };
+
+  // Fetch current prices (and dividend data) for all entered tickers.
+  const fetchAllPrices = () => {
+    loadPrices(assets);
+    loadDividends(assets);
+  };
+
+  // Re-fetch a single row, ignoring any cached price.
+  const refreshRow = id => loadPrices(assets.filter(asset => asset.id === id), { force: true });
+
+  // Auto‑refresh for price alerts: re‑fetch every position on the
+  // configured interval, optionally only during market hours.  The ref
+  // always holds the latest fetch so the interval does not need to be
+  // restarted on every edit.
+  const pollRef = useRef(null);
+  pollRef.current = () => loadPrices(assets, { force: true });
+
+  // Fetches queued while offline (see src/services/offlineQueue.js) run
+  // once the connection returns, possibly long after they were queued,
+  // so they go through a ref that always sees the latest rows.
+  const retryRef = useRef(null);
+  retryRef.current = {
+    prices: () => loadPrices(assets, { force: true }),
+    dividends: () => loadDividends(assets)
+  };
+  const [online, setOnline] = useState(() => offlineQueue.isOnline());
+  const [queuedFetches, setQueuedFetches] = useState(0);
+  useEffect(
+    () =>
+      offlineQueue.subscribe(() => {
+        setOnline(offlineQueue.isOnline());
+        setQueuedFetches(offlineQueue.size);
+      }),
+    []
+  );
+  const pollMinutes = Math.max(1, parseFloat(alertSettings.intervalMinutes) || 5);
+  useEffect(() => {
+    if (!alertSettings.enabled || readOnly) return undefined;
+    const timer = setInterval(() => {
+      if (alertSettings.marketHoursOnly && !isMarketOpen()) return;
+      pollRef.current();
+    }, pollMinutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [alertSettings.enabled, alertSettings.marketHoursOnly, pollMinutes, readOnly]);
+
+  // Derived data: per‑row values and totals from the projection engine
+  // (src/calc/projection.js).  Rows with missing or invalid input are
+  // reported with their issues and left out of the totals rather than
+  // counted as zero.
+  const { weights: scenarioWeightMap, probabilityTotal } = scenarioWeights(scenarios);
+  const dividendRates = new Map(
+    [...dividends].map(([symbol, info]) => [symbol, annualRate(info)?.rate ?? null])
+  );
+  const projection = projectPortfolio(assets, {
+    fxRates,
+    baseCurrency,
+    horizon,
+    scenarios,
+    scenarioWeightMap,
+    dividendRates,
+    includeDividends: horizon.includeDividends
+  });
+  const { rows, currentTotal, targetTotal, targetBase, gainTotal, excluded } = projection;
+  const portfolioReturnPct = projection.returnPct;
+
+  // Portfolio horizon: the portfolio target date, or else the latest
+  // row target date.  The growth path compounds each priced position
+  // towards its own price‑only target and layers contributions and
+  // dividends on top.
+  const horizonYears =
+    yearsUntil(horizon.targetDate) ??
+    rows.reduce((acc, r) => (r.years != null && r.years > acc ? r.years : acc), 0);
+  const portfolioCagr = cagr(targetBase, targetTotal, horizonYears);
+  const growthPath = projectGrowthPath({
+    positions: growthPositions(rows, { includeDividends: horizon.includeDividends }),
+    horizonYears,
+    monthlyContribution: horizon.monthlyContribution,
+    dividendYield: horizon.dividendYield,
+    reinvestDividends: horizon.reinvestDividends
+  });
+  const growthEnd = growthPath[growthPath.length - 1];
+  const annualIncomeTotal = rows.reduce((acc, r) => acc + (r.annualIncome ?? 0), 0);
+  const accruedDividendsTotal = rows
+    .filter(r => r.projected)
+    .reduce((acc, r) => acc + (r.accruedDividends ?? 0), 0);
+  const hasGrowthExtras =
+    Number(horizon.monthlyContribution) > 0 || Number(horizon.dividendYield) > 0;
+
+  // Scenario totals, side by side.  A row only counts towards a
+  // scenario when it has both a current price and a target for it.
+  const scenarioTotals = scenarios.map(scenario => {
+    const included = rows.filter(r => r.currentValue > 0 && r.scenarioValues[scenario.id] != null);
+    const value = included.reduce((acc, r) => acc + r.scenarioValues[scenario.id], 0);
+    const base = included.reduce((acc, r) => acc + r.currentValue, 0);
     return {
-      ...asset,
-      currentValue: current,
-      targetValue: target,
-      gain,
-      returnPct
+      ...scenario,
+      value,
+      gain: value - base,
+      returnPct: base > 0 ? ((value - base) / base) * 100 : null
     };
   });
-  const currentTotal = rows.reduce((acc, r) => acc + r.currentValue, 0);
-  const targetTotal = rows.reduce((acc, r) => acc + r.targetValue, 0);
-  const gainTotal = targetTotal - currentTotal;
-  // Overall portfolio return percentage based on current and target totals.
-  const portfolioReturnPct = currentTotal > 0 ? ((targetTotal - currentTotal) / currentTotal) * 100 : null;
+  const expectedRows = rows.filter(r => r.currentValue > 0 && r.expectedValue != null);
+  const expectedTotal = expectedRows.reduce((acc, r) => acc + r.expectedValue, 0);
+  const expectedBase = expectedRows.reduce((acc, r) => acc + r.currentValue, 0);
+
+  // Bar chart data for the scenario comparison view.
+  const scenarioChartData = rows
+    .filter(r => r.ticker && r.currentValue > 0)
+    .map(r => ({
+      name: r.ticker.toUpperCase(),
+      Current: parseFloat(r.currentValue.toFixed(2)),
+      ...Object.fromEntries(
+        scenarios.map(sc => [
+          sc.name,
+          r.scenarioValues[sc.id] != null ? parseFloat(r.scenarioValues[sc.id].toFixed(2)) : null
+        ])
+      ),
+      Expected: r.expectedValue != null ? parseFloat(r.expectedValue.toFixed(2)) : null
+    }));
+
+  // Cost basis totals.  Only rows with a known cost contribute; the
+  // realized split by holding term feeds the tax estimate, which nets
+  // gains and losses across the whole portfolio.
+  const costRows = rows.filter(r => r.costBasisValue != null);
+  const costBasisTotal = sum(costRows.map(r => r.costBasisValue));
+  const unrealizedTotal = sum(costRows.map(r => r.unrealizedPnL));
+  const realizedTotals = {
+    short: sum(costRows.map(r => r.realizedPnL?.short)),
+    long: sum(costRows.map(r => r.realizedPnL?.long))
+  };
+  const realizedTotal = sum([realizedTotals.short, realizedTotals.long]);
+  const taxEstimate = taxSettings.enabled ? estimateTax(realizedTotals, taxSettings).tax : 0;
+
+  // Target allocation and rebalancing.  Only stocks and crypto with a
+  // price can be weighed and traded; values are converted at today's
+  // FX rate.
+  const securityRows = rows.filter(isSecurity);
+  const tradable = securityRows.filter(r => r.valued);
+  const untradableCount = securityRows.filter(r => r.ticker && !r.valued).length;
+  const allocationPositions = tradable.map(r => ({
+    id: r.id,
+    ticker: r.ticker,
+    assetClass: r.assetClass,
+    shares: parseFloat(r.shares) || 0,
+    price: r.currentPrice * r.fxRate,
+    targetPrice: r.targetPrice !== '' ? parseFloat(r.targetPrice) * r.fxRate : null,
+    value: r.currentValue
+  }));
+  const allocationState = allocationWeights(allocationPositions, allocation);
+  const allocationHasTargets = allocationState.groups.some(g => g.targetWeight != null);
+  const rebalancePlan = planRebalance(allocationPositions, allocation);
+  const allocationCash = parseFloat(allocation.cash) > 0 ? parseFloat(allocation.cash) : 0;
+  const rebalanceProjection = {
+    before: projectedValue(
+      allocationPositions,
+      new Map(allocationPositions.map(p => [p.id, p.shares])),
+      allocationCash
+    ),
+    after: projectedValue(allocationPositions, rebalancePlan.sharesAfter, rebalancePlan.cashAfter)
+  };
+  const assetClasses = [...new Set(assets.map(a => a.assetClass?.trim()).filter(Boolean))];
+  const sectors = [...new Set(assets.map(a => a.sector?.trim()).filter(Boolean))];
+
+  // Price history and simulations cover stocks and crypto, under the
+  // symbol they are fetched as.
+  const marketRows = securityRows.map(r => ({ ...r, ticker: r.quoteSymbol ?? '' }));
 
   // Data for the bar chart.  Each bar compares current vs target value
   // for a particular ticker.  Filtering out rows with no ticker or
@@ -355,18 +1063,89 @@ export default function App() {
     }));
 
   return (
-    <div className="container">
+    <div className={reportOpen ? 'container report-open' : 'container'}>
+      {TELEMETRY_AVAILABLE && analyticsConsent == null && <ConsentDialog onChoose={setAnalyticsConsent} />}
       <header className="mb-6">
         <div className="flex justify-between items-center">
           <h1 className="title">Portfolio Projection</h1>
-          <button
-            onClick={() => setDarkMode(prev => !prev)}
-            className="ml-4"
-            aria-label="Toggle dark mode"
-          >
-            {darkMode ? 'Light Mode' : 'Dark Mode'}
-          </button>
+          <div className="flex items-center">
+            <label className="text-sm">
+              <span className="sr-only">Base currency</span>
+              <select
+                value={baseCurrency}
+                onChange={e => setBaseCurrency(e.target.value)}
+                aria-label="Base currency"
+                title="Currency used for totals and charts"
+              >
+                {BASE_CURRENCIES.map(code => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button type="button" onClick={() => setReportOpen(true)} className="ml-4" ref={reportButtonRef}>
+              <FileText size={16} className="inline mr-1" /> Report
+            </button>
+            <button
+              type="button"
+              onClick={() => setPrivacyMode(prev => !prev)}
+              className="ml-4"
+              aria-pressed={privacyMode}
+              title="Blur amounts and share counts for screen‑sharing"
+            >
+              {privacyMode ? <EyeOff size={16} className="inline mr-1" /> : <Eye size={16} className="inline mr-1" />}{' '}
+              Privacy
+            </button>
+            <button
+              onClick={() => setDarkMode(prev => !prev)}
+              className="ml-4"
+              aria-label="Toggle dark mode"
+            >
+              {darkMode ? 'Light Mode' : 'Dark Mode'}
+            </button>
+          </div>
         </div>
+        {!online && (
+          <div className="banner offline-banner" role="status">
+            You are offline.  Prices are the last ones fetched and are marked stale
+            {queuedFetches > 0 ? '; queued fetches will run when the connection returns.' : '.'}
+          </div>
+        )}
+        {readOnly ? (
+          <div className="banner" role="status">
+            <span>
+              Viewing shared portfolio <strong>{shared.name || 'Untitled'}</strong> (read‑only).
+            </span>
+            <span className="button-row">
+              <button type="button" onClick={saveSharedCopy}>
+                Save to my portfolios
+              </button>
+              <button type="button" onClick={closeShared}>
+                Close
+              </button>
+            </span>
+          </div>
+        ) : (
+          <PortfolioBar
+            portfolios={portfolios}
+            activeId={activePortfolio.id}
+            onSelect={setActiveId}
+            onCreate={createNewPortfolio}
+            onRename={renamePortfolio}
+            onDuplicate={duplicateActivePortfolio}
+            onDelete={deletePortfolio}
+            onShare={sharePortfolio}
+          />
+        )}
+        {share.error && (
+          <div className="banner banner-error" role="alert">
+            <span>Could not open the shared link: {share.error}</span>
+            <button type="button" onClick={closeShared}>
+              Dismiss
+            </button>
+          </div>
+        )}
         <p className="text-sm text-gray-600">
           Enter a stock ticker, number of shares and a target price. Once you&apos;re ready, click
           &quot;Fetch Prices&quot; to retrieve the latest data and see your potential returns.
@@ -374,78 +1153,367 @@ export default function App() {
       </header>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Left side: input table */}
-        <div className="card">
+        <div className="card" onKeyDown={onAssetsKeyDown}>
           <div className="flex justify-between items-center mb-4">
-            <h2 className="font-semibold text-lg">Assets</h2>
-            <button onClick={addRow} aria-label="Add asset">
-              <Plus size={16} className="inline mr-1" /> Add
-            </button>
+            <h2 className="font-semibold text-lg" id="assets-heading">
+              Assets
+            </h2>
+            <div className="button-row">
+              <button
+                type="button"
+                onClick={undoEdit}
+                disabled={readOnly || !canUndo(history)}
+                aria-label="Undo"
+                title="Undo (Ctrl+Z)"
+                className="icon-button"
+              >
+                <Undo2 size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={redoEdit}
+                disabled={readOnly || !canRedo(history)}
+                aria-label="Redo"
+                title="Redo (Ctrl+Shift+Z)"
+                className="icon-button"
+              >
+                <Redo2 size={16} />
+              </button>
+              <button onClick={addRow} aria-label="Add asset" disabled={readOnly}>
+                <Plus size={16} className="inline mr-1" /> Add
+              </button>
+            </div>
           </div>
+          <p className="text-xs text-gray-600 mb-2" id="assets-keys">
+            Arrow keys move between cells and Enter moves down, adding a row at the end.  Paste
+            several lines from a spreadsheet (ticker, shares, target) to add them as rows.
+          </p>
           <div style={{ overflowX: 'auto' }}>
-            <table>
+            <table ref={gridRef} aria-labelledby="assets-heading" aria-describedby="assets-keys">
               <thead>
               <tr>
                 <th>Ticker</th>
                 <th>Shares</th>
                 <th>Current Price</th>
                 <th>Target Price</th>
-                <th></th>
+                <th>
+                  <span className="sr-only">Actions</span>
+                </th>
               </tr>
             </thead>
             <tbody>
-              {rows.map(row => (
-                <tr key={row.id}>
-                  <td>
-                    <input
-                      type="text"
-                      value={row.ticker}
-                      placeholder="e.g. AAPL"
-                      onChange={e => updateTicker(row.id, e.target.value.trim())}
-                    />
-                  </td>
-                  <td>
-                    <input
-                      type="number"
-                      min="0"
-                      step="any"
-                      value={row.shares}
-                      onChange={e => updateShares(row.id, e.target.value)}
-                    />
-                  </td>
-                  <td>
-                    {row.loading ? (
-                      <span className="text-gray-400 italic">Loading…</span>
-                    ) : row.error ? (
-                      <span className="text-red-500 text-xs">{row.error}</span>
-                    ) : row.currentPrice != null ? (
-                      <span>${row.currentPrice.toFixed(2)}</span>
-                    ) : (
-                      <span className="text-gray-400 italic">—</span>
-                    )}
-                  </td>
-                  <td>
-                    <input
-                      type="number"
-                      min="0"
-                      step="any"
-                      value={row.targetPrice}
-                      onChange={e => updateTarget(row.id, e.target.value)}
-                    />
-                  </td>
-                  <td>
-                    <button
-                      type="button"
-                      onClick={() => removeRow(row.id)}
-                      aria-label="Remove asset"
-                      style={{ backgroundColor: 'transparent', color: '#ef4444' }}
-                    >
-                      <X size={16} />
-                    </button>
-                  </td>
-                </tr>
+              {rows.map((row, rowIndex) => (
+                <React.Fragment key={row.id}>
+                  <tr aria-busy={row.loading || undefined}>
+                    <td>
+                      {row.assetType === 'cash' ? (
+                        <input
+                          type="text"
+                          value={row.ticker}
+                          placeholder="Currency, e.g. USD"
+                          aria-label="Currency"
+                          disabled={readOnly}
+                          {...gridCell(row, rowIndex, 0)}
+                          onChange={e => updateTicker(row.id, e.target.value.trim().toUpperCase())}
+                        />
+                      ) : (
+                        <TickerInput
+                          value={row.ticker}
+                          symbol={row.quoteSymbol ?? ''}
+                          placeholder={row.assetType === 'option' ? 'Underlying, e.g. AAPL' : undefined}
+                          disabled={readOnly}
+                          providerSettings={providerSettings}
+                          onChange={ticker => updateTicker(row.id, ticker)}
+                          onSelect={entry => updateTicker(row.id, entry.symbol, entry.currency)}
+                          {...gridCell(row, rowIndex, 0)}
+                        />
+                      )}
+                      {row.assetType !== 'stock' && (
+                        <span className="source-tag">{assetTypeLabel(row.assetType)}</span>
+                      )}
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={row.shares}
+                        placeholder={
+                          row.assetType === 'cash' ? 'Amount' : row.assetType === 'option' ? 'Contracts' : undefined
+                        }
+                        aria-label={
+                          row.assetType === 'cash' ? 'Amount' : row.assetType === 'option' ? 'Contracts' : 'Shares'
+                        }
+                        disabled={readOnly}
+                        {...gridCell(row, rowIndex, 1)}
+                        onChange={e => updateShares(row.id, e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      {row.assetType === 'cash' ? (
+                        <span className="text-gray-400 italic">
+                          {row.interestRate ? `${row.interestRate}% a year` : 'Cash'}
+                        </span>
+                      ) : row.loading ? (
+                        <span className="text-gray-400 italic">Loading…</span>
+                      ) : row.error ? (
+                        <span className="text-red-500 text-xs" id={`price-error-${row.id}`}>
+                          {row.error}
+                        </span>
+                      ) : row.currentPrice != null ? (
+                        <span>
+                          {formatMoney(row.currentPrice, row.quoteCurrency)}
+                          {row.priceStale ? (
+                            <span
+                              className="source-tag stale-tag"
+                              title="The network is unavailable; this is the last price fetched."
+                            >
+                              Stale · {getProvider(row.priceSource)?.label ?? row.priceSource}
+                              {row.priceTime ? ` · ${new Date(row.priceTime).toLocaleString()}` : ''}
+                            </span>
+                          ) : (
+                            <span
+                              className="source-tag"
+                              title={row.priceTime ? new Date(row.priceTime).toLocaleString() : undefined}
+                            >
+                              {getProvider(row.priceSource)?.label ?? row.priceSource}
+                              {row.priceTime ? ` · ${formatAge(row.priceTime, now)}` : ''}
+                            </span>
+                          )}
+                        </span>
+                      ) : (
+                        <span className="text-gray-400 italic">—</span>
+                      )}
+                    </td>
+                    <td>
+                      {row.assetType === 'cash' ? (
+                        <span className="text-gray-400 italic">—</span>
+                      ) : (
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={row.targetPrice}
+                          title={row.assetType === 'option' ? 'Target price of the underlying' : undefined}
+                          aria-label="Target price"
+                          disabled={readOnly}
+                          {...gridCell(row, rowIndex, 2)}
+                          onChange={e => updateTarget(row.id, e.target.value)}
+                        />
+                      )}
+                    </td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <button
+                        type="button"
+                        onClick={() => refreshRow(row.id)}
+                        disabled={!row.quoteSymbol || row.loading}
+                        aria-label="Refresh price"
+                        className="icon-button"
+                      >
+                        <RefreshCw size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => toggleExpanded(row.id)}
+                        aria-label="Edit position details"
+                        aria-expanded={expandedRows.has(row.id)}
+                        className="icon-button"
+                      >
+                        <SlidersHorizontal size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeRow(row.id)}
+                        disabled={readOnly}
+                        aria-label="Remove asset"
+                        style={{ backgroundColor: 'transparent', color: '#ef4444' }}
+                      >
+                        <X size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedRows.has(row.id) && (
+                    <tr className="detail-row">
+                      <td colSpan={5}>
+                        <label className="block mb-2">
+                          <span className="text-sm">Asset type</span>
+                          <select
+                            value={row.assetType}
+                            disabled={readOnly}
+                            onChange={e => updateAssetType(row.id, e.target.value)}
+                          >
+                            {ASSET_TYPES.map(type => (
+                              <option key={type.id} value={type.id}>
+                                {type.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        {row.assetType === 'cash' && (
+                          <label className="block mb-2">
+                            <span className="text-sm">Interest rate (% a year)</span>
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={row.interestRate}
+                              disabled={readOnly}
+                              onChange={e => updateInterestRate(row.id, e.target.value)}
+                            />
+                          </label>
+                        )}
+                        {row.assetType === 'option' && (
+                          <fieldset className="option-terms mb-2">
+                            <legend className="text-sm">Contract</legend>
+                            <label>
+                              <span className="text-sm">Call / put</span>
+                              <select
+                                value={row.option.right}
+                                disabled={readOnly}
+                                onChange={e => updateOption(row.id, { right: e.target.value })}
+                              >
+                                <option value="call">Call</option>
+                                <option value="put">Put</option>
+                              </select>
+                            </label>
+                            <label>
+                              <span className="text-sm">Strike</span>
+                              <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={row.option.strike}
+                                disabled={readOnly}
+                                onChange={e => updateOption(row.id, { strike: e.target.value })}
+                              />
+                            </label>
+                            <label>
+                              <span className="text-sm">Expiry</span>
+                              <input
+                                type="date"
+                                value={row.option.expiry}
+                                disabled={readOnly}
+                                onChange={e => updateOption(row.id, { expiry: e.target.value })}
+                              />
+                            </label>
+                            <label>
+                              <span className="text-sm">Multiplier</span>
+                              <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={row.option.multiplier}
+                                disabled={readOnly}
+                                onChange={e => updateOption(row.id, { multiplier: e.target.value })}
+                              />
+                            </label>
+                            <label>
+                              <span className="text-sm">Option price (optional)</span>
+                              <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={row.option.premium}
+                                placeholder="Intrinsic value"
+                                disabled={readOnly}
+                                onChange={e => updateOption(row.id, { premium: e.target.value })}
+                              />
+                            </label>
+                            <p className="text-xs text-gray-600">
+                              Valued at expiry from the underlying&apos;s target price, which also sets the
+                              target date.
+                            </p>
+                          </fieldset>
+                        )}
+                        <label className="block mb-2">
+                          <span className="text-sm">Target date (optional)</span>
+                          <input
+                            type="date"
+                            value={row.targetDate}
+                            disabled={readOnly}
+                            onChange={e => updateTargetDate(row.id, e.target.value)}
+                          />
+                        </label>
+                        {row.assetType !== 'cash' && (
+                          <label className="block mb-2">
+                            <span className="text-sm">Stop / alert price (optional)</span>
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={row.stopPrice}
+                              disabled={readOnly}
+                              onChange={e => updateStopPrice(row.id, e.target.value)}
+                            />
+                          </label>
+                        )}
+                        <label className="block mb-2">
+                          <span className="text-sm">Asset class (optional)</span>
+                          <input
+                            type="text"
+                            value={row.assetClass}
+                            placeholder="e.g. Equities"
+                            list="asset-classes"
+                            disabled={readOnly}
+                            onChange={e => updateAssetClass(row.id, e.target.value)}
+                          />
+                        </label>
+                        <label className="block mb-2">
+                          <span className="text-sm">Sector (optional)</span>
+                          <input
+                            type="text"
+                            value={row.sector}
+                            placeholder="e.g. Technology"
+                            list="sectors"
+                            disabled={readOnly}
+                            onChange={e => updateSector(row.id, e.target.value)}
+                          />
+                        </label>
+                        <label className="block mb-2">
+                          <span className="text-sm">Tags (optional, comma separated)</span>
+                          <input
+                            type="text"
+                            value={row.tags}
+                            placeholder="e.g. core, dividend"
+                            disabled={readOnly}
+                            onChange={e => updateTags(row.id, e.target.value)}
+                          />
+                        </label>
+                        {isSecurity(row) && (
+                          <CostBasisEditor
+                            costBasis={row.costBasis}
+                            readOnly={readOnly}
+                            onChange={costBasis => updateCostBasis(row.id, costBasis)}
+                          />
+                        )}
+                        {row.uncoveredShares > 0 && row.costBasisValue != null && (
+                          <p className="text-xs text-gray-600">
+                            {row.uncoveredShares} share(s) are not covered by a lot and are left out of P/L.
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
               </tbody>
             </table>
+            <datalist id="asset-classes">
+              {assetClasses.map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+            <datalist id="sectors">
+              {sectors.map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+          <div className="sr-only" role="status" aria-live="polite">
+            {liveMessages.status && <span key={liveMessages.status.id}>{liveMessages.status.text}</span>}
+          </div>
+          <div className="sr-only" role="alert" aria-live="assertive">
+            {liveMessages.alert && <span key={liveMessages.alert.id}>{liveMessages.alert.text}</span>}
           </div>
 
           {/* Fetch all prices button below the table */}
@@ -460,19 +1528,81 @@ export default function App() {
           <h2 className="font-semibold text-lg mb-2">Summary</h2>
           <div className="mb-4">
             <p>
-              <strong>Current Portfolio Value:</strong> ${currentTotal.toFixed(2)}
+              <strong>Current Portfolio Value:</strong>{' '}
+              <span className="sensitive">{formatMoney(currentTotal, baseCurrency)}</span>
             </p>
             <p>
-              <strong>Target Portfolio Value:</strong> ${targetTotal.toFixed(2)}
+              <strong>Target Portfolio Value:</strong>{' '}
+              <span className="sensitive">{formatMoney(targetTotal, baseCurrency)}</span>
             </p>
             <p>
               <strong>Total Gain/Loss:</strong>{' '}
               <span
+                className="sensitive"
                 style={{ color: gainTotal >= 0 ? '#16a34a' : '#dc2626' }}
               >
-                {gainTotal >= 0 ? '+' : ''}${gainTotal.toFixed(2)}
+                {formatSignedMoney(gainTotal, baseCurrency)}
               </span>
             </p>
+            {horizon.includeDividends && accruedDividendsTotal > 0 && (
+              <p className="text-xs text-gray-600">
+                Target values include{' '}
+                <span className="sensitive">{formatMoney(accruedDividendsTotal, baseCurrency)}</span> of dividends
+                until the target date.
+              </p>
+            )}
+            {annualIncomeTotal > 0 && (
+              <p>
+                <strong>Projected Annual Dividend Income:</strong>{' '}
+                <span className="sensitive">{formatMoney(annualIncomeTotal, baseCurrency)}</span>
+                {currentTotal > 0 && (
+                  <span className="text-xs text-gray-600">
+                    {' '}({((annualIncomeTotal / currentTotal) * 100).toFixed(2)}% of current value)
+                  </span>
+                )}
+              </p>
+            )}
+            {projection.byType.length > 1 && (
+              <table className="scenario-summary mb-2">
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Current</th>
+                    <th>Target</th>
+                    <th>Gain/Loss</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {projection.byType.map(group => (
+                    <tr key={group.type}>
+                      <td>{assetTypeLabel(group.type, true)}</td>
+                      <td className="sensitive">{formatMoney(group.currentTotal, baseCurrency)}</td>
+                      <td className="sensitive">{formatMoney(group.targetTotal, baseCurrency)}</td>
+                      <td className="sensitive" style={{ color: gainColor(group.gainTotal) }}>
+                        {formatSignedMoney(group.gainTotal, baseCurrency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {excluded.length > 0 && (
+              <div className="excluded-rows text-xs" role="status">
+                <p>
+                  Left out of the totals (positions without a target still count towards the
+                  current value):
+                </p>
+                <ul>
+                  {excluded.map(row => (
+                    <li key={row.id}>
+                      <strong>{row.ticker ? row.ticker.toUpperCase() : 'Row without ticker'}</strong>
+                      {' – '}
+                      {row.issues.map(i => i.message).join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <p>
               <strong>Average Portfolio Return %:</strong>{' '}
               <span
@@ -483,103 +1613,269 @@ export default function App() {
                   : '—'}
               </span>
             </p>
-          </div>
-          {chartData.length > 0 ? (
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={chartData} margin={{ top: 20, right: 30, left: 40, bottom: 5 }}>
-                <XAxis dataKey="name" />
-                {/* Left Y axis for dollar values */}
-                <YAxis yAxisId="left" tickFormatter={v => `$${v}`} />
-                {/* Right Y axis for percentage returns */}
-                <YAxis
-                  yAxisId="right"
-                  orientation="right"
-                  tickFormatter={v => (v != null ? `${v}%` : '')}
-                />
-                <Tooltip
-                  formatter={(value, name) => {
-                    if (name === 'ReturnPct') {
-                      return [`${value}%`, 'Return %'];
-                    }
-                    return [`$${parseFloat(value).toLocaleString()}`, name];
-                  }}
-                />
-                <Legend />
-                <Bar yAxisId="left" dataKey="Current" fill="#60a5fa" />
-                <Bar yAxisId="left" dataKey="Target" fill="#6ee7b7" />
-                <Bar yAxisId="right" dataKey="ReturnPct" fill="#fbbf24" />
-              </BarChart>
-            </ResponsiveContainer>
-          ) : (
-            <p className="text-gray-500 italic">Enter data to see the chart.</p>
-          )}
-        </div>
-      </div>
-      {/* Detailed breakdown table */}
-      <div className="card mt-6">
-        <h2 className="font-semibold text-lg mb-2">Breakdown</h2>
-        {rows.length === 0 ? (
-          <p className="text-gray-500 italic">No assets entered.</p>
-        ) : (
-          <div style={{ overflowX: 'auto' }}>
-            <table>
-              <thead>
-                <tr>
-                  <th>Asset</th>
-                  <th>Shares</th>
-                  <th>Current Price</th>
-                  <th>Current Value</th>
-                  <th>Target Price</th>
-                  <th>Target Value</th>
-                  <th>Gain/Loss</th>
-                  <th>Return %</th>
-                </tr>
-              </thead>
-              <tbody>
-                {rows.map(row => (
-                  <tr key={row.id}>
-                    <td>{row.ticker || '—'}</td>
-                    <td>{row.shares}</td>
-                    <td>
-                      {row.currentPrice != null
-                        ? `$${row.currentPrice.toFixed(2)}`
-                        : '—'}
-                    </td>
-                    <td>
-                      {row.currentValue
-                        ? `$${row.currentValue.toFixed(2)}`
-                        : '—'}
-                    </td>
-                    <td>
-                      {row.targetPrice
-                        ? `$${parseFloat(row.targetPrice).toFixed(2)}`
-                        : '—'}
-                    </td>
+            {scenarioTotals.length > 0 && (
+              <table className="scenario-summary mb-2">
+                <thead>
+                  <tr>
+                    <th>Scenario</th>
+                    <th>Prob.</th>
+                    <th>Value</th>
+                    <th>Gain/Loss</th>
+                    <th>Return %</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scenarioTotals.map(total => (
+                    <tr key={total.id}>
+                      <td>{total.name}</td>
+                      <td>{total.probability !== '' ? `${total.probability}%` : '—'}</td>
+                      <td className="sensitive">{formatMoney(total.value, baseCurrency)}</td>
+                      <td className="sensitive" style={{ color: gainColor(total.gain) }}>
+                        {formatSignedMoney(total.gain, baseCurrency)}
+                      </td>
+                      <td>
+                        {total.returnPct != null
+                          ? `${total.returnPct >= 0 ? '+' : ''}${total.returnPct.toFixed(2)}%`
+                          : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr>
                     <td>
-                      {row.targetValue
-                        ? `$${row.targetValue.toFixed(2)}`
-                        : '—'}
+                      <strong>Expected</strong>
                     </td>
-                    <td>
-                      {row.gain
-                        ? `${row.gain >= 0 ? '+' : ''}$${row.gain.toFixed(2)}`
-                        : '—'}
+                    <td>—</td>
+                    <td className="sensitive">{formatMoney(expectedTotal, baseCurrency)}</td>
+                    <td className="sensitive" style={{ color: gainColor(expectedTotal - expectedBase) }}>
+                      {formatSignedMoney(expectedTotal - expectedBase, baseCurrency)}
                     </td>
                     <td>
-                      {row.returnPct != null
-                        ? `${row.returnPct >= 0 ? '+' : ''}${row.returnPct.toFixed(2)}%`
+                      {expectedBase > 0
+                        ? `${expectedTotal >= expectedBase ? '+' : ''}${(((expectedTotal - expectedBase) / expectedBase) * 100).toFixed(2)}%`
                         : '—'}
                     </td>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </tbody>
+              </table>
+            )}
+            {portfolioCagr != null && (
+              <p>
+                <strong>Implied Annual Return (CAGR):</strong>{' '}
+                <span style={{ color: gainColor(portfolioCagr) }}>
+                  {`${portfolioCagr >= 0 ? '+' : ''}${(portfolioCagr * 100).toFixed(2)}%`}
+                </span>
+                <span className="text-xs text-gray-600"> over {horizonYears.toFixed(1)} years</span>
+              </p>
+            )}
+            {growthEnd && hasGrowthExtras && (
+              <p>
+                <strong>Projected Value incl. Contributions &amp; Dividends:</strong>{' '}
+                <span className="sensitive">{formatMoney(growthEnd.total, baseCurrency)}</span>
+              </p>
+            )}
+            {costRows.length > 0 && (
+              <>
+                <p>
+                  <strong>Cost Basis:</strong>{' '}
+                  <span className="sensitive">{formatMoney(costBasisTotal, baseCurrency)}</span>
+                </p>
+                <p>
+                  <strong>Unrealized P/L Today:</strong>{' '}
+                  <span className="sensitive" style={{ color: gainColor(unrealizedTotal) }}>
+                    {formatSignedMoney(unrealizedTotal, baseCurrency)}
+                  </span>
+                </p>
+                <p>
+                  <strong>Realized P/L at Target:</strong>{' '}
+                  <span className="sensitive" style={{ color: gainColor(realizedTotal) }}>
+                    {formatSignedMoney(realizedTotal, baseCurrency)}
+                  </span>
+                  <span className="text-xs text-gray-600 sensitive">
+                    {' '}(short‑term {formatSignedMoney(realizedTotals.short, baseCurrency)}, long‑term{' '}
+                    {formatSignedMoney(realizedTotals.long, baseCurrency)})
+                  </span>
+                </p>
+                {taxSettings.enabled && (
+                  <>
+                    <p>
+                      <strong>Estimated Tax:</strong>{' '}
+                      <span className="sensitive">{formatMoney(taxEstimate, baseCurrency)}</span>
+                    </p>
+                    <p>
+                      <strong>After‑Tax Target Value:</strong>{' '}
+                      <span className="sensitive">{formatMoney(targetTotal - taxEstimate, baseCurrency)}</span>
+                    </p>
+                    <p>
+                      <strong>After‑Tax Realized P/L:</strong>{' '}
+                      <span className="sensitive" style={{ color: gainColor(realizedTotal - taxEstimate) }}>
+                        {formatSignedMoney(realizedTotal - taxEstimate, baseCurrency)}
+                      </span>
+                    </p>
+                  </>
+                )}
+              </>
+            )}
           </div>
-        )}
+          <TaxSettings settings={taxSettings} onChange={setTaxSettings} />
+          <HorizonSettings
+            settings={horizon}
+            onChange={setHorizon}
+            readOnly={readOnly}
+            currency={baseCurrency}
+          />
+          {scenarios.length > 0 && (
+            <div className="button-row mb-2" role="group" aria-label="Chart view">
+              <button
+                type="button"
+                aria-pressed={chartView === 'target'}
+                onClick={() => setChartView('target')}
+              >
+                Current vs Target
+              </button>
+              <button
+                type="button"
+                aria-pressed={chartView === 'scenarios'}
+                onClick={() => setChartView('scenarios')}
+              >
+                Scenarios
+              </button>
+            </div>
+          )}
+          {scenarios.length > 0 && chartView === 'scenarios' ? (
+            scenarioChartData.length > 0 ? (
+              <ScenarioChart data={scenarioChartData} scenarios={scenarios} currency={baseCurrency} />
+            ) : (
+              <p className="text-gray-500 italic">Fetch prices to compare scenarios.</p>
+            )
+          ) : chartData.length > 0 ? (
+            <ValueChart data={chartData} currency={baseCurrency} />
+          ) : (
+            <p className="text-gray-500 italic">Enter data to see the chart.</p>
+          )}
+          {allocationHasTargets && (
+            <>
+              <h3 className="font-semibold mt-4 mb-2">Allocation</h3>
+              <p className="text-xs text-gray-600">Inner ring: current weights.  Outer ring: target weights.</p>
+              <AllocationChart groups={allocationState.groups} />
+            </>
+          )}
+          {growthPath.length > 1 && (
+            <>
+              <h3 className="font-semibold mt-4 mb-2">Projected Growth Path</h3>
+              <GrowthPathChart path={growthPath} showExtras={hasGrowthExtras} currency={baseCurrency} />
+            </>
+          )}
+        </div>
       </div>
-      {/* Vercel Analytics and Speed Insights */}
-      <SpeedInsights />
-      <Analytics />
+      {/* Detailed breakdown table */}
+      <BreakdownTable
+        rows={rows}
+        scenarios={scenarios}
+        portfolio={{ currentTotal, targetTotal }}
+        currency={baseCurrency}
+        settings={breakdownSettings}
+        onSettingsChange={setBreakdownSettings}
+      />
+      <DividendPanel
+        rows={securityRows}
+        dividends={dividends}
+        status={dividendStatus}
+        onLoad={() => loadDividends(assets)}
+        includeDividends={horizon.includeDividends}
+        onIncludeChange={includeDividends => setHorizon({ ...horizon, includeDividends })}
+        currency={baseCurrency}
+        readOnly={readOnly}
+      />
+      <AlertsPanel
+        settings={alertSettings}
+        onChange={setAlertSettings}
+        log={alertLog}
+        onClear={() => setAlertLog([])}
+        marketOpen={isMarketOpen(new Date(now))}
+        currency={baseCurrency}
+        readOnly={readOnly}
+      />
+      <HistoryPanel rows={marketRows} providerSettings={providerSettings} />
+      <MonteCarloPanel
+        rows={marketRows}
+        providerSettings={providerSettings}
+        horizonYears={horizonYears}
+        currency={baseCurrency}
+      />
+      <AllocationPanel
+        settings={allocation}
+        onChange={setAllocation}
+        weights={allocationState}
+        plan={rebalancePlan}
+        projection={rebalanceProjection}
+        untradable={untradableCount}
+        currency={baseCurrency}
+        readOnly={readOnly}
+      />
+      <WhatIfPanel rows={rows} context={{ fxRates, baseCurrency }} currency={baseCurrency} />
+      <ScenarioManager
+        scenarios={scenarios}
+        assets={assets}
+        onScenariosChange={updateScenarios}
+        onTargetChange={updateScenarioTarget}
+        onApplyMove={applyScenarioMove}
+        probabilityTotal={probabilityTotal}
+        readOnly={readOnly}
+      />
+      <ImportExport
+        portfolioName={readOnly ? shared.name : activePortfolio.name}
+        assets={assets}
+        rows={rows}
+        onImport={importPositions}
+        readOnly={readOnly}
+      />
+      <ProviderSettings settings={providerSettings} onChange={setProviderSettings} />
+      <PrivacySettings
+        consent={analyticsConsent}
+        onConsentChange={setAnalyticsConsent}
+        privacyMode={privacyMode}
+        onPrivacyModeChange={setPrivacyMode}
+      />
+      {reportOpen && (
+        <ProjectionReport
+          name={readOnly ? shared.name : activePortfolio.name}
+          currency={baseCurrency}
+          rows={rows}
+          scenarios={scenarios}
+          summary={{
+            currentTotal,
+            targetTotal,
+            gainTotal,
+            returnPct: portfolioReturnPct,
+            cagr: portfolioCagr,
+            horizonYears,
+            targetDate: horizon.targetDate,
+            growthTotal: growthEnd && hasGrowthExtras ? growthEnd.total : null,
+            annualIncome: annualIncomeTotal,
+            costBasis:
+              costRows.length > 0
+                ? { total: costBasisTotal, unrealized: unrealizedTotal, realized: realizedTotal }
+                : null,
+            tax: costRows.length > 0 && taxSettings.enabled ? taxEstimate : null,
+            byType: projection.byType,
+            scenarioTotals,
+            expected: { total: expectedTotal, base: expectedBase },
+            excluded
+          }}
+          charts={{
+            value: chartData,
+            scenarios: scenarioChartData,
+            allocation: allocationHasTargets ? allocationState.groups : null,
+            growthPath,
+            showGrowthExtras: hasGrowthExtras
+          }}
+          breakdownSettings={breakdownSettings}
+          notes={readOnly ? '' : activePortfolio.notes}
+          onNotesChange={readOnly ? null : notes => updateActivePortfolio({ notes })}
+          onClose={closeReport}
+        />
+      )}
+      <Telemetry enabled={analyticsConsent === true} />
     </div>
   );
 }
@@ -0,0 +1,110 @@
+import { genId } from '../utils/id.js';
+
+/*
+ * Price alerts.
+ *
+ * Each asset row can be watched at two levels: its `targetPrice` and an
+ * optional `stopPrice` (a stop or any other threshold).  An alert fires
+ * when a newly fetched price crosses a level compared with the price
+ * the row had before, in either direction, so a price that stays on
+ * one side never fires twice.  Prices hovering around a level would
+ * still fire on every bounce, so the same alert is also suppressed for
+ * ALERT_COOLDOWN after it last fired.
+ *
+ * Alert log entries look like
+ *
+ *   { id, key, time, portfolio, ticker, kind: 'target' | 'stop',
+ *     direction: 'up' | 'down', level, price, currency }
+ *
+ * and are kept newest first, capped at MAX_ALERT_LOG entries.
+ */
+
+export const ALERT_COOLDOWN = 15 * 60 * 1000;
+export const MAX_ALERT_LOG = 200;
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  intervalMinutes: '5',
+  marketHoursOnly: true,
+  notifications: false
+};
+
+const toLevel = value => {
+  const num = parseFloat(value);
+  return isNaN(num) || num <= 0 ? null : num;
+};
+
+// Alerts fired by a price moving from `prevPrice` to `price`.  Touching
+// a level counts as crossing it.
+export function detectCrossings(asset, prevPrice, price) {
+  if (!(prevPrice > 0) || !(price > 0) || prevPrice === price) return [];
+  const levels = [
+    { kind: 'target', level: toLevel(asset.targetPrice) },
+    { kind: 'stop', level: toLevel(asset.stopPrice) }
+  ];
+  const alerts = [];
+  for (const { kind, level } of levels) {
+    if (level == null) continue;
+    const direction =
+      prevPrice < level && price >= level ? 'up' : prevPrice > level && price <= level ? 'down' : null;
+    if (!direction) continue;
+    alerts.push({
+      key: `${asset.id}:${kind}:${direction}`,
+      ticker: asset.ticker.toUpperCase(),
+      kind,
+      direction,
+      level,
+      price,
+      currency: asset.currency ?? null
+    });
+  }
+  return alerts;
+}
+
+// Drop alerts that already fired within the cooldown, then stamp the
+// rest with an id and time.  `log` is the existing alert history.
+export function dedupeAlerts(alerts, log, now = Date.now()) {
+  const recent = new Set(
+    log.filter(entry => now - entry.time < ALERT_COOLDOWN).map(entry => entry.key)
+  );
+  const fresh = [];
+  for (const alert of alerts) {
+    if (recent.has(alert.key)) continue;
+    recent.add(alert.key);
+    fresh.push({ ...alert, id: genId(), time: now });
+  }
+  return fresh;
+}
+
+// Add fired alerts to the front of the log, keeping it bounded.
+export function appendAlerts(log, alerts) {
+  return [...[...alerts].reverse(), ...log].slice(0, MAX_ALERT_LOG);
+}
+
+// One‑line description of an alert, e.g.
+// "AAPL rose above its target of 200 (now 201.50)".
+export function describeAlert(alert, formatPrice = value => value.toFixed(2)) {
+  const moved = alert.direction === 'up' ? 'rose above' : 'fell below';
+  const level = alert.kind === 'target' ? 'target' : 'stop';
+  return `${alert.ticker} ${moved} its ${level} of ${formatPrice(alert.level)} (now ${formatPrice(alert.price)})`;
+}
+
+// Whether U.S. markets are in regular trading hours: 9:30–16:00
+// America/New_York, Monday to Friday.  Exchange holidays are not
+// known, so polling on those days simply finds unchanged prices.
+export function isMarketOpen(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  if (parts.weekday === 'Sat' || parts.weekday === 'Sun') return false;
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return minutes >= 9 * 60 + 30 && minutes < 16 * 60;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ALERT_COOLDOWN,
+  MAX_ALERT_LOG,
+  appendAlerts,
+  dedupeAlerts,
+  describeAlert,
+  detectCrossings,
+  isMarketOpen
+} from './alerts.js';
+
+const asset = { id: 'a1', ticker: 'aapl', targetPrice: '200', stopPrice: '150', currency: 'USD' };
+
+describe('detectCrossings', () => {
+  it('fires when a price crosses or touches a level, in either direction', () => {
+    expect(detectCrossings(asset, 195, 201)).toEqual([
+      {
+        key: 'a1:target:up',
+        ticker: 'AAPL',
+        kind: 'target',
+        direction: 'up',
+        level: 200,
+        price: 201,
+        currency: 'USD'
+      }
+    ]);
+    expect(detectCrossings(asset, 160, 150).map(a => a.key)).toEqual(['a1:stop:down']);
+    expect(detectCrossings(asset, 201, 199).map(a => a.key)).toEqual(['a1:target:down']);
+    // A gap through both levels reports both.
+    expect(detectCrossings(asset, 140, 210).map(a => a.key)).toEqual(['a1:target:up', 'a1:stop:up']);
+  });
+
+  it('stays quiet while a price remains on one side', () => {
+    expect(detectCrossings(asset, 201, 205)).toEqual([]);
+    expect(detectCrossings(asset, 200, 203)).toEqual([]);
+    expect(detectCrossings(asset, 170, 170)).toEqual([]);
+  });
+
+  it('needs a previous price and valid levels', () => {
+    expect(detectCrossings(asset, null, 210)).toEqual([]);
+    expect(detectCrossings({ ...asset, targetPrice: '', stopPrice: 'x' }, 100, 300)).toEqual([]);
+  });
+});
+
+describe('dedupeAlerts', () => {
+  const up = detectCrossings(asset, 195, 201);
+
+  it('fires a crossing once within the cooldown, and again after it', () => {
+    const first = dedupeAlerts(up, [], 1_000);
+    expect(first).toHaveLength(1);
+    expect(first[0]).toMatchObject({ key: 'a1:target:up', time: 1_000 });
+    expect(first[0].id).toEqual(expect.any(String));
+
+    const log = appendAlerts([], first);
+    expect(dedupeAlerts(up, log, 1_000 + ALERT_COOLDOWN - 1)).toEqual([]);
+    expect(dedupeAlerts(up, log, 1_000 + ALERT_COOLDOWN)).toHaveLength(1);
+    // The opposite crossing has its own key.
+    expect(dedupeAlerts(detectCrossings(asset, 201, 199), log, 2_000)).toHaveLength(1);
+  });
+
+  it('drops repeats within one batch', () => {
+    expect(dedupeAlerts([...up, ...up], [], 0)).toHaveLength(1);
+  });
+});
+
+describe('appendAlerts', () => {
+  it('keeps the log newest first and bounded', () => {
+    const entry = n => ({ id: String(n), key: `k${n}`, time: n });
+    const log = Array.from({ length: MAX_ALERT_LOG }, (_, i) => entry(MAX_ALERT_LOG - i));
+    const next = appendAlerts(log, [entry(201), entry(202)]);
+    expect(next).toHaveLength(MAX_ALERT_LOG);
+    expect(next.slice(0, 3).map(e => e.id)).toEqual(['202', '201', '200']);
+  });
+});
+
+describe('describeAlert', () => {
+  it('describes the move', () => {
+    expect(describeAlert(detectCrossings(asset, 160, 149.5)[0])).toBe(
+      'AAPL fell below its stop of 150.00 (now 149.50)'
+    );
+  });
+});
+
+describe('isMarketOpen', () => {
+  it('follows New York trading hours on weekdays', () => {
+    // 2026‑01‑21 is a Wednesday; New York is on UTC−5 in January.
+    expect(isMarketOpen(new Date(Date.UTC(2026, 0, 21, 14, 30)))).toBe(true);
+    expect(isMarketOpen(new Date(Date.UTC(2026, 0, 21, 14, 29)))).toBe(false);
+    expect(isMarketOpen(new Date(Date.UTC(2026, 0, 21, 21, 0)))).toBe(false);
+    expect(isMarketOpen(new Date(Date.UTC(2026, 0, 24, 15, 0)))).toBe(false);
+  });
+});
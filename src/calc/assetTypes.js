@@ -0,0 +1,89 @@
+import { cryptoTicker } from '../providers/exchanges.js';
+
+/*
+ * Asset types.
+ *
+ * Every row has an `assetType` that decides what its ticker means and
+ * how it is valued (see projection.js):
+ *
+ *   stock   shares × price; also ETFs, funds and anything else quoted
+ *           per unit.  The default.
+ *   crypto  like a stock, but the ticker is mapped to a Yahoo pair, so
+ *           `BTC` is fetched as BTC-USD (and from Stooq as btc.v).
+ *   cash    a balance in the currency named by the ticker (`EUR`).
+ *           Never fetched; grows at `interestRate` % a year,
+ *           compounded annually, until the target date.
+ *   option  listed option contracts on the underlying named by the
+ *           ticker; `shares` counts contracts.  Terms live in
+ *           `option` (see blankOption).  The target price is the
+ *           underlying's, and the target value is the intrinsic value
+ *           at expiry.
+ */
+
+export const ASSET_TYPES = [
+  { id: 'stock', label: 'Stock / ETF', plural: 'Stocks & ETFs' },
+  { id: 'crypto', label: 'Crypto', plural: 'Crypto' },
+  { id: 'cash', label: 'Cash', plural: 'Cash' },
+  { id: 'option', label: 'Option', plural: 'Options' }
+];
+
+const TYPE_IDS = new Set(ASSET_TYPES.map(type => type.id));
+
+// Option terms of a row.  `premium` is the current price of one
+// option (per underlying share) when known; blank values the contracts
+// at their intrinsic value today.
+export function blankOption() {
+  return { right: 'call', strike: '', expiry: '', multiplier: '100', premium: '' };
+}
+
+// The row's type, treating anything unknown as a stock.
+export function assetTypeOf(asset) {
+  return TYPE_IDS.has(asset.assetType) ? asset.assetType : 'stock';
+}
+
+export function assetTypeLabel(id, plural = false) {
+  const type = ASSET_TYPES.find(t => t.id === id) ?? ASSET_TYPES[0];
+  return plural ? type.plural : type.label;
+}
+
+// Whether the row holds units of a market security that can be traded
+// and has a price history: stocks and crypto.
+export function isSecurity(asset) {
+  const type = assetTypeOf(asset);
+  return type === 'stock' || type === 'crypto';
+}
+
+// Currency of a cash row: its ticker when that is a three‑letter code.
+export function cashCurrency(asset) {
+  const code = (asset.ticker ?? '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+// The currency a row's prices and values are in, or null when unknown.
+export function rowCurrency(asset) {
+  return assetTypeOf(asset) === 'cash' ? cashCurrency(asset) : asset.currency ?? null;
+}
+
+// The symbol to request quotes and history for, or null when the row
+// is never fetched (cash, blank tickers).
+export function quoteSymbol(asset) {
+  const ticker = (asset.ticker ?? '').trim();
+  if (!ticker) return null;
+  switch (assetTypeOf(asset)) {
+    case 'cash':
+      return null;
+    case 'crypto':
+      return cryptoTicker(ticker);
+    default:
+      return ticker;
+  }
+}
+
+// Short description of a row for tables, e.g. `AAPL 150 C 2026‑01‑16`
+// for an option; the upper‑cased ticker otherwise.
+export function positionLabel(asset) {
+  const ticker = (asset.ticker ?? '').toUpperCase();
+  if (assetTypeOf(asset) !== 'option' || !ticker) return ticker;
+  const { right, strike, expiry } = { ...blankOption(), ...asset.option };
+  return [ticker, strike, right === 'put' ? 'P' : 'C', expiry].filter(Boolean).join(' ');
+}
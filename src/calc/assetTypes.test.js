@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { assetTypeOf, quoteSymbol, rowCurrency } from './assetTypes.js';
+import { cryptoTicker } from '../providers/exchanges.js';
+
+describe('cryptoTicker', () => {
+  it('maps coins and pairs to Yahoo symbols', () => {
+    expect(cryptoTicker('btc')).toBe('BTC-USD');
+    expect(cryptoTicker('ETH/EUR')).toBe('ETH-EUR');
+    expect(cryptoTicker('BTCUSDT')).toBe('BTC-USDT');
+    expect(cryptoTicker('xbt-usd')).toBe('BTC-USD');
+    expect(cryptoTicker('SOL', 'GBP')).toBe('SOL-GBP');
+    expect(cryptoTicker(' ')).toBe('');
+  });
+});
+
+describe('quoteSymbol', () => {
+  it('depends on the asset type', () => {
+    expect(quoteSymbol({ ticker: 'AAPL' })).toBe('AAPL');
+    expect(quoteSymbol({ assetType: 'crypto', ticker: 'eth' })).toBe('ETH-USD');
+    expect(quoteSymbol({ assetType: 'option', ticker: 'SPY' })).toBe('SPY');
+    expect(quoteSymbol({ assetType: 'cash', ticker: 'USD' })).toBeNull();
+    expect(quoteSymbol({ ticker: '' })).toBeNull();
+  });
+});
+
+describe('rowCurrency', () => {
+  it('reads cash currencies from the ticker', () => {
+    expect(rowCurrency({ assetType: 'cash', ticker: 'chf', currency: null })).toBe('CHF');
+    expect(rowCurrency({ assetType: 'cash', ticker: 'cash', currency: 'USD' })).toBeNull();
+    expect(rowCurrency({ ticker: 'SAP.DE', currency: 'EUR' })).toBe('EUR');
+    expect(assetTypeOf({ assetType: 'bond' })).toBe('stock');
+  });
+});
@@ -0,0 +1,155 @@
+import { summarize } from './projection.js';
+import { ASSET_TYPES, assetTypeLabel, positionLabel } from './assetTypes.js';
+
+/*
+ * Breakdown table view: filtering, sorting, grouping and totals over
+ * projected rows (see projection.js).
+ *
+ * Settings are `{ sort: { column, direction }, filter, groupBy,
+ * hiddenColumns }` and are kept with the preferences, so they apply to
+ * every portfolio and survive a reload.  Sorting happens within each
+ * group.  Rows without a value for the sort column always sort last.
+ * Grouping by tag lists a row under each of its tags, so tag subtotals
+ * may overlap; the totals footer counts every row once.
+ */
+
+export const GROUP_OPTIONS = [
+  { id: 'none', label: 'No grouping' },
+  { id: 'type', label: 'Asset type' },
+  { id: 'assetClass', label: 'Asset class' },
+  { id: 'sector', label: 'Sector' },
+  { id: 'tag', label: 'Tag' }
+];
+
+export const DEFAULT_BREAKDOWN_SETTINGS = {
+  sort: { column: null, direction: 'desc' },
+  filter: '',
+  groupBy: 'type',
+  hiddenColumns: []
+};
+
+// A position's tags: its comma separated `tags` field split into
+// trimmed, unique tags.
+export function parseTags(text) {
+  return [...new Set((text ?? '').split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+const tagsOf = row => parseTags(row.tags);
+
+// Rows matching every word of `text` in their label, type, asset
+// class, sector or tags, case‑insensitively.
+export function filterRows(rows, text) {
+  const words = (text ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return rows;
+  return rows.filter(row => {
+    const haystack = [
+      positionLabel(row),
+      row.ticker,
+      assetTypeLabel(row.assetType),
+      row.assetClass,
+      row.sector,
+      ...tagsOf(row)
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+// Stable sort by `valueOf(row)`, numbers or strings.  Null values go
+// last in either direction.
+export function sortRows(rows, { column, direction = 'desc' } = {}, valueOf) {
+  if (!column || !valueOf) return rows;
+  const sign = direction === 'asc' ? 1 : -1;
+  return rows
+    .map((row, index) => ({ row, index, value: valueOf(row) }))
+    .sort((a, b) => {
+      const aMissing = a.value == null || a.value === '' || Number.isNaN(a.value);
+      const bMissing = b.value == null || b.value === '' || Number.isNaN(b.value);
+      if (aMissing || bMissing) return aMissing === bMissing ? a.index - b.index : aMissing ? 1 : -1;
+      const order =
+        typeof a.value === 'string' || typeof b.value === 'string'
+          ? String(a.value).localeCompare(String(b.value), undefined, { numeric: true, sensitivity: 'base' })
+          : a.value - b.value;
+      return order * sign || a.index - b.index;
+    })
+    .map(entry => entry.row);
+}
+
+/*
+ * Split rows into groups: `[{ key, label, rows }]`.  Asset types come
+ * in their usual order, other groups alphabetically with the rows
+ * lacking a value last.  `none` returns a single group.
+ */
+export function groupRows(rows, groupBy) {
+  if (groupBy === 'type') {
+    return ASSET_TYPES.map(type => ({
+      key: type.id,
+      label: type.plural,
+      rows: rows.filter(r => r.assetType === type.id)
+    })).filter(group => group.rows.length > 0);
+  }
+  const keysOf = {
+    assetClass: row => [row.assetClass?.trim()].filter(Boolean),
+    sector: row => [row.sector?.trim()].filter(Boolean),
+    tag: row => tagsOf(row)
+  }[groupBy];
+  if (!keysOf) return [{ key: 'all', label: null, rows }];
+
+  const groups = new Map();
+  const missing = [];
+  for (const row of rows) {
+    const keys = keysOf(row);
+    if (keys.length === 0) missing.push(row);
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+  }
+  const result = [...groups]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+    .map(([key, list]) => ({ key, label: key, rows: list }));
+  if (missing.length > 0) {
+    const label = { assetClass: 'No asset class', sector: 'No sector', tag: 'Untagged' }[groupBy];
+    result.push({ key: '', label, rows: missing });
+  }
+  return result;
+}
+
+const sum = (rows, valueOf) => {
+  const values = rows.map(valueOf).filter(value => value != null && !Number.isNaN(value));
+  return values.length > 0 ? values.reduce((acc, value) => acc + value, 0) : null;
+};
+
+/*
+ * Totals over a set of rows, for a group subtotal or the footer:
+ * the portfolio totals of projection.js (`currentTotal`, `targetTotal`,
+ * `gainTotal`, `returnPct`) plus sums of the per‑row scenario,
+ * expected, cost basis and P/L values (null when no row has one), and
+ * the share of `portfolio` (its `currentTotal` and `targetTotal`)
+ * these rows make up.
+ */
+export function breakdownTotals(rows, portfolio, scenarioIds = []) {
+  const totals = summarize(rows);
+  return {
+    currentTotal: totals.currentTotal,
+    targetTotal: totals.targetTotal,
+    gainTotal: totals.gainTotal,
+    returnPct: totals.returnPct,
+    currentWeight: weight(totals.currentTotal, portfolio.currentTotal),
+    targetWeight: weight(totals.targetTotal, portfolio.targetTotal),
+    scenarioValues: Object.fromEntries(
+      scenarioIds.map(id => [id, sum(rows, r => r.scenarioValues?.[id])])
+    ),
+    expectedValue: sum(rows, r => r.expectedValue),
+    costBasisValue: sum(rows, r => r.costBasisValue),
+    unrealizedPnL: sum(rows, r => r.unrealizedPnL),
+    realizedPnL: sum(rows, r => r.realizedPnL?.total)
+  };
+}
+
+// `value` as a percentage of `total`, or null without a positive total.
+export function weight(value, total) {
+  return value != null && total > 0 ? (value / total) * 100 : null;
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { breakdownTotals, filterRows, groupRows, parseTags, sortRows } from './breakdown.js';
+import { projectPortfolio } from './projection.js';
+import { blankCostBasis } from './costBasis.js';
+
+const asset = (id, overrides) => ({
+  id,
+  ticker: id.toUpperCase(),
+  assetType: 'stock',
+  shares: '10',
+  currentPrice: 100,
+  currency: null,
+  targetPrice: '120',
+  targetDate: '',
+  scenarioTargets: {},
+  costBasis: blankCostBasis(),
+  assetClass: '',
+  sector: '',
+  tags: '',
+  ...overrides
+});
+
+const { rows, currentTotal, targetTotal } = projectPortfolio(
+  [
+    asset('aapl', { sector: 'Technology', tags: 'core, growth' }),
+    asset('ko', { currentPrice: 50, targetPrice: '55', sector: 'Staples', tags: 'dividend' }),
+    asset('msft', { currentPrice: 300, targetPrice: '', sector: 'Technology', tags: 'core' }),
+    asset('usd', { assetType: 'cash', ticker: 'USD', shares: '500', currentPrice: null, targetPrice: '' })
+  ],
+  { baseCurrency: 'USD', fxRates: new Map([['USD', 1]]) }
+);
+const portfolio = { currentTotal, targetTotal };
+const ids = list => list.map(r => r.id);
+
+describe('parseTags', () => {
+  it('trims, drops blanks and duplicates', () => {
+    expect(parseTags(' core,growth ,, core ')).toEqual(['core', 'growth']);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+});
+
+describe('filterRows', () => {
+  it('matches every word against ticker, sector and tags', () => {
+    expect(ids(filterRows(rows, 'tech'))).toEqual(['aapl', 'msft']);
+    expect(ids(filterRows(rows, 'tech growth'))).toEqual(['aapl']);
+    expect(ids(filterRows(rows, 'CASH'))).toEqual(['usd']);
+    expect(filterRows(rows, '  ')).toBe(rows);
+  });
+});
+
+describe('sortRows', () => {
+  it('sorts both ways with missing values last', () => {
+    const byReturn = r => r.returnPct;
+    expect(ids(sortRows(rows, { column: 'returnPct', direction: 'desc' }, byReturn))).toEqual([
+      'aapl',
+      'ko',
+      'usd',
+      'msft'
+    ]);
+    expect(ids(sortRows(rows, { column: 'returnPct', direction: 'asc' }, byReturn))).toEqual([
+      'usd',
+      'ko',
+      'aapl',
+      'msft'
+    ]);
+    expect(ids(sortRows(rows, { column: 'asset', direction: 'asc' }, r => r.ticker))).toEqual([
+      'aapl',
+      'ko',
+      'msft',
+      'usd'
+    ]);
+  });
+});
+
+describe('groupRows', () => {
+  it('groups by sector with unassigned rows last', () => {
+    const groups = groupRows(rows, 'sector');
+    expect(groups.map(g => [g.label, ids(g.rows)])).toEqual([
+      ['Staples', ['ko']],
+      ['Technology', ['aapl', 'msft']],
+      ['No sector', ['usd']]
+    ]);
+  });
+
+  it('lists a row under each of its tags', () => {
+    const groups = groupRows(rows, 'tag');
+    expect(groups.map(g => [g.label, ids(g.rows)])).toEqual([
+      ['core', ['aapl', 'msft']],
+      ['dividend', ['ko']],
+      ['growth', ['aapl']],
+      ['Untagged', ['usd']]
+    ]);
+  });
+
+  it('groups by asset type in the usual order', () => {
+    expect(groupRows(rows, 'type').map(g => g.label)).toEqual(['Stocks & ETFs', 'Cash']);
+    expect(groupRows(rows, 'none')).toEqual([{ key: 'all', label: null, rows }]);
+  });
+});
+
+describe('breakdownTotals', () => {
+  it('totals a group and weighs it against the portfolio', () => {
+    const tech = rows.filter(r => r.sector === 'Technology');
+    const totals = breakdownTotals(tech, portfolio);
+    // MSFT has no target: it counts towards the current value only.
+    expect(totals.currentTotal).toBe(4000);
+    expect(totals.targetTotal).toBe(1200);
+    expect(totals.gainTotal).toBe(200);
+    expect(totals.returnPct).toBe(20);
+    expect(totals.currentWeight).toBeCloseTo((4000 / 5000) * 100, 10);
+    expect(totals.costBasisValue).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { parseDate } from '../utils/time.js';
+import { divUnits, fromUnits, mulUnits, sumUnits, toUnits } from './money.js';
+
+/*
+ * Cost basis, profit/loss and capital‑gains tax estimates.
+ *
+ * A position's cost basis is recorded either as a single average cost
+ * per share (with an optional acquisition date) or as a list of lots,
+ * each with its own purchase date, share count and price.  Lots are
+ * matched to the position's share count first‑in‑first‑out; shares not
+ * covered by any lot have no known cost and are left out of P/L.
+ *
+ * All inputs are the raw strings stored on asset rows; dates are the
+ * `YYYY-MM-DD` strings produced by `<input type="date">`.  Share
+ * counts, costs and gains are worked out with the decimal‑safe helpers
+ * in money.js, so lots bought at 0.1 and 0.2 cost exactly 0.3.
+ */
+
+export const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  // Percentages, as entered in the settings UI.
+  shortTermRate: 35,
+  longTermRate: 15
+};
+
+export function blankCostBasis() {
+  return { mode: 'average', averageCost: '', acquired: '', lots: [] };
+}
+
+const toNumber = value => {
+  const num = parseFloat(value);
+  return isNaN(num) || num < 0 ? null : num;
+};
+
+// 'long' when the holding period at `saleDate` exceeds one year, else
+// 'short'.  Unknown acquisition dates are treated as short term, which
+// errs on the side of a higher tax estimate.
+export function holdingTerm(acquired, saleDate = new Date()) {
+  const start = parseDate(acquired);
+  if (!start) return 'short';
+  const anniversary = new Date(start);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return saleDate > anniversary ? 'long' : 'short';
+}
+
+/*
+ * Resolve the lots that make up `shares` shares of a position.
+ * Returns `{ lots: [{ shares, price, acquired }], uncoveredShares }`.
+ * In average mode a single synthetic lot carries the average cost.
+ * Lots with an invalid share count or price are ignored.
+ */
+export function resolveLots(costBasis, shares) {
+  const basis = costBasis ?? blankCostBasis();
+  if (basis.mode === 'average') {
+    const price = toNumber(basis.averageCost);
+    if (price == null || shares <= 0) return { lots: [], uncoveredShares: shares };
+    return { lots: [{ shares, price, acquired: basis.acquired }], uncoveredShares: 0 };
+  }
+
+  const sorted = (basis.lots ?? [])
+    .map(lot => ({ shares: toNumber(lot.shares), price: toNumber(lot.price), acquired: lot.date }))
+    .filter(lot => lot.shares > 0 && lot.price != null)
+    .sort((a, b) => (parseDate(a.acquired)?.getTime() ?? Infinity) - (parseDate(b.acquired)?.getTime() ?? Infinity));
+
+  const lots = [];
+  let remaining = toUnits(shares) ?? 0n;
+  for (const lot of sorted) {
+    if (remaining <= 0n) break;
+    const available = toUnits(lot.shares);
+    const used = available < remaining ? available : remaining;
+    lots.push({ ...lot, shares: fromUnits(used) });
+    remaining -= used;
+  }
+  return { lots, uncoveredShares: remaining > 0n ? fromUnits(remaining) : 0 };
+}
+
+/*
+ * Profit and loss for one position.  `currentPrice` and `targetPrice`
+ * may be null when unknown, in which case the matching figures are
+ * null too.  Realized gains at the target are split by holding term
+ * as of `saleDate`.
+ */
+export function positionPnL({ costBasis, shares, currentPrice, targetPrice, saleDate = new Date() }) {
+  const { lots, uncoveredShares } = resolveLots(costBasis, shares);
+  if (lots.length === 0) {
+    return { costBasis: null, unrealized: null, realized: null, uncoveredShares };
+  }
+  const units = lots.map(lot => ({ ...lot, shares: toUnits(lot.shares), price: toUnits(lot.price) }));
+  const coveredShares = sumUnits(units.map(lot => lot.shares));
+  const cost = sumUnits(units.map(lot => mulUnits(lot.shares, lot.price)));
+  const current = toUnits(currentPrice);
+  const unrealized = current != null ? mulUnits(coveredShares, current) - cost : null;
+
+  let realized = null;
+  const target = toUnits(targetPrice);
+  if (target != null) {
+    const terms = { short: 0n, long: 0n };
+    for (const lot of units) {
+      terms[holdingTerm(lot.acquired, saleDate)] += mulUnits(lot.shares, target - lot.price);
+    }
+    realized = {
+      short: fromUnits(terms.short),
+      long: fromUnits(terms.long),
+      total: fromUnits(terms.short + terms.long)
+    };
+  }
+  return { costBasis: fromUnits(cost), unrealized: fromUnits(unrealized), realized, uncoveredShares };
+}
+
+/*
+ * Estimate capital‑gains tax on a portfolio's realized gains.
+ * Gains and losses are netted within each term first; a net loss in
+ * one term then offsets a net gain in the other, mirroring the usual
+ * U.S. netting rules.  Net losses produce no tax (and no refund).
+ * Rates are percentages.
+ */
+export function estimateTax({ short, long }, { shortTermRate, longTermRate }) {
+  let netShort = toUnits(short) ?? 0n;
+  let netLong = toUnits(long) ?? 0n;
+  if (netShort < 0n && netLong > 0n) {
+    netLong = netLong + netShort > 0n ? netLong + netShort : 0n;
+    netShort = 0n;
+  } else if (netLong < 0n && netShort > 0n) {
+    netShort = netShort + netLong > 0n ? netShort + netLong : 0n;
+    netLong = 0n;
+  }
+  const taxOn = (net, rate) =>
+    net > 0n ? divUnits(mulUnits(net, toUnits(Number(rate) || 0)), toUnits(100)) : 0n;
+  const tax = taxOn(netShort, shortTermRate) + taxOn(netLong, longTermRate);
+  return { tax: fromUnits(tax), netShort: fromUnits(netShort), netLong: fromUnits(netLong) };
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTax, holdingTerm, positionPnL, resolveLots } from './costBasis.js';
+
+const lot = (date, shares, price) => ({ date, shares, price });
+const lots = list => ({ mode: 'lots', averageCost: '', acquired: '', lots: list });
+
+describe('holdingTerm', () => {
+  it('turns long only after a full year has passed', () => {
+    expect(holdingTerm('2025-03-10', new Date(2026, 2, 9))).toBe('short');
+    expect(holdingTerm('2025-03-10', new Date(2026, 2, 10))).toBe('short');
+    expect(holdingTerm('2025-03-10', new Date(2026, 2, 11))).toBe('long');
+    // Bought on a leap day: the anniversary rolls over to 1 March.
+    expect(holdingTerm('2024-02-29', new Date(2025, 2, 1))).toBe('short');
+    expect(holdingTerm('2024-02-29', new Date(2025, 2, 2))).toBe('long');
+  });
+
+  it('treats an unknown acquisition date as short term', () => {
+    expect(holdingTerm('', new Date(2030, 0, 1))).toBe('short');
+    expect(holdingTerm('not a date', new Date(2030, 0, 1))).toBe('short');
+  });
+});
+
+describe('resolveLots', () => {
+  it('matches shares to lots oldest first, undated lots last', () => {
+    const basis = lots([
+      lot('', '5', '30'),
+      lot('2025-06-01', '4', '20'),
+      lot('2024-01-15', '3', '10'),
+      lot('2025-01-01', 'x', '15'),
+      lot('2025-01-02', '2', '')
+    ]);
+    expect(resolveLots(basis, 9)).toEqual({
+      lots: [
+        { shares: 3, price: 10, acquired: '2024-01-15' },
+        { shares: 4, price: 20, acquired: '2025-06-01' },
+        { shares: 2, price: 30, acquired: '' }
+      ],
+      uncoveredShares: 0
+    });
+  });
+
+  it('reports shares no lot covers', () => {
+    expect(resolveLots(lots([lot('2025-01-01', '2.5', '10')]), 4).uncoveredShares).toBe(1.5);
+    expect(resolveLots(lots([]), 4)).toEqual({ lots: [], uncoveredShares: 4 });
+    expect(resolveLots({ mode: 'average', averageCost: '', acquired: '', lots: [] }, 4)).toEqual({
+      lots: [],
+      uncoveredShares: 4
+    });
+  });
+
+  it('uses one lot at the average cost in average mode', () => {
+    const basis = { mode: 'average', averageCost: '12.5', acquired: '2025-01-01', lots: [] };
+    expect(resolveLots(basis, 8)).toEqual({
+      lots: [{ shares: 8, price: 12.5, acquired: '2025-01-01' }],
+      uncoveredShares: 0
+    });
+  });
+});
+
+describe('positionPnL', () => {
+  const saleDate = new Date(2026, 0, 15);
+
+  it('splits realized gains by holding term and skips uncovered shares', () => {
+    const pnl = positionPnL({
+      costBasis: lots([lot('2024-06-01', '10', '50'), lot('2025-09-01', '5', '80')]),
+      shares: 20,
+      currentPrice: 90,
+      targetPrice: 100,
+      saleDate
+    });
+    expect(pnl).toEqual({
+      costBasis: 900,
+      unrealized: 450,
+      realized: { short: 100, long: 500, total: 600 },
+      uncoveredShares: 5
+    });
+  });
+
+  it('leaves figures null when a price or the basis is unknown', () => {
+    const basis = lots([lot('2025-01-01', '1', '10')]);
+    expect(positionPnL({ costBasis: basis, shares: 1, currentPrice: null, targetPrice: null })).toEqual({
+      costBasis: 10,
+      unrealized: null,
+      realized: null,
+      uncoveredShares: 0
+    });
+    expect(positionPnL({ costBasis: lots([]), shares: 3, currentPrice: 1, targetPrice: 2 })).toEqual({
+      costBasis: null,
+      unrealized: null,
+      realized: null,
+      uncoveredShares: 3
+    });
+  });
+});
+
+describe('estimateTax', () => {
+  const rates = { shortTermRate: 30, longTermRate: 10 };
+
+  it('nets a loss in one term against a gain in the other', () => {
+    expect(estimateTax({ short: -200, long: 1000 }, rates)).toEqual({
+      tax: 80,
+      netShort: 0,
+      netLong: 800
+    });
+    expect(estimateTax({ short: 1000, long: -300 }, rates)).toEqual({
+      tax: 210,
+      netShort: 700,
+      netLong: 0
+    });
+    expect(estimateTax({ short: 500, long: 1000 }, rates).tax).toBe(250);
+  });
+
+  it('owes nothing on a net loss', () => {
+    expect(estimateTax({ short: 100, long: -300 }, rates)).toEqual({ tax: 0, netShort: 0, netLong: 0 });
+    expect(estimateTax({ short: -100, long: -300 }, rates).tax).toBe(0);
+  });
+});
+
+describe('decimal‑safe P/L', () => {
+  it('keeps cost, proceeds and gains exact where floats drift', () => {
+    // 0.1 + 0.2 is 0.30000000000000004 in binary floating point.
+    const pnl = positionPnL({
+      costBasis: { mode: 'lots', lots: [lot('2026-01-02', '1', '0.1'), lot('2026-01-05', '1', '0.2')] },
+      shares: 2,
+      currentPrice: 0.15,
+      targetPrice: 0.3,
+      saleDate: new Date(2026, 5, 1)
+    });
+    expect(pnl.costBasis).toBe(0.3);
+    expect(pnl.unrealized).toBe(0);
+    expect(pnl.realized).toEqual({ short: 0.3, long: 0, total: 0.3 });
+
+    // 3 × 0.1 is 0.30000000000000004 too.
+    const average = positionPnL({
+      costBasis: { mode: 'average', averageCost: '0.1', acquired: '' },
+      shares: 3,
+      currentPrice: 0.3,
+      targetPrice: null
+    });
+    expect(average.costBasis).toBe(0.3);
+    expect(average.unrealized).toBe(0.6);
+  });
+
+  it('estimates tax without float residue', () => {
+    // 0.3 − 0.1 is 0.19999999999999998 in floats.
+    expect(estimateTax({ short: 0.3, long: -0.1 }, { shortTermRate: 10, longTermRate: 0 })).toEqual({
+      tax: 0.02,
+      netShort: 0.2,
+      netLong: 0
+    });
+  });
+});
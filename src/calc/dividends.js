@@ -0,0 +1,92 @@
+import { parseDate } from '../utils/time.js';
+
+/*
+ * Dividend income.
+ *
+ * Works from the per‑ticker data fetched by services/dividendService.js:
+ * `{ history: [{ date, amount }], forwardRate, trailingRate }`, amounts
+ * per share in the quote currency.  The annual rate prefers Yahoo's
+ * forward rate and falls back to the payments of the last twelve
+ * months.  Expected payments repeat last year's schedule: a dividend
+ * paid in March last year is expected again this March, at an equal
+ * share of the annual rate.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// `YYYY-MM` of a local date (see parseDate).
+const monthKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// First day of the month `offset` months after the month of `date`.
+const addMonths = (date, offset) => new Date(date.getFullYear(), date.getMonth() + offset, 1);
+
+// Sum of the payments in the 365 days up to `today`.
+export function trailingRate(history = [], today = new Date()) {
+  const from = today.getTime() - 365 * MS_PER_DAY;
+  return history
+    .filter(payment => {
+      const time = parseDate(payment.date)?.getTime();
+      return time > from && time <= today.getTime();
+    })
+    .reduce((acc, payment) => acc + payment.amount, 0);
+}
+
+/*
+ * Annual dividend per share: `{ rate, basis }` where basis is
+ * 'forward' (Yahoo's indicated rate) or 'trailing' (paid in the last
+ * year), or null when the ticker pays nothing.
+ */
+export function annualRate(info, today = new Date()) {
+  if (!info) return null;
+  if (info.forwardRate > 0) return { rate: info.forwardRate, basis: 'forward' };
+  const trailing = trailingRate(info.history, today) || info.trailingRate;
+  return trailing > 0 ? { rate: trailing, basis: 'trailing' } : null;
+}
+
+// Months (`YYYY-MM`, within the twelve starting with the current one)
+// in which payments are expected, one entry per payment: last year's
+// payment months moved forward a year.  Empty when there is no recent
+// history to go by.
+export function payoutMonths(history = [], today = new Date()) {
+  const start = addMonths(today, 0);
+  const from = addMonths(today, -12);
+  return history
+    .map(payment => parseDate(payment.date))
+    .filter(date => date && date >= from && date < start)
+    .map(date => monthKey(addMonths(date, 12)));
+}
+
+/*
+ * Expected payouts for the next twelve months, starting with the
+ * current one.  `positions` is a list of `{ ticker, annualIncome,
+ * history }` with income in the base currency.  Each position's income
+ * is split evenly over its expected payments; without a payment
+ * history it is spread evenly over the months.  Returns
+ * `[{ month: 'YYYY-MM', amount, tickers }]`.
+ */
+export function payoutCalendar(positions, today = new Date()) {
+  const calendar = Array.from({ length: 12 }, (_, i) => ({
+    month: monthKey(addMonths(today, i)),
+    amount: 0,
+    tickers: []
+  }));
+  const byMonth = new Map(calendar.map(entry => [entry.month, entry]));
+  for (const position of positions) {
+    if (!(position.annualIncome > 0)) continue;
+    const months = payoutMonths(position.history, today);
+    const schedule = months.length > 0 ? months : calendar.map(entry => entry.month);
+    const payment = position.annualIncome / schedule.length;
+    for (const month of schedule) {
+      const entry = byMonth.get(month);
+      entry.amount += payment;
+      if (!entry.tickers.includes(position.ticker)) entry.tickers.push(position.ticker);
+    }
+  }
+  return calendar;
+}
+
+// Dividends received from `annualIncome` a year over `years`, without
+// reinvestment.  Zero when there is no horizon.
+export function accruedDividends(annualIncome, years) {
+  return annualIncome > 0 && years > 0 ? annualIncome * years : 0;
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { trailingRate, annualRate, payoutMonths, payoutCalendar, accruedDividends } from './dividends.js';
+
+const today = new Date(2025, 5, 15);
+const quarterly = [
+  { date: '2024-05-10', amount: 0.24 },
+  { date: '2024-08-09', amount: 0.25 },
+  { date: '2024-11-08', amount: 0.25 },
+  { date: '2025-02-07', amount: 0.25 },
+  { date: '2025-05-09', amount: 0.25 }
+];
+
+describe('annualRate', () => {
+  it('prefers the forward rate', () => {
+    expect(annualRate({ history: quarterly, forwardRate: 1.04 }, today)).toEqual({ rate: 1.04, basis: 'forward' });
+  });
+
+  it('falls back to the last twelve months of payments', () => {
+    expect(trailingRate(quarterly, today)).toBeCloseTo(1, 10);
+    expect(annualRate({ history: quarterly, forwardRate: null }, today).basis).toBe('trailing');
+    expect(annualRate({ history: [], forwardRate: null, trailingRate: 0.5 }, today).rate).toBe(0.5);
+    expect(annualRate({ history: [], forwardRate: null, trailingRate: null }, today)).toBeNull();
+  });
+});
+
+describe('payoutCalendar', () => {
+  it('repeats last year\'s payment months', () => {
+    expect(payoutMonths(quarterly, today)).toEqual(['2025-08', '2025-11', '2026-02', '2026-05']);
+    const calendar = payoutCalendar([{ ticker: 'AAPL', annualIncome: 100, history: quarterly }], today);
+    expect(calendar).toHaveLength(12);
+    expect(calendar[0].month).toBe('2025-06');
+    const paying = calendar.filter(entry => entry.amount > 0);
+    expect(paying.map(entry => [entry.month, entry.amount])).toEqual([
+      ['2025-08', 25],
+      ['2025-11', 25],
+      ['2026-02', 25],
+      ['2026-05', 25]
+    ]);
+    expect(paying[0].tickers).toEqual(['AAPL']);
+  });
+
+  it('spreads income evenly without a payment history', () => {
+    const calendar = payoutCalendar([{ ticker: 'X', annualIncome: 120, history: [] }], today);
+    expect(calendar.every(entry => entry.amount === 10)).toBe(true);
+  });
+});
+
+describe('accruedDividends', () => {
+  it('accrues income until the target date', () => {
+    expect(accruedDividends(100, 2.5)).toBe(250);
+    expect(accruedDividends(100, null)).toBe(0);
+  });
+});
@@ -0,0 +1,130 @@
+import { parseDate } from '../utils/time.js';
+
+/*
+ * Time‑horizon projections.
+ *
+ * Turns "current value → target value by a date" into an implied
+ * compound annual growth rate and a month‑by‑month path of projected
+ * portfolio value.  The path can include a recurring monthly
+ * contribution (dollar‑cost averaging) and a dividend yield that is
+ * either reinvested or accumulated as cash.  Dates are `YYYY-MM-DD`
+ * strings as produced by `<input type="date">`.
+ */
+
+export const DAYS_PER_YEAR = 365.25;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export function defaultHorizonSettings() {
+  return {
+    targetDate: '',
+    monthlyContribution: '',
+    dividendYield: '',
+    reinvestDividends: true,
+    includeDividends: false
+  };
+}
+
+// Years from `from` until the date string `value`, or null when the
+// date is missing, invalid or not in the future.
+export function yearsUntil(value, from = new Date()) {
+  const date = parseDate(value);
+  if (!date) return null;
+  const years = (date - from) / MS_PER_DAY / DAYS_PER_YEAR;
+  return years > 0 ? years : null;
+}
+
+// Compound annual growth rate, as a fraction, that turns `start` into
+// `end` over `years`.  Null when it is undefined (no start value, no
+// horizon, or a negative end value).
+export function cagr(start, end, years) {
+  if (!(start > 0) || !(years > 0) || !(end >= 0)) return null;
+  return Math.pow(end / start, 1 / years) - 1;
+}
+
+// Growth path positions for projected rows (see projection.js), which
+// start from rows with a current value and compound towards their
+// target.  With `includeDividends` the row targets already hold the
+// dividends accrued until the target date; the path pays dividends
+// itself at its own yield, so those are taken back out and the path
+// sees the price‑only target.
+export function growthPositions(rows, { includeDividends = false } = {}) {
+  return rows
+    .filter(r => r.currentValue > 0)
+    .map(r => ({
+      currentValue: r.currentValue,
+      targetValue: r.projected
+        ? r.targetValue - (includeDividends ? r.accruedDividends ?? 0 : 0)
+        : r.currentValue,
+      years: r.projected ? r.years : null
+    }));
+}
+
+/*
+ * Build the month‑by‑month growth path.
+ *
+ * `positions` is a list of `{ currentValue, targetValue, years }`.  Each
+ * position compounds at its own implied rate until its own horizon and
+ * is held flat at its target afterwards; positions without a horizon
+ * or target stay at their current value.  The path runs for
+ * `horizonYears`, rounded up to whole months.
+ *
+ * Contributions are added at the end of each month and grow at the
+ * portfolio's blended rate.  Dividends are paid monthly at
+ * `dividendYield` percent per year on the invested value; when
+ * reinvested they compound, otherwise they accumulate as cash.
+ *
+ * Returns `[{ month, date, holdings, contributed, dividends, total }]`
+ * where `holdings` is the price‑only value of today's positions.
+ */
+export function projectGrowthPath({
+  positions,
+  horizonYears,
+  monthlyContribution = 0,
+  dividendYield = 0,
+  reinvestDividends = true,
+  start = new Date()
+}) {
+  if (!(horizonYears > 0)) return [];
+  const months = Math.ceil(horizonYears * 12);
+  const currentTotal = positions.reduce((acc, p) => acc + p.currentValue, 0);
+  const targetTotal = positions.reduce(
+    (acc, p) => acc + (p.years > 0 ? p.targetValue : p.currentValue),
+    0
+  );
+  const blended = cagr(currentTotal, targetTotal, horizonYears) ?? 0;
+  const monthlyGrowth = Math.pow(1 + blended, 1 / 12) - 1;
+  const monthlyYield = (Number(dividendYield) || 0) / 100 / 12;
+  const contribution = Number(monthlyContribution) || 0;
+
+  const valueAt = (position, t) => {
+    if (!(position.years > 0)) return position.currentValue;
+    if (t >= position.years) return position.targetValue;
+    const rate = cagr(position.currentValue, position.targetValue, position.years);
+    return rate == null ? position.currentValue : position.currentValue * Math.pow(1 + rate, t);
+  };
+
+  const path = [];
+  // Value of contributions and reinvested dividends, growing at the
+  // blended rate, plus dividends paid out as cash.
+  let extra = 0;
+  let cash = 0;
+  let contributed = 0;
+  let dividends = 0;
+  for (let month = 0; month <= months; month++) {
+    const t = Math.min(month / 12, horizonYears);
+    const holdings = positions.reduce((acc, p) => acc + valueAt(p, t), 0);
+    if (month > 0) {
+      extra *= 1 + monthlyGrowth;
+      const paid = (holdings + extra) * monthlyYield;
+      dividends += paid;
+      if (reinvestDividends) extra += paid;
+      else cash += paid;
+      extra += contribution;
+      contributed += contribution;
+    }
+    const date = new Date(start);
+    date.setMonth(date.getMonth() + month);
+    path.push({ month, date, holdings, contributed, dividends, total: holdings + extra + cash });
+  }
+  return path;
+}
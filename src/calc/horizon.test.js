@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { cagr, growthPositions, projectGrowthPath, yearsUntil } from './horizon.js';
+import { projectRow } from './projection.js';
+import { blankCostBasis } from './costBasis.js';
+
+const today = new Date('2025-01-01T00:00:00Z');
+
+const flat = value => ({ currentValue: value, targetValue: value, years: null });
+
+describe('yearsUntil and cagr', () => {
+  it('measure future horizons and the rate that spans them', () => {
+    expect(yearsUntil('2027-01-01', new Date(2026, 0, 1))).toBeCloseTo(365 / 365.25, 12);
+    expect(yearsUntil('2025-06-01', new Date(2026, 0, 1))).toBeNull();
+    expect(yearsUntil('', new Date(2026, 0, 1))).toBeNull();
+    expect(cagr(1000, 1210, 2)).toBeCloseTo(0.1, 12);
+    expect(cagr(0, 1210, 2)).toBeNull();
+  });
+});
+
+describe('projectGrowthPath', () => {
+  const start = new Date(2026, 0, 1);
+
+  it('adds monthly contributions, which grow at the blended rate', () => {
+    const path = projectGrowthPath({
+      positions: [flat(1000)],
+      horizonYears: 1,
+      monthlyContribution: '100',
+      start
+    });
+    expect(path).toHaveLength(13);
+    expect(path[0]).toMatchObject({ month: 0, holdings: 1000, contributed: 0, total: 1000 });
+    expect(path[12]).toMatchObject({ month: 12, holdings: 1000, contributed: 1200, total: 2200 });
+    expect(path[12].date).toEqual(new Date(2027, 0, 1));
+
+    // At 10% a year each contribution compounds for the months left.
+    const growing = projectGrowthPath({
+      positions: [{ currentValue: 1000, targetValue: 1210, years: 2 }],
+      horizonYears: 2,
+      monthlyContribution: 100,
+      start
+    });
+    const monthly = Math.pow(1.1, 1 / 12) - 1;
+    const contributions = Array.from({ length: 24 }, (_, k) => 100 * Math.pow(1 + monthly, k));
+    const end = growing.at(-1);
+    expect(end.holdings).toBeCloseTo(1210, 9);
+    expect(end.contributed).toBe(2400);
+    expect(end.total).toBeCloseTo(1210 + contributions.reduce((acc, c) => acc + c, 0), 9);
+  });
+
+  it('compounds reinvested dividends and accumulates paid‑out ones as cash', () => {
+    const options = { positions: [flat(1200)], horizonYears: 1, dividendYield: '12', start };
+    // 1% a month on 1200, paid out: 12 every month.
+    const paidOut = projectGrowthPath({ ...options, reinvestDividends: false }).at(-1);
+    expect(paidOut.dividends).toBeCloseTo(144, 9);
+    expect(paidOut.total).toBeCloseTo(1344, 9);
+
+    // Reinvested, each month's dividend earns dividends too.
+    const reinvested = projectGrowthPath({ ...options, reinvestDividends: true }).at(-1);
+    expect(reinvested.total).toBeCloseTo(1200 * Math.pow(1.01, 12), 9);
+    expect(reinvested.dividends).toBeCloseTo(reinvested.total - 1200, 9);
+    expect(reinvested.holdings).toBe(1200);
+  });
+
+  it('moves each position towards its own target date and holds it there', () => {
+    const path = projectGrowthPath({
+      positions: [
+        { currentValue: 1000, targetValue: 2000, years: 1 },
+        { currentValue: 1000, targetValue: 1210, years: 2 },
+        flat(500)
+      ],
+      horizonYears: 2,
+      start
+    });
+    expect(path[0].holdings).toBe(2500);
+    // Half way: the first is done, the second is a year in at 10%.
+    expect(path[12].holdings).toBeCloseTo(2000 + 1100 + 500, 9);
+    expect(path[18].holdings).toBeCloseTo(2000 + 1000 * Math.pow(1.1, 1.5) + 500, 9);
+    expect(path[24].holdings).toBeCloseTo(2000 + 1210 + 500, 9);
+  });
+
+  it('rounds a fractional horizon up to whole months, capping time at the horizon', () => {
+    const path = projectGrowthPath({
+      positions: [{ currentValue: 1000, targetValue: 2000, years: 2 }],
+      horizonYears: 1.01,
+      start
+    });
+    expect(path).toHaveLength(14);
+    expect(path.at(-1).holdings).toBeCloseTo(1000 * Math.pow(2, 1.01 / 2), 9);
+  });
+
+  it('is empty without a horizon', () => {
+    expect(projectGrowthPath({ positions: [flat(1000)], horizonYears: 0 })).toEqual([]);
+    expect(projectGrowthPath({ positions: [flat(1000)], horizonYears: null })).toEqual([]);
+  });
+});
+
+// 10 AAPL at 100, target 120 in two years, paying 2 a share.
+const aapl = {
+  id: 'a',
+  ticker: 'AAPL',
+  shares: '10',
+  currentPrice: 100,
+  currency: null,
+  targetPrice: '120',
+  targetDate: '2027-01-01',
+  scenarioTargets: {},
+  costBasis: blankCostBasis()
+};
+const dividendRates = new Map([['AAPL', 2]]);
+
+describe('growth path with dividends included in targets', () => {
+  const row = projectRow(aapl, { dividendRates, includeDividends: true, today });
+
+  it('counts a dividend-paying row once', () => {
+    expect(row.targetValue).toBeCloseTo(1200 + row.accruedDividends, 6);
+    const [position] = growthPositions([row], { includeDividends: true });
+    expect(position.targetValue).toBeCloseTo(1200, 6);
+
+    // Without a yield of its own the path ends at the price‑only target.
+    const priceOnly = projectGrowthPath({
+      positions: [position],
+      horizonYears: row.years,
+      start: today
+    });
+    expect(priceOnly.at(-1).total).toBeCloseTo(1200, 6);
+    expect(priceOnly.at(-1).dividends).toBe(0);
+
+    // With one, the dividends it pays are the only ones on top.
+    const withYield = projectGrowthPath({
+      positions: [position],
+      horizonYears: row.years,
+      dividendYield: 2,
+      reinvestDividends: false,
+      start: today
+    });
+    const end = withYield.at(-1);
+    expect(end.holdings).toBeCloseTo(1200, 6);
+    expect(end.total).toBeCloseTo(1200 + end.dividends, 6);
+  });
+
+  it('keeps targets as they are when dividends are not included', () => {
+    const plain = projectRow(aapl, { dividendRates, today });
+    expect(plain.accruedDividends).toBeGreaterThan(0);
+    expect(growthPositions([plain])[0].targetValue).toBe(1200);
+  });
+});
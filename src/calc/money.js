@@ -0,0 +1,78 @@
+/*
+ * Decimal‑safe arithmetic for prices, share counts and amounts.
+ *
+ * Binary floating point cannot represent most decimals exactly, so
+ * `0.1 * 3` is 0.30000000000000004 and long sums drift.  Here values
+ * are held as BigInt counts of 10^-8 units: parsing, products and sums
+ * are exact to eight decimal places (enough for fractional shares and
+ * crypto prices) and results are rounded half away from zero.  Callers
+ * convert back to numbers only for display and charting.
+ */
+
+export const SCALE = 8;
+const FACTOR = 10n ** BigInt(SCALE);
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Divide and round half away from zero.
+function divRound(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const abs = remainder < 0n ? -remainder : remainder;
+  if (abs * 2n < denominator) return quotient;
+  return numerator < 0n ? quotient - 1n : quotient + 1n;
+}
+
+// Parse a number or decimal string into units.  Returns null for
+// blanks and for anything that is not a plain decimal ("12abc", "1e5",
+// NaN, Infinity).
+export function toUnits(value) {
+  if (value == null) return null;
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || Math.abs(value) >= 1e15) return null;
+    text = value.toFixed(SCALE + 1);
+  } else {
+    text = String(value).trim();
+  }
+  const match = DECIMAL.exec(text);
+  if (!match || (match[2] === '' && (match[3] ?? '') === '')) return null;
+  const [, sign, whole, fraction = ''] = match;
+  // Keep one extra digit so the last place can be rounded.
+  const digits = `${whole || '0'}${fraction.padEnd(SCALE + 1, '0').slice(0, SCALE + 1)}`;
+  const units = divRound(BigInt(digits), 10n);
+  return sign === '-' ? -units : units;
+}
+
+// Convert units back to a JavaScript number.
+export function fromUnits(units) {
+  if (units == null) return null;
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const text = `${abs / FACTOR}.${(abs % FACTOR).toString().padStart(SCALE, '0')}`;
+  return negative ? -Number(text) : Number(text);
+}
+
+export function mulUnits(a, b) {
+  return divRound(a * b, FACTOR);
+}
+
+export function divUnits(a, b) {
+  return divRound(a * FACTOR, b);
+}
+
+export function sumUnits(list) {
+  return list.reduce((acc, units) => acc + units, 0n);
+}
+
+// Exact product of decimal inputs, as a number.  Null when either
+// input is not a valid decimal.
+export function multiply(...values) {
+  const units = values.map(toUnits);
+  if (units.some(u => u == null)) return null;
+  return fromUnits(units.reduce((acc, u) => mulUnits(acc, u)));
+}
+
+// Exact sum of decimal inputs, as a number.  Nulls are skipped.
+export function sum(values) {
+  return fromUnits(sumUnits(values.map(toUnits).filter(u => u != null)));
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { toUnits, fromUnits, mulUnits, divUnits, multiply, sum } from './money.js';
+
+describe('toUnits', () => {
+  it('parses numbers and decimal strings', () => {
+    expect(toUnits('12')).toBe(1200000000n);
+    expect(toUnits(' 0.5 ')).toBe(50000000n);
+    expect(toUnits('.25')).toBe(25000000n);
+    expect(toUnits('-3.1')).toBe(-310000000n);
+    expect(toUnits(190.12)).toBe(19012000000n);
+  });
+
+  it('rounds beyond eight decimals half away from zero', () => {
+    expect(toUnits('0.000000005')).toBe(1n);
+    expect(toUnits('0.000000004999')).toBe(0n);
+    expect(toUnits('-0.000000005')).toBe(-1n);
+  });
+
+  it('rejects anything that is not a plain decimal', () => {
+    for (const value of ['', ' ', '.', 'abc', '12abc', '1e5', '1,5', NaN, Infinity, undefined, null]) {
+      expect(toUnits(value)).toBeNull();
+    }
+  });
+});
+
+describe('fromUnits', () => {
+  it('round-trips values', () => {
+    expect(fromUnits(toUnits('1234.56789'))).toBe(1234.56789);
+    expect(fromUnits(toUnits('-0.01'))).toBe(-0.01);
+    expect(fromUnits(null)).toBeNull();
+  });
+});
+
+describe('arithmetic', () => {
+  it('avoids binary floating point drift', () => {
+    expect(0.1 * 3).not.toBe(0.3);
+    expect(multiply(0.1, 3)).toBe(0.3);
+    expect(multiply('190.12', '7')).toBe(1330.84);
+    expect(sum([0.1, 0.2])).toBe(0.3);
+    expect(sum(Array(10).fill(0.1))).toBe(1);
+  });
+
+  it('multiplies and divides units with rounding', () => {
+    expect(mulUnits(toUnits('1.5'), toUnits('1.5'))).toBe(toUnits('2.25'));
+    expect(divUnits(toUnits('1'), toUnits('3'))).toBe(33333333n);
+    expect(divUnits(toUnits('2'), toUnits('3'))).toBe(66666667n);
+  });
+
+  it('returns null for invalid operands', () => {
+    expect(multiply('abc', 2)).toBeNull();
+    expect(sum(['1', 'x', null, '2'])).toBe(3);
+  });
+});
@@ -0,0 +1,200 @@
+import { createRng, createNormalRng } from './random.js';
+import { intersectSeries, logReturns, mean, stdev, quantileSorted } from './series.js';
+
+/*
+ * Monte Carlo simulation of portfolio outcomes.
+ *
+ * Daily log returns are estimated from historical closes, including
+ * the correlations between positions.  Paths are generated as
+ * correlated geometric Brownian motion: each day a vector of
+ * independent normals is multiplied by the Cholesky factor of the
+ * correlation matrix, scaled by each position's volatility and added
+ * to its drift.  Everything here is pure and deterministic for a given
+ * seed, so it runs equally well in a Web Worker or a test.
+ */
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+/*
+ * Estimate daily drift, volatility and the correlation matrix from
+ * `{ date, close }` series, one per position.  Returns
+ * `{ drift: number[], volatility: number[], correlation: number[][],
+ * observations }` where observations is the number of aligned returns.
+ */
+export function estimateParameters(seriesList) {
+  const { closes } = intersectSeries(seriesList);
+  const returns = closes.map(logReturns);
+  const observations = returns[0]?.length ?? 0;
+  const drift = returns.map(mean);
+  const volatility = returns.map(stdev);
+  const n = returns.length;
+  const correlation = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => {
+      if (i === j) return 1;
+      if (!volatility[i] || !volatility[j] || observations < 2) return 0;
+      let cov = 0;
+      for (let k = 0; k < observations; k++) {
+        cov += (returns[i][k] - drift[i]) * (returns[j][k] - drift[j]);
+      }
+      cov /= observations - 1;
+      return Math.max(-1, Math.min(1, cov / (volatility[i] * volatility[j])));
+    })
+  );
+  return { drift, volatility, correlation, observations };
+}
+
+/*
+ * Lower‑triangular Cholesky factor of a symmetric matrix.  Sample
+ * correlation matrices can be very slightly indefinite because of
+ * rounding; when a pivot is not positive, a growing ridge is added to
+ * the diagonal and the factorization retried.
+ */
+export function cholesky(matrix) {
+  const n = matrix.length;
+  for (let ridge = 0; ridge < 1; ridge = ridge ? ridge * 10 : 1e-10) {
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+    let ok = true;
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j] + (i === j ? ridge : 0);
+        for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+        if (i === j) {
+          if (sum <= 0) {
+            ok = false;
+            break;
+          }
+          L[i][j] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+    if (ok) return L;
+  }
+  throw new Error('Correlation matrix is not positive definite');
+}
+
+/*
+ * Run the simulation.
+ *
+ *   positions   [{ ticker, shares, price, target }]  (target may be null)
+ *   drift, volatility, correlation   from estimateParameters
+ *   days        horizon in trading days
+ *   paths       number of simulated paths
+ *   seed        any string or number; same seed → same result
+ *   useDrift    false to simulate with zero drift (pure volatility)
+ *   sampleEvery record percentile bands every N days to keep the
+ *               result small; the final day is always included
+ *
+ * Returns:
+ *   bands       [{ day, p5, p50, p95 }] of portfolio value
+ *   final       { p5, p50, p95, mean } of portfolio value at the horizon
+ *   var95, var99  value at risk at the horizon: the loss versus today's
+ *               value not exceeded with 95% / 99% confidence (≥ 0)
+ *   positions   [{ ticker, probTouch, probEnd }] probability that the
+ *               price touches the target during the horizon, and that
+ *               it ends at or beyond it (direction taken from whether
+ *               the target is above or below today's price)
+ */
+export function simulate({
+  positions,
+  drift,
+  volatility,
+  correlation,
+  days,
+  paths,
+  seed,
+  useDrift = true,
+  sampleEvery = 5
+}) {
+  const n = positions.length;
+  const L = cholesky(correlation);
+  const normal = createNormalRng(createRng(seed));
+  const startValue = positions.reduce((acc, p) => acc + p.shares * p.price, 0);
+
+  const sampleDays = [];
+  for (let day = 0; day <= days; day += sampleEvery) sampleDays.push(day);
+  if (sampleDays[sampleDays.length - 1] !== days) sampleDays.push(days);
+  const sampleIndex = new Map(sampleDays.map((day, i) => [day, i]));
+  const samples = sampleDays.map(() => new Float64Array(paths));
+
+  const touched = new Array(n).fill(0);
+  const endedBeyond = new Array(n).fill(0);
+  const above = positions.map(p => p.target != null && p.target >= p.price);
+
+  const logPrice = new Float64Array(n);
+  const hit = new Uint8Array(n);
+  const z = new Float64Array(n);
+  const mu = positions.map((_, i) => (useDrift ? drift[i] : 0));
+
+  for (let path = 0; path < paths; path++) {
+    for (let i = 0; i < n; i++) {
+      logPrice[i] = Math.log(positions[i].price);
+      hit[i] = 0;
+    }
+    samples[0][path] = startValue;
+    for (let day = 1; day <= days; day++) {
+      for (let i = 0; i < n; i++) z[i] = normal();
+      let value = 0;
+      for (let i = 0; i < n; i++) {
+        let shock = 0;
+        for (let k = 0; k <= i; k++) shock += L[i][k] * z[k];
+        logPrice[i] += mu[i] + volatility[i] * shock;
+        const price = Math.exp(logPrice[i]);
+        value += positions[i].shares * price;
+        const target = positions[i].target;
+        if (target != null && !hit[i] && (above[i] ? price >= target : price <= target)) {
+          hit[i] = 1;
+        }
+      }
+      if (sampleIndex.has(day)) samples[sampleIndex.get(day)][path] = value;
+    }
+    for (let i = 0; i < n; i++) {
+      touched[i] += hit[i];
+      const target = positions[i].target;
+      const price = Math.exp(logPrice[i]);
+      if (target != null && (above[i] ? price >= target : price <= target)) endedBeyond[i] += 1;
+    }
+  }
+
+  const bands = sampleDays.map((day, i) => {
+    const sorted = Float64Array.from(samples[i]).sort();
+    return {
+      day,
+      p5: quantileSorted(sorted, 0.05),
+      p50: quantileSorted(sorted, 0.5),
+      p95: quantileSorted(sorted, 0.95)
+    };
+  });
+  const finalSorted = Float64Array.from(samples[samples.length - 1]).sort();
+  const finalMean = finalSorted.reduce((acc, v) => acc + v, 0) / paths;
+
+  return {
+    startValue,
+    bands,
+    final: {
+      p5: quantileSorted(finalSorted, 0.05),
+      p50: quantileSorted(finalSorted, 0.5),
+      p95: quantileSorted(finalSorted, 0.95),
+      mean: finalMean
+    },
+    var95: Math.max(0, startValue - quantileSorted(finalSorted, 0.05)),
+    var99: Math.max(0, startValue - quantileSorted(finalSorted, 0.01)),
+    positions: positions.map((p, i) => ({
+      ticker: p.ticker,
+      probTouch: p.target != null ? touched[i] / paths : null,
+      probEnd: p.target != null ? endedBeyond[i] / paths : null
+    }))
+  };
+}
+
+// Full pipeline used by the worker: estimate parameters from history,
+// then simulate.  `history` is one `{ date, close }` series per
+// position, in the same order as `positions`.
+export function runMonteCarlo({ positions, history, ...options }) {
+  const params = estimateParameters(history);
+  if (params.observations < 20) {
+    throw new Error('Not enough overlapping price history to estimate volatility');
+  }
+  return { ...simulate({ positions, ...params, ...options }), parameters: params };
+}
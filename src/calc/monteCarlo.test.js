@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { cholesky, simulate } from './monteCarlo.js';
+import { createRng } from './random.js';
+
+const positions = [
+  { ticker: 'AAA', shares: 10, price: 100, target: 120 },
+  { ticker: 'BBB', shares: 5, price: 50, target: 40 }
+];
+const params = {
+  drift: [0.0004, 0.0002],
+  volatility: [0.02, 0.03],
+  correlation: [
+    [1, 0.5],
+    [0.5, 1]
+  ]
+};
+const run = seed => simulate({ positions, ...params, days: 60, paths: 400, seed });
+
+describe('createRng', () => {
+  it('repeats its sequence for a seed', () => {
+    const a = createRng('abc');
+    const b = createRng('abc');
+    const c = createRng('abd');
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, c)).not.toEqual(first);
+    expect(first.every(x => x >= 0 && x < 1)).toBe(true);
+  });
+});
+
+describe('simulate', () => {
+  it('gives identical results for the same seed and different ones otherwise', () => {
+    expect(run(42)).toEqual(run(42));
+    expect(run(43).final).not.toEqual(run(42).final);
+  });
+
+  it('orders percentiles and value at risk', () => {
+    const result = run('order');
+    expect(result.startValue).toBe(1250);
+    for (const band of result.bands) {
+      expect(band.p5).toBeLessThanOrEqual(band.p50);
+      expect(band.p50).toBeLessThanOrEqual(band.p95);
+    }
+    expect(result.final.p5).toBeLessThanOrEqual(result.final.p50);
+    expect(result.final.p50).toBeLessThanOrEqual(result.final.p95);
+    expect(result.var95).toBeGreaterThanOrEqual(0);
+    expect(result.var99).toBeGreaterThanOrEqual(result.var95);
+    expect(result.bands[result.bands.length - 1].day).toBe(60);
+    for (const p of result.positions) {
+      expect(p.probEnd).toBeLessThanOrEqual(p.probTouch);
+    }
+  });
+});
+
+describe('cholesky', () => {
+  it('factors a correlation matrix', () => {
+    const L = cholesky(params.correlation);
+    expect(L[0]).toEqual([1, 0]);
+    expect(L[1][0]).toBeCloseTo(0.5, 12);
+    expect(L[1][1]).toBeCloseTo(Math.sqrt(0.75), 12);
+  });
+
+  it('adds a ridge to a near-singular matrix instead of failing', () => {
+    // Two perfectly correlated positions plus rounding that makes the
+    // matrix slightly indefinite.
+    const matrix = [
+      [1, 1 + 1e-12, 0.3],
+      [1 + 1e-12, 1, 0.3],
+      [0.3, 0.3, 1]
+    ];
+    const L = cholesky(matrix);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j <= i; j++) {
+        const product = L[i].reduce((acc, v, k) => acc + v * L[j][k], 0);
+        expect(product).toBeCloseTo(matrix[i][j], 4);
+      }
+      expect(L[i].every(Number.isFinite)).toBe(true);
+    }
+  });
+
+  it('rejects a matrix that is far from positive definite', () => {
+    expect(() =>
+      cholesky([
+        [1, 2],
+        [2, 1]
+      ])
+    ).toThrow(/not positive definite/);
+  });
+});
@@ -0,0 +1,59 @@
+import { logReturns, stdev } from './series.js';
+import { TRADING_DAYS_PER_YEAR } from './monteCarlo.js';
+
+/*
+ * Historical performance of the current holdings.
+ *
+ * The portfolio is valued as if today's share counts had been held for
+ * the whole range, which shows how the present mix would have done
+ * rather than what the account actually earned.  Series are expected
+ * on a common calendar (see alignSeries in series.js).
+ */
+
+// Daily portfolio value: Σ shares × close × fx for each position.
+// `closes[i][j]` is the close of position i on day j.
+export function portfolioValues(closes, positions) {
+  if (closes.length === 0) return [];
+  return closes[0].map((_, day) =>
+    positions.reduce((acc, p, i) => acc + p.shares * closes[i][day] * (p.fxRate ?? 1), 0)
+  );
+}
+
+// Rescale a series so that it starts at `base` (100 by default).
+export function normalizeTo(values, base = 100) {
+  const first = values.find(v => v > 0);
+  return first ? values.map(v => (v / first) * base) : values.map(() => null);
+}
+
+// Return over the whole series, as a fraction.
+export function totalReturn(values) {
+  if (values.length < 2 || !(values[0] > 0)) return null;
+  return values[values.length - 1] / values[0] - 1;
+}
+
+// Largest peak‑to‑trough fall, as a negative fraction (0 when the
+// series never fell).
+export function maxDrawdown(values) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of values) {
+    if (value > peak) peak = value;
+    if (peak > 0) worst = Math.min(worst, value / peak - 1);
+  }
+  return worst;
+}
+
+// Annualized volatility of daily log returns.
+export function annualizedVolatility(values) {
+  const returns = logReturns(values);
+  return returns.length < 2 ? null : stdev(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+}
+
+// The three headline statistics for a value series.
+export function performanceStats(values) {
+  return {
+    totalReturn: totalReturn(values),
+    maxDrawdown: values.length ? maxDrawdown(values) : null,
+    volatility: annualizedVolatility(values)
+  };
+}
@@ -0,0 +1,378 @@
+import { toUnits, fromUnits, mulUnits, sumUnits, divUnits } from './money.js';
+import { positionPnL } from './costBasis.js';
+import { cagr, yearsUntil } from './horizon.js';
+import { rowScenarioValues } from './scenarios.js';
+import { accruedDividends } from './dividends.js';
+import { parseDate } from '../utils/time.js';
+import {
+  ASSET_TYPES,
+  assetTypeOf,
+  blankOption,
+  cashCurrency,
+  isSecurity,
+  quoteSymbol,
+  rowCurrency
+} from './assetTypes.js';
+
+/*
+ * The projection engine: per‑position values and portfolio totals.
+ *
+ * Framework‑free and pure, so it can be unit tested (see
+ * projection.test.js).  Every row is validated first and problems are
+ * reported as `issues` – `{ code, message }` – instead of being turned
+ * into zeros:
+ *
+ *   empty           blank row (no ticker, no shares); ignored quietly
+ *   missing-ticker  shares entered but no ticker
+ *   missing-shares  no share count
+ *   invalid-shares  share count is not a number ≥ 0
+ *   missing-price   no current price fetched yet (or the fetch failed)
+ *   missing-fx      no rate from the quote currency to the base currency
+ *   invalid-target  target price is not a number ≥ 0
+ *   missing-target  no target price
+ *
+ * and, for the other asset types (see assetTypes.js):
+ *
+ *   invalid-currency    cash row whose ticker is not a currency code
+ *   invalid-rate        cash interest rate is not a number ≥ 0
+ *   missing-strike      option without a strike
+ *   invalid-strike      strike is not a number ≥ 0
+ *   invalid-multiplier  contract multiplier is not a number ≥ 0
+ *   invalid-premium     option price is not a number ≥ 0
+ *
+ * A row is *valued* when it has a ticker, valid shares, a price and an
+ * FX rate; only valued rows count towards the current total.  A valued
+ * row is *projected* when it also has a valid target (cash rows always
+ * are: their target is the balance with interest); only projected
+ * rows count towards the target total, and the gain and return compare
+ * the target total with the current value of those same rows, so a row
+ * without a target can no longer inflate or deflate the projection.
+ *
+ * Money is computed with the decimal helpers in money.js and returned
+ * as plain numbers.  Prices, targets and cost basis are in the row's
+ * quote currency; every value is converted into the base currency.  A
+ * row with no known currency is assumed to be quoted in the base
+ * currency.
+ *
+ * Stocks and crypto are worth shares × price.  Cash is worth its
+ * balance today and the balance compounded at its interest rate at the
+ * target date.  Options are worth contracts × multiplier × the option
+ * price today (its intrinsic value when no price is entered) and
+ * contracts × multiplier × the intrinsic value at the underlying's
+ * target price at expiry, which also serves as their target date.  Cost
+ * basis P/L only applies to stocks and crypto.
+ *
+ * Stocks and crypto with a known annual dividend rate (see
+ * dividends.js) also get their annual income, its yield on current
+ * value and on cost, and the dividends accrued until the target date;
+ * with `includeDividends` those accrued dividends are added to the
+ * target value.
+ */
+
+export const ISSUE_MESSAGES = {
+  empty: 'Empty row',
+  'missing-ticker': 'No ticker',
+  'missing-shares': 'No share count',
+  'invalid-shares': 'Shares must be a number ≥ 0',
+  'missing-price': 'No current price',
+  'missing-fx': 'No exchange rate',
+  'invalid-target': 'Target price must be a number ≥ 0',
+  'missing-target': 'No target price',
+  'invalid-currency': 'Cash needs a currency code such as USD',
+  'invalid-rate': 'Interest rate must be a number ≥ 0',
+  'missing-strike': 'No strike price',
+  'invalid-strike': 'Strike must be a number ≥ 0',
+  'invalid-multiplier': 'Multiplier must be a number ≥ 0',
+  'invalid-premium': 'Option price must be a number ≥ 0'
+};
+
+const issue = (code, message = ISSUE_MESSAGES[code]) => ({ code, message });
+
+// Parse a user‑entered non‑negative decimal.  Returns
+// `{ units, error }` where `error` is 'missing' or 'invalid'.
+export function parseAmount(value) {
+  if (value === '' || value == null) return { units: null, error: 'missing' };
+  const units = toUnits(value);
+  if (units == null || units < 0n) return { units: null, error: 'invalid' };
+  return { units, error: null };
+}
+
+// Parse the type‑specific fields of a row, adding any problems to
+// `issues`.  Amounts are decimal units.
+function parseTerms(asset, type, issues) {
+  if (type === 'cash') {
+    const rate = parseAmount(asset.interestRate);
+    if (rate.error === 'invalid') issues.push(issue('invalid-rate'));
+    return { rate: rate.units ?? 0n };
+  }
+  if (type === 'option') {
+    const option = { ...blankOption(), ...asset.option };
+    const strike = parseAmount(option.strike);
+    if (strike.error) issues.push(issue(`${strike.error}-strike`));
+    const multiplier = parseAmount(option.multiplier);
+    if (multiplier.error === 'invalid') issues.push(issue('invalid-multiplier'));
+    const premium = parseAmount(option.premium);
+    if (premium.error === 'invalid') issues.push(issue('invalid-premium'));
+    return {
+      right: option.right === 'put' ? 'put' : 'call',
+      strike: strike.units,
+      multiplier: multiplier.units ?? toUnits(100),
+      premium: premium.units,
+      expiry: option.expiry
+    };
+  }
+  return {};
+}
+
+// Check a row and collect its issues.  Returns the parsed shares,
+// target, FX rate and type‑specific terms alongside, as decimal units
+// (null when missing).
+export function validateRow(asset, { fxRates = new Map(), baseCurrency = 'USD' } = {}) {
+  const issues = [];
+  const type = assetTypeOf(asset);
+  const ticker = (asset.ticker ?? '').trim();
+  const shares = parseAmount(asset.shares);
+  if (!ticker && shares.error === 'missing') {
+    return { issues: [issue('empty')], shares: null, target: null, fx: null, terms: {} };
+  }
+  if (!ticker) issues.push(issue('missing-ticker'));
+  if (shares.error) issues.push(issue(`${shares.error}-shares`));
+  if (type === 'cash') {
+    if (ticker && !cashCurrency(asset)) issues.push(issue('invalid-currency'));
+  } else {
+    const price = asset.currentPrice != null ? toUnits(asset.currentPrice) : null;
+    if (ticker && (price == null || price <= 0n)) issues.push(issue('missing-price'));
+  }
+  let fx = toUnits(1);
+  const currency = rowCurrency(asset);
+  if (currency && currency !== baseCurrency) {
+    const rate = fxRates.get(currency);
+    fx = rate > 0 ? toUnits(rate) : null;
+    if (fx == null) {
+      issues.push(issue('missing-fx', `No ${baseCurrency} rate for ${currency}`));
+    }
+  }
+  const terms = parseTerms(asset, type, issues);
+  // Cash has no target price; its target follows from the interest rate.
+  const target = type === 'cash' ? { units: null, error: null } : parseAmount(asset.targetPrice);
+  if (target.error) issues.push(issue(`${target.error}-target`));
+  return { issues, shares: shares.units, target: target.units, fx, terms };
+}
+
+// Issues that keep a row out of the current total.
+const VALUE_BLOCKERS = new Set([
+  'empty',
+  'missing-ticker',
+  'missing-shares',
+  'invalid-shares',
+  'missing-price',
+  'missing-fx',
+  'invalid-currency',
+  'invalid-rate',
+  'missing-strike',
+  'invalid-strike',
+  'invalid-multiplier',
+  'invalid-premium'
+]);
+
+// Intrinsic value of one option per underlying share at `price`.
+function intrinsic({ right, strike }, price) {
+  const value = right === 'put' ? strike - price : price - strike;
+  return value > 0n ? value : 0n;
+}
+
+// Growth of one unit of cash at `rate` % a year, compounded annually,
+// over `years` (none when there is no target date).
+function interestFactor(rate, years) {
+  return toUnits((1 + fromUnits(rate) / 100) ** Math.max(years ?? 0, 0));
+}
+
+/*
+ * Project one asset row.  `context` is
+ *   { fxRates, baseCurrency, horizon, scenarios, scenarioWeightMap,
+ *     dividendRates, includeDividends, today }
+ * where `dividendRates` maps quote symbols to annual dividends per
+ * share.  Returns the asset with derived fields added: `issues`,
+ * `valued`, `projected`, `fxRate`, `quoteCurrency`, `currentValue`,
+ * `targetValue`, `gain`, `returnPct`, scenario values, target date,
+ * CAGR, cost basis P/L and dividend income.  Values that cannot be
+ * computed are null.
+ */
+export function projectRow(asset, context = {}) {
+  const {
+    baseCurrency = 'USD',
+    horizon = {},
+    scenarios = [],
+    scenarioWeightMap = {},
+    dividendRates = new Map(),
+    includeDividends = false,
+    today = new Date()
+  } = context;
+  const type = assetTypeOf(asset);
+  const { issues, shares, target, fx, terms } = validateRow(asset, context);
+  const valued = !issues.some(i => VALUE_BLOCKERS.has(i.code));
+  const projected = valued && (type === 'cash' || target != null);
+  const toBase = units => (units == null || fx == null ? null : mulUnits(units, fx));
+
+  // An option's expiry is its target date.  Otherwise the row's own
+  // target date wins over the portfolio's.  The implied annual growth
+  // rate needs a price, a target and a date.
+  const targetDate =
+    (type === 'option' && terms.expiry) || asset.targetDate || horizon.targetDate || '';
+  const years = yearsUntil(targetDate, today);
+  const sharesNum = fromUnits(shares) ?? 0;
+
+  // Value of one share, contract or unit of cash at a given price.
+  const unitValue = price => (type === 'option' ? mulUnits(terms.multiplier, intrinsic(terms, price)) : price);
+  const currentUnit = () => {
+    if (type === 'cash') return toUnits(1);
+    if (type === 'option' && terms.premium != null) return mulUnits(terms.multiplier, terms.premium);
+    return unitValue(toUnits(asset.currentPrice));
+  };
+  const targetUnit = () => (type === 'cash' ? interestFactor(terms.rate, years) : unitValue(target));
+
+  // Dividend income in the base currency, per year and until the
+  // target date.
+  const dividendRate = isSecurity(asset) ? toUnits(dividendRates.get(quoteSymbol(asset))) : null;
+  const income = valued && dividendRate > 0n ? toBase(mulUnits(shares, dividendRate)) : null;
+  const accrued = income != null ? toUnits(accruedDividends(fromUnits(income), years)) : null;
+
+  const current = valued ? toBase(mulUnits(shares, currentUnit())) : null;
+  let targetUnits = projected ? toBase(mulUnits(shares, targetUnit())) : null;
+  if (includeDividends && targetUnits != null && accrued != null) targetUnits += accrued;
+  const gain = projected ? targetUnits - current : null;
+
+  const currentValue = fromUnits(current);
+  const targetValue = fromUnits(targetUnits);
+
+  // Profit and loss against the recorded cost basis, assuming the
+  // position is sold at the target price on the target date (or today
+  // when no date is set).
+  const pnl = shares != null && isSecurity(asset)
+    ? positionPnL({
+        costBasis: asset.costBasis,
+        shares: sharesNum,
+        currentPrice: asset.currentPrice,
+        targetPrice: target != null ? fromUnits(target) : null,
+        saleDate: parseDate(targetDate) ?? today
+      })
+    : { costBasis: null, unrealized: null, realized: null, uncoveredShares: 0 };
+  // Value under each named scenario and the probability‑weighted
+  // expected value.  Cash ignores scenarios.
+  const convert = value => (value == null || fx == null ? null : fromUnits(toBase(toUnits(value))));
+  let scenarioResult = { values: {}, expected: null };
+  if (valued && type === 'cash') {
+    const value = fromUnits(mulUnits(shares, targetUnit()));
+    scenarioResult = {
+      values: Object.fromEntries(scenarios.map(scenario => [scenario.id, value])),
+      expected: scenarios.length > 0 ? value : null
+    };
+  } else if (valued) {
+    scenarioResult = rowScenarioValues(
+      asset,
+      sharesNum,
+      scenarios,
+      scenarioWeightMap,
+      price => fromUnits(unitValue(toUnits(price)))
+    );
+  }
+
+  return {
+    ...asset,
+    assetType: type,
+    quoteSymbol: quoteSymbol(asset),
+    issues,
+    valued,
+    projected,
+    fxRate: fromUnits(fx),
+    quoteCurrency: rowCurrency(asset) ?? baseCurrency,
+    currentValue,
+    targetValue,
+    gain: fromUnits(gain),
+    returnPct: projected && current > 0n ? (fromUnits(gain) / currentValue) * 100 : null,
+    scenarioValues: Object.fromEntries(
+      Object.entries(scenarioResult.values).map(([id, value]) => [id, convert(value)])
+    ),
+    expectedValue: convert(scenarioResult.expected),
+    effectiveTargetDate: targetDate,
+    years,
+    cagr: projected ? cagr(currentValue, targetValue, years) : null,
+    costBasisValue: convert(pnl.costBasis),
+    unrealizedPnL: convert(pnl.unrealized),
+    realizedPnL: pnl.realized && {
+      short: convert(pnl.realized.short),
+      long: convert(pnl.realized.long),
+      total: convert(pnl.realized.total)
+    },
+    uncoveredShares: pnl.uncoveredShares,
+    annualIncome: fromUnits(income),
+    accruedDividends: fromUnits(accrued),
+    yieldOnValue: income != null && current > 0n ? fromUnits(divUnits(income * 100n, current)) : null,
+    yieldOnCost:
+      income != null && pnl.costBasis > 0
+        ? (fromUnits(income) / convert(pnl.costBasis)) * 100
+        : null
+  };
+}
+
+// Current, target and gain totals over a list of rows.
+function totals(rows) {
+  const valued = rows.filter(r => r.valued);
+  const projected = rows.filter(r => r.projected);
+  const units = (list, field) => sumUnits(list.map(r => toUnits(r[field])));
+  const current = units(valued, 'currentValue');
+  const target = units(projected, 'targetValue');
+  const base = units(projected, 'currentValue');
+  const gain = target - base;
+  return {
+    currentTotal: fromUnits(current),
+    targetTotal: fromUnits(target),
+    targetBase: fromUnits(base),
+    gainTotal: fromUnits(gain),
+    returnPct: base > 0n ? fromUnits(divUnits(gain * 100n, base)) : null
+  };
+}
+
+// Value of a row in the base currency if its price (the underlying's,
+// for options) were `price` today: no horizon, interest or dividends.
+// Null when the row cannot be valued.
+export function valueAtPrice(asset, price, context = {}) {
+  const row = projectRow(
+    {
+      ...asset,
+      targetPrice: price.toFixed(8),
+      targetDate: '',
+      option: { ...blankOption(), ...asset.option, expiry: '' }
+    },
+    { ...context, horizon: {}, scenarios: [], includeDividends: false }
+  );
+  return row.targetValue;
+}
+
+/*
+ * Portfolio totals over projected rows.  Returns
+ *   { currentTotal, targetTotal, targetBase, gainTotal, returnPct, byType, excluded }
+ * where `targetBase` is the current value of the rows in `targetTotal`,
+ * `byType` holds the same totals per asset type (`{ type, count, … }`,
+ * in ASSET_TYPES order, for types with a valued row) and `excluded`
+ * lists `{ id, ticker, issues }` for every non‑empty row left out of
+ * either total.
+ */
+export function summarize(rows) {
+  return {
+    ...totals(rows),
+    byType: ASSET_TYPES.map(({ id }) => {
+      const ofType = rows.filter(r => r.valued && assetTypeOf(r) === id);
+      return { type: id, count: ofType.length, ...totals(ofType) };
+    }).filter(group => group.count > 0),
+    excluded: rows
+      .filter(r => !r.projected && !r.issues.some(i => i.code === 'empty'))
+      .map(r => ({ id: r.id, ticker: r.ticker, issues: r.issues }))
+  };
+}
+
+// Project every row and total them.
+export function projectPortfolio(assets, context) {
+  const rows = assets.map(asset => projectRow(asset, context));
+  return { rows, ...summarize(rows) };
+}
@@ -0,0 +1,272 @@
+import { describe, it, expect } from 'vitest';
+import { parseAmount, validateRow, projectRow, summarize, projectPortfolio } from './projection.js';
+import { blankCostBasis } from './costBasis.js';
+
+const asset = overrides => ({
+  id: 'a',
+  ticker: 'AAPL',
+  shares: '10',
+  currentPrice: 100,
+  currency: null,
+  targetPrice: '120',
+  targetDate: '',
+  scenarioTargets: {},
+  costBasis: blankCostBasis(),
+  ...overrides
+});
+
+const codes = row => row.issues.map(i => i.code);
+const today = new Date('2025-01-01T00:00:00Z');
+
+describe('parseAmount', () => {
+  it('distinguishes missing from invalid input', () => {
+    expect(parseAmount('')).toEqual({ units: null, error: 'missing' });
+    expect(parseAmount(undefined).error).toBe('missing');
+    expect(parseAmount('abc').error).toBe('invalid');
+    expect(parseAmount('10abc').error).toBe('invalid');
+    expect(parseAmount('-1').error).toBe('invalid');
+    expect(parseAmount('0').error).toBeNull();
+  });
+});
+
+describe('validateRow', () => {
+  it('reports a blank row as empty and nothing else', () => {
+    expect(validateRow(asset({ ticker: '', shares: '' })).issues.map(i => i.code)).toEqual(['empty']);
+  });
+
+  it('reports each problem instead of zeroing it', () => {
+    const { issues } = validateRow(asset({ ticker: '', shares: 'x', targetPrice: '-5' }));
+    expect(issues.map(i => i.code)).toEqual(['missing-ticker', 'invalid-shares', 'invalid-target']);
+  });
+
+  it('requires a price for a ticker', () => {
+    expect(codes(validateRow(asset({ currentPrice: null })))).toContain('missing-price');
+    expect(codes(validateRow(asset({ currentPrice: 0 })))).toContain('missing-price');
+  });
+
+  it('requires an FX rate for foreign currencies', () => {
+    const context = { baseCurrency: 'USD', fxRates: new Map([['USD', 1]]) };
+    const { issues } = validateRow(asset({ currency: 'EUR' }), context);
+    expect(issues).toEqual([{ code: 'missing-fx', message: 'No USD rate for EUR' }]);
+    expect(validateRow(asset({ currency: 'USD' }), context).issues).toEqual([]);
+  });
+});
+
+describe('projectRow', () => {
+  it('computes values, gain and return', () => {
+    const row = projectRow(asset(), { today });
+    expect(row.valued).toBe(true);
+    expect(row.projected).toBe(true);
+    expect(row.currentValue).toBe(1000);
+    expect(row.targetValue).toBe(1200);
+    expect(row.gain).toBe(200);
+    expect(row.returnPct).toBe(20);
+  });
+
+  it('is exact for decimal prices and fractional shares', () => {
+    const row = projectRow(asset({ shares: '3', currentPrice: 0.1, targetPrice: '0.3' }), { today });
+    expect(row.currentValue).toBe(0.3);
+    expect(row.targetValue).toBe(0.9);
+    expect(row.gain).toBe(0.6);
+  });
+
+  it('leaves values null when the price is missing', () => {
+    const row = projectRow(asset({ currentPrice: null }), { today });
+    expect(row.valued).toBe(false);
+    expect(row.projected).toBe(false);
+    expect(row.currentValue).toBeNull();
+    expect(row.targetValue).toBeNull();
+    expect(row.gain).toBeNull();
+    expect(row.returnPct).toBeNull();
+  });
+
+  it('values a row without a target but does not project it', () => {
+    const row = projectRow(asset({ targetPrice: '' }), { today });
+    expect(row.valued).toBe(true);
+    expect(row.projected).toBe(false);
+    expect(row.currentValue).toBe(1000);
+    expect(row.targetValue).toBeNull();
+    expect(codes(row)).toEqual(['missing-target']);
+  });
+
+  it('converts into the base currency', () => {
+    const row = projectRow(asset({ currency: 'EUR' }), {
+      baseCurrency: 'USD',
+      fxRates: new Map([['EUR', 1.1]]),
+      today
+    });
+    expect(row.fxRate).toBe(1.1);
+    expect(row.quoteCurrency).toBe('EUR');
+    expect(row.currentValue).toBe(1100);
+    expect(row.targetValue).toBe(1320);
+  });
+
+  it('treats zero shares as valid', () => {
+    const row = projectRow(asset({ shares: '0' }), { today });
+    expect(row.issues).toEqual([]);
+    expect(row.currentValue).toBe(0);
+    expect(row.returnPct).toBeNull();
+  });
+
+  it('computes the CAGR to the target date', () => {
+    const row = projectRow(asset({ targetDate: '2027-01-01' }), { today });
+    expect(row.years).toBeCloseTo(2, 2);
+    expect(row.cagr).toBeCloseTo(Math.sqrt(1.2) - 1, 3);
+  });
+});
+
+describe('asset types', () => {
+  const option = overrides => ({ right: 'call', strike: '100', expiry: '', multiplier: '100', premium: '', ...overrides });
+
+  it('values options at intrinsic value and the target at expiry', () => {
+    const row = projectRow(
+      asset({ assetType: 'option', shares: '2', currentPrice: 110, targetPrice: '130', option: option() }),
+      { today }
+    );
+    expect(row.currentValue).toBe(2000);
+    expect(row.targetValue).toBe(6000);
+    expect(row.gain).toBe(4000);
+    expect(row.costBasisValue).toBeNull();
+  });
+
+  it('uses the entered option price today and expires puts worthless above the strike', () => {
+    const row = projectRow(
+      asset({
+        assetType: 'option',
+        shares: '1',
+        currentPrice: 110,
+        targetPrice: '130',
+        option: option({ right: 'put', premium: '1.5', expiry: '2026-01-01' })
+      }),
+      { today }
+    );
+    expect(row.currentValue).toBe(150);
+    expect(row.targetValue).toBe(0);
+    expect(row.effectiveTargetDate).toBe('2026-01-01');
+  });
+
+  it('requires a strike for options', () => {
+    const row = projectRow(asset({ assetType: 'option', option: option({ strike: '' }) }), { today });
+    expect(codes(row)).toContain('missing-strike');
+    expect(row.valued).toBe(false);
+  });
+
+  it('grows cash at its interest rate without a price or target', () => {
+    const row = projectRow(
+      asset({
+        assetType: 'cash',
+        ticker: 'EUR',
+        shares: '1000',
+        currentPrice: null,
+        targetPrice: '',
+        interestRate: '5',
+        targetDate: '2027-01-01'
+      }),
+      { baseCurrency: 'USD', fxRates: new Map([['EUR', 1.1]]), today }
+    );
+    expect(row.issues).toEqual([]);
+    expect(row.quoteCurrency).toBe('EUR');
+    expect(row.currentValue).toBe(1100);
+    expect(row.targetValue).toBeCloseTo(1100 * 1.05 ** row.years, 2);
+    expect(row.quoteSymbol).toBeNull();
+  });
+
+  it('rejects cash rows without a currency code', () => {
+    const row = projectRow(asset({ assetType: 'cash', ticker: 'savings' }), { today });
+    expect(codes(row)).toEqual(['invalid-currency']);
+  });
+
+  it('subtotals by type', () => {
+    const { byType, currentTotal } = projectPortfolio(
+      [
+        asset({ id: 'a' }),
+        asset({ id: 'b', assetType: 'crypto', ticker: 'BTC', shares: '0.5', currentPrice: 60000, targetPrice: '' }),
+        asset({ id: 'c', assetType: 'cash', ticker: 'USD', shares: '500', currentPrice: null })
+      ],
+      { today }
+    );
+    expect(byType.map(group => [group.type, group.currentTotal, group.targetTotal])).toEqual([
+      ['stock', 1000, 1200],
+      ['crypto', 30000, 0],
+      ['cash', 500, 500]
+    ]);
+    expect(currentTotal).toBe(31500);
+  });
+});
+
+describe('dividends', () => {
+  const context = {
+    dividendRates: new Map([['AAPL', 2]]),
+    today
+  };
+
+  it('reports income and yields', () => {
+    const row = projectRow(
+      asset({ costBasis: { ...blankCostBasis(), mode: 'average', averageCost: '80' } }),
+      context
+    );
+    expect(row.annualIncome).toBe(20);
+    expect(row.yieldOnValue).toBe(2);
+    expect(row.yieldOnCost).toBe(2.5);
+    expect(row.targetValue).toBe(1200);
+  });
+
+  it('adds dividends accrued until the target date when asked', () => {
+    const row = projectRow(asset({ targetDate: '2027-01-01' }), { ...context, includeDividends: true });
+    expect(row.accruedDividends).toBeCloseTo(20 * row.years, 6);
+    expect(row.targetValue).toBeCloseTo(1200 + 20 * row.years, 6);
+  });
+
+  it('leaves rows without a rate alone', () => {
+    const row = projectRow(asset({ ticker: 'BRK-B' }), { ...context, includeDividends: true });
+    expect(row.annualIncome).toBeNull();
+    expect(row.targetValue).toBe(1200);
+  });
+});
+
+describe('summarize', () => {
+  it('keeps rows without a price out of both totals', () => {
+    const rows = [
+      projectRow(asset({ id: 'a' }), { today }),
+      projectRow(asset({ id: 'b', ticker: 'MSFT', currentPrice: null, targetPrice: '500' }), { today })
+    ];
+    const totals = summarize(rows);
+    expect(totals.currentTotal).toBe(1000);
+    expect(totals.targetTotal).toBe(1200);
+    expect(totals.gainTotal).toBe(200);
+    expect(totals.returnPct).toBe(20);
+    expect(totals.excluded).toEqual([
+      { id: 'b', ticker: 'MSFT', issues: [{ code: 'missing-price', message: 'No current price' }] }
+    ]);
+  });
+
+  it('compares targets only with the rows that have one', () => {
+    const { currentTotal, targetTotal, targetBase, gainTotal, returnPct } = projectPortfolio(
+      [asset({ id: 'a' }), asset({ id: 'b', ticker: 'MSFT', targetPrice: '' })],
+      { today }
+    );
+    expect(currentTotal).toBe(2000);
+    expect(targetTotal).toBe(1200);
+    expect(targetBase).toBe(1000);
+    expect(gainTotal).toBe(200);
+    expect(returnPct).toBe(20);
+  });
+
+  it('ignores empty rows and handles an empty portfolio', () => {
+    const totals = projectPortfolio([asset({ ticker: '', shares: '' })], { today });
+    expect(totals.excluded).toEqual([]);
+    expect(totals.currentTotal).toBe(0);
+    expect(totals.targetTotal).toBe(0);
+    expect(totals.returnPct).toBeNull();
+  });
+
+  it('sums many decimal values without drift', () => {
+    const assets = Array.from({ length: 10 }, (_, i) =>
+      asset({ id: String(i), shares: '1', currentPrice: 0.1, targetPrice: '0.2' })
+    );
+    const totals = projectPortfolio(assets, { today });
+    expect(totals.currentTotal).toBe(1);
+    expect(totals.targetTotal).toBe(2);
+    expect(totals.returnPct).toBe(100);
+  });
+});
@@ -0,0 +1,51 @@
+/*
+ * Seedable pseudo‑random numbers.
+ *
+ * Math.random cannot be seeded, which makes simulations impossible to
+ * reproduce.  mulberry32 is a tiny, fast 32‑bit generator with good
+ * statistical quality for Monte Carlo work; the same seed always
+ * yields the same sequence.
+ */
+
+// Hash an arbitrary string or number into a 32‑bit seed.
+export function toSeed(value) {
+  const str = String(value ?? '');
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Return a function yielding uniform numbers in [0, 1).
+export function createRng(seed) {
+  let state = toSeed(seed);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Return a function yielding standard normal numbers, using the
+// Box–Muller transform on a uniform generator.  The second value of
+// each pair is cached for the next call.
+export function createNormalRng(uniform) {
+  let spare = null;
+  return function nextNormal() {
+    if (spare != null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = uniform();
+    const v = uniform();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
@@ -0,0 +1,190 @@
+/*
+ * Target allocation and rebalancing.
+ *
+ * Each portfolio can carry allocation settings:
+ *
+ *   {
+ *     groupBy: 'ticker' | 'class',  // what the target weights refer to
+ *     weights: { [key]: '40' },     // target % per ticker or asset class
+ *     cash: '2500',                 // cash balance, in the base currency
+ *     cashWeight: '5',              // target % held as cash
+ *     fractional: false,            // whether fractional shares can be traded
+ *     minTrade: '50',               // smallest trade worth placing
+ *     noSells: false                // only invest cash, never sell
+ *   }
+ *
+ * Weights are percentage strings like the rest of the settings.  When
+ * grouping by asset class, a class target is split across its positions
+ * in proportion to their current value (equally if none is held yet).
+ * All amounts are in the base currency.
+ */
+
+export const CASH_KEY = 'Cash';
+
+export function defaultAllocationSettings() {
+  return {
+    groupBy: 'ticker',
+    weights: {},
+    cash: '',
+    cashWeight: '',
+    fractional: false,
+    minTrade: '',
+    noSells: false
+  };
+}
+
+const toNumber = value => {
+  const num = parseFloat(value);
+  return isNaN(num) || num < 0 ? 0 : num;
+};
+
+// The allocation key of a position: its ticker or its asset class.
+export function allocationKey(position, groupBy) {
+  if (groupBy === 'class') return position.assetClass?.trim() || 'Unclassified';
+  return position.ticker.toUpperCase();
+}
+
+// Current and target weights per key, as percentages of the whole
+// portfolio including cash.  Returns `{ total, groups }` where each
+// group is `{ key, value, currentWeight, targetWeight }`; cash is the
+// last group.  `targetWeight` is null for keys without a target.
+export function allocationWeights(positions, settings) {
+  const cash = toNumber(settings.cash);
+  const values = new Map();
+  for (const position of positions) {
+    const key = allocationKey(position, settings.groupBy);
+    values.set(key, (values.get(key) ?? 0) + position.value);
+  }
+  for (const key of Object.keys(settings.weights)) {
+    if (!values.has(key) && settings.weights[key] !== '') values.set(key, 0);
+  }
+  const total = [...values.values()].reduce((acc, v) => acc + v, 0) + cash;
+  const pct = value => (total > 0 ? (value / total) * 100 : 0);
+  const target = raw => (raw === '' || raw == null ? null : toNumber(raw));
+  const groups = [...values.entries()].map(([key, value]) => ({
+    key,
+    value,
+    currentWeight: pct(value),
+    targetWeight: target(settings.weights[key])
+  }));
+  groups.push({
+    key: CASH_KEY,
+    value: cash,
+    currentWeight: pct(cash),
+    targetWeight: target(settings.cashWeight)
+  });
+  return { total, groups };
+}
+
+// Sum of the entered target weights, including cash.
+export function targetWeightTotal(settings) {
+  return (
+    Object.values(settings.weights).reduce((acc, w) => acc + toNumber(w), 0) +
+    toNumber(settings.cashWeight)
+  );
+}
+
+// Round a share count towards zero, to whole shares unless fractional
+// trading is enabled (then to 4 decimals, which brokers accept).
+function roundShares(shares, fractional) {
+  const factor = fractional ? 1e4 : 1;
+  return Math.trunc(shares * factor) / factor;
+}
+
+/*
+ * Plan the trades that move a portfolio towards its target weights.
+ *
+ * `positions` are `{ id, ticker, assetClass, shares, price, value }`
+ * with prices and values in the base currency; positions without a
+ * price cannot be traded and should be left out by the caller.  Keys
+ * without a target weight are left untouched, so a partial plan only
+ * moves what it mentions.
+ *
+ * Sells are planned first and their proceeds added to cash.  Buys are
+ * then funded from the cash above the cash target; when that is not
+ * enough every buy is scaled down by the same factor.  Trades worth
+ * less than `minTrade` are dropped.  With `noSells`, only buys funded
+ * by existing cash are planned.
+ *
+ * Returns `{ trades, cashAfter, sharesAfter, unmatched }` where each
+ * trade is `{ id, ticker, action: 'buy' | 'sell', shares, value }`,
+ * `sharesAfter` maps position id to its share count after trading and
+ * `unmatched` lists target keys that no tradable position belongs to.
+ */
+export function planRebalance(positions, settings) {
+  const { groupBy, weights, fractional, noSells } = settings;
+  const minTrade = toNumber(settings.minTrade);
+  const cash = toNumber(settings.cash);
+  const total = positions.reduce((acc, p) => acc + p.value, 0) + cash;
+
+  // Desired value per position.
+  const byKey = new Map();
+  for (const position of positions) {
+    const key = allocationKey(position, groupBy);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(position);
+  }
+  const desired = new Map();
+  const unmatched = [];
+  for (const [key, raw] of Object.entries(weights)) {
+    if (raw === '' || raw == null) continue;
+    const members = byKey.get(key);
+    if (!members) {
+      unmatched.push(key);
+      continue;
+    }
+    const groupTarget = (total * toNumber(raw)) / 100;
+    const groupValue = members.reduce((acc, p) => acc + p.value, 0);
+    for (const p of members) {
+      const share = groupValue > 0 ? p.value / groupValue : 1 / members.length;
+      desired.set(p.id, groupTarget * share);
+    }
+  }
+
+  const trades = [];
+  const sharesAfter = new Map(positions.map(p => [p.id, p.shares]));
+  let available = cash;
+
+  if (!noSells) {
+    for (const p of positions) {
+      if (!desired.has(p.id) || !(p.price > 0)) continue;
+      const excess = p.value - desired.get(p.id);
+      if (excess <= 0) continue;
+      const shares = Math.min(p.shares, roundShares(excess / p.price, fractional));
+      const value = shares * p.price;
+      if (shares <= 0 || value < minTrade) continue;
+      trades.push({ id: p.id, ticker: p.ticker, action: 'sell', shares, value });
+      sharesAfter.set(p.id, p.shares - shares);
+      available += value;
+    }
+  }
+
+  const cashTarget = (total * toNumber(settings.cashWeight)) / 100;
+  const budget = Math.max(0, available - cashTarget);
+  const wanted = positions
+    .filter(p => desired.has(p.id) && p.price > 0 && desired.get(p.id) > p.value)
+    .map(p => ({ p, amount: desired.get(p.id) - p.value }));
+  const wantedTotal = wanted.reduce((acc, w) => acc + w.amount, 0);
+  const scale = wantedTotal > budget ? budget / wantedTotal : 1;
+  for (const { p, amount } of wanted) {
+    const shares = roundShares((amount * scale) / p.price, fractional);
+    const value = shares * p.price;
+    if (shares <= 0 || value < minTrade) continue;
+    trades.push({ id: p.id, ticker: p.ticker, action: 'buy', shares, value });
+    sharesAfter.set(p.id, sharesAfter.get(p.id) + shares);
+    available -= value;
+  }
+
+  return { trades, cashAfter: available, sharesAfter, unmatched };
+}
+
+// Value of a portfolio at its targets: each position's shares (looked
+// up by id in `sharesById`) at its target price, or at today's price
+// when it has none, plus cash.  Used to compare the projection before
+// and after a rebalance.
+export function projectedValue(positions, sharesById, cash) {
+  return positions.reduce(
+    (acc, p) => acc + (sharesById.get(p.id) ?? 0) * (p.targetPrice ?? p.price),
+    cash
+  );
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { allocationWeights, defaultAllocationSettings, planRebalance } from './rebalance.js';
+
+const position = (id, shares, price, assetClass = '') => ({
+  id,
+  ticker: id,
+  assetClass,
+  shares,
+  price,
+  value: shares * price
+});
+
+const settings = patch => ({ ...defaultAllocationSettings(), ...patch });
+
+// Portfolio value (positions at today's prices plus cash) after a plan.
+const valueAfter = (positions, plan) =>
+  positions.reduce((acc, p) => acc + plan.sharesAfter.get(p.id) * p.price, 0) + plan.cashAfter;
+
+// Sells minus buys: the change in cash the trades account for.
+const netCash = plan =>
+  plan.trades.reduce((acc, t) => acc + (t.action === 'sell' ? t.value : -t.value), 0);
+
+describe('planRebalance', () => {
+  it('sells first and funds buys from the proceeds, netting to zero', () => {
+    const positions = [position('A', 10, 100), position('B', 2, 50)];
+    const plan = planRebalance(positions, settings({ weights: { A: '50', B: '50' } }));
+    expect(plan.trades).toEqual([
+      { id: 'A', ticker: 'A', action: 'sell', shares: 4, value: 400 },
+      { id: 'B', ticker: 'B', action: 'buy', shares: 8, value: 400 }
+    ]);
+    expect(plan.cashAfter).toBe(0);
+    expect(netCash(plan)).toBe(plan.cashAfter);
+    expect(valueAfter(positions, plan)).toBe(1100);
+  });
+
+  it('rounds share counts towards zero, to 4 decimals when fractional', () => {
+    const positions = [position('A', 1, 300), position('B', 0, 7)];
+    const weights = { A: '50', B: '50' };
+
+    expect(planRebalance(positions, settings({ weights })).trades).toEqual([]);
+
+    const plan = planRebalance(positions, settings({ weights, fractional: true }));
+    expect(plan.trades.map(t => [t.action, t.shares])).toEqual([
+      ['sell', 0.5],
+      ['buy', 21.4285]
+    ]);
+    // The remainder lost to rounding stays in cash, never below zero.
+    expect(plan.cashAfter).toBeCloseTo(0.0005, 10);
+    expect(plan.cashAfter - netCash(plan)).toBeCloseTo(0, 10);
+    expect(valueAfter(positions, plan)).toBeCloseTo(300, 10);
+  });
+
+  it('keeps the cash target, scales buys to the budget and drops small trades', () => {
+    const positions = [position('A', 0, 10), position('B', 0, 10)];
+    const plan = planRebalance(
+      positions,
+      settings({ weights: { A: '60', B: '1' }, cash: '1000', cashWeight: '50', minTrade: '20' })
+    );
+    // 500 may be invested for wants of 600 + 10, so both shrink by
+    // 500 / 610: A to 49 shares, B to under one share, which is dropped.
+    expect(plan.trades).toEqual([{ id: 'A', ticker: 'A', action: 'buy', shares: 49, value: 490 }]);
+    expect(plan.cashAfter).toBe(510);
+    expect(valueAfter(positions, plan)).toBe(1000);
+  });
+
+  it('only buys with existing cash when sells are off', () => {
+    const positions = [position('A', 10, 100), position('B', 0, 50)];
+    const plan = planRebalance(
+      positions,
+      settings({ weights: { A: '0', B: '100' }, cash: '120', noSells: true })
+    );
+    expect(plan.trades).toEqual([{ id: 'B', ticker: 'B', action: 'buy', shares: 2, value: 100 }]);
+    expect(plan.cashAfter).toBe(20);
+  });
+
+  it('splits a class target by current value and lists unmatched keys', () => {
+    const positions = [
+      position('A', 3, 100, 'Equity'),
+      position('B', 1, 100, 'Equity'),
+      position('C', 4, 100, 'Bonds')
+    ];
+    const plan = planRebalance(
+      positions,
+      settings({ groupBy: 'class', weights: { Equity: '60', Bonds: '40', Gold: '5' } })
+    );
+    expect(plan.unmatched).toEqual(['Gold']);
+    // A 0.8 share sell rounds to nothing, leaving no cash for buys.
+    expect(plan.trades).toEqual([]);
+    // 800 in total: Equity wants 480 split 3:1 (360 / 120), Bonds 320.
+    const fractional = planRebalance(
+      positions,
+      settings({ groupBy: 'class', weights: { Equity: '60', Bonds: '40' }, fractional: true })
+    );
+    expect(fractional.trades.map(t => [t.ticker, t.action, t.value])).toEqual([
+      ['C', 'sell', 80],
+      ['A', 'buy', 60],
+      ['B', 'buy', 20]
+    ]);
+    expect(netCash(fractional)).toBe(0);
+  });
+});
+
+describe('allocationWeights', () => {
+  it('includes cash and targets without holdings', () => {
+    const { total, groups } = allocationWeights(
+      [position('A', 3, 100)],
+      settings({ weights: { A: '50', B: '25' }, cash: '100', cashWeight: '25' })
+    );
+    expect(total).toBe(400);
+    expect(groups).toEqual([
+      { key: 'A', value: 300, currentWeight: 75, targetWeight: 50 },
+      { key: 'B', value: 0, currentWeight: 0, targetWeight: 25 },
+      { key: 'Cash', value: 100, currentWeight: 25, targetWeight: 25 }
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+import { genId } from '../utils/id.js';
+
+/*
+ * Named price scenarios (e.g. bear / base / bull).
+ *
+ * Scenarios are defined once per portfolio as `{ id, name, probability }`
+ * where probability is an optional percentage string.  Each asset row
+ * stores its per‑scenario targets in `scenarioTargets`, keyed by
+ * scenario id.  A blank scenario target falls back to the row's main
+ * `targetPrice`, so a scenario only needs filling in where it differs.
+ */
+
+export function createScenario(name, probability = '') {
+  return { id: genId(), name, probability };
+}
+
+// The usual three‑case preset.
+export function presetScenarios() {
+  return [
+    createScenario('Bear', '25'),
+    createScenario('Base', '50'),
+    createScenario('Bull', '25')
+  ];
+}
+
+const toNumber = value => {
+  if (value === '' || value == null) return null;
+  const num = parseFloat(value);
+  return isNaN(num) || num < 0 ? null : num;
+};
+
+/*
+ * Weights used for the expected value, as fractions summing to 1.
+ * Scenarios with a probability are weighted by it, normalized so that
+ * slightly‑off totals still work; when no scenario has a probability
+ * every scenario counts equally.  Returns `{ weights, probabilityTotal }`
+ * where `probabilityTotal` is the raw sum of the entered percentages
+ * (null when none were entered) so the UI can warn when it is not 100.
+ */
+export function scenarioWeights(scenarios) {
+  const weights = new Map();
+  const entered = scenarios.filter(s => toNumber(s.probability) != null);
+  if (entered.length === 0) {
+    scenarios.forEach(s => weights.set(s.id, 1 / scenarios.length));
+    return { weights, probabilityTotal: null };
+  }
+  const total = entered.reduce((acc, s) => acc + toNumber(s.probability), 0);
+  scenarios.forEach(s => {
+    const p = toNumber(s.probability);
+    weights.set(s.id, p != null && total > 0 ? p / total : 0);
+  });
+  return { weights, probabilityTotal: total };
+}
+
+// Target price of a row under a scenario, falling back to the main
+// target.  Null when neither is set.
+export function scenarioTarget(asset, scenarioId) {
+  return toNumber(asset.scenarioTargets?.[scenarioId]) ?? toNumber(asset.targetPrice);
+}
+
+/*
+ * Per‑row scenario values: `{ values: { [id]: number|null }, expected }`.
+ * `expected` is the probability‑weighted value across scenarios, or
+ * null when any weighted scenario lacks a target.  `unitValue` turns a
+ * target price into the value of one unit, for rows (such as options)
+ * not worth their price per share.
+ */
+export function rowScenarioValues(asset, shares, scenarios, weights, unitValue = price => price) {
+  const values = {};
+  let expected = scenarios.length > 0 ? 0 : null;
+  for (const scenario of scenarios) {
+    const target = scenarioTarget(asset, scenario.id);
+    values[scenario.id] = target == null ? null : shares * unitValue(target);
+    const weight = weights.get(scenario.id) ?? 0;
+    if (expected != null && weight > 0) {
+      expected = values[scenario.id] == null ? null : expected + weight * values[scenario.id];
+    }
+  }
+  return { values, expected };
+}
+
+// Return the asset rows with one scenario's targets set to the current
+// price moved by `percent` (e.g. 20 for +20%, -30 for −30%).  Rows
+// without a price are left unchanged.
+export function applyMoveToScenario(assets, scenarioId, percent) {
+  const factor = 1 + percent / 100;
+  return assets.map(asset => {
+    if (asset.currentPrice == null) return asset;
+    const target = Math.max(0, asset.currentPrice * factor);
+    return {
+      ...asset,
+      scenarioTargets: {
+        ...asset.scenarioTargets,
+        [scenarioId]: String(parseFloat(target.toFixed(4)))
+      }
+    };
+  });
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyMoveToScenario,
+  presetScenarios,
+  rowScenarioValues,
+  scenarioTarget,
+  scenarioWeights
+} from './scenarios.js';
+
+const bear = { id: 'bear', name: 'Bear', probability: '25' };
+const base = { id: 'base', name: 'Base', probability: '50' };
+const bull = { id: 'bull', name: 'Bull', probability: '25' };
+
+const weightsOf = scenarios => Object.fromEntries(scenarioWeights(scenarios).weights);
+
+describe('scenarioWeights', () => {
+  it('uses the entered probabilities as fractions', () => {
+    expect(weightsOf([bear, base, bull])).toEqual({ bear: 0.25, base: 0.5, bull: 0.25 });
+    expect(scenarioWeights([bear, base, bull]).probabilityTotal).toBe(100);
+  });
+
+  it('normalizes totals other than 100 and reports the raw total', () => {
+    const { weights, probabilityTotal } = scenarioWeights([
+      { ...bear, probability: '30' },
+      { ...base, probability: '60' },
+      { ...bull, probability: '30' }
+    ]);
+    expect(probabilityTotal).toBe(120);
+    expect(weights.get('bear')).toBeCloseTo(0.25, 12);
+    expect(weights.get('base')).toBeCloseTo(0.5, 12);
+  });
+
+  it('gives scenarios without a probability no weight once any has one', () => {
+    expect(weightsOf([bear, { ...base, probability: '' }, { ...bull, probability: 'x' }])).toEqual({
+      bear: 1,
+      base: 0,
+      bull: 0
+    });
+  });
+
+  it('weights every scenario equally when none has a probability', () => {
+    const blank = [bear, base].map(s => ({ ...s, probability: '' }));
+    expect(weightsOf(blank)).toEqual({ bear: 0.5, base: 0.5 });
+    expect(scenarioWeights(blank).probabilityTotal).toBeNull();
+  });
+
+  it('keeps the preset summing to one', () => {
+    const weights = [...scenarioWeights(presetScenarios()).weights.values()];
+    expect(weights.reduce((acc, w) => acc + w, 0)).toBe(1);
+  });
+});
+
+describe('rowScenarioValues', () => {
+  const scenarios = [bear, base, bull];
+  const { weights } = scenarioWeights(scenarios);
+
+  it('falls back to the main target for blank scenario targets', () => {
+    const asset = { targetPrice: '100', scenarioTargets: { bear: '60', base: '', bull: '150' } };
+    expect(scenarioTarget(asset, 'base')).toBe(100);
+    expect(rowScenarioValues(asset, 10, scenarios, weights)).toEqual({
+      values: { bear: 600, base: 1000, bull: 1500 },
+      // 0.25 × 600 + 0.5 × 1000 + 0.25 × 1500
+      expected: 1025
+    });
+  });
+
+  it('has no expected value when a weighted scenario has no target at all', () => {
+    const asset = { targetPrice: '', scenarioTargets: { bear: '60', bull: '150' } };
+    expect(rowScenarioValues(asset, 10, scenarios, weights)).toEqual({
+      values: { bear: 600, base: null, bull: 1500 },
+      expected: null
+    });
+  });
+
+  it('ignores a blank target in a scenario without weight', () => {
+    const weighted = scenarioWeights([bear, { ...base, probability: '' }, bull]).weights;
+    const asset = { targetPrice: '', scenarioTargets: { bear: '60', bull: '150' } };
+    expect(rowScenarioValues(asset, 10, scenarios, weighted).expected).toBe(1050);
+  });
+
+  it('values units through unitValue and has no expected value without scenarios', () => {
+    const asset = { targetPrice: '120', scenarioTargets: {} };
+    const contract = price => Math.max(0, price - 100) * 100;
+    expect(rowScenarioValues(asset, 2, [base], new Map([['base', 1]]), contract)).toEqual({
+      values: { base: 4000 },
+      expected: 4000
+    });
+    expect(rowScenarioValues(asset, 2, [], new Map())).toEqual({ values: {}, expected: null });
+  });
+});
+
+describe('applyMoveToScenario', () => {
+  const assets = [
+    { id: 'a', currentPrice: 50, scenarioTargets: { base: '55' } },
+    { id: 'b', currentPrice: 3.3333, scenarioTargets: {} },
+    { id: 'c', currentPrice: null, scenarioTargets: { bear: '1' } }
+  ];
+
+  it('sets one scenario to the current price moved by a percentage', () => {
+    const [a, b, c] = applyMoveToScenario(assets, 'bear', -30);
+    expect(a.scenarioTargets).toEqual({ base: '55', bear: '35' });
+    // Rounded to four decimals.
+    expect(b.scenarioTargets).toEqual({ bear: '2.3333' });
+    // Rows without a price are left alone.
+    expect(c).toBe(assets[2]);
+  });
+
+  it('never goes below zero', () => {
+    expect(applyMoveToScenario(assets, 'bear', -150)[0].scenarioTargets.bear).toBe('0');
+  });
+});
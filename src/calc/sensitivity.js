@@ -0,0 +1,114 @@
+import { valueAtPrice } from './projection.js';
+import { positionLabel } from './assetTypes.js';
+
+/*
+ * What‑if sensitivity analysis.
+ *
+ * Values the portfolio today under hypothetical price moves, without
+ * touching any saved target.  `positions` are
+ *   { id, ticker, beta, movable, currentValue, valueAt(move) }
+ * where `valueAt` returns the position's value (base currency) after
+ * its price moves by `move` percent and `movable` is false for holdings
+ * that do not follow the market (cash).  Settings are
+ *   { marketMove, betaWeighted, overrides: { [id]: move } }
+ * A position follows the market move, scaled by its beta when
+ * `betaWeighted` is set (beta defaults to 1), unless it has an
+ * override of its own.
+ */
+
+export const MARKET_MOVE_MIN = -50;
+export const MARKET_MOVE_MAX = 100;
+export const MARKET_DRIVER = 'market';
+
+// Moves tried along each axis of the sensitivity grid.
+export const GRID_MOVES = [-50, -30, -20, -10, 0, 10, 20, 30, 50, 100];
+
+// The percentage move applied to one position.  Never below −100%.
+export function positionMove(position, { marketMove = 0, betaWeighted = false, overrides = {} } = {}) {
+  if (!position.movable) return 0;
+  const override = overrides[position.id];
+  if (override != null) return Math.max(-100, override);
+  const beta = betaWeighted && Number.isFinite(position.beta) ? position.beta : 1;
+  return Math.max(-100, marketMove * beta);
+}
+
+/*
+ * Value every position under `settings`.  Returns
+ *   { rows: [{ id, ticker, move, value, change }], total, base, change, changePct }
+ * where `base` is today's total and `changePct` is null for an empty
+ * portfolio.
+ */
+export function whatIf(positions, settings) {
+  const rows = positions.map(position => {
+    const move = positionMove(position, settings);
+    const value = position.valueAt(move);
+    return { id: position.id, ticker: position.ticker, move, value, change: value - position.currentValue };
+  });
+  const total = rows.reduce((acc, r) => acc + r.value, 0);
+  const base = positions.reduce((acc, p) => acc + p.currentValue, 0);
+  return {
+    rows,
+    total,
+    base,
+    change: total - base,
+    changePct: base > 0 ? ((total - base) / base) * 100 : null
+  };
+}
+
+// Settings with one driver — the market or a position id — set to
+// `move`.
+function withDriver(settings, driver, move) {
+  if (driver === MARKET_DRIVER) return { ...settings, marketMove: move };
+  return { ...settings, overrides: { ...settings.overrides, [driver]: move } };
+}
+
+/*
+ * Portfolio value across a grid of two drivers.  Every other input
+ * keeps its value from `settings`.  Returns
+ *   { rowMoves, colMoves, cells: [[{ total, changePct }]] }
+ * with one row of cells per row move.
+ */
+export function sensitivityGrid(positions, settings, rowDriver, colDriver, moves = GRID_MOVES) {
+  const cells = moves.map(rowMove =>
+    moves.map(colMove => {
+      const cellSettings = withDriver(withDriver(settings, rowDriver, rowMove), colDriver, colMove);
+      const { total, changePct } = whatIf(positions, cellSettings);
+      return { total, changePct };
+    })
+  );
+  return { rowMoves: moves, colMoves: moves, cells };
+}
+
+/*
+ * What‑if positions from projected rows (see projection.js), for rows
+ * with a current value.  Stocks and crypto scale with their price;
+ * options change by the change in their value at the moved underlying
+ * price (intrinsic value), starting from today's value; cash does not
+ * move.  `betas` overrides the fetched beta per row id.
+ */
+export function whatIfPositions(rows, context = {}, betas = {}) {
+  return rows
+    .filter(r => r.valued)
+    .map(r => {
+      const base = {
+        id: r.id,
+        ticker: positionLabel(r),
+        beta: betas[r.id] ?? r.beta ?? null,
+        movable: r.assetType !== 'cash',
+        currentValue: r.currentValue
+      };
+      if (r.assetType === 'cash') return { ...base, valueAt: () => r.currentValue };
+      if (r.assetType !== 'option') {
+        return { ...base, valueAt: move => Math.max(0, r.currentValue * (1 + move / 100)) };
+      }
+      const today = valueAtPrice(r, r.currentPrice, context) ?? 0;
+      return {
+        ...base,
+        valueAt: move =>
+          Math.max(
+            0,
+            r.currentValue + (valueAtPrice(r, r.currentPrice * (1 + move / 100), context) ?? today) - today
+          )
+      };
+    });
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { positionMove, whatIf, sensitivityGrid, whatIfPositions, MARKET_DRIVER } from './sensitivity.js';
+import { projectRow } from './projection.js';
+import { blankOption } from './assetTypes.js';
+
+const position = (id, currentValue, beta = null, movable = true) => ({
+  id,
+  ticker: id,
+  beta,
+  movable,
+  currentValue,
+  valueAt: move => (movable ? currentValue * (1 + move / 100) : currentValue)
+});
+
+describe('positionMove', () => {
+  it('follows the market, scaled by beta when asked', () => {
+    const p = position('a', 100, 1.5);
+    expect(positionMove(p, { marketMove: 10 })).toBe(10);
+    expect(positionMove(p, { marketMove: 10, betaWeighted: true })).toBeCloseTo(15, 10);
+    expect(positionMove(position('b', 100), { marketMove: 10, betaWeighted: true })).toBe(10);
+  });
+
+  it('prefers overrides and never drops below -100%', () => {
+    const p = position('a', 100, 3);
+    expect(positionMove(p, { marketMove: 10, overrides: { a: -20 } })).toBe(-20);
+    expect(positionMove(p, { marketMove: -50, betaWeighted: true })).toBe(-100);
+    expect(positionMove(position('cash', 100, null, false), { marketMove: 50 })).toBe(0);
+  });
+});
+
+describe('whatIf', () => {
+  it('totals the moved values', () => {
+    const result = whatIf([position('a', 1000), position('cash', 500, null, false)], { marketMove: 20 });
+    expect(result.total).toBe(1700);
+    expect(result.base).toBe(1500);
+    expect(result.change).toBe(200);
+    expect(result.changePct).toBeCloseTo(13.333, 3);
+  });
+});
+
+describe('sensitivityGrid', () => {
+  it('varies two drivers and keeps the rest', () => {
+    const positions = [position('a', 1000), position('b', 1000)];
+    const grid = sensitivityGrid(positions, { marketMove: 0, overrides: {} }, 'a', MARKET_DRIVER, [-10, 0, 10]);
+    expect(grid.cells).toHaveLength(3);
+    // a −10%, b follows the market at +10%.
+    expect(grid.cells[0][2].total).toBe(2000);
+    expect(grid.cells[2][2].total).toBe(2200);
+    expect(grid.cells[1][1].changePct).toBe(0);
+  });
+});
+
+describe('whatIfPositions', () => {
+  it('moves options by the change in intrinsic value', () => {
+    const today = new Date('2025-01-01T00:00:00Z');
+    const row = projectRow(
+      {
+        id: 'o',
+        assetType: 'option',
+        ticker: 'AAPL',
+        shares: '1',
+        currentPrice: 110,
+        currency: null,
+        targetPrice: '',
+        option: { ...blankOption(), strike: '100', premium: '12' },
+        scenarioTargets: {}
+      },
+      { today }
+    );
+    const [p] = whatIfPositions([row], { today });
+    expect(p.currentValue).toBe(1200);
+    expect(p.valueAt(0)).toBe(1200);
+    expect(p.valueAt(10)).toBeCloseTo(2300, 6);
+    expect(p.valueAt(-50)).toBe(200);
+  });
+});
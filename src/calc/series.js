@@ -0,0 +1,78 @@
+/*
+ * Helpers for daily price series.
+ *
+ * A series is an array of `{ date, close }` points sorted by date,
+ * where `date` is a `YYYY-MM-DD` string.  Different exchanges trade on
+ * different days, so series for several tickers rarely line up; the
+ * helpers here put them on a common calendar before they are compared.
+ */
+
+// Keep only the dates present in every series.  Returns
+// `{ dates, closes }` where `closes[i][j]` is the close of series i on
+// dates[j].  Suited to return and correlation estimates, where a
+// missing day must not be invented.
+export function intersectSeries(seriesList) {
+  if (seriesList.length === 0) return { dates: [], closes: [] };
+  const maps = seriesList.map(series => new Map(series.map(p => [p.date, p.close])));
+  const dates = seriesList[0]
+    .map(p => p.date)
+    .filter(date => maps.every(map => map.has(date)));
+  return { dates, closes: maps.map(map => dates.map(date => map.get(date))) };
+}
+
+// Put every series on the union of their trading days, carrying the
+// last close forward over days a market was shut (holidays, or
+// weekends for crypto).  The calendar starts on the first date every
+// series has a close for, so nothing is carried backwards.  Returns
+// `{ dates, closes }` shaped like intersectSeries.  Suited to valuing
+// a portfolio day by day, where a closed market means an unchanged
+// price.
+export function alignSeries(seriesList) {
+  if (seriesList.length === 0 || seriesList.some(series => series.length === 0)) {
+    return { dates: [], closes: [] };
+  }
+  const start = seriesList.reduce((acc, series) => (series[0].date > acc ? series[0].date : acc), '');
+  const dates = [...new Set(seriesList.flatMap(series => series.map(p => p.date)))]
+    .filter(date => date >= start)
+    .sort();
+  const closes = seriesList.map(series => {
+    const byDate = new Map(series.map(p => [p.date, p.close]));
+    // Seed with the last close on or before the start date.
+    let last = series.filter(p => p.date <= start).pop().close;
+    return dates.map(date => {
+      if (byDate.has(date)) last = byDate.get(date);
+      return last;
+    });
+  });
+  return { dates, closes };
+}
+
+// Daily log returns of a close series.
+export function logReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] > 0 && closes[i] > 0) returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+  return returns;
+}
+
+export function mean(values) {
+  return values.length ? values.reduce((acc, v) => acc + v, 0) / values.length : 0;
+}
+
+// Sample standard deviation.
+export function stdev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+// Value at quantile `q` (0–1) of an ascending sorted array, with
+// linear interpolation between neighbours.
+export function quantileSorted(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
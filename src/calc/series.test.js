@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { alignSeries, intersectSeries, logReturns, quantileSorted, stdev } from './series.js';
+import { maxDrawdown, normalizeTo, portfolioValues, totalReturn } from './performance.js';
+
+const series = points => Object.entries(points).map(([date, close]) => ({ date, close }));
+
+// New York is shut on 2026‑01‑19 (Martin Luther King Jr. Day) while
+// London trades; the London series also lacks 01‑20, as on a London
+// holiday.  Crypto trades every day, weekends included.
+const nyse = series({ '2026-01-16': 100, '2026-01-20': 104, '2026-01-21': 103 });
+const lse = series({ '2026-01-15': 50, '2026-01-16': 51, '2026-01-19': 52, '2026-01-21': 53 });
+const btc = series({
+  '2026-01-16': 10,
+  '2026-01-17': 11,
+  '2026-01-18': 12,
+  '2026-01-19': 13,
+  '2026-01-20': 14,
+  '2026-01-21': 15
+});
+
+describe('alignSeries', () => {
+  it('puts markets with different holidays on one calendar, carrying closes forward', () => {
+    const { dates, closes } = alignSeries([nyse, lse]);
+    // Starts on the first day both have a close; London's 01‑15 is dropped.
+    expect(dates).toEqual(['2026-01-16', '2026-01-19', '2026-01-20', '2026-01-21']);
+    expect(closes).toEqual([
+      [100, 100, 104, 103],
+      [51, 52, 52, 53]
+    ]);
+  });
+
+  it('includes weekend days from a series that trades on them', () => {
+    const { dates, closes } = alignSeries([nyse, btc]);
+    expect(dates).toHaveLength(6);
+    expect(closes[0]).toEqual([100, 100, 100, 100, 104, 103]);
+    expect(closes[1]).toEqual([10, 11, 12, 13, 14, 15]);
+  });
+
+  it('seeds a series that starts earlier with its last close before the start', () => {
+    const late = series({ '2026-01-19': 7, '2026-01-21': 8 });
+    const { dates, closes } = alignSeries([lse, late]);
+    expect(dates).toEqual(['2026-01-19', '2026-01-21']);
+    expect(closes).toEqual([
+      [52, 53],
+      [7, 8]
+    ]);
+  });
+
+  it('is empty when any series is', () => {
+    expect(alignSeries([nyse, []])).toEqual({ dates: [], closes: [] });
+    expect(alignSeries([])).toEqual({ dates: [], closes: [] });
+  });
+});
+
+describe('intersectSeries', () => {
+  it('keeps only the days every market traded', () => {
+    expect(intersectSeries([nyse, lse])).toEqual({
+      dates: ['2026-01-16', '2026-01-21'],
+      closes: [
+        [100, 103],
+        [51, 53]
+      ]
+    });
+  });
+});
+
+describe('series statistics', () => {
+  it('computes log returns, spread and interpolated quantiles', () => {
+    expect(logReturns([100, 110, 0, 121])).toEqual([Math.log(1.1)]);
+    expect(stdev([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+    expect(quantileSorted([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantileSorted([], 0.5)).toBeNull();
+  });
+});
+
+describe('performance', () => {
+  it('values aligned holdings and summarizes the series', () => {
+    const { closes } = alignSeries([nyse, lse]);
+    const values = portfolioValues(closes, [{ shares: 1 }, { shares: 2, fxRate: 1.25 }]);
+    expect(values).toEqual([227.5, 230, 234, 235.5]);
+    expect(normalizeTo(values)[0]).toBe(100);
+    expect(totalReturn(values)).toBeCloseTo(235.5 / 227.5 - 1, 12);
+    expect(maxDrawdown([100, 120, 90, 130, 117])).toBeCloseTo(-0.25, 12);
+  });
+});
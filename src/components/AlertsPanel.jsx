@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { describeAlert } from '../calc/alerts.js';
+import { formatMoney } from '../utils/format.js';
+
+const notificationsSupported = () => typeof Notification !== 'undefined';
+
+// Card for price alerts: opt‑in auto‑refresh, browser notifications and
+// the alert history.  Alerts fire when a fetched price crosses a
+// position's target or stop price (set in the position's details).
+export default function AlertsPanel({
+  settings,
+  onChange,
+  log,
+  onClear,
+  marketOpen,
+  currency,
+  readOnly = false
+}) {
+  const [permission, setPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : 'unsupported'
+  );
+  const update = patch => onChange({ ...settings, ...patch });
+
+  // Ask for permission the first time notifications are switched on.
+  const toggleNotifications = async enabled => {
+    if (enabled && notificationsSupported() && Notification.permission === 'default') {
+      setPermission(await Notification.requestPermission());
+    }
+    update({ notifications: enabled });
+  };
+
+  const paused = settings.enabled && settings.marketHoursOnly && !marketOpen;
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Price Alerts</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        Get alerted when a price crosses a position&apos;s target or stop price while this page is open.
+      </p>
+      <div className="button-row items-center mb-2">
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            disabled={readOnly}
+            onChange={e => update({ enabled: e.target.checked })}
+          />{' '}
+          Auto‑refresh and alert
+        </label>
+        <label>
+          <span className="text-sm">every </span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            className="narrow-input"
+            value={settings.intervalMinutes}
+            disabled={readOnly}
+            onChange={e => update({ intervalMinutes: e.target.value })}
+            aria-label="Refresh interval in minutes"
+          />
+          <span className="text-sm"> min</span>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.marketHoursOnly}
+            disabled={readOnly}
+            onChange={e => update({ marketHoursOnly: e.target.checked })}
+          />{' '}
+          Only during U.S. market hours
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.notifications}
+            disabled={readOnly || permission === 'unsupported' || permission === 'denied'}
+            onChange={e => toggleNotifications(e.target.checked)}
+          />{' '}
+          Browser notifications
+        </label>
+      </div>
+      {permission === 'denied' && (
+        <p className="text-xs text-gray-600 mb-2">
+          Notifications are blocked for this site; alerts still appear in the log below.
+        </p>
+      )}
+      {paused && (
+        <p className="text-xs text-gray-600 mb-2">Market closed – auto‑refresh is paused.</p>
+      )}
+      <div className="flex justify-between items-center mt-4 mb-2">
+        <h3 className="font-semibold">Alert Log</h3>
+        <button type="button" onClick={onClear} disabled={log.length === 0}>
+          Clear
+        </button>
+      </div>
+      {log.length === 0 ? (
+        <p className="text-gray-500 italic">No alerts yet.</p>
+      ) : (
+        <ul className="alert-log" role="log" aria-live="polite">
+          {log.map(alert => (
+            <li key={alert.id}>
+              <span className="text-xs text-gray-600">{new Date(alert.time).toLocaleString()}</span>{' '}
+              {describeAlert(alert, price => formatMoney(price, alert.currency ?? currency))}
+              {alert.portfolio ? <span className="text-xs text-gray-600"> · {alert.portfolio}</span> : null}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { PieChart, Pie, Cell, Tooltip, Legend } from 'recharts';
+import ChartFrame from './ChartFrame.jsx';
+
+// Colours cycled through for allocation slices.
+const SLICE_COLORS = ['#60a5fa', '#34d399', '#fbbf24', '#f87171', '#a78bfa', '#f472b6', '#fb923c', '#94a3b8'];
+
+// Donut comparing current weights (inner ring) with target weights
+// (outer ring).  `groups` come from allocationWeights.  A fixed
+// `width` draws it for print (see ChartFrame).
+export default function AllocationChart({ groups, width }) {
+  const animate = width == null;
+  const current = groups
+    .filter(g => g.currentWeight > 0)
+    .map(g => ({ name: g.key, value: parseFloat(g.currentWeight.toFixed(2)) }));
+  const target = groups
+    .filter(g => g.targetWeight > 0)
+    .map(g => ({ name: g.key, value: g.targetWeight }));
+  const colorOf = name => SLICE_COLORS[groups.findIndex(g => g.key === name) % SLICE_COLORS.length];
+
+  return (
+    <ChartFrame width={width}>
+      <PieChart>
+        <Pie
+          data={current}
+          dataKey="value"
+          nameKey="name"
+          innerRadius="35%"
+          outerRadius="60%"
+          isAnimationActive={animate}
+        >
+          {current.map(slice => (
+            <Cell key={slice.name} fill={colorOf(slice.name)} />
+          ))}
+        </Pie>
+        <Pie
+          data={target}
+          dataKey="value"
+          nameKey="name"
+          innerRadius="68%"
+          outerRadius="90%"
+          legendType="none"
+          isAnimationActive={animate}
+        >
+          {target.map(slice => (
+            <Cell key={slice.name} fill={colorOf(slice.name)} />
+          ))}
+        </Pie>
+        <Tooltip formatter={(value, name) => [`${value}%`, name]} />
+        <Legend />
+      </PieChart>
+    </ChartFrame>
+  );
+}
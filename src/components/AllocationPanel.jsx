@@ -0,0 +1,187 @@
+import React from 'react';
+import { CASH_KEY, targetWeightTotal } from '../calc/rebalance.js';
+import { formatMoney, formatSignedMoney, gainColor } from '../utils/format.js';
+
+// Card for target allocation weights and the rebalancing trade list.
+// Weights refer to tickers or to user‑defined asset classes (set in
+// each position's details).  `weights` and `plan` come from
+// allocationWeights and planRebalance; `projection` compares the value
+// at target prices before and after the trades.
+export default function AllocationPanel({
+  settings,
+  onChange,
+  weights,
+  plan,
+  projection,
+  untradable,
+  currency,
+  readOnly = false
+}) {
+  const update = patch => onChange({ ...settings, ...patch });
+  const setWeight = (key, value) => {
+    if (key === CASH_KEY) update({ cashWeight: value });
+    else update({ weights: { ...settings.weights, [key]: value } });
+  };
+  const changeGrouping = groupBy => {
+    // Ticker and class keys do not overlap, so start from scratch.
+    update({ groupBy, weights: {} });
+  };
+  const total = targetWeightTotal(settings);
+  const hasTargets = weights.groups.some(g => g.targetWeight != null);
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Allocation &amp; Rebalancing</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        Set target weights and a cash balance to get the trades that bring the portfolio back in line.
+      </p>
+      <div className="cost-basis-grid mb-4">
+        <label>
+          <span className="text-sm">Target weights by</span>
+          <select
+            value={settings.groupBy}
+            disabled={readOnly}
+            onChange={e => changeGrouping(e.target.value)}
+          >
+            <option value="ticker">Ticker</option>
+            <option value="class">Asset class</option>
+          </select>
+        </label>
+        <label>
+          <span className="text-sm">Cash ({currency})</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={settings.cash}
+            disabled={readOnly}
+            onChange={e => update({ cash: e.target.value })}
+          />
+        </label>
+        <label>
+          <span className="text-sm">Minimum trade ({currency})</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={settings.minTrade}
+            disabled={readOnly}
+            onChange={e => update({ minTrade: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="button-row items-center mb-4">
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.fractional}
+            disabled={readOnly}
+            onChange={e => update({ fractional: e.target.checked })}
+          />{' '}
+          Fractional shares
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.noSells}
+            disabled={readOnly}
+            onChange={e => update({ noSells: e.target.checked })}
+          />{' '}
+          No sells (invest cash only)
+        </label>
+      </div>
+      <table className="mb-2">
+        <thead>
+          <tr>
+            <th>{settings.groupBy === 'class' ? 'Asset Class' : 'Ticker'}</th>
+            <th>Value</th>
+            <th>Current %</th>
+            <th>Target %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {weights.groups.map(group => (
+            <tr key={group.key}>
+              <td>{group.key}</td>
+              <td className="sensitive">{formatMoney(group.value, currency)}</td>
+              <td>{group.currentWeight.toFixed(1)}%</td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="any"
+                  className="narrow-input"
+                  aria-label={`${group.key} target weight %`}
+                  value={
+                    group.key === CASH_KEY ? settings.cashWeight : settings.weights[group.key] ?? ''
+                  }
+                  disabled={readOnly}
+                  onChange={e => setWeight(group.key, e.target.value)}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {hasTargets && Math.abs(total - 100) > 0.01 && (
+        <p className="text-xs text-red-500 mb-2">
+          Target weights add up to {total.toFixed(1)}%, not 100%.  Unassigned weight stays where it is.
+        </p>
+      )}
+      {plan.unmatched.length > 0 && (
+        <p className="text-xs text-red-500 mb-2">
+          No priced position for {plan.unmatched.join(', ')}; add one to buy into it.
+        </p>
+      )}
+      {untradable > 0 && (
+        <p className="text-xs text-gray-600 mb-2">
+          {untradable} position(s) without a price (or FX rate) are left out.  Fetch prices first.
+        </p>
+      )}
+      {hasTargets && (
+        <>
+          <h3 className="font-semibold mt-4 mb-2">Trades</h3>
+          {plan.trades.length === 0 ? (
+            <p className="text-gray-500 italic">Nothing to trade.</p>
+          ) : (
+            <table className="mb-2">
+              <thead>
+                <tr>
+                  <th>Ticker</th>
+                  <th>Action</th>
+                  <th>Shares</th>
+                  <th>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.trades.map(trade => (
+                  <tr key={`${trade.id}-${trade.action}`}>
+                    <td>{trade.ticker.toUpperCase()}</td>
+                    <td style={{ color: trade.action === 'buy' ? '#16a34a' : '#dc2626' }}>
+                      {trade.action === 'buy' ? 'Buy' : 'Sell'}
+                    </td>
+                    <td className="sensitive">{parseFloat(trade.shares.toFixed(4))}</td>
+                    <td className="sensitive">{formatMoney(trade.value, currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p>
+            <strong>Cash after trades:</strong>{' '}
+            <span className="sensitive">{formatMoney(plan.cashAfter, currency)}</span>
+          </p>
+          <p>
+            <strong>Projected value at targets:</strong>{' '}
+            <span className="sensitive">{formatMoney(projection.before, currency)}</span> now,{' '}
+            <span className="sensitive">{formatMoney(projection.after, currency)}</span> after rebalancing{' '}
+            <span className="sensitive" style={{ color: gainColor(projection.after - projection.before) }}>
+              ({formatSignedMoney(projection.after - projection.before, currency)})
+            </span>
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
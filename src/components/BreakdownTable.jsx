@@ -0,0 +1,376 @@
+import React from 'react';
+import { ArrowDown, ArrowUp } from 'lucide-react';
+import { getProvider } from '../providers/index.js';
+import { positionLabel } from '../calc/assetTypes.js';
+import {
+  GROUP_OPTIONS,
+  breakdownTotals,
+  filterRows,
+  groupRows,
+  sortRows,
+  weight
+} from '../calc/breakdown.js';
+import { formatMoney, formatSignedMoney } from '../utils/format.js';
+
+const formatPct = value => (value == null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+const formatWeight = value => (value == null ? '—' : `${value.toFixed(2)}%`);
+const orDash = (value, format) => (value == null ? '—' : format(value));
+
+// Column definitions.  `value` feeds sorting (and is what a cell shows
+// unless `render` says otherwise), `total` renders the column in
+// subtotal and footer rows from breakdownTotals.  Text columns sort
+// A–Z first, numeric ones largest first.  `sensitive` columns (amounts
+// and share counts) are blurred in privacy mode.
+function breakdownColumns({ scenarios, portfolio, currency }) {
+  const money = value => formatMoney(value, currency);
+  const signed = value => formatSignedMoney(value, currency);
+  return [
+    { id: 'asset', label: 'Asset', text: true, always: true, value: r => positionLabel(r) || null },
+    {
+      id: 'shares',
+      label: 'Shares',
+      sensitive: true,
+      value: r => (r.shares === '' ? null : parseFloat(r.shares)),
+      render: r => r.shares
+    },
+    {
+      id: 'currentPrice',
+      label: 'Current Price',
+      value: r => r.currentPrice,
+      render: r => orDash(r.currentPrice, price => formatMoney(price, r.quoteCurrency))
+    },
+    {
+      id: 'source',
+      label: 'Source',
+      text: true,
+      value: r => (r.priceSource ? getProvider(r.priceSource)?.label ?? r.priceSource : null)
+    },
+    {
+      id: 'currentValue',
+      label: 'Current Value',
+      sensitive: true,
+      value: r => r.currentValue,
+      render: r =>
+        r.currentValue != null ? money(r.currentValue) : r.ticker && r.fxRate == null ? 'No FX rate' : '—',
+      total: t => money(t.currentTotal)
+    },
+    {
+      id: 'currentWeight',
+      label: 'Weight',
+      title: 'Share of the current portfolio value',
+      value: r => (r.valued ? weight(r.currentValue, portfolio.currentTotal) : null),
+      render: r => formatWeight(r.valued ? weight(r.currentValue, portfolio.currentTotal) : null),
+      total: t => formatWeight(t.currentWeight)
+    },
+    {
+      id: 'targetPrice',
+      label: 'Target Price',
+      sensitive: true,
+      value: r => (r.targetPrice ? parseFloat(r.targetPrice) : null),
+      render: r => (r.targetPrice ? formatMoney(parseFloat(r.targetPrice), r.quoteCurrency) : '—')
+    },
+    {
+      id: 'targetValue',
+      label: 'Target Value',
+      sensitive: true,
+      value: r => r.targetValue,
+      render: r => orDash(r.targetValue, money),
+      total: t => money(t.targetTotal)
+    },
+    {
+      id: 'targetWeight',
+      label: 'Target Weight',
+      title: 'Share of the portfolio value at the targets',
+      value: r => (r.projected ? weight(r.targetValue, portfolio.targetTotal) : null),
+      render: r => formatWeight(r.projected ? weight(r.targetValue, portfolio.targetTotal) : null),
+      total: t => formatWeight(t.targetWeight)
+    },
+    {
+      id: 'gain',
+      label: 'Gain/Loss',
+      sensitive: true,
+      value: r => r.gain,
+      render: r => orDash(r.gain, signed),
+      total: t => signed(t.gainTotal)
+    },
+    {
+      id: 'returnPct',
+      label: 'Return %',
+      value: r => r.returnPct,
+      render: r => formatPct(r.returnPct),
+      total: t => formatPct(t.returnPct)
+    },
+    ...scenarios.map(scenario => ({
+      id: `scenario:${scenario.id}`,
+      label: `${scenario.name} Value`,
+      sensitive: true,
+      value: r => r.scenarioValues[scenario.id] ?? null,
+      render: r => orDash(r.scenarioValues[scenario.id], money),
+      total: t => orDash(t.scenarioValues[scenario.id], money)
+    })),
+    ...(scenarios.length > 0
+      ? [
+          {
+            id: 'expectedValue',
+            label: 'Expected Value',
+            sensitive: true,
+            value: r => r.expectedValue,
+            render: r => orDash(r.expectedValue, money),
+            total: t => orDash(t.expectedValue, money)
+          }
+        ]
+      : []),
+    { id: 'targetDate', label: 'Target Date', text: true, value: r => r.effectiveTargetDate || null },
+    {
+      id: 'cagr',
+      label: 'CAGR',
+      value: r => r.cagr,
+      render: r => orDash(r.cagr, cagr => formatPct(cagr * 100))
+    },
+    {
+      id: 'costBasis',
+      label: 'Cost Basis',
+      sensitive: true,
+      value: r => r.costBasisValue,
+      render: r => orDash(r.costBasisValue, money),
+      total: t => orDash(t.costBasisValue, money)
+    },
+    {
+      id: 'unrealizedPnL',
+      label: 'Unrealized P/L',
+      sensitive: true,
+      value: r => r.unrealizedPnL,
+      render: r => orDash(r.unrealizedPnL, signed),
+      total: t => orDash(t.unrealizedPnL, signed)
+    },
+    {
+      id: 'realizedPnL',
+      label: 'Realized at Target',
+      sensitive: true,
+      value: r => r.realizedPnL?.total ?? null,
+      render: r => orDash(r.realizedPnL?.total, signed),
+      cellTitle: r =>
+        r.realizedPnL
+          ? `Short-term ${signed(r.realizedPnL.short)}, long-term ${signed(r.realizedPnL.long)}`
+          : undefined,
+      total: t => orDash(t.realizedPnL, signed)
+    }
+  ];
+}
+
+// What the table shows for `settings`: the visible columns and the
+// filtered, sorted rows in their groups, with the footer totals.
+function breakdownView({ rows, scenarios, portfolio, currency, settings }) {
+  const columns = breakdownColumns({ scenarios, portfolio, currency });
+  const visible = columns.filter(column => column.always || !settings.hiddenColumns.includes(column.id));
+  const scenarioIds = scenarios.map(scenario => scenario.id);
+  const sortColumn = columns.find(column => column.id === settings.sort.column) ?? null;
+
+  const filtered = filterRows(rows, settings.filter);
+  const sorted = sortRows(filtered, settings.sort, sortColumn?.value);
+  const groups = groupRows(sorted, settings.groupBy);
+  const showGroups =
+    settings.groupBy !== 'none' && !(settings.groupBy === 'type' && groups.length < 2);
+  const totals = breakdownTotals(filtered, portfolio, scenarioIds);
+  return { columns, visible, scenarioIds, filtered, groups, showGroups, totals };
+}
+
+// Body and footer of the table: each group's rows under a heading with
+// a subtotal, then the totals over every row shown.
+function BreakdownBody({ view, rowCount, portfolio }) {
+  const { visible, scenarioIds, filtered, groups, showGroups, totals } = view;
+  const totalsRow = (t, label, className, key) => (
+    <tr className={className} key={key}>
+      {visible.map((column, i) => (
+        <td key={column.id} className={column.sensitive ? 'sensitive' : undefined}>
+          {i === 0 ? label : column.total ? column.total(t) : ''}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <>
+      <tbody>
+        {filtered.length === 0 && (
+          <tr>
+            <td colSpan={visible.length} className="text-gray-500 italic">
+              No positions match the filter.
+            </td>
+          </tr>
+        )}
+        {groups.map(group => (
+          <React.Fragment key={group.key}>
+            {showGroups && (
+              <tr className="group-row">
+                <th colSpan={visible.length} scope="rowgroup">
+                  {group.label} ({group.rows.length})
+                </th>
+              </tr>
+            )}
+            {group.rows.map(row => (
+              <tr
+                key={row.id}
+                className={row.projected ? undefined : 'excluded-row'}
+                title={row.projected ? undefined : row.issues.map(i => i.message).join(', ')}
+              >
+                {visible.map(column => (
+                  <td
+                    key={column.id}
+                    title={column.cellTitle?.(row)}
+                    className={column.sensitive ? 'sensitive' : undefined}
+                  >
+                    {column.render ? column.render(row) : column.value(row) ?? '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {showGroups &&
+              totalsRow(
+                breakdownTotals(group.rows, portfolio, scenarioIds),
+                `${group.label} subtotal`,
+                'subtotal-row',
+                `${group.key}-subtotal`
+              )}
+          </React.Fragment>
+        ))}
+      </tbody>
+      <tfoot>
+        {totalsRow(
+          totals,
+          filtered.length < rowCount ? `Total (${filtered.length} of ${rowCount})` : 'Total',
+          'totals-row',
+          'total'
+        )}
+      </tfoot>
+    </>
+  );
+}
+
+// Breakdown card: every position with its values, sortable by any
+// column, filterable by text and grouped by asset type, asset class,
+// sector or tag with a subtotal per group, plus a totals footer.
+// `settings` (see calc/breakdown.js) is controlled by App, which
+// remembers it between sessions; `portfolio` holds the portfolio's
+// `currentTotal` and `targetTotal` for the weight columns.
+export default function BreakdownTable({ rows, scenarios, portfolio, currency, settings, onSettingsChange }) {
+  const view = breakdownView({ rows, scenarios, portfolio, currency, settings });
+  const { columns, visible } = view;
+
+  const update = changes => onSettingsChange({ ...settings, ...changes });
+
+  // Largest first (A–Z for text), then the other way, then unsorted.
+  const toggleSort = column => {
+    const first = column.text ? 'asc' : 'desc';
+    const second = first === 'asc' ? 'desc' : 'asc';
+    if (settings.sort.column !== column.id) update({ sort: { column: column.id, direction: first } });
+    else if (settings.sort.direction === first) update({ sort: { column: column.id, direction: second } });
+    else update({ sort: { column: null, direction: 'desc' } });
+  };
+
+  const toggleColumn = id => {
+    const hidden = settings.hiddenColumns.includes(id)
+      ? settings.hiddenColumns.filter(other => other !== id)
+      : [...settings.hiddenColumns, id];
+    update({ hiddenColumns: hidden });
+  };
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Breakdown</h2>
+      {rows.length === 0 ? (
+        <p className="text-gray-500 italic">No assets entered.</p>
+      ) : (
+        <>
+          <div className="button-row items-center mb-2 breakdown-controls">
+            <label>
+              <span className="sr-only">Filter positions</span>
+              <input
+                type="search"
+                value={settings.filter}
+                placeholder="Filter by ticker, sector, tag…"
+                onChange={e => update({ filter: e.target.value })}
+              />
+            </label>
+            <label>
+              <span className="text-sm">Group by </span>
+              <select value={settings.groupBy} onChange={e => update({ groupBy: e.target.value })}>
+                {GROUP_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <details className="column-picker">
+              <summary>Columns</summary>
+              <div className="column-picker-list">
+                {columns
+                  .filter(column => !column.always)
+                  .map(column => (
+                    <label key={column.id} className="block">
+                      <input
+                        type="checkbox"
+                        checked={!settings.hiddenColumns.includes(column.id)}
+                        onChange={() => toggleColumn(column.id)}
+                      />{' '}
+                      {column.label}
+                    </label>
+                  ))}
+              </div>
+            </details>
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table>
+              <thead>
+                <tr>
+                  {visible.map(column => {
+                    const active = settings.sort.column === column.id;
+                    return (
+                      <th
+                        key={column.id}
+                        title={column.title}
+                        aria-sort={active ? (settings.sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                      >
+                        <button type="button" className="sort-button" onClick={() => toggleSort(column)}>
+                          {column.label}
+                          {active &&
+                            (settings.sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                        </button>
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <BreakdownBody view={view} rowCount={rows.length} portfolio={portfolio} />
+            </table>
+          </div>
+          {view.showGroups && settings.groupBy === 'tag' && (
+            <p className="text-xs text-gray-600 mt-2">
+              Positions with several tags appear under each; the total counts them once.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// The breakdown as it goes into the printed report: the columns,
+// grouping and sort chosen on the card, but every position regardless
+// of the filter, and no controls.
+export function BreakdownReportTable({ rows, scenarios, portfolio, currency, settings }) {
+  const view = breakdownView({ rows, scenarios, portfolio, currency, settings: { ...settings, filter: '' } });
+  return (
+    <table>
+      <thead>
+        <tr>
+          {view.visible.map(column => (
+            <th key={column.id}>{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <BreakdownBody view={view} rowCount={rows.length} portfolio={portfolio} />
+    </table>
+  );
+}
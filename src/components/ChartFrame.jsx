@@ -0,0 +1,16 @@
+import React from 'react';
+import { ResponsiveContainer } from 'recharts';
+
+// Size a Recharts chart.  By default it fills the width of its
+// container; with a fixed `width` (the printed report) it is drawn at
+// exactly that size, so the SVG is the same on every screen.  Charts
+// given a width should also turn their animations off, or printing
+// may catch them half drawn.
+export default function ChartFrame({ width, height = 300, children }) {
+  if (width != null) return React.cloneElement(children, { width, height });
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      {children}
+    </ResponsiveContainer>
+  );
+}
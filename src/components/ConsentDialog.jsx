@@ -0,0 +1,32 @@
+import React from 'react';
+
+// First‑run question whether usage analytics may be loaded.  It sits
+// at the bottom of the screen without blocking the app; the answer is
+// saved with the preferences and can be changed later under Privacy.
+export default function ConsentDialog({ onChoose }) {
+  return (
+    <div
+      className="consent-dialog"
+      role="dialog"
+      aria-labelledby="consent-heading"
+      aria-describedby="consent-description"
+    >
+      <h2 id="consent-heading" className="font-semibold">
+        Allow usage analytics?
+      </h2>
+      <p id="consent-description" className="text-sm">
+        With your permission the app loads Vercel Analytics and Speed Insights, which report page
+        views and load times to the host.  Your positions, prices and other portfolio data are never
+        included.  Nothing is loaded until you choose.
+      </p>
+      <div className="button-row">
+        <button type="button" onClick={() => onChoose(true)}>
+          Allow
+        </button>
+        <button type="button" onClick={() => onChoose(false)}>
+          No thanks
+        </button>
+      </div>
+    </div>
+  );
+}
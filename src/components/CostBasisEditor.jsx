@@ -0,0 +1,142 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { genId } from '../utils/id.js';
+
+// Inline editor for a position's cost basis, rendered in an expanded
+// row below the asset.  Supports a single average cost with an
+// optional acquisition date, or individual lots with purchase date,
+// share count and price.  Controlled: every edit is reported through
+// `onChange` with the full updated cost basis object.
+export default function CostBasisEditor({ costBasis, onChange, readOnly = false }) {
+  const update = patch => onChange({ ...costBasis, ...patch });
+
+  const updateLot = (id, patch) => {
+    update({ lots: costBasis.lots.map(lot => (lot.id === id ? { ...lot, ...patch } : lot)) });
+  };
+
+  const addLot = () => {
+    update({ lots: [...costBasis.lots, { id: genId(), date: '', shares: '', price: '' }] });
+  };
+
+  const removeLot = id => {
+    update({ lots: costBasis.lots.filter(lot => lot.id !== id) });
+  };
+
+  return (
+    <div className="cost-basis">
+      <div className="flex items-center gap-2 mb-2">
+        <label>
+          <input
+            type="radio"
+            checked={costBasis.mode === 'average'}
+            disabled={readOnly}
+            onChange={() => update({ mode: 'average' })}
+          />{' '}
+          Average cost
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={costBasis.mode === 'lots'}
+            disabled={readOnly}
+            onChange={() => update({ mode: 'lots' })}
+          />{' '}
+          Lots
+        </label>
+      </div>
+
+      {costBasis.mode === 'average' ? (
+        <div className="cost-basis-grid">
+          <label>
+            <span className="text-sm">Average cost / share</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={costBasis.averageCost}
+              disabled={readOnly}
+              onChange={e => update({ averageCost: e.target.value })}
+            />
+          </label>
+          <label>
+            <span className="text-sm">Acquired (optional)</span>
+            <input
+              type="date"
+              value={costBasis.acquired}
+              disabled={readOnly}
+              onChange={e => update({ acquired: e.target.value })}
+            />
+          </label>
+        </div>
+      ) : (
+        <table className="lots-table">
+          <thead>
+            <tr>
+              <th>Purchase date</th>
+              <th>Shares</th>
+              <th>Price</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {costBasis.lots.map(lot => (
+              <tr key={lot.id}>
+                <td>
+                  <input
+                    type="date"
+                    value={lot.date}
+                    disabled={readOnly}
+                    onChange={e => updateLot(lot.id, { date: e.target.value })}
+                    aria-label="Purchase date"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={lot.shares}
+                    disabled={readOnly}
+                    onChange={e => updateLot(lot.id, { shares: e.target.value })}
+                    aria-label="Lot shares"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={lot.price}
+                    disabled={readOnly}
+                    onChange={e => updateLot(lot.id, { price: e.target.value })}
+                    aria-label="Lot price"
+                  />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="icon-button"
+                    onClick={() => removeLot(lot.id)}
+                    disabled={readOnly}
+                    aria-label="Remove lot"
+                  >
+                    <X size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan={4}>
+                <button type="button" onClick={addLot} disabled={readOnly}>
+                  <Plus size={14} className="inline mr-1" /> Add lot
+                </button>
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+}
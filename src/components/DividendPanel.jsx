@@ -0,0 +1,142 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { annualRate, payoutCalendar } from '../calc/dividends.js';
+import { positionLabel } from '../calc/assetTypes.js';
+import { formatMoney, formatCompactMoney } from '../utils/format.js';
+
+const formatPct = value => (value == null ? '—' : `${value.toFixed(2)}%`);
+
+// `2026-03` → `Mar 2026` in the browser's locale.
+const monthLabel = month => {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(year, m - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+};
+
+// Dividend income card: projected annual income per position and in
+// total, yield on current value and on cost, and the expected payouts
+// month by month.  `rows` are projected stock and crypto rows and
+// `dividends` the fetched data keyed by quote symbol (see
+// services/dividendService.js).  The checkbox decides whether the
+// target values elsewhere include dividends accrued until the target
+// date.
+export default function DividendPanel({
+  rows,
+  dividends,
+  status,
+  onLoad,
+  includeDividends,
+  onIncludeChange,
+  currency,
+  readOnly = false
+}) {
+  const payers = rows.filter(r => r.annualIncome > 0);
+  const totalIncome = payers.reduce((acc, r) => acc + r.annualIncome, 0);
+  const totalValue = payers.reduce((acc, r) => acc + r.currentValue, 0);
+  const costRows = payers.filter(r => r.costBasisValue > 0);
+  const totalCost = costRows.reduce((acc, r) => acc + r.costBasisValue, 0);
+  const costIncome = costRows.reduce((acc, r) => acc + r.annualIncome, 0);
+  const totalAccrued = payers.reduce((acc, r) => acc + (r.accruedDividends ?? 0), 0);
+  const calendar = payoutCalendar(
+    payers.map(r => ({
+      ticker: positionLabel(r),
+      annualIncome: r.annualIncome,
+      history: dividends.get(r.quoteSymbol)?.history ?? []
+    }))
+  ).map(entry => ({
+    ...entry,
+    label: monthLabel(entry.month),
+    Payout: parseFloat(entry.amount.toFixed(2))
+  }));
+  const hasSecurities = rows.some(r => r.quoteSymbol);
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Dividend Income</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        Projected from each position&apos;s forward dividend rate, or the payments of the last twelve
+        months when there is none.  Payouts are expected in the same months as last year.
+      </p>
+      <div className="button-row items-center mb-4">
+        <button type="button" onClick={onLoad} disabled={!hasSecurities || status === 'loading'}>
+          {status === 'loading' ? 'Loading dividends…' : 'Load Dividends'}
+        </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={includeDividends}
+            disabled={readOnly}
+            onChange={e => onIncludeChange(e.target.checked)}
+          />{' '}
+          Include dividends until the target date in target values
+        </label>
+      </div>
+      {status === 'error' && (
+        <p className="text-red-500 text-sm">Could not load dividend data.  Try again later.</p>
+      )}
+      {payers.length === 0 ? (
+        <p className="text-gray-500 italic">
+          {status === 'done'
+            ? 'None of these positions pays a dividend.'
+            : 'Fetch prices or load dividends to see projected income.'}
+        </p>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Asset</th>
+                  <th>Annual / Share</th>
+                  <th>Annual Income</th>
+                  <th>Yield on Value</th>
+                  <th>Yield on Cost</th>
+                  <th>Until Target Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payers.map(r => {
+                  const rate = annualRate(dividends.get(r.quoteSymbol));
+                  return (
+                    <tr key={r.id}>
+                      <td>{positionLabel(r)}</td>
+                      <td>
+                        {rate ? formatMoney(rate.rate, r.quoteCurrency) : '—'}
+                        {rate && <span className="source-tag">{rate.basis}</span>}
+                      </td>
+                      <td className="sensitive">{formatMoney(r.annualIncome, currency)}</td>
+                      <td>{formatPct(r.yieldOnValue)}</td>
+                      <td>{formatPct(r.yieldOnCost)}</td>
+                      <td className="sensitive">{r.accruedDividends > 0 ? formatMoney(r.accruedDividends, currency) : '—'}</td>
+                    </tr>
+                  );
+                })}
+                <tr className="subtotal-row">
+                  <td>Total</td>
+                  <td></td>
+                  <td className="sensitive">{formatMoney(totalIncome, currency)}</td>
+                  <td>{formatPct(totalValue > 0 ? (totalIncome / totalValue) * 100 : null)}</td>
+                  <td>{formatPct(totalCost > 0 ? (costIncome / totalCost) * 100 : null)}</td>
+                  <td className="sensitive">{totalAccrued > 0 ? formatMoney(totalAccrued, currency) : '—'}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <h3 className="font-semibold mt-4 mb-2">Expected Payouts, Next 12 Months</h3>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={calendar} margin={{ top: 10, right: 30, left: 40, bottom: 5 }}>
+              <XAxis dataKey="label" />
+              <YAxis tickFormatter={v => formatCompactMoney(v, currency)} />
+              <Tooltip
+                formatter={(value, name, item) => [
+                  `${formatMoney(value, currency)}${item.payload.tickers.length ? ` (${item.payload.tickers.join(', ')})` : ''}`,
+                  name
+                ]}
+              />
+              <Bar dataKey="Payout" fill="#6ee7b7" />
+            </BarChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+}
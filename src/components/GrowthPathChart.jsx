@@ -0,0 +1,50 @@
+import React from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import ChartFrame from './ChartFrame.jsx';
+import { formatMoney, formatCompactMoney } from '../utils/format.js';
+
+// Line chart of the projected portfolio value over time, built from
+// the path returned by projectGrowthPath.  The contribution and
+// dividend series are only drawn when they are in use.  A fixed
+// `width` draws it for print (see ChartFrame).
+export default function GrowthPathChart({ path, showExtras, currency, width }) {
+  const animate = width == null;
+  const data = path.map(point => ({
+    name: point.date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+    Holdings: parseFloat(point.holdings.toFixed(2)),
+    Total: parseFloat(point.total.toFixed(2)),
+    Contributed: parseFloat(point.contributed.toFixed(2))
+  }));
+
+  return (
+    <ChartFrame width={width}>
+      <LineChart data={data} margin={{ top: 20, right: 30, left: 40, bottom: 5 }}>
+        <XAxis dataKey="name" minTickGap={24} />
+        <YAxis tickFormatter={v => formatCompactMoney(v, currency)} />
+        <Tooltip formatter={(value, name) => [formatMoney(value, currency), name]} />
+        <Legend />
+        <Line type="monotone" dataKey="Holdings" stroke="#60a5fa" dot={false} isAnimationActive={animate} />
+        {showExtras && (
+          <Line type="monotone" dataKey="Total" stroke="#34d399" dot={false} isAnimationActive={animate} />
+        )}
+        {showExtras && (
+          <Line
+            type="monotone"
+            dataKey="Contributed"
+            stroke="#fbbf24"
+            dot={false}
+            strokeDasharray="4 4"
+            isAnimationActive={animate}
+          />
+        )}
+      </LineChart>
+    </ChartFrame>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useRef, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { fetchHistories } from '../services/historyService.js';
+import { alignSeries } from '../calc/series.js';
+import { portfolioValues, normalizeTo, performanceStats } from '../calc/performance.js';
+
+const RANGES = [
+  { label: '1M', range: '1mo' },
+  { label: '6M', range: '6mo' },
+  { label: '1Y', range: '1y' },
+  { label: '5Y', range: '5y' }
+];
+
+const formatPct = value =>
+  value == null ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+
+// Merge rows that share a ticker by summing their shares, keeping the
+// row's FX rate so foreign positions are valued in the base currency.
+function toHoldings(rows) {
+  const byTicker = new Map();
+  for (const row of rows) {
+    const ticker = row.ticker.toUpperCase();
+    const shares = parseFloat(row.shares) || 0;
+    const existing = byTicker.get(ticker);
+    if (existing) existing.shares += shares;
+    else byTicker.set(ticker, { ticker, shares, fxRate: row.fxRate });
+  }
+  return [...byTicker.values()].filter(h => h.shares > 0);
+}
+
+// Card showing how today's holdings would have performed over a past
+// range, next to a benchmark.  Both lines start at 100.  Values use
+// today's FX rates, so currency moves over the range are not included.
+export default function HistoryPanel({ rows, providerSettings }) {
+  const [range, setRange] = useState('1y');
+  const [benchmark, setBenchmark] = useState('SPY');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const loadIdRef = useRef(0);
+
+  const holdings = toHoldings(rows.filter(r => r.ticker && r.fxRate != null));
+
+  const load = async () => {
+    const loadId = ++loadIdRef.current;
+    const bench = benchmark.trim().toUpperCase();
+    setStatus('loading');
+    setError(null);
+    try {
+      const tickers = holdings.map(h => h.ticker);
+      const series = await fetchHistories(bench ? [...tickers, bench] : tickers, range, providerSettings);
+      if (loadId !== loadIdRef.current) return;
+      const { dates, closes } = alignSeries(series);
+      if (dates.length < 2) throw new Error('Not enough overlapping history for these tickers.');
+      const portfolio = portfolioValues(closes.slice(0, holdings.length), holdings);
+      const benchValues = bench ? closes[holdings.length] : null;
+      const normalized = normalizeTo(portfolio);
+      const normalizedBench = benchValues ? normalizeTo(benchValues) : null;
+      setResult({
+        benchmark: bench,
+        data: dates.map((date, i) => ({
+          date,
+          Portfolio: parseFloat(normalized[i].toFixed(2)),
+          ...(normalizedBench ? { [bench]: parseFloat(normalizedBench[i].toFixed(2)) } : {})
+        })),
+        stats: [
+          { name: 'Portfolio', ...performanceStats(portfolio) },
+          ...(benchValues ? [{ name: bench, ...performanceStats(benchValues) }] : [])
+        ]
+      });
+      setStatus('done');
+    } catch (err) {
+      if (loadId !== loadIdRef.current) return;
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Historical Performance</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        How your current holdings would have performed, compared with a benchmark.  Both start at 100.
+      </p>
+      <div className="button-row items-center mb-4">
+        <div className="button-row" role="group" aria-label="History range">
+          {RANGES.map(r => (
+            <button
+              key={r.range}
+              type="button"
+              aria-pressed={range === r.range}
+              onClick={() => setRange(r.range)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+        <label>
+          <span className="text-sm">Benchmark </span>
+          <input
+            type="text"
+            className="narrow-input"
+            value={benchmark}
+            placeholder="e.g. SPY"
+            onChange={e => setBenchmark(e.target.value)}
+          />
+        </label>
+        <button type="button" onClick={load} disabled={holdings.length === 0 || status === 'loading'}>
+          {status === 'loading' ? 'Loading history…' : 'Load History'}
+        </button>
+      </div>
+      {holdings.length === 0 && (
+        <p className="text-gray-500 italic">Enter positions with shares to see their history.</p>
+      )}
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+      {result && (
+        <>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={result.data} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+              <XAxis dataKey="date" minTickGap={32} />
+              <YAxis domain={['auto', 'auto']} />
+              <Tooltip formatter={(value, name) => [value.toFixed(2), name]} />
+              <Legend />
+              <Line type="monotone" dataKey="Portfolio" stroke="#60a5fa" dot={false} strokeWidth={2} />
+              {result.benchmark && (
+                <Line type="monotone" dataKey={result.benchmark} stroke="#fbbf24" dot={false} />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+          <table className="mt-4">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Total Return</th>
+                <th>Max Drawdown</th>
+                <th>Volatility (ann.)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.stats.map(stat => (
+                <tr key={stat.name}>
+                  <td>{stat.name}</td>
+                  <td>{formatPct(stat.totalReturn)}</td>
+                  <td>{formatPct(stat.maxDrawdown)}</td>
+                  <td>{stat.volatility != null ? `${(stat.volatility * 100).toFixed(2)}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+
+// Portfolio‑wide time‑horizon settings shown in the Summary card: a
+// default target date for positions without their own, a recurring
+// monthly contribution and a dividend yield that can be reinvested.
+export default function HorizonSettings({ settings, onChange, readOnly = false, currency = 'USD' }) {
+  const update = patch => onChange({ ...settings, ...patch });
+
+  return (
+    <details className="tax-settings mb-4">
+      <summary className="text-sm">Time horizon</summary>
+      <div className="cost-basis-grid mt-2">
+        <label>
+          <span className="text-sm">Portfolio target date</span>
+          <input
+            type="date"
+            value={settings.targetDate}
+            disabled={readOnly}
+            onChange={e => update({ targetDate: e.target.value })}
+          />
+        </label>
+        <label>
+          <span className="text-sm">Monthly contribution ({currency})</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={settings.monthlyContribution}
+            disabled={readOnly}
+            onChange={e => update({ monthlyContribution: e.target.value })}
+          />
+        </label>
+        <label>
+          <span className="text-sm">Dividend yield %</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={settings.dividendYield}
+            disabled={readOnly}
+            onChange={e => update({ dividendYield: e.target.value })}
+          />
+        </label>
+      </div>
+      <label className="block mt-2">
+        <input
+          type="checkbox"
+          checked={settings.reinvestDividends}
+          disabled={readOnly}
+          onChange={e => update({ reinvestDividends: e.target.checked })}
+        />{' '}
+        Reinvest dividends
+      </label>
+    </details>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import {
+  POSITION_FIELDS,
+  importPositionsCsv,
+  importPositionsJson,
+  exportPositionsCsv,
+  exportPositionsJson,
+  exportBreakdownCsv,
+  exportBreakdownJson
+} from '../io/positions.js';
+import { downloadFile, slugify } from '../utils/download.js';
+
+// Card for importing positions from CSV/JSON files and exporting the
+// positions or the computed breakdown.  CSV imports show a column
+// mapping step so that arbitrary brokerage exports can be used; the
+// parsed result and any per‑line errors update live as the mapping
+// changes.  Accepted positions are handed to `onImport` together with
+// the chosen mode ('append' or 'replace').  With `readOnly` set only
+// the export buttons are shown.
+export default function ImportExport({ portfolioName, assets, rows, onImport, readOnly = false }) {
+  const [pending, setPending] = useState(null);
+
+  const handleFile = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+    if (isJson) {
+      setPending({ fileName: file.name, type: 'json', text, result: importPositionsJson(text) });
+    } else {
+      setPending({ fileName: file.name, type: 'csv', text, result: importPositionsCsv(text) });
+    }
+  };
+
+  // Re-run the CSV import with one field pointed at a different column.
+  const remap = (key, index) => {
+    setPending(prev => ({
+      ...prev,
+      result: importPositionsCsv(prev.text, { ...prev.result.mapping, [key]: index })
+    }));
+  };
+
+  const apply = mode => {
+    onImport(pending.result.positions, mode);
+    setPending(null);
+  };
+
+  const base = slugify(portfolioName);
+  const exports = [
+    { label: 'Positions CSV', run: () => downloadFile(`${base}-positions.csv`, exportPositionsCsv(assets), 'text/csv') },
+    { label: 'Positions JSON', run: () => downloadFile(`${base}-positions.json`, exportPositionsJson(assets), 'application/json') },
+    { label: 'Breakdown CSV', run: () => downloadFile(`${base}-breakdown.csv`, exportBreakdownCsv(rows), 'text/csv') },
+    { label: 'Breakdown JSON', run: () => downloadFile(`${base}-breakdown.json`, exportBreakdownJson(rows), 'application/json') }
+  ];
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">{readOnly ? 'Export' : 'Import / Export'}</h2>
+      {!readOnly && (
+        <label className="block mb-4">
+          <span className="text-sm">Import positions from a CSV or JSON file</span>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+        </label>
+      )}
+
+      {pending && !readOnly && (
+        <div className="import-preview mb-4">
+          <p className="text-sm">
+            <strong>{pending.fileName}</strong>: {pending.result.positions.length} position(s) ready
+            {pending.result.errors.length > 0 && `, ${pending.result.errors.length} problem(s)`}
+          </p>
+          {pending.type === 'csv' && pending.result.headers.length > 0 && (
+            <div className="column-mapping">
+              {POSITION_FIELDS.map(field => (
+                <label key={field.key}>
+                  <span className="text-sm">
+                    {field.label}
+                    {field.required ? ' *' : ''}
+                  </span>
+                  <select
+                    value={pending.result.mapping[field.key] ?? -1}
+                    onChange={e => remap(field.key, Number(e.target.value))}
+                  >
+                    <option value={-1}>(none)</option>
+                    {pending.result.headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+          {pending.result.errors.length > 0 && (
+            <ul className="import-errors text-red-500 text-xs">
+              {pending.result.errors.map((err, index) => (
+                <li key={index}>
+                  {pending.type === 'json' ? 'Item' : 'Line'} {err.line}: {err.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="button-row">
+            <button
+              type="button"
+              onClick={() => apply('append')}
+              disabled={pending.result.positions.length === 0}
+            >
+              Append
+            </button>
+            <button
+              type="button"
+              onClick={() => apply('replace')}
+              disabled={pending.result.positions.length === 0}
+            >
+              Replace
+            </button>
+            <button type="button" onClick={() => setPending(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="button-row">
+        {exports.map(item => (
+          <button key={item.label} type="button" onClick={item.run}>
+            Export {item.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
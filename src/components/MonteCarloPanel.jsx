@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { fetchHistories } from '../services/historyService.js';
+import { TRADING_DAYS_PER_YEAR } from '../calc/monteCarlo.js';
+import { formatMoney, formatCompactMoney } from '../utils/format.js';
+
+const RANGES = ['1y', '2y', '5y'];
+
+// Merge rows that share a ticker: shares are summed and the first
+// target found is used.  Identical tickers would otherwise be perfectly
+// correlated, which the Cholesky factorization cannot handle.  Prices
+// and targets are converted into the base currency at today's rate.
+function toPositions(rows) {
+  const byTicker = new Map();
+  for (const row of rows) {
+    const ticker = row.ticker.toUpperCase();
+    const shares = parseFloat(row.shares) || 0;
+    const target = row.targetPrice !== '' ? parseFloat(row.targetPrice) * row.fxRate : null;
+    const existing = byTicker.get(ticker);
+    if (existing) {
+      existing.shares += shares;
+      if (existing.target == null) existing.target = target;
+    } else {
+      byTicker.set(ticker, { ticker, shares, price: row.currentPrice * row.fxRate, target });
+    }
+  }
+  return [...byTicker.values()].filter(p => p.shares > 0);
+}
+
+// Monte Carlo simulation card.  Fetches daily history for every priced
+// position, then runs a seeded, correlated simulation in a Web Worker
+// and shows percentile bands, target‑hit probabilities and value at
+// risk.  The same seed and inputs always reproduce the same result.
+export default function MonteCarloPanel({ rows, providerSettings, horizonYears, currency }) {
+  const [range, setRange] = useState('2y');
+  const [days, setDays] = useState('');
+  const [paths, setPaths] = useState('5000');
+  const [seed, setSeed] = useState('1');
+  const [useDrift, setUseDrift] = useState(true);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const defaultDays = Math.max(1, Math.round((horizonYears > 0 ? horizonYears : 1) * TRADING_DAYS_PER_YEAR));
+  const positions = toPositions(rows.filter(r => r.ticker && r.currentPrice > 0 && r.fxRate != null));
+
+  const getWorker = () => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), {
+        type: 'module'
+      });
+    }
+    return workerRef.current;
+  };
+
+  const run = async () => {
+    const id = ++runIdRef.current;
+    setStatus('loading');
+    setError(null);
+    try {
+      const history = await fetchHistories(
+        positions.map(p => p.ticker),
+        range,
+        providerSettings
+      );
+      if (id !== runIdRef.current) return;
+      setStatus('running');
+      const worker = getWorker();
+      const response = await new Promise(resolve => {
+        const onMessage = event => {
+          if (event.data.id !== id) return;
+          worker.removeEventListener('message', onMessage);
+          resolve(event.data);
+        };
+        worker.addEventListener('message', onMessage);
+        worker.postMessage({
+          id,
+          positions,
+          history,
+          days: parseInt(days, 10) || defaultDays,
+          paths: Math.min(50000, Math.max(100, parseInt(paths, 10) || 5000)),
+          seed,
+          useDrift
+        });
+      });
+      if (id !== runIdRef.current) return;
+      if (response.error) throw new Error(response.error);
+      setResult(response.result);
+      setStatus('done');
+    } catch (err) {
+      if (id !== runIdRef.current) return;
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+
+  const chartData = result?.bands.map(band => ({
+    name: `Day ${band.day}`,
+    P5: parseFloat(band.p5.toFixed(2)),
+    P50: parseFloat(band.p50.toFixed(2)),
+    P95: parseFloat(band.p95.toFixed(2))
+  }));
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Monte Carlo Simulation</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Simulates correlated price paths from each position&apos;s historical drift and volatility.
+      </p>
+      <div className="cost-basis-grid mb-4">
+        <label>
+          <span className="text-sm">History</span>
+          <select value={range} onChange={e => setRange(e.target.value)}>
+            {RANGES.map(r => (
+              <option key={r} value={r}>
+                {r}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="text-sm">Horizon (trading days)</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={days}
+            placeholder={String(defaultDays)}
+            onChange={e => setDays(e.target.value)}
+          />
+        </label>
+        <label>
+          <span className="text-sm">Paths</span>
+          <input type="number" min="100" max="50000" step="100" value={paths} onChange={e => setPaths(e.target.value)} />
+        </label>
+        <label>
+          <span className="text-sm">Seed</span>
+          <input type="text" value={seed} onChange={e => setSeed(e.target.value)} />
+        </label>
+      </div>
+      <div className="button-row items-center mb-4">
+        <label>
+          <input type="checkbox" checked={useDrift} onChange={e => setUseDrift(e.target.checked)} />{' '}
+          Use historical drift
+        </label>
+        <button
+          type="button"
+          onClick={run}
+          disabled={positions.length === 0 || status === 'loading' || status === 'running'}
+        >
+          {status === 'loading' ? 'Loading history…' : status === 'running' ? 'Simulating…' : 'Run Simulation'}
+        </button>
+      </div>
+      {positions.length === 0 && (
+        <p className="text-gray-500 italic">Fetch prices to run a simulation.</p>
+      )}
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+      {result && (
+        <>
+          <div className="mb-4">
+            <p>
+              <strong>Median Value at Horizon:</strong>{' '}
+              <span className="sensitive">{formatMoney(result.final.p50, currency)}</span>{' '}
+              <span className="text-xs text-gray-600 sensitive">
+                (P5 {formatMoney(result.final.p5, currency)} – P95 {formatMoney(result.final.p95, currency)})
+              </span>
+            </p>
+            <p>
+              <strong>Value at Risk (95%):</strong>{' '}
+              <span className="sensitive">{formatMoney(result.var95, currency)}</span>
+            </p>
+            <p>
+              <strong>Value at Risk (99%):</strong>{' '}
+              <span className="sensitive">{formatMoney(result.var99, currency)}</span>
+            </p>
+          </div>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={chartData} margin={{ top: 20, right: 30, left: 40, bottom: 5 }}>
+              <XAxis dataKey="name" minTickGap={24} />
+              <YAxis tickFormatter={v => formatCompactMoney(v, currency)} />
+              <Tooltip formatter={(value, name) => [formatMoney(value, currency), name]} />
+              <Legend />
+              <Line type="monotone" dataKey="P95" stroke="#34d399" dot={false} />
+              <Line type="monotone" dataKey="P50" stroke="#60a5fa" dot={false} strokeWidth={2} />
+              <Line type="monotone" dataKey="P5" stroke="#f87171" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+          <table className="mt-4">
+            <thead>
+              <tr>
+                <th>Ticker</th>
+                <th>Daily Volatility</th>
+                <th>P(touch target)</th>
+                <th>P(end beyond target)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.positions.map((p, i) => (
+                <tr key={p.ticker}>
+                  <td>{p.ticker}</td>
+                  <td>{(result.parameters.volatility[i] * 100).toFixed(2)}%</td>
+                  <td>{p.probTouch != null ? `${(p.probTouch * 100).toFixed(1)}%` : '—'}</td>
+                  <td>{p.probEnd != null ? `${(p.probEnd * 100).toFixed(1)}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
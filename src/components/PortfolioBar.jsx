@@ -0,0 +1,73 @@
+import React from 'react';
+
+// Toolbar for switching between named portfolios and managing them.
+// Names for new, renamed and duplicated portfolios are asked for with
+// window.prompt to keep the UI small; cancelling a prompt does nothing.
+export default function PortfolioBar({
+  portfolios,
+  activeId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onShare
+}) {
+  const active = portfolios.find(p => p.id === activeId);
+
+  const askName = (message, initial) => {
+    const name = window.prompt(message, initial);
+    return name && name.trim() ? name.trim() : null;
+  };
+
+  const create = () => {
+    const name = askName('Name for the new portfolio:', 'New Portfolio');
+    if (name) onCreate(name);
+  };
+
+  const rename = () => {
+    const name = askName('Rename portfolio:', active.name);
+    if (name) onRename(active.id, name);
+  };
+
+  const duplicate = () => {
+    const name = askName('Name for the copy:', `${active.name} (copy)`);
+    if (name) onDuplicate(active.id, name);
+  };
+
+  const remove = () => {
+    if (window.confirm(`Delete "${active.name}"? This cannot be undone.`)) {
+      onDelete(active.id);
+    }
+  };
+
+  return (
+    <div className="portfolio-bar">
+      <label>
+        <span className="sr-only">Portfolio</span>
+        <select value={activeId} onChange={e => onSelect(e.target.value)}>
+          {portfolios.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="button" onClick={create}>
+        New
+      </button>
+      <button type="button" onClick={rename}>
+        Rename
+      </button>
+      <button type="button" onClick={duplicate}>
+        Duplicate
+      </button>
+      <button type="button" onClick={remove} disabled={portfolios.length === 1}>
+        Delete
+      </button>
+      <button type="button" onClick={onShare}>
+        Share
+      </button>
+    </div>
+  );
+}
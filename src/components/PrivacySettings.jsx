@@ -0,0 +1,44 @@
+import React from 'react';
+import { TELEMETRY_AVAILABLE } from './Telemetry.jsx';
+
+// Settings card for usage analytics and privacy mode.  `consent` is
+// null until the user has answered the first‑run question, then true
+// or false.  Analytics scripts cannot be unloaded from a running page,
+// so switching them off takes full effect on the next visit.
+export default function PrivacySettings({ consent, onConsentChange, privacyMode, onPrivacyModeChange }) {
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Privacy</h2>
+      {TELEMETRY_AVAILABLE ? (
+        <>
+          <label className="block">
+            <input
+              type="checkbox"
+              checked={consent === true}
+              onChange={e => onConsentChange(e.target.checked)}
+            />{' '}
+            Send usage analytics (Vercel Analytics and Speed Insights)
+          </label>
+          <p className="text-xs text-gray-600 mb-2">
+            Page views and load times only; no portfolio data.  Turning this off applies fully after
+            the page is reloaded.
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600 mb-2">Usage analytics are not included in this build.</p>
+      )}
+      <label className="block">
+        <input
+          type="checkbox"
+          checked={privacyMode}
+          onChange={e => onPrivacyModeChange(e.target.checked)}
+        />{' '}
+        Privacy mode
+      </label>
+      <p className="text-xs text-gray-600">
+        Blurs amounts and share counts on screen, e.g. while screen‑sharing.  A field you are
+        editing stays readable while it has focus, and printing is not affected.
+      </p>
+    </div>
+  );
+}
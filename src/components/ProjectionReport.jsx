@@ -0,0 +1,299 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Printer, X } from 'lucide-react';
+import { getProvider } from '../providers/index.js';
+import { assetTypeLabel, positionLabel } from '../calc/assetTypes.js';
+import { formatMoney, formatSignedMoney, gainColor } from '../utils/format.js';
+import { BreakdownReportTable } from './BreakdownTable.jsx';
+import ValueChart from './ValueChart.jsx';
+import ScenarioChart from './ScenarioChart.jsx';
+import AllocationChart from './AllocationChart.jsx';
+import GrowthPathChart from './GrowthPathChart.jsx';
+
+// Width the charts are drawn at: the text width of an A4 page with the
+// margins set in index.css, so they look the same on any screen.
+const CHART_WIDTH = 680;
+
+const formatPct = value => (value == null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+
+/*
+ * Printable projection report for presenting a portfolio: its name and
+ * the date, the summary totals, the charts, every quote with its source
+ * and time, the breakdown table and the user's notes.
+ *
+ * The report is laid out as A4 pages whatever the screen size or theme,
+ * and the print stylesheet in index.css prints it alone, paginated,
+ * with a footer on every page.  "Print / Save as PDF" opens the
+ * browser's print dialog, where PDF is one of the destinations; the
+ * document title is set for the length of the dialog so the suggested
+ * file name names the portfolio and date.
+ *
+ * `summary` carries the totals App shows in its Summary card, `charts`
+ * the data of each chart (null or empty to leave one out).  Notes are
+ * saved with the portfolio; without `onNotesChange` they are read‑only.
+ */
+export default function ProjectionReport({
+  name,
+  currency,
+  rows,
+  scenarios,
+  summary,
+  charts,
+  breakdownSettings,
+  notes,
+  onNotesChange,
+  onClose
+}) {
+  const [generatedAt] = useState(() => new Date());
+  const date = generatedAt.toLocaleDateString(undefined, { dateStyle: 'long' });
+  const title = name || 'Untitled portfolio';
+
+  // Move focus into the report when it opens; Escape closes it.
+  const viewRef = useRef(null);
+  useEffect(() => viewRef.current?.focus(), []);
+
+  const print = () => {
+    const previous = document.title;
+    document.title = `${title} – projection report – ${generatedAt.toISOString().slice(0, 10)}`;
+    window.addEventListener(
+      'afterprint',
+      () => {
+        document.title = previous;
+      },
+      { once: true }
+    );
+    window.print();
+  };
+
+  const quoted = rows.filter(r => r.quoteSymbol);
+  const money = value => formatMoney(value, currency);
+  const signed = value => formatSignedMoney(value, currency);
+  const totals = [
+    ['Current value', money(summary.currentTotal)],
+    ['Target value', money(summary.targetTotal)],
+    ['Gain/Loss', signed(summary.gainTotal), gainColor(summary.gainTotal)],
+    ['Return', formatPct(summary.returnPct), gainColor(summary.returnPct ?? 0)],
+    summary.cagr != null && [
+      `Implied annual return over ${summary.horizonYears.toFixed(1)} years`,
+      formatPct(summary.cagr * 100),
+      gainColor(summary.cagr)
+    ],
+    summary.targetDate && ['Target date', summary.targetDate],
+    summary.growthTotal != null && ['Projected value incl. contributions & dividends', money(summary.growthTotal)],
+    summary.annualIncome > 0 && ['Projected annual dividend income', money(summary.annualIncome)],
+    summary.costBasis && ['Cost basis', money(summary.costBasis.total)],
+    summary.costBasis && ['Unrealized P/L today', signed(summary.costBasis.unrealized), gainColor(summary.costBasis.unrealized)],
+    summary.costBasis && ['Realized P/L at target', signed(summary.costBasis.realized), gainColor(summary.costBasis.realized)],
+    summary.tax != null && ['Estimated tax', money(summary.tax)],
+    summary.tax != null && ['After‑tax target value', money(summary.targetTotal - summary.tax)]
+  ].filter(Boolean);
+
+  return (
+    <section
+      className="report-view"
+      aria-label="Projection report"
+      tabIndex={-1}
+      ref={viewRef}
+      onKeyDown={e => {
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div className="report-toolbar button-row">
+        <button type="button" onClick={print}>
+          <Printer size={16} className="inline mr-1" /> Print / Save as PDF
+        </button>
+        <button type="button" onClick={onClose}>
+          <X size={16} className="inline mr-1" /> Close report
+        </button>
+        <span className="text-xs">Choose &quot;Save as PDF&quot; as the destination in the print dialog.</span>
+      </div>
+      <article className="report-page">
+        <header className="report-header">
+          <h1>{title}</h1>
+          <p>
+            Projection report · {date} · values in {currency}
+          </p>
+        </header>
+
+        <section className="report-section">
+          <h2>Summary</h2>
+          <table className="report-totals">
+            <tbody>
+              {totals.map(([label, value, color]) => (
+                <tr key={label}>
+                  <th scope="row">{label}</th>
+                  <td style={color ? { color } : undefined}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {summary.byType.length > 1 && (
+            <table className="report-compact">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Current</th>
+                  <th>Target</th>
+                  <th>Gain/Loss</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.byType.map(group => (
+                  <tr key={group.type}>
+                    <td>{assetTypeLabel(group.type, true)}</td>
+                    <td>{money(group.currentTotal)}</td>
+                    <td>{money(group.targetTotal)}</td>
+                    <td>{signed(group.gainTotal)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {summary.scenarioTotals.length > 0 && (
+            <table className="report-compact">
+              <thead>
+                <tr>
+                  <th>Scenario</th>
+                  <th>Prob.</th>
+                  <th>Value</th>
+                  <th>Gain/Loss</th>
+                  <th>Return</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.scenarioTotals.map(total => (
+                  <tr key={total.id}>
+                    <td>{total.name}</td>
+                    <td>{total.probability !== '' ? `${total.probability}%` : '—'}</td>
+                    <td>{money(total.value)}</td>
+                    <td>{signed(total.gain)}</td>
+                    <td>{formatPct(total.returnPct)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>Expected</td>
+                  <td>—</td>
+                  <td>{money(summary.expected.total)}</td>
+                  <td>{signed(summary.expected.total - summary.expected.base)}</td>
+                  <td>
+                    {formatPct(
+                      summary.expected.base > 0
+                        ? ((summary.expected.total - summary.expected.base) / summary.expected.base) * 100
+                        : null
+                    )}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+          {summary.excluded.length > 0 && (
+            <p className="report-note">
+              Left out of the totals:{' '}
+              {summary.excluded
+                .map(row => `${positionLabel(row) || 'row without ticker'} (${row.issues.map(i => i.message).join(', ')})`)
+                .join('; ')}
+              .
+            </p>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h2>Charts</h2>
+          {charts.value.length > 0 && (
+            <figure className="report-figure">
+              <figcaption>Current vs target value</figcaption>
+              <ValueChart data={charts.value} currency={currency} width={CHART_WIDTH} />
+            </figure>
+          )}
+          {scenarios.length > 0 && charts.scenarios.length > 0 && (
+            <figure className="report-figure">
+              <figcaption>Scenarios</figcaption>
+              <ScenarioChart data={charts.scenarios} scenarios={scenarios} currency={currency} width={CHART_WIDTH} />
+            </figure>
+          )}
+          {charts.allocation && (
+            <figure className="report-figure">
+              <figcaption>Allocation (inner ring current, outer ring target)</figcaption>
+              <AllocationChart groups={charts.allocation} width={CHART_WIDTH} />
+            </figure>
+          )}
+          {charts.growthPath.length > 1 && (
+            <figure className="report-figure">
+              <figcaption>Projected growth path</figcaption>
+              <GrowthPathChart
+                path={charts.growthPath}
+                showExtras={charts.showGrowthExtras}
+                currency={currency}
+                width={CHART_WIDTH}
+              />
+            </figure>
+          )}
+          {charts.value.length === 0 && <p className="report-note">No priced positions with targets to chart.</p>}
+        </section>
+
+        <section className="report-section">
+          <h2>Prices</h2>
+          {quoted.length === 0 ? (
+            <p className="report-note">No quoted positions.</p>
+          ) : (
+            <table className="report-compact">
+              <thead>
+                <tr>
+                  <th>Position</th>
+                  <th>Symbol</th>
+                  <th>Price</th>
+                  <th>Source</th>
+                  <th>As of</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quoted.map(row => (
+                  <tr key={row.id}>
+                    <td>{positionLabel(row)}</td>
+                    <td>{row.quoteSymbol}</td>
+                    <td>{row.currentPrice != null ? formatMoney(row.currentPrice, row.quoteCurrency) : '—'}</td>
+                    <td>{row.priceSource ? getProvider(row.priceSource)?.label ?? row.priceSource : 'Not fetched'}</td>
+                    <td>
+                      {row.priceTime ? new Date(row.priceTime).toLocaleString() : '—'}
+                      {row.priceStale ? ' (stale)' : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section className="report-section report-breakdown">
+          <h2>Breakdown</h2>
+          <BreakdownReportTable
+            rows={rows}
+            scenarios={scenarios}
+            portfolio={{ currentTotal: summary.currentTotal, targetTotal: summary.targetTotal }}
+            currency={currency}
+            settings={breakdownSettings}
+          />
+        </section>
+
+        <section className={`report-section${notes.trim() ? '' : ' report-empty'}`}>
+          <h2>
+            <label htmlFor="report-notes">Notes</label>
+          </h2>
+          <textarea
+            id="report-notes"
+            className="report-notes-input"
+            rows={6}
+            value={notes}
+            placeholder="Assumptions, context for the review, next steps…"
+            readOnly={!onNotesChange}
+            onChange={e => onNotesChange?.(e.target.value)}
+          />
+          <div className="report-notes-print">{notes}</div>
+        </section>
+
+        <footer className="report-footer">
+          {title} · Projection report · {date}
+        </footer>
+      </article>
+    </section>
+  );
+}
@@ -0,0 +1,95 @@
+import React from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { getProvider, resolveProviderList } from '../providers/index.js';
+import { DEFAULT_QUOTE_SERVER } from '../providers/quoteServer.js';
+
+// Settings card for the price provider chain.  Lets the user reorder
+// and enable/disable providers and change the CORS proxy prefix and
+// the address of the self‑hosted quote server.  The
+// component is fully controlled: `settings` comes from App and every
+// change is reported through `onChange`.
+export default function ProviderSettings({ settings, onChange }) {
+  const list = resolveProviderList(settings.providers);
+
+  const updateList = next => onChange({ ...settings, providers: next });
+
+  const toggle = id => {
+    updateList(
+      list.map(entry => (entry.id === id ? { ...entry, enabled: !entry.enabled } : entry))
+    );
+  };
+
+  // Swap the provider at `index` with its neighbour in `direction`
+  // (-1 for up, +1 for down).
+  const move = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= list.length) return;
+    const next = [...list];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateList(next);
+  };
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Price Sources</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Providers are tried from top to bottom until one returns a price.
+      </p>
+      <ol className="provider-list">
+        {list.map((entry, index) => {
+          const provider = getProvider(entry.id);
+          return (
+            <li key={entry.id} className="flex items-center justify-between">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={entry.enabled}
+                  onChange={() => toggle(entry.id)}
+                />
+                <span className="ml-2">{provider.label}</span>
+              </label>
+              <span>
+                <button
+                  type="button"
+                  className="icon-button"
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${provider.label} up`}
+                >
+                  <ChevronUp size={16} />
+                </button>
+                <button
+                  type="button"
+                  className="icon-button"
+                  onClick={() => move(index, 1)}
+                  disabled={index === list.length - 1}
+                  aria-label={`Move ${provider.label} down`}
+                >
+                  <ChevronDown size={16} />
+                </button>
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+      <label className="block mt-4">
+        <span className="text-sm">CORS proxy URL (leave empty for none)</span>
+        <input
+          type="text"
+          value={settings.proxy}
+          placeholder="https://api.allorigins.win/raw?url="
+          onChange={e => onChange({ ...settings, proxy: e.target.value.trim() })}
+        />
+      </label>
+      <label className="block mt-4">
+        <span className="text-sm">Quote server URL (used when the quote server is enabled above)</span>
+        <input
+          type="text"
+          value={settings.quoteServer ?? ''}
+          placeholder={DEFAULT_QUOTE_SERVER}
+          onChange={e => onChange({ ...settings, quoteServer: e.target.value.trim() })}
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import ChartFrame from './ChartFrame.jsx';
+import { formatMoney, formatCompactMoney } from '../utils/format.js';
+
+// Colours cycled through for scenario bars.
+const SCENARIO_COLORS = ['#f87171', '#6ee7b7', '#34d399', '#a78bfa', '#f472b6', '#fb923c'];
+
+// Bar chart comparing the value of each ticker under every scenario,
+// next to its current value and the probability‑weighted expectation.
+// A fixed `width` draws it for print (see ChartFrame).
+export default function ScenarioChart({ data, scenarios, currency, width }) {
+  const animate = width == null;
+  return (
+    <ChartFrame width={width}>
+      <BarChart data={data} margin={{ top: 20, right: 30, left: 40, bottom: 5 }}>
+        <XAxis dataKey="name" />
+        <YAxis tickFormatter={v => formatCompactMoney(v, currency)} />
+        <Tooltip
+          formatter={(value, name) => [
+            value != null ? formatMoney(value, currency) : '—',
+            name
+          ]}
+        />
+        <Legend />
+        <Bar dataKey="Current" fill="#60a5fa" isAnimationActive={animate} />
+        {scenarios.map((scenario, index) => (
+          <Bar
+            key={scenario.id}
+            dataKey={scenario.name}
+            fill={SCENARIO_COLORS[index % SCENARIO_COLORS.length]}
+            isAnimationActive={animate}
+          />
+        ))}
+        <Bar dataKey="Expected" fill="#fbbf24" isAnimationActive={animate} />
+      </BarChart>
+    </ChartFrame>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { createScenario, presetScenarios } from '../calc/scenarios.js';
+
+// Card for defining named scenarios (bear / base / bull …) and entering
+// each position's target price under them.  Blank targets fall back to
+// the position's main target price, shown as the placeholder.  The
+// "apply" shortcut fills one scenario for every priced position with
+// the current price moved by a percentage.
+export default function ScenarioManager({
+  scenarios,
+  assets,
+  onScenariosChange,
+  onTargetChange,
+  onApplyMove,
+  probabilityTotal,
+  readOnly = false
+}) {
+  const [movePct, setMovePct] = useState('');
+  const [moveScenario, setMoveScenario] = useState('');
+
+  const updateScenario = (id, patch) => {
+    onScenariosChange(scenarios.map(s => (s.id === id ? { ...s, ...patch } : s)));
+  };
+
+  const addScenario = () => {
+    onScenariosChange([...scenarios, createScenario(`Scenario ${scenarios.length + 1}`)]);
+  };
+
+  const removeScenario = id => {
+    onScenariosChange(scenarios.filter(s => s.id !== id));
+  };
+
+  const applyMove = () => {
+    const pct = parseFloat(movePct);
+    const target = moveScenario || scenarios[0]?.id;
+    if (isNaN(pct) || !target) return;
+    onApplyMove(target, pct);
+  };
+
+  const priced = assets.filter(asset => asset.ticker);
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">Scenarios</h2>
+      {scenarios.length === 0 ? (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-2">
+            Model several outcomes per position, each with an optional probability.
+          </p>
+          <div className="button-row">
+            <button type="button" onClick={() => onScenariosChange(presetScenarios())} disabled={readOnly}>
+              Add Bear / Base / Bull
+            </button>
+            <button type="button" onClick={addScenario} disabled={readOnly}>
+              Add scenario
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="scenario-list mb-2">
+            {scenarios.map(scenario => (
+              <div key={scenario.id} className="scenario-item">
+                <input
+                  type="text"
+                  value={scenario.name}
+                  disabled={readOnly}
+                  aria-label="Scenario name"
+                  onChange={e => updateScenario(scenario.id, { name: e.target.value })}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="any"
+                  value={scenario.probability}
+                  placeholder="Prob. %"
+                  disabled={readOnly}
+                  aria-label={`${scenario.name} probability %`}
+                  onChange={e => updateScenario(scenario.id, { probability: e.target.value })}
+                />
+                <button
+                  type="button"
+                  className="icon-button"
+                  onClick={() => removeScenario(scenario.id)}
+                  disabled={readOnly}
+                  aria-label={`Remove ${scenario.name}`}
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+            <button type="button" onClick={addScenario} disabled={readOnly}>
+              Add scenario
+            </button>
+          </div>
+          {probabilityTotal != null && Math.abs(probabilityTotal - 100) > 0.01 && (
+            <p className="text-xs text-gray-600 mb-2">
+              Probabilities add up to {probabilityTotal}%; they are rescaled to 100% for the
+              expected value.
+            </p>
+          )}
+
+          <div className="button-row items-center mb-4">
+            <span className="text-sm">Set</span>
+            <select
+              value={moveScenario || scenarios[0].id}
+              onChange={e => setMoveScenario(e.target.value)}
+              disabled={readOnly}
+              aria-label="Scenario to fill"
+            >
+              {scenarios.map(s => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            <span className="text-sm">to current price</span>
+            <input
+              type="number"
+              step="any"
+              value={movePct}
+              placeholder="+/- %"
+              className="narrow-input"
+              disabled={readOnly}
+              aria-label="Percentage move"
+              onChange={e => setMovePct(e.target.value)}
+            />
+            <span className="text-sm">% for all positions</span>
+            <button type="button" onClick={applyMove} disabled={readOnly || movePct === ''}>
+              Apply
+            </button>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Ticker</th>
+                  {scenarios.map(s => (
+                    <th key={s.id}>{s.name} Target</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {priced.map(asset => (
+                  <tr key={asset.id}>
+                    <td>{asset.ticker.toUpperCase()}</td>
+                    {scenarios.map(s => (
+                      <td key={s.id}>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={asset.scenarioTargets?.[s.id] ?? ''}
+                          placeholder={asset.targetPrice || ''}
+                          disabled={readOnly}
+                          aria-label={`${asset.ticker} ${s.name} target`}
+                          onChange={e => onTargetChange(asset.id, s.id, e.target.value)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
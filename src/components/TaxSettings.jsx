@@ -0,0 +1,48 @@
+import React from 'react';
+
+// Capital‑gains tax settings shown in the Summary card.  Rates are
+// percentages; the short‑term rate applies to lots held one year or
+// less at the time of sale, the long‑term rate to the rest.
+export default function TaxSettings({ settings, onChange }) {
+  const update = patch => onChange({ ...settings, ...patch });
+
+  return (
+    <details className="tax-settings mb-4">
+      <summary className="text-sm">Tax settings</summary>
+      <label className="block mt-2">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={e => update({ enabled: e.target.checked })}
+        />{' '}
+        Estimate capital‑gains tax
+      </label>
+      <div className="cost-basis-grid mt-2">
+        <label>
+          <span className="text-sm">Short‑term rate %</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="any"
+            value={settings.shortTermRate}
+            disabled={!settings.enabled}
+            onChange={e => update({ shortTermRate: e.target.value })}
+          />
+        </label>
+        <label>
+          <span className="text-sm">Long‑term rate %</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="any"
+            value={settings.longTermRate}
+            disabled={!settings.enabled}
+            onChange={e => update({ longTermRate: e.target.value })}
+          />
+        </label>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,26 @@
+import React, { Suspense, lazy } from 'react';
+
+/*
+ * Usage analytics (Vercel Analytics and Speed Insights), loaded only
+ * with the user's consent.
+ *
+ * The components live in their own chunk that is fetched the first
+ * time `enabled` is true, so nothing is requested or reported before
+ * the user agrees.  Building with VITE_DISABLE_ANALYTICS=true replaces
+ * the condition below with a constant and the chunk is left out of the
+ * build altogether; TELEMETRY_AVAILABLE lets the settings hide the
+ * choice in that case.
+ */
+const VercelTelemetry =
+  import.meta.env.VITE_DISABLE_ANALYTICS === 'true' ? null : lazy(() => import('./VercelTelemetry.jsx'));
+
+export const TELEMETRY_AVAILABLE = VercelTelemetry != null;
+
+export default function Telemetry({ enabled }) {
+  if (!VercelTelemetry || !enabled) return null;
+  return (
+    <Suspense fallback={null}>
+      <VercelTelemetry />
+    </Suspense>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { lookupSymbol, providerSymbols, searchSymbols } from '../services/symbolSearch.js';
+
+const SEARCH_DELAY = 250;
+const VALIDATE_DELAY = 600;
+
+// Ticker field with autocomplete.  Suggestions come from the offline
+// symbol list and provider search (src/services/symbolSearch.js) and
+// show exchange, type and currency.  Picking one calls `onSelect` with
+// the entry so the row can take its currency too.  Typed text reaches
+// `onChange` as is, so company names can contain spaces; surrounding
+// whitespace is trimmed when the field loses focus.  Typed tickers are
+// checked once typing pauses and flagged when no source knows them.
+// `symbol` is what the value is fetched as when that differs from the
+// typed text (crypto rows map `BTC` to BTC-USD).  Keys the suggestion
+// list does not use go on to `onKeyDown`; other props (data attributes,
+// `onPaste`, ARIA) are passed to the input.
+export default function TickerInput({
+  value,
+  symbol = value,
+  onChange,
+  onSelect,
+  providerSettings,
+  placeholder = 'e.g. AAPL or Apple',
+  disabled = false,
+  onKeyDown: onOtherKey,
+  'aria-invalid': invalid,
+  'aria-describedby': describedBy,
+  ...inputProps
+}) {
+  const listId = useId();
+  const statusId = `${listId}-status`;
+  const [focused, setFocused] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState([]);
+  const [active, setActive] = useState(-1);
+  const [status, setStatus] = useState(null);
+  // Set while the value comes from picking a suggestion, which needs
+  // neither a search nor a lookup.
+  const pickedRef = useRef(null);
+
+  // Suggestions while the field is focused.
+  useEffect(() => {
+    if (!focused || !value || pickedRef.current === value) {
+      setResults([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      searchSymbols(value, providerSettings, { signal: controller.signal })
+        .then(({ results: found }) => {
+          setResults(found);
+          setActive(-1);
+          setOpen(found.length > 0);
+        })
+        .catch(() => {});
+    }, SEARCH_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, focused, providerSettings]);
+
+  // Validation of whatever ends up in the field.
+  useEffect(() => {
+    if (!symbol) {
+      setStatus(null);
+      return undefined;
+    }
+    if (pickedRef.current === value) {
+      setStatus('known');
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      lookupSymbol(symbol, providerSettings, { signal: controller.signal })
+        .then(result => setStatus(result.status))
+        .catch(() => {});
+    }, VALIDATE_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, symbol, providerSettings]);
+
+  const pick = entry => {
+    pickedRef.current = entry.symbol;
+    setOpen(false);
+    setResults([]);
+    onSelect(entry);
+  };
+
+  const onKeyDown = e => {
+    if (!open || results.length === 0) {
+      onOtherKey?.(e);
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(i => (i + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(i => (i <= 0 ? results.length - 1 : i - 1));
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      pick(results[active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setOpen(false);
+    } else {
+      onOtherKey?.(e);
+    }
+  };
+
+  const mapping = symbol
+    ? providerSymbols(symbol)
+        .map(p => `${p.label}: ${p.symbol ?? 'not supported'}`)
+        .join('\n')
+    : undefined;
+
+  return (
+    <div className="ticker-combobox">
+      <input
+        {...inputProps}
+        type="text"
+        value={value}
+        placeholder={placeholder}
+        disabled={disabled}
+        role="combobox"
+        aria-label="Ticker"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open && active >= 0 ? `${listId}-${active}` : undefined}
+        aria-invalid={status === 'unknown' || invalid || undefined}
+        aria-describedby={
+          [describedBy, status === 'unknown' ? statusId : null].filter(Boolean).join(' ') || undefined
+        }
+        title={mapping}
+        onChange={e => {
+          pickedRef.current = null;
+          onChange(e.target.value);
+        }}
+        onKeyDown={onKeyDown}
+        onFocus={() => setFocused(true)}
+        // Delay closing so that a click on a suggestion still lands.
+        onBlur={() => {
+          if (value !== value.trim()) onChange(value.trim());
+          setTimeout(() => {
+            setFocused(false);
+            setOpen(false);
+          }, 150);
+        }}
+      />
+      {open && (
+        <ul className="ticker-options" role="listbox" id={listId}>
+          {results.map((entry, index) => (
+            <li
+              key={entry.symbol}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : undefined}
+              onMouseDown={e => {
+                e.preventDefault();
+                pick(entry);
+              }}
+            >
+              <strong>{entry.symbol}</strong> {entry.name}
+              <span className="source-tag">
+                {[entry.exchange, entry.type, entry.currency].filter(Boolean).join(' · ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {status === 'unknown' && (
+        <span className="text-red-500 text-xs" id={statusId}>
+          Unknown symbol
+        </span>
+      )}
+    </div>
+  );
+}
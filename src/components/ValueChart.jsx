@@ -0,0 +1,39 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend } from 'recharts';
+import ChartFrame from './ChartFrame.jsx';
+import { formatMoney, formatCompactMoney } from '../utils/format.js';
+
+// Bar chart comparing current and target value per ticker, with the
+// return on a second axis.  `data` holds `{ name, Current, Target,
+// ReturnPct }` per ticker.  A fixed `width` draws it for print (see
+// ChartFrame).
+export default function ValueChart({ data, currency, width }) {
+  const animate = width == null;
+  return (
+    <ChartFrame width={width}>
+      <BarChart data={data} margin={{ top: 20, right: 30, left: 40, bottom: 5 }}>
+        <XAxis dataKey="name" />
+        {/* Left Y axis for values in the base currency */}
+        <YAxis yAxisId="left" tickFormatter={v => formatCompactMoney(v, currency)} />
+        {/* Right Y axis for percentage returns */}
+        <YAxis
+          yAxisId="right"
+          orientation="right"
+          tickFormatter={v => (v != null ? `${v}%` : '')}
+        />
+        <Tooltip
+          formatter={(value, name) => {
+            if (name === 'ReturnPct') {
+              return [`${value}%`, 'Return %'];
+            }
+            return [formatMoney(value, currency), name];
+          }}
+        />
+        <Legend />
+        <Bar yAxisId="left" dataKey="Current" fill="#60a5fa" isAnimationActive={animate} />
+        <Bar yAxisId="left" dataKey="Target" fill="#6ee7b7" isAnimationActive={animate} />
+        <Bar yAxisId="right" dataKey="ReturnPct" fill="#fbbf24" isAnimationActive={animate} />
+      </BarChart>
+    </ChartFrame>
+  );
+}
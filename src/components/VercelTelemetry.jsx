@@ -0,0 +1,14 @@
+import React from 'react';
+import { Analytics } from '@vercel/analytics/react';
+import { SpeedInsights } from '@vercel/speed-insights/react';
+
+// Vercel Analytics and Speed Insights.  Only ever loaded through
+// Telemetry, so the scripts stay out of the page until the user agrees.
+export default function VercelTelemetry() {
+  return (
+    <>
+      <SpeedInsights />
+      <Analytics />
+    </>
+  );
+}
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import {
+  GRID_MOVES,
+  MARKET_DRIVER,
+  MARKET_MOVE_MAX,
+  MARKET_MOVE_MIN,
+  sensitivityGrid,
+  whatIf,
+  whatIfPositions
+} from '../calc/sensitivity.js';
+import { formatMoney, formatSignedMoney, formatCompactMoney, gainColor } from '../utils/format.js';
+
+const formatMove = move => `${move > 0 ? '+' : ''}${Number(move.toFixed(1))}%`;
+
+// Heatmap cell background: green for gains, red for losses, stronger
+// the larger the change (full strength at ±50%).
+const heatColor = pct => {
+  if (pct == null || pct === 0) return undefined;
+  const alpha = Math.min(Math.abs(pct) / 50, 1) * 0.6;
+  return pct > 0 ? `rgba(22, 163, 74, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+};
+
+// What‑if card: a market‑move slider, per‑position override sliders and
+// optional beta weighting, with totals that update as the sliders move,
+// plus a grid of portfolio values across two chosen drivers.  Every
+// setting here is exploration only and lives in this component, so the
+// saved targets are never touched.  `rows` are projected rows and
+// `context` the FX context they were projected with.
+export default function WhatIfPanel({ rows, context, currency }) {
+  const [marketMove, setMarketMove] = useState(0);
+  const [betaWeighted, setBetaWeighted] = useState(false);
+  const [overrides, setOverrides] = useState({});
+  const [betaInputs, setBetaInputs] = useState({});
+  const [rowDriver, setRowDriver] = useState(MARKET_DRIVER);
+  const [colDriver, setColDriver] = useState('');
+
+  const betas = Object.fromEntries(
+    Object.entries(betaInputs)
+      .filter(([, value]) => value !== '' && !isNaN(parseFloat(value)))
+      .map(([id, value]) => [id, parseFloat(value)])
+  );
+  const positions = whatIfPositions(rows, context, betas);
+  const settings = { marketMove, betaWeighted, overrides };
+  const result = whatIf(positions, settings);
+  const movable = positions.filter(p => p.movable);
+
+  const drivers = [
+    { id: MARKET_DRIVER, label: 'Market move' },
+    ...movable.map(p => ({ id: p.id, label: p.ticker }))
+  ];
+  const validDriver = id => drivers.some(d => d.id === id);
+  const rowAxis = validDriver(rowDriver) ? rowDriver : MARKET_DRIVER;
+  const colAxis = validDriver(colDriver) && colDriver !== rowAxis
+    ? colDriver
+    : drivers.find(d => d.id !== rowAxis)?.id ?? null;
+  const grid = colAxis ? sensitivityGrid(positions, settings, rowAxis, colAxis, GRID_MOVES) : null;
+  const driverLabel = id => drivers.find(d => d.id === id)?.label ?? id;
+
+  const setOverride = (id, value) => {
+    setOverrides(prev => {
+      const next = { ...prev };
+      if (value == null) delete next[id];
+      else next[id] = value;
+      return next;
+    });
+  };
+
+  const reset = () => {
+    setMarketMove(0);
+    setOverrides({});
+  };
+
+  return (
+    <div className="card mt-6">
+      <h2 className="font-semibold text-lg mb-2">What‑If</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        Explore how today&apos;s portfolio value responds to price moves.  Nothing here changes your saved
+        target prices.
+      </p>
+      {positions.length === 0 ? (
+        <p className="text-gray-500 italic">Fetch prices to explore what‑if moves.</p>
+      ) : (
+        <>
+          <div className="button-row items-center mb-2">
+            <label className="what-if-slider">
+              <span className="text-sm">Market move {formatMove(marketMove)}</span>
+              <input
+                type="range"
+                min={MARKET_MOVE_MIN}
+                max={MARKET_MOVE_MAX}
+                step="1"
+                value={marketMove}
+                aria-valuetext={formatMove(marketMove)}
+                onChange={e => setMarketMove(Number(e.target.value))}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={betaWeighted}
+                onChange={e => setBetaWeighted(e.target.checked)}
+              />{' '}
+              Beta‑weighted
+            </label>
+            <button type="button" onClick={reset}>
+              Reset
+            </button>
+          </div>
+          <p className="mb-2" aria-live="polite">
+            <strong>What‑if value:</strong>{' '}
+            <span className="sensitive">{formatMoney(result.total, currency)}</span>{' '}
+            <span style={{ color: gainColor(result.change) }}>
+              (<span className="sensitive">{formatSignedMoney(result.change, currency)}</span>
+              {result.changePct != null ? `, ${formatMove(result.changePct)}` : ''})
+            </span>
+          </p>
+          <div style={{ overflowX: 'auto' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Asset</th>
+                  <th>Beta</th>
+                  <th>Move</th>
+                  <th>Value</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row, i) => {
+                  const position = positions[i];
+                  const fetchedBeta = rows.find(r => r.id === row.id)?.beta;
+                  return (
+                    <tr key={row.id}>
+                      <td>{row.ticker}</td>
+                      <td>
+                        {position.movable ? (
+                          <input
+                            type="number"
+                            step="0.1"
+                            className="narrow-input"
+                            aria-label={`Beta for ${row.ticker}`}
+                            value={betaInputs[row.id] ?? ''}
+                            placeholder={fetchedBeta != null ? String(Number(fetchedBeta.toFixed(2))) : '1'}
+                            onChange={e => setBetaInputs(prev => ({ ...prev, [row.id]: e.target.value }))}
+                          />
+                        ) : (
+                          '—'
+                        )}
+                      </td>
+                      <td>
+                        {position.movable ? (
+                          <span className="what-if-slider">
+                            <input
+                              type="range"
+                              min="-100"
+                              max="200"
+                              step="1"
+                              value={Math.round(row.move)}
+                              aria-label={`Move for ${row.ticker}`}
+                              aria-valuetext={formatMove(row.move)}
+                              onChange={e => setOverride(row.id, Number(e.target.value))}
+                            />
+                            <span className="text-xs">{formatMove(row.move)}</span>
+                            {overrides[row.id] != null && (
+                              <button
+                                type="button"
+                                className="icon-button text-xs"
+                                onClick={() => setOverride(row.id, null)}
+                              >
+                                Follow market
+                              </button>
+                            )}
+                          </span>
+                        ) : (
+                          <span className="text-xs text-gray-600">Does not move</span>
+                        )}
+                      </td>
+                      <td className="sensitive">{formatMoney(row.value, currency)}</td>
+                      <td className="sensitive" style={{ color: gainColor(row.change) }}>
+                        {formatSignedMoney(row.change, currency)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <h3 className="font-semibold mt-4 mb-2">Sensitivity Grid</h3>
+          <div className="button-row items-center mb-2">
+            <label>
+              <span className="text-sm">Rows </span>
+              <select value={rowAxis} onChange={e => setRowDriver(e.target.value)}>
+                {drivers.map(d => (
+                  <option key={d.id} value={d.id}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span className="text-sm">Columns </span>
+              <select value={colAxis ?? ''} onChange={e => setColDriver(e.target.value)}>
+                {drivers
+                  .filter(d => d.id !== rowAxis)
+                  .map(d => (
+                    <option key={d.id} value={d.id}>
+                      {d.label}
+                    </option>
+                  ))}
+              </select>
+            </label>
+          </div>
+          {grid ? (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="heatmap">
+                <caption className="text-xs text-gray-600">
+                  Portfolio value by {driverLabel(rowAxis)} (rows) and {driverLabel(colAxis)} (columns); other
+                  moves as set above.
+                </caption>
+                <thead>
+                  <tr>
+                    <th></th>
+                    {grid.colMoves.map(move => (
+                      <th key={move} scope="col">
+                        {formatMove(move)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {grid.cells.map((cells, i) => (
+                    <tr key={grid.rowMoves[i]}>
+                      <th scope="row">{formatMove(grid.rowMoves[i])}</th>
+                      {cells.map((cell, j) => (
+                        <td
+                          key={grid.colMoves[j]}
+                          className="sensitive"
+                          style={{ backgroundColor: heatColor(cell.changePct) }}
+                          title={`${formatMoney(cell.total, currency)}${cell.changePct != null ? ` (${formatMove(cell.changePct)})` : ''}`}
+                        >
+                          {formatCompactMoney(cell.total, currency)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray-500 italic">Add a position that moves with prices to build the grid.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+/*
+ * Minimal RFC 4180 CSV reader and writer.
+ *
+ * Handles quoted fields, escaped quotes ("") and line breaks inside
+ * quotes, which is enough for brokerage exports and spreadsheets.  Both
+ * functions are pure so they can be tested without a DOM.
+ */
+
+// Parse CSV text into an array of records, each an array of strings.
+// Every record remembers the 1‑based line it started on (`record.line`)
+// so validation errors can point at the offending line even when
+// quoted fields span several lines.  Pass `delimiter: '\t'` for the
+// tab separated text spreadsheets put on the clipboard.
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    record.line = recordLine;
+    records.push(record);
+    record = [];
+    recordLine = line;
+  };
+
+  // Strip a UTF‑8 byte order mark left by Excel.
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) endRecord();
+  // Drop blank lines, which parse as a single empty field.
+  return records.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+// Quote a value only when it contains a delimiter, quote or newline.
+function escapeField(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Serialize an array of objects to CSV.  `columns` is a list of
+// `{ key, label }` pairs deciding which properties are written and the
+// header text used for each.
+export function toCsv(objects, columns) {
+  const header = columns.map(col => escapeField(col.label)).join(',');
+  const body = objects.map(obj => columns.map(col => escapeField(obj[col.key])).join(','));
+  return [header, ...body].join('\r\n') + '\r\n';
+}
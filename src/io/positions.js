@@ -0,0 +1,383 @@
+import { parseCsv, toCsv } from './csv.js';
+import { parseTags } from '../calc/breakdown.js';
+import { ASSET_TYPES, assetTypeOf, blankOption } from '../calc/assetTypes.js';
+import { parseDate } from '../utils/time.js';
+
+/*
+ * Import and export of positions and projection breakdowns.
+ *
+ * Imports produce plain `{ ticker, shares, targetPrice, averageCost }`
+ * records plus a list of `{ line, message }` validation errors; the
+ * asset type, interest rate, currency and `option` terms are added
+ * only when the source gives them.  Turning records into asset rows is
+ * left to the caller.  Exports accept the asset rows or
+ * the computed breakdown rows from App.  Nothing here touches React or
+ * the DOM.
+ */
+
+// Fields a position import can fill, with header aliases commonly
+// found in brokerage exports.  Aliases are compared lower‑cased with
+// non‑alphanumerics removed.
+export const POSITION_FIELDS = [
+  {
+    key: 'ticker',
+    label: 'Ticker',
+    required: true,
+    aliases: ['ticker', 'symbol', 'tickersymbol', 'instrument', 'security']
+  },
+  {
+    key: 'shares',
+    label: 'Shares',
+    required: true,
+    aliases: ['shares', 'quantity', 'qty', 'units', 'position', 'sharesheld']
+  },
+  {
+    key: 'targetPrice',
+    label: 'Target Price',
+    required: false,
+    aliases: ['targetprice', 'target', 'pricetarget', 'targetpx']
+  },
+  {
+    key: 'averageCost',
+    label: 'Average Cost',
+    required: false,
+    aliases: ['averagecost', 'avgcost', 'costpershare', 'averageprice', 'avgprice', 'purchaseprice', 'costbasispershare']
+  },
+  { key: 'assetType', label: 'Asset Type', required: false, aliases: ['assettype'] },
+  { key: 'interestRate', label: 'Interest Rate', required: false, aliases: ['interestrate', 'apy'] },
+  { key: 'currency', label: 'Currency', required: false, aliases: ['currency', 'ccy'] },
+  { key: 'right', label: 'Call/Put', required: false, aliases: ['callput', 'putcall', 'optionright'] },
+  { key: 'strike', label: 'Strike', required: false, aliases: ['strike', 'strikeprice'] },
+  {
+    key: 'expiry',
+    label: 'Expiry',
+    required: false,
+    aliases: ['expiry', 'expiration', 'expirydate', 'expirationdate']
+  },
+  { key: 'multiplier', label: 'Multiplier', required: false, aliases: ['multiplier', 'contractsize'] },
+  { key: 'premium', label: 'Premium', required: false, aliases: ['premium', 'optionprice'] }
+];
+
+// The columns of the Assets grid, in order, which a paste without a
+// header row is read as.
+const GRID_FIELDS = ['ticker', 'shares', 'targetPrice', 'averageCost'];
+
+const OPTION_TERMS = Object.keys(blankOption());
+const TYPE_IDS = ASSET_TYPES.map(type => type.id);
+
+const simplify = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess which column holds each field.  Returns an object mapping each
+// field key to a column index, or -1 when no header matched.
+export function detectColumnMapping(headers) {
+  const simplified = headers.map(simplify);
+  const mapping = {};
+  for (const field of POSITION_FIELDS) {
+    mapping[field.key] = simplified.findIndex(h => field.aliases.includes(h));
+  }
+  return mapping;
+}
+
+// Parse a number as it appears in exports: tolerates currency symbols,
+// thousands separators, surrounding spaces and accounting style
+// negatives such as "(12.50)".  Returns NaN for anything else.
+export function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value == null) return NaN;
+  let str = String(value).trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  str = str.replace(/[$€£¥,\s]/g, '');
+  if (str === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str)) return NaN;
+  const num = parseFloat(str);
+  return negative ? -num : num;
+}
+
+const TICKER_PATTERN = /^[A-Za-z0-9.\-=^]{1,20}$/;
+
+// Validate an optional non‑negative price field.  Returns the value as
+// a string ('' when blank) or `{ error }`.
+function validateOptionalPrice(value, label) {
+  if (value == null || String(value).trim() === '') return '';
+  const num = parseNumber(value);
+  if (isNaN(num)) return { error: `Invalid ${label} "${value}"` };
+  if (num < 0) return { error: `${label[0].toUpperCase()}${label.slice(1)} cannot be negative` };
+  return String(num);
+}
+
+const isBlank = value => value == null || String(value).trim() === '';
+
+// Validate the optional asset type, interest rate, currency and option
+// terms of a raw position.  Returns `{ details }` holding only the
+// fields that were given, or `{ error }`.
+function validateDetails({ assetType, interestRate, currency, right, strike, expiry, multiplier, premium }) {
+  const details = {};
+  if (!isBlank(assetType)) {
+    const type = String(assetType).trim().toLowerCase();
+    if (!TYPE_IDS.includes(type)) return { error: `Invalid asset type "${assetType}"` };
+    details.assetType = type;
+  }
+  const rate = validateOptionalPrice(interestRate, 'interest rate');
+  if (rate.error) return rate;
+  if (rate) details.interestRate = rate;
+  if (!isBlank(currency)) {
+    const code = String(currency).trim();
+    if (!/^[A-Za-z]{3}$/.test(code)) return { error: `Invalid currency "${currency}"` };
+    // Mixed case is meaningful (GBp is pence), all lower case is not.
+    details.currency = code === code.toLowerCase() ? code.toUpperCase() : code;
+  }
+
+  const option = {};
+  if (!isBlank(right)) {
+    const side = { c: 'call', call: 'call', p: 'put', put: 'put' }[String(right).trim().toLowerCase()];
+    if (!side) return { error: `Invalid call/put "${right}"` };
+    option.right = side;
+  }
+  const strikePrice = validateOptionalPrice(strike, 'strike');
+  if (strikePrice.error) return strikePrice;
+  if (strikePrice) option.strike = strikePrice;
+  if (!isBlank(expiry)) {
+    const date = String(expiry).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !parseDate(date)) {
+      return { error: `Invalid expiry "${expiry}", expected YYYY-MM-DD` };
+    }
+    option.expiry = date;
+  }
+  if (!isBlank(multiplier)) {
+    const size = parseNumber(multiplier);
+    if (!(size > 0)) return { error: `Invalid multiplier "${multiplier}"` };
+    option.multiplier = String(size);
+  }
+  const optionPremium = validateOptionalPrice(premium, 'premium');
+  if (optionPremium.error) return optionPremium;
+  if (optionPremium) option.premium = optionPremium;
+  if (Object.keys(option).length > 0) details.option = option;
+  return { details };
+}
+
+// Validate one raw position.  Returns `{ position }` or `{ error }`.
+// Numbers are kept as strings, matching how the asset inputs store
+// them.  With `sharesOptional` a blank share count is kept blank.
+export function validatePosition(raw, { sharesOptional = false } = {}) {
+  const { ticker, shares, targetPrice, averageCost } = raw;
+  const symbol = (ticker ?? '').toString().trim().toUpperCase();
+  if (!symbol) return { error: 'Missing ticker' };
+  if (!TICKER_PATTERN.test(symbol)) return { error: `Invalid ticker "${symbol}"` };
+
+  const blankShares = shares == null || String(shares).trim() === '';
+  const shareNum = sharesOptional && blankShares ? '' : parseNumber(shares);
+  if (isNaN(shareNum)) return { error: `Invalid share count "${shares ?? ''}"` };
+  if (shareNum < 0) return { error: 'Share count cannot be negative' };
+
+  const target = validateOptionalPrice(targetPrice, 'target price');
+  if (target.error) return target;
+  const cost = validateOptionalPrice(averageCost, 'average cost');
+  if (cost.error) return cost;
+  const { details, error } = validateDetails(raw);
+  if (error) return { error };
+  return {
+    position: { ticker: symbol, shares: String(shareNum), targetPrice: target, averageCost: cost, ...details }
+  };
+}
+
+/*
+ * Parse a CSV export.  The first non‑blank line is treated as the
+ * header.  `mapping` overrides the detected column for any field
+ * (`{ shares: 3 }`); fields mapped to -1 are left empty.  Returns
+ * `{ headers, mapping, positions, errors }`; each error carries the
+ * 1‑based line number of the offending record.
+ */
+export function importPositionsCsv(text, mapping = {}) {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    return { headers: [], mapping: {}, positions: [], errors: [{ line: 1, message: 'File is empty' }] };
+  }
+  const [headerRow, ...dataRows] = records;
+  const headers = headerRow.map(h => h.trim());
+  const columns = { ...detectColumnMapping(headers), ...mapping };
+  const errors = [];
+  for (const field of POSITION_FIELDS) {
+    if (field.required && !(columns[field.key] >= 0)) {
+      errors.push({ line: headerRow.line, message: `No column selected for ${field.label}` });
+    }
+  }
+  if (errors.length > 0) return { headers, mapping: columns, positions: [], errors };
+
+  const positions = [];
+  for (const record of dataRows) {
+    const raw = {};
+    for (const field of POSITION_FIELDS) {
+      raw[field.key] = columns[field.key] >= 0 ? record[columns[field.key]] : undefined;
+    }
+    const result = validatePosition(raw);
+    if (result.error) {
+      errors.push({ line: record.line, message: result.error });
+    } else {
+      positions.push(result.position);
+    }
+  }
+  return { headers, mapping: columns, positions, errors };
+}
+
+/*
+ * Parse a block pasted from a spreadsheet: tab separated lines in the
+ * grid's column order (ticker, shares, target price, average cost; any
+ * further cells are ignored), or
+ * under a header row naming the columns as a CSV import would.  Only
+ * the ticker is required.  Returns `{ positions, errors }` with 1‑based
+ * line numbers.
+ */
+export function parsePastedPositions(text) {
+  const records = parseCsv(text, { delimiter: '\t' });
+  const header = records.length > 0 ? detectColumnMapping(records[0].map(cell => cell.trim())) : {};
+  const hasHeader = header.ticker >= 0;
+  const columns = hasHeader
+    ? header
+    : Object.fromEntries(POSITION_FIELDS.map(field => [field.key, GRID_FIELDS.indexOf(field.key)]));
+  const positions = [];
+  const errors = [];
+  for (const record of hasHeader ? records.slice(1) : records) {
+    const raw = {};
+    for (const field of POSITION_FIELDS) {
+      raw[field.key] = columns[field.key] >= 0 ? record[columns[field.key]] : undefined;
+    }
+    const result = validatePosition(raw, { sharesOptional: true });
+    if (result.error) {
+      errors.push({ line: record.line, message: result.error });
+    } else {
+      positions.push(result.position);
+    }
+  }
+  return { positions, errors };
+}
+
+/*
+ * Parse a JSON document.  Accepts either an array of positions or an
+ * object with an `assets` or `positions` array, which covers both this
+ * app's own exports and hand‑written files.  Option terms may be flat
+ * fields, as exported, or an `option` object, as on asset rows.
+ * Errors are reported per array entry using 1‑based item numbers in
+ * `line`.
+ */
+export function importPositionsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { positions: [], errors: [{ line: 1, message: `Invalid JSON: ${err.message}` }] };
+  }
+  const list = Array.isArray(data) ? data : data?.positions ?? data?.assets;
+  if (!Array.isArray(list)) {
+    return { positions: [], errors: [{ line: 1, message: 'Expected an array of positions' }] };
+  }
+  const positions = [];
+  const errors = [];
+  list.forEach((item, index) => {
+    const result =
+      item && typeof item === 'object'
+        ? validatePosition({ ...item.option, ...item })
+        : { error: 'Entry is not an object' };
+    if (result.error) {
+      errors.push({ line: index + 1, message: result.error });
+    } else {
+      positions.push(result.position);
+    }
+  });
+  return { positions, errors };
+}
+
+const POSITION_COLUMNS = POSITION_FIELDS.map(({ key, label }) => ({ key, label }));
+
+const BREAKDOWN_COLUMNS = [
+  { key: 'ticker', label: 'Ticker' },
+  { key: 'assetType', label: 'Type' },
+  { key: 'sector', label: 'Sector' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'shares', label: 'Shares' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'currentPrice', label: 'Current Price' },
+  { key: 'fxRate', label: 'FX Rate' },
+  { key: 'currentValue', label: 'Current Value' },
+  { key: 'targetPrice', label: 'Target Price' },
+  { key: 'targetValue', label: 'Target Value' },
+  { key: 'gain', label: 'Gain/Loss' },
+  { key: 'returnPct', label: 'Return %' }
+];
+
+function averageCostOf(costBasis) {
+  if (!costBasis) return '';
+  if (costBasis.mode === 'average') return costBasis.averageCost;
+  const lots = (costBasis.lots ?? []).filter(
+    lot => parseNumber(lot.shares) > 0 && !isNaN(parseNumber(lot.price))
+  );
+  const shares = lots.reduce((acc, lot) => acc + parseNumber(lot.shares), 0);
+  if (shares === 0) return '';
+  const cost = lots.reduce((acc, lot) => acc + parseNumber(lot.shares) * parseNumber(lot.price), 0);
+  return String(parseFloat((cost / shares).toFixed(4)));
+}
+
+// Reduce asset rows to the fields worth exporting, skipping blanks.
+// Fields that do not apply to a row's type are left blank.
+function toPositions(assets) {
+  return assets
+    .filter(asset => asset.ticker)
+    .map(asset => {
+      const type = assetTypeOf(asset);
+      const option = type === 'option' ? { ...blankOption(), ...asset.option } : {};
+      return {
+        ticker: asset.ticker.toUpperCase(),
+        shares: asset.shares,
+        targetPrice: asset.targetPrice,
+        // Lots are summarized as their share‑weighted average cost.
+        averageCost: averageCostOf(asset.costBasis),
+        assetType: type,
+        interestRate: type === 'cash' ? asset.interestRate ?? '' : '',
+        currency: asset.currency ?? '',
+        ...Object.fromEntries(OPTION_TERMS.map(key => [key, option[key] ?? '']))
+      };
+    });
+}
+
+const round = (value, digits = 2) =>
+  value == null || isNaN(value) ? null : parseFloat(value.toFixed(digits));
+
+// Reduce computed breakdown rows to rounded numbers.  Prices are in
+// the position's quote currency; values are in the base currency.
+function toBreakdown(rows) {
+  return rows
+    .filter(row => row.ticker)
+    .map(row => ({
+      ticker: row.ticker.toUpperCase(),
+      assetType: row.assetType ?? 'stock',
+      sector: row.sector?.trim() || null,
+      tags: parseTags(row.tags).join(', '),
+      shares: parseNumber(row.shares) || 0,
+      currency: row.quoteCurrency ?? null,
+      currentPrice: round(row.currentPrice),
+      fxRate: round(row.fxRate, 6),
+      currentValue: round(row.currentValue),
+      targetPrice: row.targetPrice === '' ? null : round(parseNumber(row.targetPrice)),
+      targetValue: round(row.targetValue),
+      gain: round(row.gain),
+      returnPct: round(row.returnPct)
+    }));
+}
+
+export function exportPositionsCsv(assets) {
+  return toCsv(toPositions(assets), POSITION_COLUMNS);
+}
+
+export function exportPositionsJson(assets) {
+  return JSON.stringify({ positions: toPositions(assets) }, null, 2);
+}
+
+export function exportBreakdownCsv(rows) {
+  return toCsv(toBreakdown(rows), BREAKDOWN_COLUMNS);
+}
+
+export function exportBreakdownJson(rows) {
+  return JSON.stringify({ breakdown: toBreakdown(rows) }, null, 2);
+}
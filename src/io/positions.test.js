@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import {
+  POSITION_FIELDS,
+  detectColumnMapping,
+  exportPositionsCsv,
+  exportPositionsJson,
+  importPositionsCsv,
+  importPositionsJson,
+  parseNumber,
+  parsePastedPositions
+} from './positions.js';
+
+// A mapping with no column for any field.
+const unmapped = Object.fromEntries(POSITION_FIELDS.map(field => [field.key, -1]));
+
+// Crypto, cash and option rows as App stores them.
+const typedAssets = [
+  { assetType: 'crypto', ticker: 'eth', shares: '1.5', targetPrice: '5000', currency: 'USD' },
+  { assetType: 'cash', ticker: 'EUR', shares: '2500', targetPrice: '', interestRate: '3.25', currency: null },
+  {
+    assetType: 'option',
+    ticker: 'AAPL',
+    shares: '2',
+    targetPrice: '260',
+    currency: 'USD',
+    option: { right: 'put', strike: '240', expiry: '2026-12-18', multiplier: '100', premium: '4.1' },
+    costBasis: { mode: 'average', averageCost: '5.25' }
+  }
+];
+const position = (ticker, shares, targetPrice, averageCost, details) => ({
+  ticker,
+  shares,
+  targetPrice,
+  averageCost,
+  ...details
+});
+const typedPositions = [
+  position('ETH', '1.5', '5000', '', { assetType: 'crypto', currency: 'USD' }),
+  position('EUR', '2500', '', '', { assetType: 'cash', interestRate: '3.25' }),
+  position('AAPL', '2', '260', '5.25', {
+    assetType: 'option',
+    currency: 'USD',
+    option: { right: 'put', strike: '240', expiry: '2026-12-18', multiplier: '100', premium: '4.1' }
+  })
+];
+
+describe('parsePastedPositions', () => {
+  it('reads tab separated lines in grid order', () => {
+    const { positions, errors } = parsePastedPositions('aapl\t10\t250\r\nMSFT\t2\r\nVOD.L\r\n');
+    expect(errors).toEqual([]);
+    expect(positions).toEqual([
+      { ticker: 'AAPL', shares: '10', targetPrice: '250', averageCost: '' },
+      { ticker: 'MSFT', shares: '2', targetPrice: '', averageCost: '' },
+      { ticker: 'VOD.L', shares: '', targetPrice: '', averageCost: '' }
+    ]);
+  });
+
+  it('follows a header row and reports bad lines', () => {
+    const { positions, errors } = parsePastedPositions('Qty\tSymbol\n"1,000"\tKO\nx\t??\n');
+    expect(positions).toEqual([{ ticker: 'KO', shares: '1000', targetPrice: '', averageCost: '' }]);
+    expect(errors).toEqual([{ line: 3, message: 'Invalid ticker "??"' }]);
+  });
+});
+
+describe('parseNumber', () => {
+  it('reads export formatting', () => {
+    expect(parseNumber('1,234.50')).toBe(1234.5);
+    expect(parseNumber(' $ 12,000 ')).toBe(12000);
+    expect(parseNumber('€0.5')).toBe(0.5);
+    expect(parseNumber('(12.50)')).toBe(-12.5);
+    expect(parseNumber('($1,000)')).toBe(-1000);
+    expect(parseNumber('-3')).toBe(-3);
+    expect(parseNumber('1e3')).toBe(1000);
+    expect(parseNumber(7)).toBe(7);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['', '12abc', '1.2.3', '()', 'N/A', null, undefined]) {
+      expect(parseNumber(value)).toBeNaN();
+    }
+  });
+});
+
+describe('detectColumnMapping', () => {
+  it('matches brokerage header aliases in any order and case', () => {
+    expect(detectColumnMapping(['Description', 'Qty', 'Symbol', 'Avg. Cost', 'Price Target'])).toEqual({
+      ...unmapped,
+      ticker: 2,
+      shares: 1,
+      targetPrice: 4,
+      averageCost: 3
+    });
+    expect(detectColumnMapping(['Name', 'Value'])).toEqual(unmapped);
+  });
+});
+
+describe('importPositionsCsv', () => {
+  it('imports a brokerage export through its header aliases', () => {
+    const csv = [
+      'Security,Quantity,Cost Per Share,Market Value',
+      'aapl,"1,200",$150.25,"$300,000.00"',
+      'BRK.B,10,(5.00),1',
+      '',
+      'MSFT,(3),,1',
+      ',5,,',
+      'GOOG,ten,,'
+    ].join('\n');
+    const { headers, mapping, positions, errors } = importPositionsCsv(csv);
+    expect(headers[0]).toBe('Security');
+    expect(mapping).toEqual({ ...unmapped, ticker: 0, shares: 1, averageCost: 2 });
+    expect(positions).toEqual([{ ticker: 'AAPL', shares: '1200', targetPrice: '', averageCost: '150.25' }]);
+    // Line numbers count the blank line, so they match the file.
+    expect(errors).toEqual([
+      { line: 3, message: 'Average cost cannot be negative' },
+      { line: 5, message: 'Share count cannot be negative' },
+      { line: 6, message: 'Missing ticker' },
+      { line: 7, message: 'Invalid share count "ten"' }
+    ]);
+  });
+
+  it('lets a mapping override or add columns', () => {
+    const { positions } = importPositionsCsv('Code,Held,Goal\nKO,4,70\n', {
+      ticker: 0,
+      shares: 1,
+      targetPrice: 2
+    });
+    expect(positions).toEqual([{ ticker: 'KO', shares: '4', targetPrice: '70', averageCost: '' }]);
+  });
+
+  it('reports missing required columns and empty files', () => {
+    expect(importPositionsCsv('Symbol,Price\nAAPL,1\n').errors).toEqual([
+      { line: 1, message: 'No column selected for Shares' }
+    ]);
+    expect(importPositionsCsv('').errors).toEqual([{ line: 1, message: 'File is empty' }]);
+  });
+
+  it('round-trips crypto, cash and option rows through its own export', () => {
+    const csv = exportPositionsCsv(typedAssets);
+    expect(csv.split(/\r?\n/)[0]).toBe(
+      'Ticker,Shares,Target Price,Average Cost,Asset Type,Interest Rate,Currency,Call/Put,Strike,Expiry,Multiplier,Premium'
+    );
+    const { positions, errors } = importPositionsCsv(csv);
+    expect(errors).toEqual([]);
+    expect(positions).toEqual(typedPositions);
+  });
+
+  it('checks the asset type, currency, interest rate and option terms', () => {
+    const csv = [
+      'Ticker,Shares,Asset Type,Currency,Interest Rate,Call/Put,Strike,Expiry,Multiplier',
+      'A,1,bond,,,,,,',
+      'B,1,,dollars,,,,,',
+      'C,1,cash,,-1,,,,',
+      'D,1,option,,,straddle,,,',
+      'E,1,option,,,C,x,,',
+      'F,1,option,,,P,10,18/12/2026,',
+      'G,1,option,,,P,10,,0',
+      'H,1,Crypto,usd,,,,,',
+      'I,1,option,GBp,,c,10,2026-12-18,10'
+    ].join('\n');
+    const { positions, errors } = importPositionsCsv(csv);
+    expect(errors).toEqual([
+      { line: 2, message: 'Invalid asset type "bond"' },
+      { line: 3, message: 'Invalid currency "dollars"' },
+      { line: 4, message: 'Interest rate cannot be negative' },
+      { line: 5, message: 'Invalid call/put "straddle"' },
+      { line: 6, message: 'Invalid strike "x"' },
+      { line: 7, message: 'Invalid expiry "18/12/2026", expected YYYY-MM-DD' },
+      { line: 8, message: 'Invalid multiplier "0"' }
+    ]);
+    expect(positions).toEqual([
+      position('H', '1', '', '', { assetType: 'crypto', currency: 'USD' }),
+      position('I', '1', '', '', {
+        assetType: 'option',
+        currency: 'GBp',
+        option: { right: 'call', strike: '10', expiry: '2026-12-18', multiplier: '10' }
+      })
+    ]);
+  });
+
+  it('still requires a share count', () => {
+    const { errors } = importPositionsCsv('Ticker,Shares\nAAPL,\n');
+    expect(errors).toEqual([{ line: 2, message: 'Invalid share count ""' }]);
+  });
+});
+
+describe('importPositionsJson', () => {
+  it('accepts a bare array and the assets and positions wrappers', () => {
+    const list = [{ ticker: 'aapl', shares: 2, targetPrice: '250' }];
+    const expected = [{ ticker: 'AAPL', shares: '2', targetPrice: '250', averageCost: '' }];
+    for (const json of [list, { assets: list }, { positions: list }]) {
+      expect(importPositionsJson(JSON.stringify(json))).toEqual({ positions: expected, errors: [] });
+    }
+  });
+
+  it('reads back its own export', () => {
+    const assets = [
+      { ticker: 'vod.l', shares: '100', targetPrice: '', costBasis: { mode: 'average', averageCost: '0.7' } }
+    ];
+    expect(importPositionsJson(exportPositionsJson(assets)).positions).toEqual([
+      { ticker: 'VOD.L', shares: '100', targetPrice: '', averageCost: '0.7', assetType: 'stock' }
+    ]);
+  });
+
+  it('round-trips crypto, cash and option rows', () => {
+    expect(importPositionsJson(exportPositionsJson(typedAssets))).toEqual({
+      positions: typedPositions,
+      errors: []
+    });
+  });
+
+  it('reads option terms from an option object', () => {
+    const option = { right: 'call', strike: '70' };
+    const json = JSON.stringify([{ ticker: 'KO', shares: '1', assetType: 'option', option }]);
+    expect(importPositionsJson(json).positions[0].option).toEqual(option);
+  });
+
+  it('numbers errors by array entry', () => {
+    const { positions, errors } = importPositionsJson(
+      JSON.stringify({
+        positions: [{ ticker: 'KO', shares: '1' }, 'KO', { ticker: 'PEP', shares: '-1' }]
+      })
+    );
+    expect(positions).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 2, message: 'Entry is not an object' },
+      { line: 3, message: 'Share count cannot be negative' }
+    ]);
+  });
+
+  it('rejects documents without a list', () => {
+    expect(importPositionsJson('{"name":"x"}').errors).toEqual([
+      { line: 1, message: 'Expected an array of positions' }
+    ]);
+    expect(importPositionsJson('{').errors[0].message).toMatch(/^Invalid JSON: /);
+  });
+});
@@ -0,0 +1,190 @@
+import { ASSET_TYPES, assetTypeOf, blankOption } from '../calc/assetTypes.js';
+
+/*
+ * Shareable portfolio links.
+ *
+ * A portfolio is encoded into the URL fragment so it can be sent to
+ * someone else without a backend; fragments are never sent to the
+ * server.  The payload is a compact JSON array rather than an object
+ * to keep links short:
+ *
+ *   [version, name, [position, ...], settings]
+ *
+ * where each position is
+ *
+ *   [ticker, shares, targetPrice, assetType, interestRate, currency,
+ *    [right, strike, expiry, multiplier, premium]]
+ *
+ * with blank trailing entries left off, so a plain stock is still just
+ * `[ticker, shares, targetPrice]`.  The option terms are only present
+ * for options and an asset type of '' means a stock.  The whole array
+ * is serialized as UTF‑8, base64url encoded and prefixed with the
+ * version: `#share=2.<payload>`.  Shares, prices and rates are kept as
+ * the exact strings the user typed, so a decoded link reproduces the
+ * inputs character for character.  `settings` holds display
+ * preferences such as `{ darkMode: true }`.
+ *
+ * Version 1 links, which carried only the first three entries of each
+ * position, are still read.
+ */
+
+export const SHARE_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, SHARE_VERSION];
+export const SHARE_PARAM = 'share';
+
+// Upper bounds that keep links usable in chat tools and browsers and
+// stop a crafted link from flooding the UI.
+export const MAX_SHARE_LENGTH = 16000;
+export const MAX_SHARE_POSITIONS = 500;
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+  }
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  if (!/^[A-Za-z0-9_-]*$/.test(encoded)) {
+    throw new ShareLinkError('Link contains invalid characters');
+  }
+  const padded = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(padded + '='.repeat((4 - (padded.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+const OPTION_TERMS = ['right', 'strike', 'expiry', 'multiplier', 'premium'];
+const TYPE_IDS = ASSET_TYPES.map(type => type.id);
+
+// The compact tuple for one asset row.
+function toTuple(asset) {
+  const type = assetTypeOf(asset);
+  const fields = [
+    asset.ticker,
+    String(asset.shares ?? ''),
+    String(asset.targetPrice ?? ''),
+    type === 'stock' ? '' : type,
+    type === 'cash' ? String(asset.interestRate ?? '') : '',
+    asset.currency ?? ''
+  ];
+  if (type === 'option') {
+    const option = { ...blankOption(), ...asset.option };
+    return [...fields, OPTION_TERMS.map(key => String(option[key] ?? ''))];
+  }
+  while (fields.length > 3 && fields[fields.length - 1] === '') fields.pop();
+  return fields;
+}
+
+// Encode a portfolio into the fragment value (without the leading
+// `#share=`).  Blank rows are skipped.  Throws ShareLinkError when the
+// result would exceed MAX_SHARE_LENGTH.
+export function encodeShare({ name = '', assets = [], settings = {} }) {
+  const positions = assets.filter(asset => asset.ticker).map(toTuple);
+  if (positions.length > MAX_SHARE_POSITIONS) {
+    throw new ShareLinkError(`Too many positions to share (max ${MAX_SHARE_POSITIONS})`);
+  }
+  const payload = `${SHARE_VERSION}.${toBase64Url(
+    JSON.stringify([SHARE_VERSION, name, positions, settings])
+  )}`;
+  if (payload.length > MAX_SHARE_LENGTH) {
+    throw new ShareLinkError('Portfolio is too large to share as a link');
+  }
+  return payload;
+}
+
+const isString = value => typeof value === 'string';
+
+// Read one position tuple, or return null when it is malformed.
+// Version 1 tuples carry only the ticker, shares and target price.
+function fromTuple(tuple, version) {
+  const maxLength = version === 1 ? 3 : 7;
+  if (!Array.isArray(tuple) || tuple.length < 3 || tuple.length > maxLength) return null;
+  const [ticker, shares, targetPrice, assetType = '', interestRate = '', currency = '', terms] = tuple;
+  if (![ticker, shares, targetPrice, assetType, interestRate, currency].every(isString)) return null;
+  if (assetType !== '' && !TYPE_IDS.includes(assetType)) return null;
+  if (currency !== '' && !/^[A-Za-z]{3}$/.test(currency)) return null;
+  const position = { ticker, shares, targetPrice };
+  if (assetType) position.assetType = assetType;
+  if (interestRate) position.interestRate = interestRate;
+  if (currency) position.currency = currency;
+  if (terms !== undefined) {
+    if (assetType !== 'option' || !Array.isArray(terms) || terms.length !== OPTION_TERMS.length) return null;
+    if (!terms.every(isString) || !['call', 'put'].includes(terms[0])) return null;
+    position.option = Object.fromEntries(OPTION_TERMS.map((key, index) => [key, terms[index]]));
+  }
+  return position;
+}
+
+// Decode a fragment value produced by encodeShare.  Returns
+// `{ name, positions: [{ ticker, shares, targetPrice, ... }], settings }`,
+// where asset type, interest rate, currency and `option` terms appear
+// only when the link carries them, or throws ShareLinkError describing
+// why the link was rejected.
+export function decodeShare(value) {
+  if (!isString(value) || value.length === 0) {
+    throw new ShareLinkError('Link is empty');
+  }
+  if (value.length > MAX_SHARE_LENGTH) {
+    throw new ShareLinkError('Link is too large');
+  }
+  const dot = value.indexOf('.');
+  const version = Number(value.slice(0, dot));
+  if (dot < 1 || !SUPPORTED_VERSIONS.includes(version)) {
+    throw new ShareLinkError('Link was made by an unsupported version of the app');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(value.slice(dot + 1)));
+  } catch (err) {
+    if (err instanceof ShareLinkError) throw err;
+    throw new ShareLinkError('Link is corrupted');
+  }
+
+  if (!Array.isArray(data) || data[0] !== version) {
+    throw new ShareLinkError('Link is corrupted');
+  }
+  const [, name, positions, settings = {}] = data;
+  if (!isString(name) || !Array.isArray(positions)) {
+    throw new ShareLinkError('Link is corrupted');
+  }
+  if (positions.length > MAX_SHARE_POSITIONS) {
+    throw new ShareLinkError('Link contains too many positions');
+  }
+  const decoded = positions.map(tuple => fromTuple(tuple, version));
+  if (decoded.includes(null)) {
+    throw new ShareLinkError('Link contains malformed positions');
+  }
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ShareLinkError('Link contains malformed settings');
+  }
+  return {
+    name,
+    positions: decoded,
+    settings
+  };
+}
+
+// Build a full URL for the current page carrying the encoded portfolio.
+export function buildShareUrl(portfolio, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${encodeShare(
+    portfolio
+  )}`;
+}
+
+// Extract the encoded value from a location hash such as
+// `#share=1.abc`, or null when the hash carries no shared portfolio.
+export function readShareHash(hash) {
+  const params = new URLSearchParams((hash ?? '').replace(/^#/, ''));
+  return params.get(SHARE_PARAM);
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SHARE_LENGTH,
+  MAX_SHARE_POSITIONS,
+  SHARE_VERSION,
+  ShareLinkError,
+  decodeShare,
+  encodeShare,
+  readShareHash
+} from './shareLink.js';
+
+const portfolio = {
+  name: 'Rentrée – 2026 💼',
+  assets: [
+    { ticker: 'AAPL', shares: '10.50', targetPrice: '250.000' },
+    { ticker: 'BTC-USD', shares: '0.00012345', targetPrice: '1e5' },
+    { ticker: '', shares: '3', targetPrice: '' },
+    { ticker: 'VOD.L', shares: '1,000', targetPrice: '' }
+  ],
+  settings: { darkMode: true }
+};
+
+const typed = {
+  name: 'Mixed',
+  assets: [
+    { assetType: 'crypto', ticker: 'BTC', shares: '0.5', targetPrice: '90000', currency: 'USD' },
+    { assetType: 'cash', ticker: 'EUR', shares: '2500.00', targetPrice: '', interestRate: '3.25' },
+    {
+      assetType: 'option',
+      ticker: 'AAPL',
+      shares: '2',
+      targetPrice: '260',
+      currency: 'USD',
+      option: { right: 'put', strike: '240', expiry: '2026-12-18', multiplier: '100', premium: '4.10' }
+    }
+  ]
+};
+
+// A link as encodeShare would write it for a raw payload.
+const link = (version, data) =>
+  `${version}.${btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+
+// decodeShare must fail with a ShareLinkError, never with whatever
+// atob, TextDecoder or JSON.parse happened to throw.
+function rejection(value) {
+  try {
+    decodeShare(value);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+describe('share links', () => {
+  it('round-trip a portfolio exactly, keeping the typed strings', () => {
+    const encoded = encodeShare(portfolio);
+    expect(encoded).toMatch(/^2\.[A-Za-z0-9_-]+$/);
+    expect(readShareHash(`#share=${encoded}`)).toBe(encoded);
+    expect(decodeShare(encoded)).toEqual({
+      name: portfolio.name,
+      positions: [
+        { ticker: 'AAPL', shares: '10.50', targetPrice: '250.000' },
+        { ticker: 'BTC-USD', shares: '0.00012345', targetPrice: '1e5' },
+        { ticker: 'VOD.L', shares: '1,000', targetPrice: '' }
+      ],
+      settings: { darkMode: true }
+    });
+  });
+
+  it('rejects truncated, non-base64, wrong-version and oversized links', () => {
+    const encoded = encodeShare(portfolio);
+    const cases = {
+      truncated: encoded.slice(0, encoded.length - 7),
+      'one character short of a base64 block': encoded.slice(0, 2 + 4 * 5 + 1),
+      'not base64': '1.%%%not*base64',
+      'not JSON': `1.${btoa('hello').replace(/=+$/, '')}`,
+      'wrong version': `3${encoded.slice(1)}`,
+      'no version': encoded.slice(2),
+      oversized: `1.${'A'.repeat(MAX_SHARE_LENGTH)}`,
+      empty: ''
+    };
+    for (const [label, value] of Object.entries(cases)) {
+      const err = rejection(value);
+      expect(err, label).toBeInstanceOf(ShareLinkError);
+      expect(err.message, label).toMatch(/^Link /);
+    }
+  });
+
+  it('round-trip crypto, cash and option rows with their type, rate, currency and terms', () => {
+    expect(decodeShare(encodeShare(typed)).positions).toEqual([
+      { ticker: 'BTC', shares: '0.5', targetPrice: '90000', assetType: 'crypto', currency: 'USD' },
+      { ticker: 'EUR', shares: '2500.00', targetPrice: '', assetType: 'cash', interestRate: '3.25' },
+      {
+        ticker: 'AAPL',
+        shares: '2',
+        targetPrice: '260',
+        assetType: 'option',
+        currency: 'USD',
+        option: { right: 'put', strike: '240', expiry: '2026-12-18', multiplier: '100', premium: '4.10' }
+      }
+    ]);
+  });
+
+  it('still reads version 1 links', () => {
+    expect(decodeShare(link(1, [1, 'Old', [['KO', '4', '70']], {}]))).toEqual({
+      name: 'Old',
+      positions: [{ ticker: 'KO', shares: '4', targetPrice: '70' }],
+      settings: {}
+    });
+    // Version 1 positions never had the later fields.
+    expect(rejection(link(1, [1, 'Old', [['BTC', '1', '', 'crypto']], {}]))).toBeInstanceOf(ShareLinkError);
+  });
+
+  it('rejects malformed types, currencies and option terms', () => {
+    const terms = ['call', '100', '2026-12-18', '100', ''];
+    const cases = {
+      'unknown type': ['X', '1', '', 'bond'],
+      'bad currency': ['X', '1', '', '', '', 'dollars'],
+      'number rate': ['EUR', '1', '', 'cash', 3],
+      'terms on a stock': ['X', '1', '', '', '', '', terms],
+      'bad right': ['X', '1', '', 'option', '', '', ['straddle', ...terms.slice(1)]],
+      'short terms': ['X', '1', '', 'option', '', '', terms.slice(1)],
+      'too long': ['X', '1', '', 'option', '', '', terms, 'extra']
+    };
+    for (const [label, position] of Object.entries(cases)) {
+      const err = rejection(link(SHARE_VERSION, [SHARE_VERSION, '', [position], {}]));
+      expect(err, label).toBeInstanceOf(ShareLinkError);
+      expect(err.message, label).toBe('Link contains malformed positions');
+    }
+  });
+
+  it('refuses to encode more positions than a link may carry', () => {
+    const assets = Array.from({ length: MAX_SHARE_POSITIONS + 1 }, (_, i) => ({
+      ticker: `T${i}`,
+      shares: '1',
+      targetPrice: ''
+    }));
+    expect(() => encodeShare({ assets })).toThrow(ShareLinkError);
+  });
+});
@@ -13,3 +13,14 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Register the service worker (emitted by vite.config.js) so the app
+// works offline and can be installed.  Development builds skip it to
+// keep HMR and fresh files.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(err => {
+      console.warn('Service worker registration failed', err);
+    });
+  });
+}
@@ -0,0 +1,136 @@
+/*
+ * Exchange and currency conventions.
+ *
+ * Users type tickers in Yahoo's format: a bare symbol for U.S.
+ * listings, an exchange suffix elsewhere (`SAP.DE`, `7203.T`), a
+ * `-USD` style suffix for crypto and `EURUSD=X` for currency pairs.
+ * This table maps each Yahoo suffix to the currency the listing trades
+ * in and to Stooq's suffix for the same market.  A null Stooq suffix
+ * means Stooq does not cover that exchange, and the Stooq provider is
+ * skipped rather than asked for a symbol that would match the wrong
+ * security.  `stooqCurrency` is set where Stooq quotes a market in
+ * other units than its currency: London closes are in pence.
+ */
+
+export const EXCHANGES = {
+  // suffix: { name, currency, stooq, stooqCurrency }
+  '': { name: 'United States', currency: 'USD', stooq: '.us' },
+  DE: { name: 'XETRA', currency: 'EUR', stooq: '.de' },
+  F: { name: 'Frankfurt', currency: 'EUR', stooq: '.de' },
+  L: { name: 'London', currency: 'GBP', stooq: '.uk', stooqCurrency: 'GBp' },
+  T: { name: 'Tokyo', currency: 'JPY', stooq: '.jp' },
+  HK: { name: 'Hong Kong', currency: 'HKD', stooq: '.hk' },
+  WA: { name: 'Warsaw', currency: 'PLN', stooq: '' },
+  BD: { name: 'Budapest', currency: 'HUF', stooq: '.hu' },
+  PA: { name: 'Paris', currency: 'EUR', stooq: null },
+  AS: { name: 'Amsterdam', currency: 'EUR', stooq: null },
+  MI: { name: 'Milan', currency: 'EUR', stooq: null },
+  MC: { name: 'Madrid', currency: 'EUR', stooq: null },
+  BR: { name: 'Brussels', currency: 'EUR', stooq: null },
+  SW: { name: 'SIX Swiss', currency: 'CHF', stooq: null },
+  ST: { name: 'Stockholm', currency: 'SEK', stooq: null },
+  CO: { name: 'Copenhagen', currency: 'DKK', stooq: null },
+  OL: { name: 'Oslo', currency: 'NOK', stooq: null },
+  TO: { name: 'Toronto', currency: 'CAD', stooq: null },
+  V: { name: 'TSX Venture', currency: 'CAD', stooq: null },
+  AX: { name: 'ASX', currency: 'AUD', stooq: null },
+  NZ: { name: 'NZX', currency: 'NZD', stooq: null },
+  SI: { name: 'Singapore', currency: 'SGD', stooq: null },
+  KS: { name: 'Korea', currency: 'KRW', stooq: null },
+  NS: { name: 'NSE India', currency: 'INR', stooq: null },
+  BO: { name: 'BSE India', currency: 'INR', stooq: null },
+  SA: { name: 'B3 São Paulo', currency: 'BRL', stooq: null },
+  MX: { name: 'Mexico', currency: 'MXN', stooq: null },
+  JO: { name: 'Johannesburg', currency: 'ZAR', stooq: null }
+};
+
+// Quote currencies reported in minor units, with the major currency
+// and divisor.  LSE prices, for example, come back in pence (GBp).
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', divisor: 100 },
+  GBX: { currency: 'GBP', divisor: 100 },
+  ZAc: { currency: 'ZAR', divisor: 100 },
+  ILA: { currency: 'ILS', divisor: 100 }
+};
+
+/*
+ * Classify a Yahoo‑style ticker.  Returns one of
+ *   { kind: 'fx', base, quote }            e.g. EURUSD=X
+ *   { kind: 'index', symbol }              e.g. ^GSPC
+ *   { kind: 'crypto', asset, currency }    e.g. BTC-USD
+ *   { kind: 'equity', root, suffix, exchange }
+ * where `exchange` is null for suffixes missing from EXCHANGES.
+ */
+export function parseTicker(ticker) {
+  const symbol = ticker.trim().toUpperCase();
+  const fx = /^([A-Z]{3})([A-Z]{3})=X$/.exec(symbol);
+  if (fx) return { kind: 'fx', base: fx[1], quote: fx[2] };
+  if (symbol.startsWith('^')) return { kind: 'index', symbol };
+  const crypto = /^([A-Z0-9]+)-(USD|EUR|GBP|USDT)$/.exec(symbol);
+  if (crypto) return { kind: 'crypto', asset: crypto[1], currency: crypto[2] === 'USDT' ? 'USD' : crypto[2] };
+  const dot = symbol.lastIndexOf('.');
+  let suffix = dot > 0 ? symbol.slice(dot + 1) : '';
+  // A single letter after the dot is usually a U.S. share class
+  // (BRK.B) unless it is a known exchange such as `.L` or `.T`.
+  if (suffix.length === 1 && !EXCHANGES[suffix]) suffix = '';
+  const root = suffix ? symbol.slice(0, dot) : symbol;
+  return { kind: 'equity', root, suffix, exchange: EXCHANGES[suffix] ?? null };
+}
+
+// Yahoo's spelling of a user‑typed ticker: upper case, with U.S. share
+// classes written with a dash (`brk.b` → `BRK-B`).
+export function canonicalTicker(ticker) {
+  const symbol = ticker.trim().toUpperCase();
+  const info = parseTicker(symbol);
+  if (info.kind === 'equity' && !info.suffix && /^[A-Z]+\.[A-Z]$/.test(symbol)) {
+    return symbol.replace('.', '-');
+  }
+  return symbol;
+}
+
+// Other spellings of coin codes, mapped to Yahoo's.
+const CRYPTO_ALIASES = { XBT: 'BTC' };
+
+// Yahoo's symbol for a crypto holding.  Accepts a bare coin (`btc`,
+// priced in `currency`), a pair written with a dash or slash
+// (`ETH/EUR`) or run together (`BTCUSDT`), and maps aliases such as
+// XBT.  Returns '' for blank input.
+export function cryptoTicker(input, currency = 'USD') {
+  const symbol = input.trim().toUpperCase().replace(/\s+/g, '');
+  if (!symbol) return '';
+  const pair =
+    /^([A-Z0-9]+)[-/]([A-Z]{3,4})$/.exec(symbol) ??
+    /^([A-Z0-9]{2,})(USDT|USD|EUR|GBP)$/.exec(symbol);
+  const [coin, quote] = pair ? [pair[1], pair[2]] : [symbol, currency];
+  return `${CRYPTO_ALIASES[coin] ?? coin}-${quote}`;
+}
+
+// Best guess at a ticker's quote currency when the source does not
+// report one.  Null when unknown.
+export function inferCurrency(ticker) {
+  const info = parseTicker(ticker);
+  if (info.kind === 'fx') return info.quote;
+  if (info.kind === 'crypto') return info.currency;
+  return info.exchange?.currency ?? null;
+}
+
+// Convert an amount reported in `currency` to major units, e.g. 250
+// GBp → 2.50 GBP.  Returns `{ amount, currency }`.
+export function toMajorUnits(amount, currency) {
+  const minor = MINOR_UNITS[currency];
+  if (minor) return { amount: amount / minor.divisor, currency: minor.currency };
+  return { amount, currency: currency ? currency.toUpperCase() : null };
+}
+
+// Convert a quote to major currency units and fill in a missing
+// currency from the ticker.  Returns a new quote object.
+export function normalizeQuote(quote, ticker) {
+  const { amount, currency } = toMajorUnits(quote.price, quote.currency ?? inferCurrency(ticker));
+  return { ...quote, price: amount, currency };
+}
+
+// Yahoo symbol for the rate converting `from` into `to`, e.g.
+// fxTicker('EUR', 'USD') → 'EURUSD=X' (price of 1 EUR in USD).
+export function fxTicker(from, to) {
+  return `${from}${to}=X`;
+}
@@ -0,0 +1,121 @@
+import yahooQuote from './yahooQuote.js';
+import yahooChart from './yahooChart.js';
+import stooq from './stooq.js';
+import mock from './mock.js';
+import quoteServer, { DEFAULT_QUOTE_SERVER } from './quoteServer.js';
+import { DEFAULT_PROXY } from './proxy.js';
+import { normalizeQuote } from './exchanges.js';
+
+/*
+ * Price provider registry.
+ *
+ * Each provider is a plain object implementing the same interface:
+ *
+ *   id               – stable source tag stored on each row
+ *   label            – human readable name shown in the settings UI
+ *   normalizeSymbol  – map a user‑typed ticker to the provider's format,
+ *                      or null when the provider cannot serve it
+ *   fetchQuote       – resolve `{ price, currency }` for a normalized
+ *                      symbol, or null
+ *   parse            – turn a raw response payload into a quote or null
+ *
+ * `currency` may be null when the source does not report one; the
+ * registry and quote service fill it in from the ticker's exchange and
+ * convert minor units (e.g. pence) via normalizeQuote.
+ * A quote parsed from a response the service worker replayed while
+ * offline carries `stale: true` and the time of the original fetch as
+ * `fetchedAt` (see markStale in proxy.js).
+ *
+ * Providers may additionally implement `fetchQuotes(symbols, ctx)`,
+ * resolving to a Map of symbol → quote, when their source can answer
+ * several symbols in one request.  The quote service uses it to batch.
+ * A provider with a symbol lookup may implement `search(query, ctx)`,
+ * resolving to `[{ symbol, name, exchange, type, currency }]` with
+ * symbols in Yahoo's format; see src/services/symbolSearch.js.
+ *
+ * The registry keeps providers keyed by id.  Which providers are used,
+ * and in what order, is decided by a settings object so the user can
+ * reorder and toggle them without code changes.
+ */
+
+const registry = new Map();
+
+// Add a provider to the registry, replacing any existing provider with
+// the same id.  Throws if the object does not implement the interface
+// so that misconfigured providers fail loudly at startup.
+export function registerProvider(provider) {
+  for (const key of ['id', 'label', 'normalizeSymbol', 'fetchQuote', 'parse']) {
+    if (!provider?.[key]) {
+      throw new Error(`Price provider is missing "${key}"`);
+    }
+  }
+  registry.set(provider.id, provider);
+  return provider;
+}
+
+export function getProvider(id) {
+  return registry.get(id) ?? null;
+}
+
+export function listProviders() {
+  return [...registry.values()];
+}
+
+[quoteServer, yahooQuote, yahooChart, stooq, mock].forEach(registerProvider);
+
+// Default settings: the three live sources in their historical order
+// with the offline mock provider available but switched off.  The
+// self‑hosted quote server sits first but is off until the user has
+// one to point at (`quoteServer`).
+export const DEFAULT_PROVIDER_SETTINGS = {
+  proxy: DEFAULT_PROXY,
+  quoteServer: DEFAULT_QUOTE_SERVER,
+  providers: [
+    { id: quoteServer.id, enabled: false },
+    { id: yahooQuote.id, enabled: true },
+    { id: yahooChart.id, enabled: true },
+    { id: stooq.id, enabled: true },
+    { id: mock.id, enabled: false }
+  ]
+};
+
+// Reconcile a settings list with the registry.  Unknown ids are
+// dropped and registered providers missing from the list are appended
+// disabled, so settings saved by an older version stay usable.
+export function resolveProviderList(list = DEFAULT_PROVIDER_SETTINGS.providers) {
+  const known = list.filter(entry => registry.has(entry.id));
+  const seen = new Set(known.map(entry => entry.id));
+  const missing = listProviders()
+    .filter(p => !seen.has(p.id))
+    .map(p => ({ id: p.id, enabled: false }));
+  return [...known, ...missing];
+}
+
+/*
+ * Fetch the current price of a ticker from the enabled providers.
+ *
+ * Providers are tried in the configured order; the first one that
+ * yields a valid price wins.  Errors from an individual provider are
+ * swallowed so the chain can continue.  On success this resolves to
+ * `{ price, currency, source }` where `source` is the provider id; if no provider
+ * can supply a price it resolves to null.
+ */
+export async function fetchCurrentPrice(ticker, settings = DEFAULT_PROVIDER_SETTINGS) {
+  if (!ticker) return null;
+  const ctx = { proxy: settings.proxy, quoteServer: settings.quoteServer };
+  for (const entry of resolveProviderList(settings.providers)) {
+    if (!entry.enabled) continue;
+    const provider = registry.get(entry.id);
+    const symbol = provider.normalizeSymbol(ticker);
+    if (symbol == null) continue;
+    try {
+      const quote = await provider.fetchQuote(symbol, ctx);
+      if (quote && typeof quote.price === 'number' && !isNaN(quote.price)) {
+        return { ...normalizeQuote(quote, ticker), source: quote.source ?? provider.id };
+      }
+    } catch {
+      // ignore and fall through to the next provider
+    }
+  }
+  return null;
+}
@@ -0,0 +1,43 @@
+import { parseTicker } from './exchanges.js';
+
+/*
+ * Offline mock provider.
+ *
+ * Serves prices without touching the network so the app can be
+ * exercised offline or in tests.  Prices come from the optional
+ * `prices` map (keyed by upper‑case symbol); any other symbol gets a
+ * deterministic pseudo‑price derived from its characters so the same
+ * ticker always yields the same value between reloads.  Currency pairs
+ * (`EURUSD=X`) default to a rate of 1 so offline conversions stay
+ * readable.
+ */
+export function createMockProvider({ id = 'mock', label = 'Mock (offline)', prices = {} } = {}) {
+  const table = Object.fromEntries(
+    Object.entries(prices).map(([symbol, price]) => [symbol.toUpperCase(), price])
+  );
+  return {
+    id,
+    label,
+
+    normalizeSymbol(ticker) {
+      return ticker.trim().toUpperCase();
+    },
+
+    parse(value) {
+      // Currency is left to normalizeQuote, which infers it from the
+      // ticker's exchange suffix.
+      return typeof value === 'number' && !isNaN(value) ? { price: value, currency: null } : null;
+    },
+
+    async fetchQuote(symbol) {
+      if (symbol in table) return this.parse(table[symbol]);
+      if (parseTicker(symbol).kind === 'fx') return this.parse(1);
+      // Simple string hash mapped into a 5–500 price range.
+      let hash = 0;
+      for (const ch of symbol) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+      return this.parse(5 + (hash % 49500) / 100);
+    }
+  };
+}
+
+export default createMockProvider();
@@ -0,0 +1,58 @@
+/*
+ * CORS proxy helpers shared by the price providers.
+ *
+ * Browsers refuse cross‑origin responses that lack permissive CORS
+ * headers, which rules out calling Yahoo Finance or Stooq directly.
+ * Every provider therefore routes its outbound request through a
+ * proxy that fetches the target URL and echoes the body back with the
+ * right headers.  The proxy is configured as a URL prefix to which the
+ * URL‑encoded target is appended, e.g. allorigins'
+ * `https://api.allorigins.win/raw?url=`.
+ */
+
+// Default proxy used when the user has not configured one.
+export const DEFAULT_PROXY = 'https://api.allorigins.win/raw?url=';
+
+// Wrap a target URL in the configured proxy prefix.  An empty proxy
+// means "no proxy" and the target URL is returned unchanged, which is
+// useful when the app is served next to a same‑origin quote endpoint.
+export function proxify(url, proxy = DEFAULT_PROXY) {
+  if (!proxy) return url;
+  return `${proxy}${encodeURIComponent(url)}`;
+}
+
+// Error raised for non‑2xx responses.  Carrying the status lets the
+// quote service decide whether a failure is worth retrying.
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Fetch a target URL through the proxy.  Resolves to the Response on a
+// 2xx status and rejects with an HttpError otherwise.  An optional
+// AbortSignal is forwarded so callers can enforce a timeout.
+export async function proxiedFetch(
+  url,
+  { proxy = DEFAULT_PROXY, fetchImpl = fetch, signal } = {}
+) {
+  const res = await fetchImpl(proxify(url, proxy), { signal });
+  if (!res.ok) throw new HttpError(res.status, url);
+  return res;
+}
+
+// Header the service worker (src/serviceWorker.js) adds when it answers
+// a failed request with the last response it stored, holding the time
+// that response was fetched in epoch milliseconds.
+export const STALE_HEADER = 'X-Stale-Since';
+
+// Mark a quote parsed from `res` as stale when the response came from
+// the service worker's store rather than the network; its `fetchedAt`
+// becomes the time the stored response was fetched.
+export function markStale(quote, res) {
+  const since = Number(res?.headers?.get?.(STALE_HEADER));
+  if (!quote || !(since > 0)) return quote;
+  return { ...quote, stale: true, fetchedAt: since };
+}
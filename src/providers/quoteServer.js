@@ -0,0 +1,77 @@
+import { HttpError, markStale } from './proxy.js';
+import { canonicalTicker } from './exchanges.js';
+
+/*
+ * Self‑hosted quote server.
+ *
+ * Asks the `/api/quote?symbols=` endpoint from server/quoteApi.js, which
+ * fetches Yahoo and Stooq server‑side, so neither the tickers nor the
+ * holdings pass through a third‑party CORS proxy.  The endpoint is
+ * same‑origin by default (the Vite dev server, `npm run serve` or the
+ * Vercel function); another deployment can be named in the provider
+ * settings as `quoteServer`.  The server answers
+ *
+ *   { quotes: { [SYMBOL]: { price, currency, source, fetchedAt, beta? } }, missing: [SYMBOL] }
+ *
+ * with prices already in major units.  `source` names the upstream
+ * provider, so rows still show where their price came from.
+ */
+
+export const DEFAULT_QUOTE_SERVER = '/api/quote';
+
+// Turn one entry of the server's `quotes` object into a quote.
+function parseEntry(entry) {
+  if (typeof entry?.price !== 'number' || isNaN(entry.price)) return null;
+  const quote = { price: entry.price, currency: entry.currency ?? null };
+  if (entry.source) quote.source = entry.source;
+  if (typeof entry.beta === 'number') quote.beta = entry.beta;
+  return quote;
+}
+
+const quoteServer = {
+  id: 'quote-server',
+  label: 'Quote server (/api/quote)',
+
+  normalizeSymbol(ticker) {
+    return canonicalTicker(ticker);
+  },
+
+  // Accepts a single symbol or an array of symbols.
+  buildUrl(symbols, endpoint = DEFAULT_QUOTE_SERVER) {
+    const list = [].concat(symbols).join(',');
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return `${endpoint}${separator}symbols=${encodeURIComponent(list)}`;
+  },
+
+  // Extract the first quote from the decoded JSON payload.
+  parse(data) {
+    return parseEntry(Object.values(data?.quotes ?? {})[0]);
+  },
+
+  // Extract every quote as a Map keyed by upper‑case symbol.
+  parseBatch(data) {
+    const quotes = new Map();
+    for (const [symbol, entry] of Object.entries(data?.quotes ?? {})) {
+      const quote = parseEntry(entry);
+      if (quote) quotes.set(symbol.toUpperCase(), quote);
+    }
+    return quotes;
+  },
+
+  async fetchQuote(symbol, ctx) {
+    const quotes = await this.fetchQuotes([symbol], ctx);
+    return quotes.get(symbol.toUpperCase()) ?? null;
+  },
+
+  // The endpoint is called directly, never through the CORS proxy.
+  async fetchQuotes(symbols, { quoteServer: endpoint, fetchImpl = fetch, signal } = {}) {
+    const url = this.buildUrl(symbols, endpoint || DEFAULT_QUOTE_SERVER);
+    const res = await fetchImpl(url, { signal });
+    if (!res.ok) throw new HttpError(res.status, url);
+    const quotes = this.parseBatch(await res.json());
+    for (const [symbol, quote] of quotes) quotes.set(symbol, markStale(quote, res));
+    return quotes;
+  }
+};
+
+export default quoteServer;
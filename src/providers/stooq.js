@@ -0,0 +1,68 @@
+import { markStale, proxiedFetch } from './proxy.js';
+import { EXCHANGES, parseTicker } from './exchanges.js';
+
+/*
+ * Stooq CSV quote service.
+ *
+ * Stooq uses a different ticker format: U.S. equities are suffixed
+ * with `.us`, other markets with their own suffix (`.de`, `.uk`,
+ * `.jp`, …; Warsaw listings have none), cryptocurrencies use `.v`
+ * (e.g. `btc.v`) and currency pairs are bare (`eurusd`).  See
+ * https://stooq.pl/ for details on their naming conventions.  The CSV
+ * includes the closing price in the seventh column but no currency,
+ * which is inferred from the exchange instead.  Markets Stooq quotes in
+ * minor units (London, in pence) report that unit so normalizeQuote
+ * converts the price.
+ */
+
+// Stooq suffix → quote currency, for markets with a `stooqCurrency`.
+const SUFFIX_CURRENCIES = new Map(
+  Object.values(EXCHANGES)
+    .filter(exchange => exchange.stooqCurrency)
+    .map(exchange => [exchange.stooq, exchange.stooqCurrency])
+);
+
+const suffixCurrency = symbol => SUFFIX_CURRENCIES.get(symbol.slice(symbol.lastIndexOf('.'))) ?? null;
+
+const stooq = {
+  id: 'stooq',
+  label: 'Stooq CSV',
+
+  // Map a Yahoo‑style ticker to Stooq's format using the exchange
+  // table in exchanges.js.  Returns null for markets Stooq does not
+  // cover, so the provider is skipped for that ticker.
+  normalizeSymbol(ticker) {
+    const info = parseTicker(ticker);
+    if (info.kind === 'fx') return `${info.base}${info.quote}`.toLowerCase();
+    if (info.kind === 'crypto') {
+      return info.currency === 'USD' ? `${info.asset.toLowerCase()}.v` : null;
+    }
+    if (info.kind === 'index' || info.exchange?.stooq == null) return null;
+    // Share classes use a dash on Stooq too: brk-b.us.
+    return `${info.root.toLowerCase().replace('.', '-')}${info.exchange.stooq}`;
+  },
+
+  buildUrl(symbol) {
+    return `https://stooq.pl/q/l/?s=${encodeURIComponent(
+      symbol
+    )}&f=sd2t2ohlcvn&h&e=csv`;
+  },
+
+  // `symbol` is the Stooq symbol the CSV was requested for.
+  parse(csv, symbol = '') {
+    const lines = csv.trim().split(/\r?\n/);
+    if (lines.length < 2) return null;
+    // fields: Symbol,Date,Time,Open,High,Low,Close,Volume,Name
+    const parts = lines[1].split(',');
+    const close = parseFloat(parts[6]);
+    if (isNaN(close)) return null;
+    return { price: close, currency: suffixCurrency(symbol) };
+  },
+
+  async fetchQuote(symbol, ctx) {
+    const res = await proxiedFetch(this.buildUrl(symbol), ctx);
+    return markStale(this.parse(await res.text(), symbol), res);
+  }
+};
+
+export default stooq;
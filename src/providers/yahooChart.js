@@ -0,0 +1,91 @@
+import { markStale, proxiedFetch } from './proxy.js';
+import { canonicalTicker, toMajorUnits } from './exchanges.js';
+
+/*
+ * Yahoo Finance v8 chart endpoint.
+ *
+ * The chart API includes price meta information but occasionally
+ * returns null for the current price.  For quotes we request a 1‑day
+ * range with a 1‑day interval to keep the payload small.  The same
+ * endpoint also serves daily price history over longer ranges (`1mo`,
+ * `6mo`, `1y`, `2y`, `5y`, …) via `fetchHistory`, and dividend
+ * payments via `fetchDividends` (`events=div`).
+ */
+
+// Trading date of a UTC timestamp, given the exchange offset in seconds.
+const localDate = (ts, offset) => new Date((ts + offset) * 1000).toISOString().slice(0, 10);
+const yahooChart = {
+  id: 'yahoo-chart',
+  label: 'Yahoo Finance chart (v8)',
+
+  normalizeSymbol(ticker) {
+    return canonicalTicker(ticker);
+  },
+
+  buildUrl(symbol, range = '1d', { interval = '1d', events } = {}) {
+    return `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
+      symbol
+    )}?range=${encodeURIComponent(range)}&interval=${interval}${events ? `&events=${events}` : ''}`;
+  },
+
+  parse(data) {
+    const meta = data?.chart?.result?.[0]?.meta ?? {};
+    const price = meta.regularMarketPrice ?? meta.chartPreviousClose ?? null;
+    if (typeof price !== 'number' || isNaN(price)) return null;
+    return { price, currency: meta.currency ?? null };
+  },
+
+  // Extract daily closes as `[{ date: 'YYYY-MM-DD', close }]`, oldest
+  // first.  Split‑ and dividend‑adjusted closes are preferred when the
+  // payload includes them; days without a close are skipped.
+  parseHistory(data) {
+    const result = data?.chart?.result?.[0];
+    const timestamps = result?.timestamp ?? [];
+    const closes =
+      result?.indicators?.adjclose?.[0]?.adjclose ?? result?.indicators?.quote?.[0]?.close ?? [];
+    // Timestamps are market‑open times in UTC; shifting by the exchange
+    // offset gives the local trading date.
+    const offset = result?.meta?.gmtoffset ?? 0;
+    const series = [];
+    timestamps.forEach((ts, i) => {
+      const close = closes[i];
+      if (typeof close !== 'number' || isNaN(close)) return;
+      const date = localDate(ts, offset);
+      // Intraday updates can repeat today's date; keep the latest.
+      if (series.length && series[series.length - 1].date === date) series.pop();
+      series.push({ date, close });
+    });
+    return series;
+  },
+
+  async fetchHistory(symbol, { range = '1y', ...ctx } = {}) {
+    const res = await proxiedFetch(this.buildUrl(symbol, range), ctx);
+    return this.parseHistory(await res.json());
+  },
+
+  // Extract dividend payments as `[{ date, amount }]`, oldest first,
+  // with amounts per share in the listing's major currency (LSE
+  // dividends come in pence like its prices).
+  parseDividends(data) {
+    const result = data?.chart?.result?.[0];
+    const currency = result?.meta?.currency ?? null;
+    const offset = result?.meta?.gmtoffset ?? 0;
+    return Object.values(result?.events?.dividends ?? {})
+      .filter(d => typeof d.amount === 'number' && typeof d.date === 'number' && d.amount > 0)
+      .map(d => ({ date: localDate(d.date, offset), amount: toMajorUnits(d.amount, currency).amount }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  // Monthly bars keep the payload small; the events are the same.
+  async fetchDividends(symbol, { range = '2y', ...ctx } = {}) {
+    const res = await proxiedFetch(this.buildUrl(symbol, range, { interval: '1mo', events: 'div' }), ctx);
+    return this.parseDividends(await res.json());
+  },
+
+  async fetchQuote(symbol, ctx) {
+    const res = await proxiedFetch(this.buildUrl(symbol), ctx);
+    return markStale(this.parse(await res.json()), res);
+  }
+};
+
+export default yahooChart;
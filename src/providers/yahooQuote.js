@@ -0,0 +1,126 @@
+import { markStale, proxiedFetch } from './proxy.js';
+import { canonicalTicker, inferCurrency, toMajorUnits } from './exchanges.js';
+
+/*
+ * Yahoo Finance v7 quote endpoint.
+ *
+ * Returns a `quoteResponse` object with a `regularMarketPrice`
+ * property.  Using the quote API is more reliable for the latest price
+ * than the chart API because it is less likely to report null or
+ * outdated values, so it sits first in the default provider order.
+ * The endpoint accepts a comma separated `symbols=` list, which makes
+ * this the one provider that supports batch requests.  Yahoo's v1
+ * search endpoint on the same host backs symbol autocomplete, and the
+ * same quote payload carries the dividend rates used for income
+ * projections (`fetchDividendRates`).
+ */
+
+// Turn one entry of `quoteResponse.result` into a quote.  Falls back to
+// the previous close when the market price is missing (e.g. pre‑market).
+// The ticker's beta comes along when Yahoo reports one.
+function parseResult(result = {}) {
+  const price =
+    result.regularMarketPrice ?? result.regularMarketPreviousClose ?? null;
+  if (typeof price !== 'number' || isNaN(price)) return null;
+  const quote = { price, currency: result.currency ?? null };
+  if (typeof result.beta === 'number' && Number.isFinite(result.beta)) quote.beta = result.beta;
+  return quote;
+}
+
+const yahooQuote = {
+  id: 'yahoo-quote',
+  label: 'Yahoo Finance quote (v7)',
+
+  // Yahoo expects upper‑case symbols with exchange suffixes such as
+  // `SAP.DE` or `BTC-USD`, which is what users usually type already,
+  // and share classes with a dash (`BRK-B`).
+  normalizeSymbol(ticker) {
+    return canonicalTicker(ticker);
+  },
+
+  // Accepts a single symbol or an array of symbols.
+  buildUrl(symbols) {
+    const list = [].concat(symbols).join(',');
+    return `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${encodeURIComponent(
+      list
+    )}`;
+  },
+
+  // Extract the first quote from the decoded JSON payload.
+  parse(data) {
+    return parseResult(data?.quoteResponse?.result?.[0]);
+  },
+
+  // Extract every quote from a multi‑symbol payload as a Map keyed by
+  // the upper‑case symbol Yahoo echoes back.
+  parseBatch(data) {
+    const quotes = new Map();
+    for (const result of data?.quoteResponse?.result ?? []) {
+      const quote = parseResult(result);
+      if (result.symbol && quote) quotes.set(result.symbol.toUpperCase(), quote);
+    }
+    return quotes;
+  },
+
+  // Extract annual dividend rates per share as a Map keyed by the
+  // upper‑case symbol: `{ forwardRate, trailingRate }`, in major
+  // currency units, each null when Yahoo reports none.
+  parseDividendRates(data) {
+    const rates = new Map();
+    for (const result of data?.quoteResponse?.result ?? []) {
+      if (!result.symbol) continue;
+      const rate = value =>
+        typeof value === 'number' && value > 0 ? toMajorUnits(value, result.currency).amount : null;
+      rates.set(result.symbol.toUpperCase(), {
+        forwardRate: rate(result.dividendRate),
+        trailingRate: rate(result.trailingAnnualDividendRate)
+      });
+    }
+    return rates;
+  },
+
+  async fetchDividendRates(symbols, ctx) {
+    const res = await proxiedFetch(this.buildUrl(symbols), ctx);
+    return this.parseDividendRates(await res.json());
+  },
+
+  buildSearchUrl(query) {
+    return `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(
+      query
+    )}&quotesCount=10&newsCount=0`;
+  },
+
+  // Extract search matches as `[{ symbol, name, exchange, type,
+  // currency }]`.  The search payload carries no currency, so it is
+  // inferred from the symbol's exchange suffix.
+  parseSearch(data) {
+    return (data?.quotes ?? [])
+      .filter(item => item.symbol && item.quoteType)
+      .map(item => ({
+        symbol: canonicalTicker(item.symbol),
+        name: item.longname ?? item.shortname ?? '',
+        exchange: item.exchDisp ?? item.exchange ?? '',
+        type: item.typeDisp ?? item.quoteType,
+        currency: inferCurrency(item.symbol)
+      }));
+  },
+
+  async search(query, ctx) {
+    const res = await proxiedFetch(this.buildSearchUrl(query), ctx);
+    return this.parseSearch(await res.json());
+  },
+
+  async fetchQuote(symbol, ctx) {
+    const res = await proxiedFetch(this.buildUrl(symbol), ctx);
+    return markStale(this.parse(await res.json()), res);
+  },
+
+  async fetchQuotes(symbols, ctx) {
+    const res = await proxiedFetch(this.buildUrl(symbols), ctx);
+    const quotes = this.parseBatch(await res.json());
+    for (const [symbol, quote] of quotes) quotes.set(symbol, markStale(quote, res));
+    return quotes;
+  }
+};
+
+export default yahooQuote;
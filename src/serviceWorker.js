@@ -0,0 +1,135 @@
+/*
+ * Service worker.
+ *
+ * Not imported by the app: the `service-worker` plugin in
+ * vite.config.js emits this file as `sw.js` at build time, replacing
+ * `__PRECACHE__` with the list of files in the build and `__VERSION__`
+ * with a hash of that list.  src/main.jsx registers it in production
+ * builds only.
+ *
+ *   - The build is cached on install so the app opens offline.  Each
+ *     deploy gets its own cache and older ones are dropped on activate.
+ *   - Page loads go to the network first and fall back to the cached
+ *     index.html; other files of the app are served from the cache.
+ *   - Quote requests (Yahoo quote and chart, Stooq, the quote server)
+ *     go to the network first and the last successful response per
+ *     URL is stored.  When the network fails the stored response is
+ *     returned instead with an `X-Stale-Since` header holding the time
+ *     it was fetched, which the providers turn into a stale quote (see
+ *     src/providers/proxy.js).
+ */
+
+const VERSION = '__VERSION__';
+const PRECACHE = __PRECACHE__;
+const SHELL_CACHE = `shell-${VERSION}`;
+const QUOTE_CACHE = 'quotes-v1';
+const FETCHED_HEADER = 'X-Fetched-At';
+const STALE_HEADER = 'X-Stale-Since';
+
+// Quote endpoints, matched against the decoded request URL so that
+// requests wrapped in a proxy prefix are recognised too.
+const QUOTE_PATTERNS = [
+  /finance\.yahoo\.com\/v7\/finance\/quote/,
+  /finance\.yahoo\.com\/v8\/finance\/chart/,
+  /stooq\.(pl|com)\/q\/l\//,
+  /\/api\/quote\?/
+];
+
+// Same‑origin files that belong to the app, as opposed to endpoints
+// served next to it (Vercel's analytics scripts, APIs).
+function isAppFile(url) {
+  const { origin, pathname } = new URL(url);
+  return origin === self.location.origin && !pathname.startsWith('/_vercel/') && !pathname.startsWith('/api/');
+}
+
+function isQuoteRequest(url) {
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch {
+    // keep the raw URL
+  }
+  return QUOTE_PATTERNS.some(pattern => pattern.test(decoded));
+}
+
+// Copy of `response` with extra headers.  Headers a cross‑origin
+// response does not expose are lost, which is fine for quote payloads.
+async function withHeaders(response, extra) {
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(extra)) headers.set(name, value);
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+async function networkFirstQuote(request) {
+  const cache = await caches.open(QUOTE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const stamped = await withHeaders(response.clone(), { [FETCHED_HEADER]: String(Date.now()) });
+      await cache.put(request, stamped);
+    }
+    return response;
+  } catch (err) {
+    const stored = await cache.match(request);
+    if (!stored) throw err;
+    return withHeaders(stored, { [STALE_HEADER]: stored.headers.get(FETCHED_HEADER) ?? '0' });
+  }
+}
+
+async function networkFirstPage(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    const shell = (await cache.match('./index.html')) ?? (await cache.match('./'));
+    if (!shell) throw err;
+    return shell;
+  }
+}
+
+async function cacheFirstFile(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys.filter(key => key.startsWith('shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (isQuoteRequest(request.url)) {
+    event.respondWith(networkFirstQuote(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (isAppFile(request.url)) {
+    event.respondWith(cacheFirstFile(request));
+  }
+});
@@ -0,0 +1,63 @@
+import { DEFAULT_PROVIDER_SETTINGS } from '../providers/index.js';
+import yahooChart from '../providers/yahooChart.js';
+import yahooQuote from '../providers/yahooQuote.js';
+
+/*
+ * Dividend data per ticker.
+ *
+ * Payment history (two years) comes from the Yahoo v8 chart endpoint
+ * and the forward and trailing annual rates from the Yahoo v7 quote
+ * endpoint, both through the configured proxy.  Each ticker resolves
+ * to `{ history: [{ date, amount }], forwardRate, trailingRate }` with
+ * amounts per share in the quote currency; a source that fails simply
+ * contributes nothing, since most tickers (and all crypto) pay no
+ * dividends anyway.  Results are memoized per ticker for the lifetime
+ * of the page, except when both sources failed so that a later attempt
+ * can retry.
+ */
+
+const DIVIDEND_TIMEOUT = 15000;
+const memo = new Map();
+
+// Run `fn(signal)` with a timeout, resolving to null on failure.
+async function withTimeout(fn) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DIVIDEND_TIMEOUT);
+  try {
+    return await fn(controller.signal);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Fetch dividend data for several tickers.  Resolves to a Map keyed by
+// the tickers as given.
+export async function fetchDividendInfo(tickers, settings = DEFAULT_PROVIDER_SETTINGS) {
+  const symbols = new Map(tickers.map(ticker => [ticker, yahooQuote.normalizeSymbol(ticker)]));
+  const missing = [...new Set(symbols.values())].filter(symbol => !memo.has(symbol));
+  if (missing.length > 0) {
+    const ratesPromise = withTimeout(signal =>
+      yahooQuote.fetchDividendRates(missing, { proxy: settings.proxy, signal })
+    );
+    for (const symbol of missing) {
+      const promise = Promise.all([
+        ratesPromise,
+        withTimeout(signal => yahooChart.fetchDividends(symbol, { proxy: settings.proxy, signal }))
+      ]).then(([rates, history]) => {
+        if (rates == null && history == null) memo.delete(symbol);
+        return {
+          history: history ?? [],
+          forwardRate: rates?.get(symbol)?.forwardRate ?? null,
+          trailingRate: rates?.get(symbol)?.trailingRate ?? null
+        };
+      });
+      memo.set(symbol, promise);
+    }
+  }
+  const entries = await Promise.all(
+    [...symbols].map(async ([ticker, symbol]) => [ticker, await memo.get(symbol)])
+  );
+  return new Map(entries);
+}
@@ -0,0 +1,34 @@
+import { quoteService, quoteKey } from './quoteService.js';
+import { fxTicker } from '../providers/exchanges.js';
+
+/*
+ * Foreign‑exchange rates.
+ *
+ * Rates are ordinary quotes for Yahoo currency pairs (`EURUSD=X`), so
+ * they go through the same quote service – and therefore the same
+ * provider chain, cache and retries – as stock prices.  Stooq serves
+ * the same pairs under their bare name (`eurusd`).
+ */
+
+// Resolve rates converting each currency into `base`.  Resolves to a
+// Map of currency → units of `base` per unit of that currency; `base`
+// itself maps to 1.  Currencies whose rate could not be fetched are
+// missing from the map.
+export async function getFxRates(currencies, base, settings, options) {
+  const needed = [...new Set(currencies.filter(c => c && c !== base))];
+  const rates = new Map([[base, 1]]);
+  if (needed.length === 0) return rates;
+  const quotes = await quoteService.getQuotes(
+    needed.map(currency => fxTicker(currency, base)),
+    settings,
+    options
+  );
+  for (const currency of needed) {
+    const quote = quotes.get(quoteKey(fxTicker(currency, base)));
+    if (quote?.price > 0) rates.set(currency, quote.price);
+  }
+  return rates;
+}
+
+// Currencies offered as a base currency in the settings.
+export const BASE_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'HKD', 'SEK', 'PLN'];
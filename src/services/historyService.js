@@ -0,0 +1,48 @@
+import { DEFAULT_PROVIDER_SETTINGS } from '../providers/index.js';
+import yahooChart from '../providers/yahooChart.js';
+
+/*
+ * Daily price history.
+ *
+ * Fetches `{ date, close }` series from the Yahoo v8 chart endpoint
+ * through the configured proxy.  Results are memoized per ticker and
+ * range for the lifetime of the page, since daily history changes at
+ * most once a day and simulations are often re‑run with new settings.
+ */
+
+const HISTORY_TIMEOUT = 15000;
+const memo = new Map();
+
+export async function fetchHistory(ticker, range = '1y', settings = DEFAULT_PROVIDER_SETTINGS) {
+  const symbol = yahooChart.normalizeSymbol(ticker);
+  const key = `${symbol}|${range}`;
+  if (!memo.has(key)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HISTORY_TIMEOUT);
+    const promise = yahooChart
+      .fetchHistory(symbol, { range, proxy: settings.proxy, signal: controller.signal })
+      .finally(() => clearTimeout(timer));
+    memo.set(key, promise);
+    // Forget failures so that a later attempt can retry.
+    promise.catch(() => memo.delete(key));
+  }
+  return memo.get(key);
+}
+
+// Fetch several tickers in parallel.  Resolves to an array of series in
+// the same order; rejects naming the first ticker that failed or came
+// back empty.
+export async function fetchHistories(tickers, range, settings) {
+  return Promise.all(
+    tickers.map(async ticker => {
+      let series;
+      try {
+        series = await fetchHistory(ticker, range, settings);
+      } catch {
+        series = [];
+      }
+      if (series.length === 0) throw new Error(`No price history for ${ticker.toUpperCase()}`);
+      return series;
+    })
+  );
+}
@@ -0,0 +1,101 @@
+/*
+ * Offline request queue.
+ *
+ * Fetches attempted while the browser is offline are parked here under
+ * a key and run again once the `online` event fires.  A task queued
+ * twice under the same key replaces the earlier one, so a burst of
+ * clicks while offline retries once.  Fetches answered only with
+ * last‑known data while the browser is online (the sources or the
+ * proxy are down) never see that event; `retryLater` runs them again
+ * on a timer instead, backing off while they keep failing.  Tasks
+ * should read the latest app state when they run rather than capture
+ * it when queued.
+ */
+
+export const RETRY_DELAY = 60 * 1000;
+export const MAX_RETRY_DELAY = 15 * 60 * 1000;
+
+const browserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+export function createOfflineQueue({
+  target = typeof window === 'undefined' ? null : window,
+  isOnline = browserOnline
+} = {}) {
+  const tasks = new Map();
+  const listeners = new Set();
+  // Timed retries: key → pending timer, and key → retries so far.
+  const timers = new Map();
+  const attempts = new Map();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const run = task =>
+    Promise.resolve()
+      .then(task)
+      .catch(err => console.warn('Queued request failed', err));
+
+  const cancelTimer = key => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  };
+
+  // Run and forget every queued task.  Failures are logged; a task that
+  // still cannot reach the network is expected to queue itself again.
+  function flush() {
+    const pending = [...tasks.values()];
+    tasks.clear();
+    notify();
+    pending.forEach(run);
+  }
+
+  target?.addEventListener?.('online', flush);
+  target?.addEventListener?.('offline', notify);
+
+  return {
+    isOnline,
+    flush,
+
+    enqueue(key, task) {
+      tasks.set(key, task);
+      notify();
+    },
+
+    // Run `task` after RETRY_DELAY, doubling the delay (up to
+    // MAX_RETRY_DELAY) each time the same key is retried again before
+    // `succeeded` is called.  Replaces a retry already scheduled.
+    retryLater(key, task) {
+      cancelTimer(key);
+      const count = attempts.get(key) ?? 0;
+      attempts.set(key, count + 1);
+      const delay = Math.min(RETRY_DELAY * 2 ** count, MAX_RETRY_DELAY);
+      timers.set(
+        key,
+        setTimeout(() => {
+          timers.delete(key);
+          run(task);
+        }, delay)
+      );
+    },
+
+    // The request under `key` went through: drop any scheduled retry
+    // and start the backoff over.
+    succeeded(key) {
+      cancelTimer(key);
+      attempts.delete(key);
+    },
+
+    get size() {
+      return tasks.size;
+    },
+
+    // Call `listener` whenever the queue or the connection changes.
+    // Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+// Shared instance used by the app.
+export const offlineQueue = createOfflineQueue();
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { MAX_RETRY_DELAY, RETRY_DELAY, createOfflineQueue } from './offlineQueue.js';
+
+// Minimal stand‑in for `window`, so tests can fire `online`.
+function fakeWindow() {
+  const listeners = {};
+  return {
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    fire: type => listeners[type]?.()
+  };
+}
+
+beforeEach(() => vi.useFakeTimers());
+afterEach(() => vi.useRealTimers());
+
+describe('offline queue', () => {
+  it('runs tasks queued while offline when the connection returns, once per key', async () => {
+    const target = fakeWindow();
+    const queue = createOfflineQueue({ target, isOnline: () => false });
+    const task = vi.fn();
+    queue.enqueue('prices', task);
+    queue.enqueue('prices', task);
+    expect(queue.size).toBe(1);
+    target.fire('online');
+    await vi.runAllTimersAsync();
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(queue.size).toBe(0);
+  });
+
+  it('retries on a timer while online, backing off until a success', async () => {
+    const queue = createOfflineQueue({ target: fakeWindow(), isOnline: () => true });
+    const task = vi.fn();
+
+    queue.retryLater('prices', task);
+    await vi.advanceTimersByTimeAsync(RETRY_DELAY - 1);
+    expect(task).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    // Still stale: the next retry waits twice as long.
+    queue.retryLater('prices', task);
+    await vi.advanceTimersByTimeAsync(RETRY_DELAY);
+    expect(task).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(RETRY_DELAY);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    // The delay is capped.
+    for (let i = 0; i < 10; i++) queue.retryLater('prices', task);
+    await vi.advanceTimersByTimeAsync(MAX_RETRY_DELAY);
+    expect(task).toHaveBeenCalledTimes(3);
+
+    // A success cancels a pending retry and resets the backoff.
+    queue.retryLater('prices', task);
+    queue.succeeded('prices');
+    await vi.advanceTimersByTimeAsync(MAX_RETRY_DELAY);
+    expect(task).toHaveBeenCalledTimes(3);
+    queue.retryLater('prices', task);
+    await vi.advanceTimersByTimeAsync(RETRY_DELAY);
+    expect(task).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,72 @@
+import { getLocalStorage } from '../utils/storage.js';
+
+/*
+ * Persistent TTL cache for quotes.
+ *
+ * Entries are keyed by the upper‑case ticker and store the price, the
+ * provider that supplied it and the time it was fetched.  The whole
+ * table is mirrored to localStorage so prices survive a reload; when
+ * storage is unavailable (private browsing, tests) the cache silently
+ * degrades to memory only.
+ */
+
+export const QUOTE_CACHE_KEY = 'portfolio-projection:quotes';
+
+// Five minutes keeps repeated "Fetch Prices" clicks cheap while still
+// being fresh enough for end‑of‑day style projections.
+export const DEFAULT_QUOTE_TTL = 5 * 60 * 1000;
+
+export function createQuoteCache({
+  storage = getLocalStorage(),
+  key = QUOTE_CACHE_KEY,
+  ttl = DEFAULT_QUOTE_TTL,
+  now = Date.now
+} = {}) {
+  let entries = {};
+  try {
+    entries = JSON.parse(storage?.getItem(key) ?? '{}') ?? {};
+  } catch {
+    entries = {};
+  }
+
+  const persist = () => {
+    try {
+      storage?.setItem(key, JSON.stringify(entries));
+    } catch {
+      // quota exceeded or storage disabled; keep the in‑memory copy
+    }
+  };
+
+  return {
+    ttl,
+
+    // Return the entry for a ticker regardless of age, or null.
+    get(ticker) {
+      return entries[ticker] ?? null;
+    },
+
+    // Return the entry only while it is younger than the TTL.
+    getFresh(ticker) {
+      const entry = entries[ticker];
+      if (!entry || now() - entry.fetchedAt > ttl) return null;
+      return entry;
+    },
+
+    set(ticker, quote) {
+      const entry = { ...quote, fetchedAt: quote.fetchedAt ?? now() };
+      entries[ticker] = entry;
+      persist();
+      return entry;
+    },
+
+    delete(ticker) {
+      delete entries[ticker];
+      persist();
+    },
+
+    clear() {
+      entries = {};
+      persist();
+    }
+  };
+}
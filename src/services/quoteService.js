@@ -0,0 +1,213 @@
+import {
+  DEFAULT_PROVIDER_SETTINGS,
+  getProvider,
+  resolveProviderList
+} from '../providers/index.js';
+import { HttpError } from '../providers/proxy.js';
+import { normalizeQuote } from '../providers/exchanges.js';
+import { createQuoteCache } from './quoteCache.js';
+
+/*
+ * Quote service.
+ *
+ * Sits between the UI and the provider registry and turns a list of
+ * tickers into quotes as cheaply as possible:
+ *
+ *   - tickers are deduplicated case‑insensitively;
+ *   - fresh entries are served from a persistent TTL cache;
+ *   - providers that implement `fetchQuotes` are asked for all
+ *     remaining symbols at once, in chunks of `batchSize`;
+ *   - concurrent requests for the same ticker share one fetch;
+ *   - each request gets a timeout via AbortController and failures are
+ *     retried with exponential backoff before the next provider in the
+ *     chain is tried;
+ *   - when no provider answers (offline, or the proxy is down) the
+ *     last‑known price is served instead, from the cache regardless of
+ *     age or from a response the service worker stored, whichever is
+ *     newer.
+ *
+ * Quotes resolve to `{ price, currency, source, fetchedAt }` (plus
+ * `beta` when the source reports one, and `stale: true` for last‑known
+ * prices, whose `fetchedAt` says how old they are) or null when no
+ * price is known at all.
+ */
+
+// Canonical cache/dedupe key for a user‑entered ticker.
+export function quoteKey(ticker) {
+  return (ticker ?? '').trim().toUpperCase();
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client errors other than rate limiting will not improve on retry.
+function isRetryable(err) {
+  if (err instanceof HttpError) return err.status === 429 || err.status >= 500;
+  return true;
+}
+
+// Whether the browser believes it has a network connection.  Outside a
+// browser we assume it does.
+const browserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+export function createQuoteService({
+  cache = createQuoteCache(),
+  retries = 2,
+  baseDelay = 500,
+  timeout = 8000,
+  batchSize = 50,
+  wait = sleep,
+  isOnline = browserOnline,
+  // Passed to the providers in place of the global fetch; tests
+  // inject a fake.
+  fetchImpl
+} = {}) {
+  const inflight = new Map();
+
+  // Run `task(signal)` with a per‑attempt timeout, retrying retryable
+  // failures after baseDelay, 2×baseDelay, 4×baseDelay… milliseconds.
+  async function withRetry(task) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      try {
+        return await task(controller.signal);
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        await wait(baseDelay * 2 ** attempt);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  // Ask one provider for as many of `keys` as it can answer.  Resolves
+  // to a Map of key → quote for the keys it found.  Keys the provider
+  // cannot map to a symbol are skipped.  `ctx` carries the proxy and
+  // quote server settings through to the provider.
+  async function fetchFromProvider(provider, allKeys, ctx) {
+    const found = new Map();
+    const symbolFor = new Map(allKeys.map(key => [key, provider.normalizeSymbol(key)]));
+    const keys = allKeys.filter(key => symbolFor.get(key) != null);
+
+    if (provider.fetchQuotes) {
+      for (let i = 0; i < keys.length; i += batchSize) {
+        const chunk = keys.slice(i, i + batchSize);
+        try {
+          const quotes = await withRetry(signal =>
+            provider.fetchQuotes(chunk.map(key => symbolFor.get(key)), { ...ctx, signal })
+          );
+          for (const key of chunk) {
+            const quote = quotes.get(symbolFor.get(key).toUpperCase());
+            if (quote) found.set(key, quote);
+          }
+        } catch {
+          // leave this chunk to the next provider
+        }
+      }
+      return found;
+    }
+
+    await Promise.all(
+      keys.map(async key => {
+        try {
+          const quote = await withRetry(signal =>
+            provider.fetchQuote(symbolFor.get(key), { ...ctx, signal })
+          );
+          if (quote) found.set(key, quote);
+        } catch {
+          // leave this ticker to the next provider
+        }
+      })
+    );
+    return found;
+  }
+
+  // The last‑known price for a key, marked stale: the newer of the
+  // cached entry and `stored` (a stale quote replayed by the service
+  // worker), or null when there is neither.
+  function lastKnown(key, stored = null) {
+    const cached = cache.get(key);
+    const newest = [cached, stored]
+      .filter(Boolean)
+      .reduce((a, b) => ((b.fetchedAt ?? 0) > (a?.fetchedAt ?? 0) ? b : a), null);
+    return newest ? { ...newest, stale: true } : null;
+  }
+
+  // Walk the enabled providers in order until every key has a quote or
+  // the chain is exhausted.  Found quotes are written to the cache;
+  // stale ones are not, and keys that only got a stale quote keep
+  // looking for a live one before falling back to the last‑known price.
+  async function fetchKeys(keys, settings) {
+    const results = new Map();
+    const stored = new Map();
+    const ctx = { proxy: settings.proxy, quoteServer: settings.quoteServer, fetchImpl };
+    let remaining = keys;
+    for (const entry of resolveProviderList(settings.providers)) {
+      if (!entry.enabled || remaining.length === 0) continue;
+      const provider = getProvider(entry.id);
+      const found = await fetchFromProvider(provider, remaining, ctx);
+      for (const [key, quote] of found) {
+        if (typeof quote.price !== 'number' || isNaN(quote.price)) continue;
+        // The quote server reports which upstream source it used.
+        const normalized = { ...normalizeQuote(quote, key), source: quote.source ?? provider.id };
+        if (quote.stale) {
+          if (!stored.has(key)) stored.set(key, normalized);
+        } else {
+          results.set(key, cache.set(key, normalized));
+        }
+      }
+      remaining = remaining.filter(key => !results.has(key));
+    }
+    for (const key of remaining) {
+      const fallback = lastKnown(key, stored.get(key));
+      if (fallback) results.set(key, fallback);
+    }
+    return results;
+  }
+
+  /*
+   * Resolve quotes for a list of tickers.  Returns a Map keyed by
+   * `quoteKey(ticker)`.  Pass `force: true` to bypass the cache, e.g.
+   * when the user refreshes a single row.  While the browser is
+   * offline no request is attempted and every ticker gets its
+   * last‑known price.
+   */
+  async function getQuotes(tickers, settings = DEFAULT_PROVIDER_SETTINGS, { force = false } = {}) {
+    const keys = [...new Set(tickers.map(quoteKey).filter(Boolean))];
+    if (!isOnline()) {
+      return new Map(keys.map(key => [key, (!force && cache.getFresh(key)) || lastKnown(key)]));
+    }
+    const results = new Map();
+    const pending = [];
+    const toFetch = [];
+
+    for (const key of keys) {
+      const cached = force ? null : cache.getFresh(key);
+      if (cached) {
+        results.set(key, cached);
+      } else if (inflight.has(key)) {
+        pending.push(inflight.get(key).then(quote => results.set(key, quote)));
+      } else {
+        toFetch.push(key);
+      }
+    }
+
+    if (toFetch.length > 0) {
+      const batch = fetchKeys(toFetch, settings);
+      for (const key of toFetch) {
+        const promise = batch.then(found => found.get(key) ?? null);
+        inflight.set(key, promise);
+        promise.finally(() => inflight.delete(key));
+        pending.push(promise.then(quote => results.set(key, quote)));
+      }
+    }
+
+    await Promise.all(pending);
+    return results;
+  }
+
+  return { getQuotes, cache };
+}
+
+// Shared instance used by the app.
+export const quoteService = createQuoteService();
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createQuoteService } from './quoteService.js';
+import { createQuoteCache } from './quoteCache.js';
+import { createOfflineQueue } from './offlineQueue.js';
+import { registerProvider } from '../providers/index.js';
+import { markStale } from '../providers/proxy.js';
+
+// A provider whose answers the tests control: a price, a stale replay
+// from the service worker, or a network failure.
+const answers = new Map();
+registerProvider({
+  id: 'test',
+  label: 'Test',
+  normalizeSymbol: ticker => ticker,
+  parse: value => value,
+  async fetchQuote(symbol) {
+    const answer = answers.get(symbol);
+    if (answer instanceof Error) throw answer;
+    return answer ?? null;
+  }
+});
+const settings = { proxy: '', providers: [{ id: 'test', enabled: true }] };
+
+function memoryStorage() {
+  const store = {};
+  return { getItem: key => store[key] ?? null, setItem: (key, value) => (store[key] = value) };
+}
+
+function service({ online = true, now = () => 10_000_000 } = {}) {
+  const cache = createQuoteCache({ storage: memoryStorage(), ttl: 1000, now });
+  return createQuoteService({ cache, retries: 0, wait: () => Promise.resolve(), isOnline: () => online });
+}
+
+// Yahoo's batch quote endpoint behind a fake fetch, with no proxy.
+const yahoo = { proxy: '', providers: [{ id: 'yahoo-quote', enabled: true }] };
+const symbolsOf = url => new URL(url).searchParams.get('symbols').split(',');
+const response = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Headers(),
+  json: async () => body
+});
+const quotesFor = symbols => ({
+  quoteResponse: {
+    result: symbols.map((symbol, i) => ({ symbol, regularMarketPrice: 100 + i, currency: 'USD' }))
+  }
+});
+
+function yahooService({ fetchImpl, now = () => 0, ...options }) {
+  const cache = createQuoteCache({ storage: memoryStorage(), ttl: 1000, now });
+  const wait = vi.fn(() => Promise.resolve());
+  const quotes = createQuoteService({ cache, fetchImpl, wait, isOnline: () => true, ...options });
+  return { quotes, wait };
+}
+
+describe('batching and caching', () => {
+  it('dedupes tickers case-insensitively and batches them into chunked symbols= requests', async () => {
+    const fetchImpl = vi.fn(async url => response(quotesFor(symbolsOf(url))));
+    const { quotes } = yahooService({ fetchImpl, batchSize: 2 });
+    const result = await quotes.getQuotes(['aapl', 'MSFT', ' AAPL ', 'ko', ''], yahoo);
+    expect(fetchImpl.mock.calls.map(([url]) => symbolsOf(url))).toEqual([['AAPL', 'MSFT'], ['KO']]);
+    expect([...result.keys()]).toEqual(['AAPL', 'MSFT', 'KO']);
+    expect(result.get('MSFT')).toMatchObject({ price: 101, currency: 'USD', source: 'yahoo-quote' });
+  });
+
+  it('lets concurrent callers share one in-flight request', async () => {
+    const fetchImpl = vi.fn(async url => response(quotesFor(symbolsOf(url))));
+    const { quotes } = yahooService({ fetchImpl });
+    const [first, second] = await Promise.all([
+      quotes.getQuotes(['AAPL'], yahoo),
+      quotes.getQuotes(['aapl', 'MSFT'], yahoo)
+    ]);
+    expect(fetchImpl.mock.calls.map(([url]) => symbolsOf(url))).toEqual([['AAPL'], ['MSFT']]);
+    expect(second.get('AAPL')).toBe(first.get('AAPL'));
+  });
+
+  it('serves fresh quotes from the cache until the TTL runs out', async () => {
+    let time = 0;
+    const fetchImpl = vi.fn(async url => response(quotesFor(symbolsOf(url))));
+    const { quotes } = yahooService({ fetchImpl, now: () => time });
+    await quotes.getQuotes(['AAPL'], yahoo);
+    time = 1000;
+    await quotes.getQuotes(['AAPL'], yahoo);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    time = 1001;
+    await quotes.getQuotes(['AAPL'], yahoo);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    // A forced refresh skips the cache.
+    await quotes.getQuotes(['AAPL'], yahoo, { force: true });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('retries', () => {
+  it('backs off exponentially on server errors, rate limits and network failures', async () => {
+    const failures = [response(null, 503), response(null, 429)];
+    const fetchImpl = vi.fn(async url => failures.shift() ?? response(quotesFor(symbolsOf(url))));
+    const { quotes, wait } = yahooService({ fetchImpl, retries: 2, baseDelay: 100 });
+    expect((await quotes.getQuotes(['AAPL'], yahoo)).get('AAPL')).toMatchObject({ price: 100 });
+    expect(wait.mock.calls).toEqual([[100], [200]]);
+
+    const flaky = vi.fn().mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    flaky.mockImplementation(async url => response(quotesFor(symbolsOf(url))));
+    const retried = yahooService({ fetchImpl: flaky, retries: 1 });
+    expect((await retried.quotes.getQuotes(['KO'], yahoo)).get('KO')).toMatchObject({ price: 100 });
+    expect(flaky).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the last retry and does not retry client errors', async () => {
+    const down = vi.fn(async () => response(null, 500));
+    const failing = yahooService({ fetchImpl: down, retries: 2 });
+    expect((await failing.quotes.getQuotes(['AAPL'], yahoo)).get('AAPL')).toBeNull();
+    expect(down).toHaveBeenCalledTimes(3);
+
+    const missing = vi.fn(async () => response(null, 404));
+    const { quotes, wait } = yahooService({ fetchImpl: missing, retries: 2 });
+    expect((await quotes.getQuotes(['NOPE'], yahoo)).get('NOPE')).toBeNull();
+    expect(missing).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it('aborts a request that outlives the timeout', async () => {
+    const signals = [];
+    const hanging = vi.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signals.push(signal);
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        })
+    );
+    const { quotes } = yahooService({ fetchImpl: hanging, retries: 1, timeout: 10 });
+    expect((await quotes.getQuotes(['AAPL'], yahoo)).get('AAPL')).toBeNull();
+    // Each attempt gets its own signal, and both were aborted.
+    expect(signals).toHaveLength(2);
+    expect(signals.every(signal => signal.aborted)).toBe(true);
+  });
+});
+
+describe('last‑known prices', () => {
+  it('falls back to the cached price, marked stale, when no provider answers', async () => {
+    const quotes = service();
+    quotes.cache.set('AAPL', { price: 180, currency: 'USD', source: 'test', fetchedAt: 5_000_000 });
+    answers.set('AAPL', new Error('offline'));
+    const result = await quotes.getQuotes(['aapl'], settings);
+    expect(result.get('AAPL')).toMatchObject({ price: 180, stale: true, fetchedAt: 5_000_000 });
+    expect(quotes.cache.get('AAPL').stale).toBeUndefined();
+  });
+
+  it('resolves to null when no price was ever fetched', async () => {
+    answers.set('MSFT', new Error('offline'));
+    expect((await service().getQuotes(['MSFT'], settings)).get('MSFT')).toBeNull();
+  });
+
+  it('prefers the newer of the cache and a stored service worker response', async () => {
+    const quotes = service();
+    quotes.cache.set('SAP.DE', { price: 100, currency: 'EUR', source: 'test', fetchedAt: 1_000 });
+    const res = { headers: new Headers({ 'X-Stale-Since': '2000' }) };
+    answers.set('SAP.DE', markStale({ price: 110, currency: 'EUR' }, res));
+    const result = await quotes.getQuotes(['SAP.DE'], settings);
+    expect(result.get('SAP.DE')).toMatchObject({ price: 110, stale: true, fetchedAt: 2000 });
+    // Stale replays never overwrite the cache.
+    expect(quotes.cache.get('SAP.DE').price).toBe(100);
+  });
+
+  it('does not touch the network while offline', async () => {
+    const quotes = service({ online: false });
+    quotes.cache.set('VOD.L', { price: 0.7, currency: 'GBP', source: 'test', fetchedAt: 1_000 });
+    answers.set('VOD.L', { price: 0.8, currency: 'GBP' });
+    const result = await quotes.getQuotes(['VOD.L', 'NEW'], settings);
+    expect(result.get('VOD.L')).toMatchObject({ price: 0.7, stale: true });
+    expect(result.get('NEW')).toBeNull();
+  });
+});
+
+describe('offline queue', () => {
+  it('runs the latest task per key once the connection returns', async () => {
+    const target = new EventTarget();
+    const queue = createOfflineQueue({ target, isOnline: () => false });
+    const first = vi.fn();
+    const second = vi.fn();
+    queue.enqueue('prices', first);
+    queue.enqueue('prices', second);
+    expect(queue.size).toBe(1);
+    target.dispatchEvent(new Event('online'));
+    await Promise.resolve();
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(queue.size).toBe(0);
+  });
+});
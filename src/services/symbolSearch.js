@@ -0,0 +1,142 @@
+import {
+  DEFAULT_PROVIDER_SETTINGS,
+  getProvider,
+  listProviders,
+  resolveProviderList
+} from '../providers/index.js';
+import { canonicalTicker } from '../providers/exchanges.js';
+import { SYMBOLS } from './symbols.js';
+
+/*
+ * Symbol search and validation for the ticker autocomplete.
+ *
+ * Matches come from the bundled offline list first and then from every
+ * enabled provider that implements `search` (currently Yahoo).  Results
+ * are `{ symbol, name, exchange, type, currency }` in Yahoo's symbol
+ * format, deduplicated by symbol.  Remote lookups are memoized per
+ * query for the lifetime of the page.
+ */
+
+const SEARCH_TIMEOUT = 5000;
+const MAX_RESULTS = 10;
+const memo = new Map();
+
+// Rank offline matches: exact symbol, symbol prefix, then a word of
+// the name starting with the query, then anywhere in the name.
+function rank(entry, query) {
+  const symbol = entry.symbol.toUpperCase();
+  const upper = query.toUpperCase();
+  if (symbol === upper) return 0;
+  if (symbol.startsWith(upper)) return 1;
+  const name = entry.name.toLowerCase();
+  const lower = query.toLowerCase();
+  if (name.split(/[\s.,&-]+/).some(word => word.startsWith(lower))) return 2;
+  if (name.includes(lower)) return 3;
+  return null;
+}
+
+// Search the bundled list.
+export function searchOffline(query, limit = MAX_RESULTS) {
+  const q = query.trim();
+  if (!q) return [];
+  return SYMBOLS.map(entry => ({ entry, score: rank(entry, q) }))
+    .filter(match => match.score != null)
+    .sort((a, b) => a.score - b.score || a.entry.symbol.localeCompare(b.entry.symbol))
+    .slice(0, limit)
+    .map(match => match.entry);
+}
+
+// Query one provider's search with a timeout, memoized per query.
+function searchProvider(provider, query, settings, signal) {
+  const key = `${provider.id}|${query.toLowerCase()}`;
+  if (!memo.has(key)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SEARCH_TIMEOUT);
+    const promise = provider
+      .search(query, { proxy: settings.proxy, signal: controller.signal })
+      .finally(() => clearTimeout(timer));
+    memo.set(key, promise);
+    // Forget failures so that a later keystroke can retry.
+    promise.catch(() => memo.delete(key));
+  }
+  const promise = memo.get(key);
+  if (!signal) return promise;
+  // A caller that gives up (e.g. the user kept typing) stops waiting
+  // without cancelling the shared request.
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      if (signal.aborted) reject(new DOMException('Aborted', 'AbortError'));
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    })
+  ]);
+}
+
+function searchableProviders(settings) {
+  return resolveProviderList(settings.providers)
+    .filter(entry => entry.enabled)
+    .map(entry => getProvider(entry.id))
+    .filter(provider => typeof provider?.search === 'function');
+}
+
+/*
+ * Search offline and remote sources.  Resolves to
+ * `{ results, error }`: remote failures are reported in `error` while
+ * offline matches are still returned.  Rejects only when `signal` is
+ * aborted.
+ */
+export async function searchSymbols(query, settings = DEFAULT_PROVIDER_SETTINGS, { signal } = {}) {
+  const q = query.trim();
+  if (!q) return { results: [], error: null };
+  const offline = searchOffline(q);
+  let remote = [];
+  let error = null;
+  const outcomes = await Promise.allSettled(
+    searchableProviders(settings).map(provider => searchProvider(provider, q, settings, signal))
+  );
+  if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+  for (const outcome of outcomes) {
+    if (outcome.status === 'fulfilled') remote = remote.concat(outcome.value);
+    else error = outcome.reason?.message ?? 'Search failed';
+  }
+  const seen = new Set();
+  const results = [];
+  // Exact symbol matches first, wherever they came from.
+  const exact = canonicalTicker(q);
+  const all = [...offline, ...remote];
+  for (const entry of [...all.filter(e => e.symbol === exact), ...all]) {
+    if (seen.has(entry.symbol)) continue;
+    seen.add(entry.symbol);
+    results.push(entry);
+  }
+  return { results: results.slice(0, MAX_RESULTS), error };
+}
+
+/*
+ * Check whether a ticker exists.  Resolves to `{ status, match }` where
+ * status is 'known' (found offline or by a provider search),
+ * 'unknown' (providers answered and none listed it) or 'unverified'
+ * (no provider could be asked).  `match` is the matching entry.
+ */
+export async function lookupSymbol(ticker, settings = DEFAULT_PROVIDER_SETTINGS, { signal } = {}) {
+  const symbol = canonicalTicker(ticker);
+  if (!symbol) return { status: 'unverified', match: null };
+  const offline = SYMBOLS.find(entry => entry.symbol === symbol);
+  if (offline) return { status: 'known', match: offline };
+  const providers = searchableProviders(settings);
+  if (providers.length === 0) return { status: 'unverified', match: null };
+  const { results, error } = await searchSymbols(symbol, settings, { signal });
+  const match = results.find(entry => entry.symbol === symbol) ?? null;
+  if (match) return { status: 'known', match };
+  return { status: error ? 'unverified' : 'unknown', match: null };
+}
+
+// The symbol each registered provider would request for a ticker, or
+// null when the provider cannot serve it.
+export function providerSymbols(ticker) {
+  return listProviders().map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    symbol: provider.normalizeSymbol(ticker)
+  }));
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { searchOffline, providerSymbols } from './symbolSearch.js';
+import { canonicalTicker } from '../providers/exchanges.js';
+import yahooQuote from '../providers/yahooQuote.js';
+
+describe('searchOffline', () => {
+  it('matches symbols before names', () => {
+    expect(searchOffline('V')[0].symbol).toBe('V');
+    expect(searchOffline('toyota').map(e => e.symbol)).toEqual(['7203.T']);
+    expect(searchOffline('apple')[0]).toMatchObject({ symbol: 'AAPL', exchange: 'NASDAQ', currency: 'USD' });
+  });
+
+  it('returns nothing for a blank query', () => {
+    expect(searchOffline('  ')).toEqual([]);
+  });
+});
+
+describe('symbol normalization', () => {
+  it('writes U.S. share classes with a dash', () => {
+    expect(canonicalTicker(' brk.b ')).toBe('BRK-B');
+    expect(canonicalTicker('vod.l')).toBe('VOD.L');
+  });
+
+  it('maps a ticker to each provider format', () => {
+    const symbols = Object.fromEntries(providerSymbols('7203.T').map(p => [p.id, p.symbol]));
+    expect(symbols['yahoo-quote']).toBe('7203.T');
+    expect(symbols.stooq).toBe('7203.jp');
+    expect(Object.fromEntries(providerSymbols('MC.PA').map(p => [p.id, p.symbol])).stooq).toBeNull();
+  });
+
+  it('parses Yahoo search results and infers currency', () => {
+    const results = yahooQuote.parseSearch({
+      quotes: [
+        { symbol: 'SAP.DE', longname: 'SAP SE', exchDisp: 'XETRA', typeDisp: 'Equity', quoteType: 'EQUITY' },
+        { symbol: 'NEWS', quoteType: null }
+      ]
+    });
+    expect(results).toEqual([
+      { symbol: 'SAP.DE', name: 'SAP SE', exchange: 'XETRA', type: 'Equity', currency: 'EUR' }
+    ]);
+  });
+});
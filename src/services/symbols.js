@@ -0,0 +1,94 @@
+/*
+ * Offline symbol list.
+ *
+ * A small bundled list of widely held stocks, ETFs, crypto pairs and
+ * currency pairs so that autocomplete works without a network round
+ * trip (and without a network at all).  Symbols are in Yahoo's format.
+ * Entries are `[symbol, name, exchange, type, currency]` tuples to keep
+ * the bundle compact; see SYMBOLS below for the expanded objects.
+ */
+
+const LIST = [
+  ['AAPL', 'Apple Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['MSFT', 'Microsoft Corporation', 'NASDAQ', 'Equity', 'USD'],
+  ['GOOGL', 'Alphabet Inc. Class A', 'NASDAQ', 'Equity', 'USD'],
+  ['GOOG', 'Alphabet Inc. Class C', 'NASDAQ', 'Equity', 'USD'],
+  ['AMZN', 'Amazon.com, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['META', 'Meta Platforms, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['NVDA', 'NVIDIA Corporation', 'NASDAQ', 'Equity', 'USD'],
+  ['TSLA', 'Tesla, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['AVGO', 'Broadcom Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['AMD', 'Advanced Micro Devices, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['INTC', 'Intel Corporation', 'NASDAQ', 'Equity', 'USD'],
+  ['NFLX', 'Netflix, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['ADBE', 'Adobe Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['CSCO', 'Cisco Systems, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['PEP', 'PepsiCo, Inc.', 'NASDAQ', 'Equity', 'USD'],
+  ['COST', 'Costco Wholesale Corporation', 'NASDAQ', 'Equity', 'USD'],
+  ['BRK-B', 'Berkshire Hathaway Inc. Class B', 'NYSE', 'Equity', 'USD'],
+  ['JPM', 'JPMorgan Chase & Co.', 'NYSE', 'Equity', 'USD'],
+  ['V', 'Visa Inc.', 'NYSE', 'Equity', 'USD'],
+  ['MA', 'Mastercard Incorporated', 'NYSE', 'Equity', 'USD'],
+  ['JNJ', 'Johnson & Johnson', 'NYSE', 'Equity', 'USD'],
+  ['PG', 'The Procter & Gamble Company', 'NYSE', 'Equity', 'USD'],
+  ['KO', 'The Coca-Cola Company', 'NYSE', 'Equity', 'USD'],
+  ['XOM', 'Exxon Mobil Corporation', 'NYSE', 'Equity', 'USD'],
+  ['WMT', 'Walmart Inc.', 'NYSE', 'Equity', 'USD'],
+  ['DIS', 'The Walt Disney Company', 'NYSE', 'Equity', 'USD'],
+  ['BAC', 'Bank of America Corporation', 'NYSE', 'Equity', 'USD'],
+  ['UNH', 'UnitedHealth Group Incorporated', 'NYSE', 'Equity', 'USD'],
+  ['HD', 'The Home Depot, Inc.', 'NYSE', 'Equity', 'USD'],
+  ['LLY', 'Eli Lilly and Company', 'NYSE', 'Equity', 'USD'],
+  ['SPY', 'SPDR S&P 500 ETF Trust', 'NYSE Arca', 'ETF', 'USD'],
+  ['VOO', 'Vanguard S&P 500 ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['VTI', 'Vanguard Total Stock Market ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['QQQ', 'Invesco QQQ Trust', 'NASDAQ', 'ETF', 'USD'],
+  ['IWM', 'iShares Russell 2000 ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['VXUS', 'Vanguard Total International Stock ETF', 'NASDAQ', 'ETF', 'USD'],
+  ['BND', 'Vanguard Total Bond Market ETF', 'NASDAQ', 'ETF', 'USD'],
+  ['AGG', 'iShares Core U.S. Aggregate Bond ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['TLT', 'iShares 20+ Year Treasury Bond ETF', 'NASDAQ', 'ETF', 'USD'],
+  ['GLD', 'SPDR Gold Shares', 'NYSE Arca', 'ETF', 'USD'],
+  ['VNQ', 'Vanguard Real Estate ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['SCHD', 'Schwab U.S. Dividend Equity ETF', 'NYSE Arca', 'ETF', 'USD'],
+  ['SAP.DE', 'SAP SE', 'XETRA', 'Equity', 'EUR'],
+  ['SIE.DE', 'Siemens AG', 'XETRA', 'Equity', 'EUR'],
+  ['ALV.DE', 'Allianz SE', 'XETRA', 'Equity', 'EUR'],
+  ['VOW3.DE', 'Volkswagen AG Vz', 'XETRA', 'Equity', 'EUR'],
+  ['ASML.AS', 'ASML Holding N.V.', 'Amsterdam', 'Equity', 'EUR'],
+  ['MC.PA', 'LVMH Moët Hennessy Louis Vuitton SE', 'Paris', 'Equity', 'EUR'],
+  ['OR.PA', "L'Oréal S.A.", 'Paris', 'Equity', 'EUR'],
+  ['NESN.SW', 'Nestlé S.A.', 'SIX Swiss', 'Equity', 'CHF'],
+  ['NOVN.SW', 'Novartis AG', 'SIX Swiss', 'Equity', 'CHF'],
+  ['VOD.L', 'Vodafone Group Plc', 'London', 'Equity', 'GBP'],
+  ['HSBA.L', 'HSBC Holdings plc', 'London', 'Equity', 'GBP'],
+  ['SHEL.L', 'Shell plc', 'London', 'Equity', 'GBP'],
+  ['AZN.L', 'AstraZeneca PLC', 'London', 'Equity', 'GBP'],
+  ['VWRL.L', 'Vanguard FTSE All-World UCITS ETF', 'London', 'ETF', 'GBP'],
+  ['7203.T', 'Toyota Motor Corporation', 'Tokyo', 'Equity', 'JPY'],
+  ['6758.T', 'Sony Group Corporation', 'Tokyo', 'Equity', 'JPY'],
+  ['9984.T', 'SoftBank Group Corp.', 'Tokyo', 'Equity', 'JPY'],
+  ['0700.HK', 'Tencent Holdings Limited', 'Hong Kong', 'Equity', 'HKD'],
+  ['9988.HK', 'Alibaba Group Holding Limited', 'Hong Kong', 'Equity', 'HKD'],
+  ['SHOP.TO', 'Shopify Inc.', 'Toronto', 'Equity', 'CAD'],
+  ['RY.TO', 'Royal Bank of Canada', 'Toronto', 'Equity', 'CAD'],
+  ['BHP.AX', 'BHP Group Limited', 'ASX', 'Equity', 'AUD'],
+  ['BTC-USD', 'Bitcoin USD', 'CCC', 'Cryptocurrency', 'USD'],
+  ['ETH-USD', 'Ethereum USD', 'CCC', 'Cryptocurrency', 'USD'],
+  ['SOL-USD', 'Solana USD', 'CCC', 'Cryptocurrency', 'USD'],
+  ['BTC-EUR', 'Bitcoin EUR', 'CCC', 'Cryptocurrency', 'EUR'],
+  ['EURUSD=X', 'EUR/USD', 'CCY', 'Currency', 'USD'],
+  ['GBPUSD=X', 'GBP/USD', 'CCY', 'Currency', 'USD'],
+  ['USDJPY=X', 'USD/JPY', 'CCY', 'Currency', 'JPY'],
+  ['^GSPC', 'S&P 500', 'SNP', 'Index', 'USD'],
+  ['^IXIC', 'NASDAQ Composite', 'NASDAQ', 'Index', 'USD'],
+  ['^DJI', 'Dow Jones Industrial Average', 'DJI', 'Index', 'USD']
+];
+
+export const SYMBOLS = LIST.map(([symbol, name, exchange, type, currency]) => ({
+  symbol,
+  name,
+  exchange,
+  type,
+  currency
+}));
@@ -0,0 +1,264 @@
+import { genId } from '../utils/id.js';
+import { DEFAULT_PROVIDER_SETTINGS } from '../providers/index.js';
+import { getLocalStorage } from '../utils/storage.js';
+import { blankCostBasis, DEFAULT_TAX_SETTINGS } from '../calc/costBasis.js';
+import { defaultHorizonSettings } from '../calc/horizon.js';
+import { defaultAllocationSettings } from '../calc/rebalance.js';
+import { DEFAULT_ALERT_SETTINGS } from '../calc/alerts.js';
+import { blankOption } from '../calc/assetTypes.js';
+import { DEFAULT_BREAKDOWN_SETTINGS } from '../calc/breakdown.js';
+
+/*
+ * Local persistence for portfolios and preferences.
+ *
+ * Everything the user enters is kept in a single JSON document in
+ * localStorage:
+ *
+ *   {
+ *     version: 11,
+ *     activeId: '…',
+ *     portfolios: [{ id, name, assets, horizon, scenarios, allocation, notes, createdAt, updatedAt }],
+ *     preferences: { darkMode, baseCurrency, providerSettings, taxSettings, alertSettings, breakdownSettings,
+ *                    analyticsConsent, privacyMode },
+ *     alertLog: [{ id, key, time, ticker, … }]
+ *   }
+ *
+ * The document carries a schema version.  When the shape changes, bump
+ * SCHEMA_VERSION and add a function to MIGRATIONS that upgrades a
+ * document from the previous version; `migrate` runs the steps in
+ * order so data saved by any older release still loads.
+ */
+
+export const STORAGE_KEY = 'portfolio-projection:state';
+export const SCHEMA_VERSION = 11;
+
+// Apply `fn` to every portfolio in a document.
+const mapPortfolios = (doc, fn) => ({
+  ...doc,
+  portfolios: (doc.portfolios ?? []).map(fn)
+});
+
+// Apply `fn` to every asset row of every portfolio in a document.
+const mapAssets = (doc, fn) =>
+  mapPortfolios(doc, p => ({ ...p, assets: (p.assets ?? []).map(fn) }));
+
+// MIGRATIONS[n] upgrades a version n‑1 document to version n.
+const MIGRATIONS = {
+  // v2: per‑position cost basis.
+  2: doc => mapAssets(doc, asset => ({ ...asset, costBasis: blankCostBasis() })),
+  // v3: per‑position target dates and portfolio horizon settings.
+  3: doc =>
+    mapPortfolios(
+      mapAssets(doc, asset => ({ ...asset, targetDate: '' })),
+      p => ({ ...p, horizon: defaultHorizonSettings() })
+    ),
+  // v4: named scenarios with per‑position targets.
+  4: doc =>
+    mapPortfolios(
+      mapAssets(doc, asset => ({ ...asset, scenarioTargets: {} })),
+      p => ({ ...p, scenarios: [] })
+    ),
+  // v5: quote currency per position.  Unknown until the next fetch.
+  5: doc => mapAssets(doc, asset => ({ ...asset, currency: null })),
+  // v6: asset classes and target allocation settings.
+  6: doc =>
+    mapPortfolios(
+      mapAssets(doc, asset => ({ ...asset, assetClass: '' })),
+      p => ({ ...p, allocation: defaultAllocationSettings() })
+    ),
+  // v7: stop/threshold price per position and the price alert history.
+  7: doc => ({
+    ...mapAssets(doc, asset => ({ ...asset, stopPrice: '' })),
+    alertLog: []
+  }),
+  // v8: asset types, with cash interest rates and option terms.
+  8: doc =>
+    mapAssets(doc, asset => ({
+      ...asset,
+      assetType: 'stock',
+      interestRate: '',
+      option: blankOption()
+    })),
+  // v9: beta per position, used by the what‑if panel.  Unknown until
+  // the next fetch.
+  9: doc => mapAssets(doc, asset => ({ ...asset, beta: null })),
+  // v10: sector and tags per position, for grouping the breakdown.
+  10: doc => mapAssets(doc, asset => ({ ...asset, sector: '', tags: '' })),
+  // v11: notes per portfolio, printed with the projection report.
+  11: doc => mapPortfolios(doc, p => ({ ...p, notes: '' }))
+};
+
+// Fields that only make sense while the app is running and are never
+// written to storage.
+const TRANSIENT_ASSET_FIELDS = ['loading', 'error', 'priceStale'];
+
+// A blank asset row.  Shares and targetPrice are empty strings rather
+// than zero so that the inputs do not display a sticky 0; numeric
+// conversion happens when computing derived values.
+export function blankAsset(id = genId()) {
+  return {
+    id,
+    assetType: 'stock',
+    ticker: '',
+    shares: '',
+    currentPrice: null,
+    currency: null,
+    beta: null,
+    priceSource: null,
+    priceTime: null,
+    priceStale: false,
+    targetPrice: '',
+    stopPrice: '',
+    targetDate: '',
+    assetClass: '',
+    sector: '',
+    tags: '',
+    interestRate: '',
+    option: blankOption(),
+    scenarioTargets: {},
+    costBasis: blankCostBasis(),
+    loading: false,
+    error: null
+  };
+}
+
+// Create a portfolio.  `settings` may carry portfolio‑level settings
+// (`horizon`, `scenarios`, `allocation`, `notes`) to start from; anything missing gets its
+// default.
+export function createPortfolio(name = 'My Portfolio', assets = [blankAsset()], settings = {}) {
+  const now = Date.now();
+  return {
+    id: genId(),
+    name,
+    assets,
+    horizon: { ...defaultHorizonSettings(), ...settings.horizon },
+    scenarios: settings.scenarios ?? [],
+    allocation: { ...defaultAllocationSettings(), ...settings.allocation },
+    notes: settings.notes ?? '',
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Copy a portfolio under a new name.  Asset ids are regenerated so the
+// two copies never share React keys.  Scenario ids are kept because
+// the rows' scenario targets refer to them.
+export function duplicatePortfolio(portfolio, name = `${portfolio.name} (copy)`) {
+  return createPortfolio(
+    name,
+    portfolio.assets.map(asset => ({ ...asset, id: genId() })),
+    portfolio
+  );
+}
+
+export function defaultState() {
+  const portfolio = createPortfolio();
+  return {
+    version: SCHEMA_VERSION,
+    activeId: portfolio.id,
+    portfolios: [portfolio],
+    preferences: {
+      darkMode: false,
+      baseCurrency: 'USD',
+      providerSettings: DEFAULT_PROVIDER_SETTINGS,
+      taxSettings: DEFAULT_TAX_SETTINGS,
+      alertSettings: DEFAULT_ALERT_SETTINGS,
+      breakdownSettings: DEFAULT_BREAKDOWN_SETTINGS,
+      // null until the user answers the first‑run analytics question.
+      analyticsConsent: null,
+      privacyMode: false
+    },
+    alertLog: []
+  };
+}
+
+// Upgrade a stored document to SCHEMA_VERSION.  Throws for documents
+// written by a newer release, which we cannot safely interpret.
+export function migrate(doc) {
+  let current = doc;
+  let version = current?.version ?? 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported portfolio schema version ${version}`);
+  }
+  while (version < SCHEMA_VERSION) {
+    version += 1;
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration to schema version ${version}`);
+    current = { ...step(current), version };
+  }
+  return current;
+}
+
+// Make sure a migrated document is usable: at least one portfolio, a
+// valid active id, every preference present and no transient flags
+// left on rows.
+function normalize(doc) {
+  const fallback = defaultState();
+  const portfolios = Array.isArray(doc.portfolios) && doc.portfolios.length > 0
+    ? doc.portfolios.map(p => ({
+        ...p,
+        horizon: { ...defaultHorizonSettings(), ...p.horizon },
+        scenarios: Array.isArray(p.scenarios) ? p.scenarios : [],
+        allocation: { ...defaultAllocationSettings(), ...p.allocation },
+        notes: typeof p.notes === 'string' ? p.notes : '',
+        assets: (p.assets?.length ? p.assets : [blankAsset()]).map(asset => ({
+          ...blankAsset(asset.id),
+          ...asset,
+          loading: false,
+          error: null
+        }))
+      }))
+    : fallback.portfolios;
+  const activeId = portfolios.some(p => p.id === doc.activeId)
+    ? doc.activeId
+    : portfolios[0].id;
+  return {
+    version: SCHEMA_VERSION,
+    activeId,
+    portfolios,
+    preferences: { ...fallback.preferences, ...doc.preferences },
+    alertLog: Array.isArray(doc.alertLog) ? doc.alertLog : []
+  };
+}
+
+// Read, migrate and normalize the saved document.  Any failure –
+// corrupt JSON, unknown version – yields a fresh default state rather
+// than a broken app.  The unreadable document is copied to a backup
+// key first so the next autosave does not destroy it.
+export function loadState(storage = getLocalStorage()) {
+  let raw = null;
+  try {
+    raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return defaultState();
+    return normalize(migrate(JSON.parse(raw)));
+  } catch (err) {
+    console.warn('Could not load saved portfolios, starting fresh.', err);
+    try {
+      if (raw) storage.setItem(`${STORAGE_KEY}:backup`, raw);
+    } catch {
+      // nothing more we can do
+    }
+    return defaultState();
+  }
+}
+
+// Serialize the document, dropping transient row fields.
+export function saveState(state, storage = getLocalStorage()) {
+  const doc = {
+    ...state,
+    version: SCHEMA_VERSION,
+    portfolios: state.portfolios.map(p => ({
+      ...p,
+      assets: p.assets.map(asset => {
+        const copy = { ...asset };
+        TRANSIENT_ASSET_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+      })
+    }))
+  };
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(doc));
+  } catch (err) {
+    console.warn('Could not save portfolios.', err);
+  }
+}
@@ -0,0 +1,212 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  STORAGE_KEY,
+  blankAsset,
+  defaultState,
+  loadState,
+  migrate,
+  saveState
+} from './portfolioStore.js';
+import { defaultHorizonSettings } from '../calc/horizon.js';
+import { defaultAllocationSettings } from '../calc/rebalance.js';
+import { blankOption } from '../calc/assetTypes.js';
+
+function memoryStorage(initial = {}) {
+  const store = { ...initial };
+  return {
+    store,
+    getItem: key => store[key] ?? null,
+    setItem: (key, value) => (store[key] = value)
+  };
+}
+
+const storageWith = doc => memoryStorage({ [STORAGE_KEY]: JSON.stringify(doc) });
+
+// What each schema version added to asset rows, portfolios and the
+// document, with values that differ from the defaults so the tests can
+// tell saved data from what a migration filled in.
+const ADDED = {
+  1: {
+    asset: {
+      id: 'a1',
+      ticker: 'AAPL',
+      shares: '10',
+      currentPrice: 180,
+      priceSource: 'yahoo-quote',
+      priceTime: 1_000,
+      targetPrice: '250'
+    },
+    portfolio: { id: 'p1', name: 'Main', createdAt: 1, updatedAt: 2 }
+  },
+  2: {
+    asset: { costBasis: { mode: 'average', averageCost: '150', acquired: '2024-01-02', lots: [] } }
+  },
+  3: {
+    asset: { targetDate: '2030-01-01' },
+    portfolio: { horizon: { ...defaultHorizonSettings(), monthlyContribution: '100' } }
+  },
+  4: {
+    asset: { scenarioTargets: { s1: '300' } },
+    portfolio: { scenarios: [{ id: 's1', name: 'Bull', probability: '50' }] }
+  },
+  5: { asset: { currency: 'USD' } },
+  6: {
+    asset: { assetClass: 'Equity' },
+    portfolio: { allocation: { ...defaultAllocationSettings(), cash: '500' } }
+  },
+  7: {
+    asset: { stopPrice: '150' },
+    doc: { alertLog: [{ id: 'l1', key: 'a1:stop:down', time: 5, ticker: 'AAPL' }] }
+  },
+  8: {
+    asset: { assetType: 'option', interestRate: '', option: { ...blankOption(), strike: '200' } }
+  },
+  9: { asset: { beta: 1.2 } },
+  10: { asset: { sector: 'Technology', tags: 'core, us' } }
+};
+
+// The document a release on schema `version` would have saved.
+function savedBy(version) {
+  let asset = {};
+  let portfolio = {};
+  let doc = {};
+  for (let v = 1; v <= version; v++) {
+    asset = { ...asset, ...ADDED[v].asset };
+    portfolio = { ...portfolio, ...ADDED[v].portfolio };
+    doc = { ...doc, ...ADDED[v].doc };
+  }
+  return {
+    version,
+    activeId: 'p1',
+    portfolios: [{ ...portfolio, assets: [asset] }],
+    preferences: { darkMode: true },
+    ...doc
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => vi.restoreAllMocks());
+
+describe('migrations', () => {
+  const versions = Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => i + 1);
+
+  it.each(versions)('load a version %i document as the current version', version => {
+    const saved = savedBy(version);
+    const state = loadState(storageWith(saved));
+    const { assets: [savedAsset], ...savedPortfolio } = saved.portfolios[0];
+
+    expect(state.version).toBe(SCHEMA_VERSION);
+    expect(state.activeId).toBe('p1');
+    // What the old release saved is kept; everything added since has
+    // its default.
+    expect(state.portfolios).toEqual([
+      {
+        horizon: defaultHorizonSettings(),
+        scenarios: [],
+        allocation: defaultAllocationSettings(),
+        notes: '',
+        ...savedPortfolio,
+        assets: [{ ...blankAsset('a1'), ...savedAsset }]
+      }
+    ]);
+    expect(state.preferences).toEqual({ ...defaultState().preferences, darkMode: true });
+    expect(state.alertLog).toEqual(saved.alertLog ?? []);
+  });
+
+  it('runs every step in order', () => {
+    expect(migrate(savedBy(1))).toMatchObject({
+      version: SCHEMA_VERSION,
+      portfolios: [{ notes: '', assets: [{ assetType: 'stock', costBasis: { mode: 'average' } }] }],
+      alertLog: []
+    });
+  });
+
+  it('refuses documents from a newer release, keeping them in a backup', () => {
+    const newer = { ...savedBy(10), version: SCHEMA_VERSION + 1 };
+    expect(() => migrate(newer)).toThrow(`Unsupported portfolio schema version ${SCHEMA_VERSION + 1}`);
+
+    const storage = storageWith(newer);
+    const state = loadState(storage);
+    expect(state.portfolios[0].name).toBe('My Portfolio');
+    expect(storage.store[`${STORAGE_KEY}:backup`]).toBe(JSON.stringify(newer));
+  });
+});
+
+describe('loadState', () => {
+  it('starts fresh when nothing is saved', () => {
+    const state = loadState(memoryStorage());
+    expect(state.version).toBe(SCHEMA_VERSION);
+    expect(state.portfolios).toHaveLength(1);
+    expect(state.activeId).toBe(state.portfolios[0].id);
+  });
+
+  it('starts fresh on corrupt JSON and keeps the original in a backup', () => {
+    const storage = memoryStorage({ [STORAGE_KEY]: '{"version": 11, "portfolios": [' });
+    const state = loadState(storage);
+    expect(state.portfolios).toHaveLength(1);
+    expect(storage.store[`${STORAGE_KEY}:backup`]).toBe('{"version": 11, "portfolios": [');
+    // The backup is not overwritten by the next save.
+    saveState(state, storage);
+    expect(storage.store[`${STORAGE_KEY}:backup`]).toBe('{"version": 11, "portfolios": [');
+  });
+
+  it('normalizes a usable document out of a damaged one', () => {
+    const saved = savedBy(SCHEMA_VERSION - 1);
+    const portfolio = saved.portfolios[0];
+    const state = loadState(
+      storageWith({
+        ...saved,
+        version: SCHEMA_VERSION,
+        activeId: 'gone',
+        portfolios: [
+          {
+            ...portfolio,
+            scenarios: 'bad',
+            notes: 7,
+            assets: [{ ...portfolio.assets[0], loading: true, error: 'x' }]
+          },
+          { id: 'p2', name: 'Empty', assets: [] }
+        ],
+        preferences: { baseCurrency: 'EUR' },
+        alertLog: null
+      })
+    );
+    expect(state.activeId).toBe('p1');
+    const [first, second] = state.portfolios;
+    expect(first.scenarios).toEqual([]);
+    expect(first.notes).toBe('');
+    expect(first.assets[0]).toMatchObject({ ticker: 'AAPL', loading: false, error: null });
+    expect(second.assets).toHaveLength(1);
+    expect(second.assets[0]).toEqual(blankAsset(second.assets[0].id));
+    expect(second.horizon).toEqual(defaultHorizonSettings());
+    expect(state.preferences).toEqual({ ...defaultState().preferences, baseCurrency: 'EUR' });
+    expect(state.alertLog).toEqual([]);
+  });
+
+  it('replaces a document without portfolios by the default one', () => {
+    const state = loadState(storageWith({ version: SCHEMA_VERSION, portfolios: [] }));
+    expect(state.portfolios).toHaveLength(1);
+    expect(state.activeId).toBe(state.portfolios[0].id);
+  });
+});
+
+describe('saveState', () => {
+  it('drops transient row fields and reads back the same', () => {
+    const storage = memoryStorage();
+    const state = loadState(storageWith(savedBy(SCHEMA_VERSION - 1)));
+    state.portfolios[0].assets[0] = { ...state.portfolios[0].assets[0], loading: true, priceStale: true };
+    saveState(state, storage);
+    const [asset] = JSON.parse(storage.store[STORAGE_KEY]).portfolios[0].assets;
+    expect(asset).not.toHaveProperty('loading');
+    expect(asset).not.toHaveProperty('error');
+    expect(asset).not.toHaveProperty('priceStale');
+    expect(loadState(storage).portfolios[0].assets[0]).toEqual({
+      ...state.portfolios[0].assets[0],
+      loading: false,
+      priceStale: false
+    });
+  });
+});
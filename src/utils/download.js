@@ -0,0 +1,24 @@
+// Offer `content` to the user as a file download.  Uses a temporary
+// object URL and anchor element, which works in all evergreen browsers
+// without extra dependencies.
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Turn a portfolio name into something safe to use in a file name.
+export function slugify(name) {
+  return (
+    (name ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'portfolio'
+  );
+}
@@ -0,0 +1,51 @@
+/*
+ * Locale‑aware number formatting.
+ *
+ * Money is formatted with Intl.NumberFormat in the browser's locale, so
+ * a EUR amount shows as "1.234,50 €" for a German user and "€1,234.50"
+ * for a U.S. one.  Formatters are cached because constructing them is
+ * comparatively expensive and tables format hundreds of cells.
+ */
+
+const formatters = new Map();
+
+function getFormatter(currency, options = {}) {
+  const key = `${currency}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency, ...options });
+    } catch {
+      // Unknown currency code: fall back to a plain number with the code.
+      const plain = new Intl.NumberFormat(undefined, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        ...options
+      });
+      formatter = { format: value => `${plain.format(value)} ${currency}` };
+    }
+    formatters.set(key, formatter);
+  }
+  return formatters.get(key);
+}
+
+// Format an amount in `currency`, e.g. "$1,234.50".
+export function formatMoney(value, currency = 'USD') {
+  return getFormatter(currency).format(value);
+}
+
+// Format an amount with an explicit sign, e.g. "+$12.00" or "-$3.10",
+// for gains and losses.
+export function formatSignedMoney(value, currency = 'USD') {
+  return `${value >= 0 ? '+' : '-'}${formatMoney(Math.abs(value), currency)}`;
+}
+
+// Short form for chart axes, e.g. "$12K".
+export function formatCompactMoney(value, currency = 'USD') {
+  return getFormatter(currency, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+// Colour used for gains (green) and losses (red) throughout the app.
+export function gainColor(value) {
+  return value >= 0 ? '#16a34a' : '#dc2626';
+}
@@ -0,0 +1,63 @@
+/*
+ * Spreadsheet‑style keyboard navigation for the Assets grid.
+ *
+ * Grid inputs carry `data-grid-row` and `data-grid-col` attributes.
+ * Arrow keys move between cells (left and right only once the caret
+ * reaches the edge of the text), Enter moves down and Shift+Enter up.
+ * Enter on the last row asks for a new row instead.
+ */
+
+// The cell a key press moves to: `{ row, column }`, `{ add: true }` to
+// append a row, or null when the key is left to the input.  `atStart`
+// and `atEnd` tell whether the caret sits at either end of the value.
+export function gridMove(
+  { key, shiftKey = false, altKey = false, ctrlKey = false, metaKey = false },
+  { row, column, rowCount, columnCount, atStart = true, atEnd = true }
+) {
+  if (altKey || ctrlKey || metaKey) return null;
+  switch (key) {
+    case 'ArrowUp':
+      return row > 0 ? { row: row - 1, column } : null;
+    case 'ArrowDown':
+      return row < rowCount - 1 ? { row: row + 1, column } : null;
+    case 'ArrowLeft':
+      return atStart && column > 0 ? { row, column: column - 1 } : null;
+    case 'ArrowRight':
+      return atEnd && column < columnCount - 1 ? { row, column: column + 1 } : null;
+    case 'Enter':
+      if (shiftKey) return row > 0 ? { row: row - 1, column } : null;
+      return row < rowCount - 1 ? { row: row + 1, column } : { add: true };
+    default:
+      return null;
+  }
+}
+
+// Where the caret is in `input`.  Inputs without a text selection API
+// (number fields) report both ends, so arrows always leave them.
+export function caretEdges(input) {
+  let start = null;
+  let end = null;
+  try {
+    start = input.selectionStart;
+    end = input.selectionEnd;
+  } catch {
+    // not a text input
+  }
+  if (start == null) return { atStart: true, atEnd: true };
+  return { atStart: end === 0, atEnd: start === input.value.length };
+}
+
+// Focus the cell at `row`, `column` within `container`, or the nearest
+// cell to its left when the row has none there (cash rows have no
+// target price).  Returns whether a cell took focus.
+export function focusCell(container, row, column) {
+  for (let col = column; col >= 0; col--) {
+    const cell = container?.querySelector(`[data-grid-row="${row}"][data-grid-col="${col}"]`);
+    if (cell && !cell.disabled) {
+      cell.focus();
+      cell.select?.();
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,7 @@
+// Generates a unique identifier for each row using the current
+// timestamp combined with a random component.  This ensures that
+// React keys remain stable across re-renders when rows are added
+// or removed.
+export function genId() {
+  return `${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+}
@@ -0,0 +1,10 @@
+// Return window.localStorage when it is usable, or null.  Accessing
+// the property can itself throw (e.g. Safari private mode or a
+// sandboxed iframe), so callers treat null as "memory only".
+export function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,21 @@
+// Describe how long ago `timestamp` was, relative to `now`, in a
+// compact form suited to table cells: "just now", "5m ago", "3h ago",
+// "2d ago".
+export function formatAge(timestamp, now = Date.now()) {
+  if (timestamp == null) return '';
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+// Parse a `YYYY-MM-DD` string from `<input type="date">` as local
+// midnight.  Returns null for blank or invalid values.
+export function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00`);
+  return isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,98 @@
+/*
+ * Undo and redo for the Assets grid.
+ *
+ * The history is a plain value, `{ past, future, lastKey, lastTime }`,
+ * where `past` and `future` hold snapshots of the asset rows, each
+ * `{ assets, label }`.  `record` is called with the rows as they were
+ * before an edit; consecutive edits of the same field (same `key`)
+ * within COALESCE_MS are merged, so typing a ticker is one step rather
+ * than one per keystroke.
+ *
+ * Snapshots describe what the user typed.  Quotes keep arriving while
+ * the history grows, so `restoreSnapshot` carries the latest quote of
+ * a row over into the restored one when its ticker is unchanged.
+ */
+
+export const MAX_UNDO = 100;
+export const COALESCE_MS = 1000;
+
+// Row fields filled by price fetches rather than by the user.
+const QUOTE_FIELDS = [
+  'currentPrice',
+  'currency',
+  'beta',
+  'priceSource',
+  'priceTime',
+  'priceStale',
+  'loading',
+  'error'
+];
+
+export function emptyHistory() {
+  return { past: [], future: [], lastKey: null, lastTime: 0 };
+}
+
+// Record `assets`, the rows before an edit described by `label`.
+// `key` names the field being edited (e.g. `${id}:shares`) for
+// coalescing; edits without one are always a step of their own.
+export function record(history, assets, { label, key = null, time = Date.now() } = {}) {
+  if (key != null && key === history.lastKey && time - history.lastTime < COALESCE_MS) {
+    return { ...history, future: [], lastTime: time };
+  }
+  return {
+    past: [...history.past, { assets, label }].slice(-MAX_UNDO),
+    future: [],
+    lastKey: key,
+    lastTime: time
+  };
+}
+
+export const canUndo = history => history.past.length > 0;
+export const canRedo = history => history.future.length > 0;
+
+// Step back.  Returns `{ history, entry }` with the snapshot to restore,
+// or null when there is nothing to undo.  `assets` are the current rows,
+// kept for redo.
+export function undo(history, assets) {
+  if (!canUndo(history)) return null;
+  const entry = history.past[history.past.length - 1];
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { assets, label: entry.label }],
+      lastKey: null,
+      lastTime: 0
+    },
+    entry
+  };
+}
+
+// Step forward again after an undo.  Same shape as `undo`.
+export function redo(history, assets) {
+  if (!canRedo(history)) return null;
+  const entry = history.future[history.future.length - 1];
+  return {
+    history: {
+      past: [...history.past, { assets, label: entry.label }],
+      future: history.future.slice(0, -1),
+      lastKey: null,
+      lastTime: 0
+    },
+    entry
+  };
+}
+
+// The rows of `snapshot`, with quote fields taken from `current` for
+// rows whose ticker and type have not changed since.  Rows restored
+// from further back are never left waiting on a fetch that already
+// finished.
+export function restoreSnapshot(snapshot, current) {
+  const byId = new Map(current.map(asset => [asset.id, asset]));
+  return snapshot.map(asset => {
+    const now = byId.get(asset.id);
+    if (now && now.ticker === asset.ticker && now.assetType === asset.assetType) {
+      return { ...asset, ...Object.fromEntries(QUOTE_FIELDS.map(field => [field, now[field]])) };
+    }
+    return asset.loading ? { ...asset, loading: false } : asset;
+  });
+}
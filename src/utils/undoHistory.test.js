@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { canRedo, canUndo, emptyHistory, record, redo, restoreSnapshot, undo } from './undoHistory.js';
+import { gridMove } from './gridNavigation.js';
+
+const row = (id, overrides) => ({ id, ticker: id.toUpperCase(), assetType: 'stock', shares: '1', ...overrides });
+
+describe('undo history', () => {
+  it('steps back and forward through recorded edits', () => {
+    const a = [row('a')];
+    const b = [row('a'), row('b')];
+    let history = record(emptyHistory(), a, { label: 'adding a row', time: 0 });
+    expect(canUndo(history)).toBe(true);
+
+    const back = undo(history, b);
+    expect(back.entry).toEqual({ assets: a, label: 'adding a row' });
+    history = back.history;
+    expect(canUndo(history)).toBe(false);
+    expect(canRedo(history)).toBe(true);
+
+    const forward = redo(history, a);
+    expect(forward.entry.assets).toBe(b);
+    expect(canRedo(forward.history)).toBe(false);
+    expect(undo(emptyHistory(), a)).toBeNull();
+  });
+
+  it('coalesces quick edits of one field and drops the redo stack', () => {
+    let history = record(emptyHistory(), [row('a', { shares: '' })], { label: 'shares edit', key: 'a:shares', time: 0 });
+    history = record(history, [row('a', { shares: '1' })], { label: 'shares edit', key: 'a:shares', time: 400 });
+    expect(history.past).toHaveLength(1);
+    history = record(history, [row('a', { shares: '12' })], { label: 'shares edit', key: 'a:shares', time: 5000 });
+    expect(history.past).toHaveLength(2);
+
+    history = undo(history, [row('a', { shares: '123' })]).history;
+    history = record(history, [row('a', { shares: '12' })], { label: 'ticker edit', key: 'a:ticker', time: 6000 });
+    expect(canRedo(history)).toBe(false);
+  });
+
+  it('keeps prices fetched since the snapshot for unchanged tickers', () => {
+    const snapshot = [row('a', { shares: '5', currentPrice: null }), row('b', { loading: true })];
+    const current = [
+      row('a', { shares: '7', currentPrice: 101, priceSource: 'stooq' }),
+      row('b', { ticker: 'OTHER', currentPrice: 3 })
+    ];
+    const restored = restoreSnapshot(snapshot, current);
+    expect(restored[0]).toMatchObject({ shares: '5', currentPrice: 101, priceSource: 'stooq' });
+    expect(restored[1]).toMatchObject({ ticker: 'B', loading: false });
+    expect(restored[1].currentPrice).toBeUndefined();
+  });
+});
+
+describe('grid navigation', () => {
+  const grid = { row: 1, column: 1, rowCount: 3, columnCount: 3 };
+
+  it('moves between cells with arrows and Enter', () => {
+    expect(gridMove({ key: 'ArrowUp' }, grid)).toEqual({ row: 0, column: 1 });
+    expect(gridMove({ key: 'ArrowDown' }, grid)).toEqual({ row: 2, column: 1 });
+    expect(gridMove({ key: 'Enter' }, grid)).toEqual({ row: 2, column: 1 });
+    expect(gridMove({ key: 'Enter', shiftKey: true }, grid)).toEqual({ row: 0, column: 1 });
+    expect(gridMove({ key: 'ArrowRight' }, grid)).toEqual({ row: 1, column: 2 });
+  });
+
+  it('adds a row on Enter in the last row and leaves other keys alone', () => {
+    expect(gridMove({ key: 'Enter' }, { ...grid, row: 2 })).toEqual({ add: true });
+    expect(gridMove({ key: 'ArrowDown' }, { ...grid, row: 2 })).toBeNull();
+    expect(gridMove({ key: 'ArrowLeft' }, { ...grid, atStart: false })).toBeNull();
+    expect(gridMove({ key: 'Enter', ctrlKey: true }, grid)).toBeNull();
+    expect(gridMove({ key: 'a' }, grid)).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+import { runMonteCarlo } from '../calc/monteCarlo.js';
+
+// Web Worker entry for the Monte Carlo simulation.  Simulating
+// thousands of paths takes long enough to freeze the page, so the
+// heavy lifting happens here.  Each message carries the full input of
+// runMonteCarlo plus an `id` that is echoed back so the caller can
+// ignore stale results.
+self.onmessage = event => {
+  const { id, ...input } = event.data;
+  try {
+    self.postMessage({ id, result: runMonteCarlo(input) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
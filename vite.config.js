@@ -1,11 +1,54 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createQuoteApi, QUOTE_API_PATH } from './server/quoteApi.js';
+
+// Serve the quote API (server/quoteApi.js) from `npm run dev` and
+// `npm run preview`, so the quote server provider works locally
+// without a separate process.
+function quoteApi() {
+  const api = createQuoteApi();
+  const mount = server => {
+    server.middlewares.use(QUOTE_API_PATH, api.middleware);
+  };
+  return {
+    name: 'quote-api',
+    configureServer: mount,
+    configurePreviewServer: mount
+  };
+}
+
+// Emit src/serviceWorker.js as `sw.js` with the list of files to cache
+// for offline use: everything in the bundle plus the files copied from
+// public/.  The cache version is a hash of that list, so every deploy
+// that changes the bundle gets a fresh cache.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = [
+        './',
+        ...Object.keys(bundle).filter(name => !name.endsWith('.map')),
+        ...readdirSync('public')
+      ].map(name => (name.startsWith('./') ? name : `./${name}`));
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync('src/serviceWorker.js', 'utf8')
+        .replace('= __PRECACHE__;', `= ${JSON.stringify(files)};`)
+        .replace("'__VERSION__'", `'${version}'`);
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
 
 // Basic Vite configuration for a React project.  This enables the
 // @vitejs/plugin-react plugin which provides out‑of‑the‑box support
-// for JSX syntax and fast HMR during development.
+// for JSX syntax and fast HMR during development, plus the quote API
+// and service worker above.
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), quoteApi(), serviceWorker()],
   build: {
     outDir: 'dist',
     emptyOutDir: true